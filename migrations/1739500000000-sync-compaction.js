@@ -0,0 +1,28 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE group_snapshots
+      (group_id TEXT PRIMARY KEY,
+       file_id TEXT,
+       snapshot_timestamp TEXT,
+       created_at INTEGER,
+       compacted_through TEXT,
+       compacted_hash INTEGER NOT NULL DEFAULT 0,
+       compacted_at INTEGER);
+
+    CREATE TABLE group_clients
+      (group_id TEXT,
+       client_id TEXT,
+       acknowledged TEXT,
+       last_seen INTEGER,
+       PRIMARY KEY (group_id, client_id));
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP TABLE group_snapshots;
+    DROP TABLE group_clients;
+  `);
+};
@@ -0,0 +1,23 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE file_versions
+      (id TEXT PRIMARY KEY,
+       file_id TEXT,
+       group_id TEXT,
+       sync_version SMALLINT,
+       encrypt_meta TEXT,
+       size INTEGER,
+       uploaded_by TEXT,
+       created_at INTEGER);
+
+    CREATE INDEX file_versions_file_id ON file_versions (file_id, created_at);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP TABLE file_versions;
+  `);
+};
@@ -0,0 +1,18 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  const accountDb = getAccountDb();
+
+  accountDb.transaction(() => {
+    accountDb.exec('ALTER TABLE files ADD COLUMN deleted_at INTEGER');
+
+    // Files deleted before this migration start their retention period now
+    accountDb.mutate('UPDATE files SET deleted_at = ? WHERE deleted = 1', [
+      Date.now(),
+    ]);
+  });
+};
+
+export const down = async function () {
+  await getAccountDb().exec('ALTER TABLE files DROP COLUMN deleted_at');
+};
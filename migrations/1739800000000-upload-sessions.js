@@ -0,0 +1,24 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE upload_sessions
+      (id TEXT PRIMARY KEY,
+       file_id TEXT NOT NULL,
+       user_id TEXT NOT NULL,
+       name TEXT,
+       group_id TEXT,
+       encrypt_meta TEXT,
+       sync_version SMALLINT,
+       size INTEGER,
+       received INTEGER NOT NULL DEFAULT 0,
+       created_at INTEGER,
+       updated_at INTEGER);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP TABLE upload_sessions;
+  `);
+};
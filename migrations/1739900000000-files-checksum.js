@@ -0,0 +1,9 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec('ALTER TABLE files ADD COLUMN checksum TEXT');
+};
+
+export const down = async function () {
+  await getAccountDb().exec('ALTER TABLE files DROP COLUMN checksum');
+};
@@ -0,0 +1,25 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE role_quotas
+      (role TEXT PRIMARY KEY,
+       max_files INTEGER,
+       max_blob_bytes INTEGER,
+       max_group_bytes INTEGER);
+
+    CREATE TABLE user_quotas
+      (user_id TEXT PRIMARY KEY,
+       max_files INTEGER,
+       max_blob_bytes INTEGER,
+       max_group_bytes INTEGER,
+       FOREIGN KEY (user_id) REFERENCES users(id));
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP TABLE user_quotas;
+    DROP TABLE role_quotas;
+  `);
+};
@@ -0,0 +1,39 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE key_rotations
+      (file_id TEXT PRIMARY KEY,
+       key_id TEXT NOT NULL,
+       key_salt TEXT,
+       test_content TEXT,
+       started_by TEXT,
+       started_at INTEGER NOT NULL,
+       base_checksum TEXT,
+       base_timestamp TEXT,
+       name TEXT,
+       encrypt_meta TEXT,
+       sync_version SMALLINT,
+       size INTEGER,
+       checksum TEXT,
+       uploaded_at INTEGER);
+
+    CREATE TABLE audit_log
+      (id INTEGER PRIMARY KEY AUTOINCREMENT,
+       action TEXT NOT NULL,
+       user_id TEXT,
+       file_id TEXT,
+       details TEXT,
+       created_at INTEGER NOT NULL);
+
+    CREATE INDEX audit_log_file_id ON audit_log (file_id);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP INDEX audit_log_file_id;
+    DROP TABLE audit_log;
+    DROP TABLE key_rotations;
+  `);
+};
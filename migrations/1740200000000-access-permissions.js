@@ -0,0 +1,12 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  // Users a file has already been shared with keep full access
+  await getAccountDb().exec(
+    "ALTER TABLE user_access ADD COLUMN permission TEXT NOT NULL DEFAULT 'editor'",
+  );
+};
+
+export const down = async function () {
+  await getAccountDb().exec('ALTER TABLE user_access DROP COLUMN permission');
+};
@@ -0,0 +1,24 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE file_invites
+      (id TEXT PRIMARY KEY,
+       file_id TEXT NOT NULL,
+       permission TEXT NOT NULL,
+       created_by TEXT,
+       created_at INTEGER NOT NULL,
+       expires_at INTEGER NOT NULL,
+       redeemed_by TEXT,
+       redeemed_at INTEGER);
+
+    CREATE INDEX file_invites_file_id ON file_invites (file_id);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP INDEX file_invites_file_id;
+    DROP TABLE file_invites;
+  `);
+};
@@ -0,0 +1,24 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE api_tokens
+      (id TEXT PRIMARY KEY,
+       user_id TEXT NOT NULL,
+       name TEXT NOT NULL,
+       token_hash TEXT NOT NULL UNIQUE,
+       scopes TEXT NOT NULL,
+       created_at INTEGER NOT NULL,
+       expires_at INTEGER,
+       last_used_at INTEGER);
+
+    CREATE INDEX api_tokens_user_id ON api_tokens (user_id);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP INDEX api_tokens_user_id;
+    DROP TABLE api_tokens;
+  `);
+};
@@ -0,0 +1,27 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  // Sessions are listed and revoked by id, so their tokens never leave the
+  // device they belong to
+  await getAccountDb().exec(`
+    ALTER TABLE sessions ADD COLUMN id TEXT;
+    ALTER TABLE sessions ADD COLUMN created_at INTEGER;
+    ALTER TABLE sessions ADD COLUMN last_seen_at INTEGER;
+    ALTER TABLE sessions ADD COLUMN user_agent TEXT;
+    ALTER TABLE sessions ADD COLUMN ip TEXT;
+
+    UPDATE sessions SET id = lower(hex(randomblob(16)));
+    CREATE UNIQUE INDEX sessions_id ON sessions (id);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP INDEX sessions_id;
+    ALTER TABLE sessions DROP COLUMN id;
+    ALTER TABLE sessions DROP COLUMN created_at;
+    ALTER TABLE sessions DROP COLUMN last_seen_at;
+    ALTER TABLE sessions DROP COLUMN user_agent;
+    ALTER TABLE sessions DROP COLUMN ip;
+  `);
+};
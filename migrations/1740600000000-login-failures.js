@@ -0,0 +1,17 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE login_failures
+      (kind TEXT NOT NULL,
+       value TEXT NOT NULL,
+       failures INTEGER NOT NULL,
+       last_failure_at INTEGER NOT NULL,
+       blocked_until INTEGER,
+       PRIMARY KEY (kind, value));
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec('DROP TABLE login_failures');
+};
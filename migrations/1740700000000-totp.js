@@ -0,0 +1,25 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE totp_credentials
+      (user_id TEXT PRIMARY KEY,
+       secret TEXT NOT NULL,
+       enabled INTEGER NOT NULL DEFAULT 0,
+       created_at INTEGER NOT NULL,
+       last_used_step INTEGER);
+
+    CREATE TABLE totp_recovery_codes
+      (user_id TEXT NOT NULL,
+       code_hash TEXT NOT NULL,
+       used_at INTEGER,
+       PRIMARY KEY (user_id, code_hash));
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP TABLE totp_recovery_codes;
+    DROP TABLE totp_credentials;
+  `);
+};
@@ -0,0 +1,33 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE webauthn_credentials
+      (id TEXT PRIMARY KEY,
+       user_id TEXT NOT NULL,
+       name TEXT,
+       public_key TEXT NOT NULL,
+       algorithm INTEGER NOT NULL,
+       sign_count INTEGER NOT NULL DEFAULT 0,
+       created_at INTEGER NOT NULL,
+       last_used_at INTEGER);
+
+    CREATE INDEX webauthn_credentials_user_id ON webauthn_credentials (user_id);
+
+    CREATE TABLE pending_webauthn_challenges
+      (id TEXT PRIMARY KEY,
+       user_id TEXT,
+       type TEXT NOT NULL,
+       challenge TEXT NOT NULL,
+       expires_at INTEGER NOT NULL);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP TABLE pending_webauthn_challenges;
+    DROP INDEX webauthn_credentials_user_id;
+    DROP TABLE webauthn_credentials;
+    DELETE FROM auth WHERE method = 'webauthn';
+  `);
+};
@@ -0,0 +1,21 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  await getAccountDb().exec(`
+    CREATE TABLE user_passwords
+      (user_id TEXT PRIMARY KEY,
+       password_hash TEXT NOT NULL,
+       updated_at INTEGER NOT NULL);
+
+    CREATE TABLE user_registrations
+      (user_id TEXT PRIMARY KEY,
+       requested_at INTEGER NOT NULL);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    DROP TABLE user_registrations;
+    DROP TABLE user_passwords;
+  `);
+};
@@ -0,0 +1,23 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  // What the identity provider issued with an OpenID session. The tokens
+  // are stored encrypted.
+  await getAccountDb().exec(`
+    ALTER TABLE sessions ADD COLUMN oidc_subject TEXT;
+    ALTER TABLE sessions ADD COLUMN oidc_sid TEXT;
+    ALTER TABLE sessions ADD COLUMN oidc_refresh_token TEXT;
+    ALTER TABLE sessions ADD COLUMN oidc_id_token TEXT;
+    ALTER TABLE sessions ADD COLUMN oidc_expires_at INTEGER;
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec(`
+    ALTER TABLE sessions DROP COLUMN oidc_subject;
+    ALTER TABLE sessions DROP COLUMN oidc_sid;
+    ALTER TABLE sessions DROP COLUMN oidc_refresh_token;
+    ALTER TABLE sessions DROP COLUMN oidc_id_token;
+    ALTER TABLE sessions DROP COLUMN oidc_expires_at;
+  `);
+};
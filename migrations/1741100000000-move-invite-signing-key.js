@@ -0,0 +1,13 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  // Invites are signed with a key file in the server files now: anyone could
+  // overwrite this one through the secrets API.
+  await getAccountDb().exec(
+    `DELETE FROM secrets WHERE name = 'invite_signingKey'`,
+  );
+};
+
+export const down = async function () {
+  // The key file stays, and the secret is created again should it be needed
+};
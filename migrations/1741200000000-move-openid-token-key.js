@@ -0,0 +1,15 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  // Provider tokens are encrypted with a key file in the server files now.
+  // Those encrypted with the old key are dropped: the sessions stay until
+  // they expire, but are no longer refreshed.
+  await getAccountDb().exec(`
+    DELETE FROM secrets WHERE name = 'openid_tokenKey';
+    UPDATE sessions SET oidc_refresh_token = NULL, oidc_id_token = NULL;
+  `);
+};
+
+export const down = async function () {
+  // The key file stays, and the tokens can't be brought back
+};
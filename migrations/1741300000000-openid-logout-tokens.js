@@ -0,0 +1,15 @@
+import getAccountDb from '../src/account-db.js';
+
+export const up = async function () {
+  // The ids of back-channel logout tokens, kept until the tokens expire so
+  // each can only be used once
+  await getAccountDb().exec(`
+    CREATE TABLE openid_logout_tokens
+      (jti TEXT PRIMARY KEY,
+       expires_at INTEGER NOT NULL);
+  `);
+};
+
+export const down = async function () {
+  await getAccountDb().exec('DROP TABLE openid_logout_tokens');
+};
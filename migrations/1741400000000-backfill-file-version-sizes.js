@@ -0,0 +1,41 @@
+import * as uuid from 'uuid';
+import getAccountDb from '../src/account-db.js';
+import {
+  getBlobStorage,
+  getKeyForUserFile,
+} from '../src/app-sync/storage/index.js';
+
+export const up = async function () {
+  // Blobs uploaded before version history was kept have no version yet, so
+  // they did not count towards storage quotas.
+  const accountDb = getAccountDb();
+  const files = accountDb.all(
+    `SELECT * FROM files
+       WHERE NOT EXISTS
+         (SELECT 1 FROM file_versions WHERE file_versions.file_id = files.id)`,
+  );
+
+  for (const file of files) {
+    const stat = await getBlobStorage().stat(getKeyForUserFile(file.id));
+    if (!stat) {
+      continue;
+    }
+    accountDb.mutate(
+      `INSERT INTO file_versions (id, file_id, group_id, sync_version, encrypt_meta, size, uploaded_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, NULL, ?)`,
+      [
+        uuid.v4(),
+        file.id,
+        file.group_id,
+        file.sync_version,
+        file.encrypt_meta,
+        stat.size,
+        stat.modifiedAt,
+      ],
+    );
+  }
+};
+
+export const down = async function () {
+  // The versions describe blobs that exist either way
+};
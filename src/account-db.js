@@ -16,6 +16,14 @@ export default function getAccountDb() {
   return _accountDb;
 }
 
+/** Closes the account database. It is opened again on its next use. */
+export function closeAccountDb() {
+  if (_accountDb !== undefined) {
+    _accountDb.close();
+    _accountDb = undefined;
+  }
+}
+
 export function needsBootstrap() {
   let accountDb = getAccountDb();
   let rows = accountDb.all('SELECT * FROM auth');
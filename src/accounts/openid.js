@@ -1,13 +1,25 @@
 import getAccountDb, { clearExpiredSessions } from '../account-db.js';
 import * as uuid from 'uuid';
-import { generators, Issuer } from 'openid-client';
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+import { errors, generators, Issuer } from 'openid-client';
 import finalConfig from '../load-config.js';
 import { TOKEN_EXPIRATION_NEVER } from '../util/validate-user.js';
+import { createSession } from '../services/session-service.js';
+import * as OpenIdSessionService from '../services/openid-session-service.js';
 import {
   getUserByUsername,
   transferAllFilesFromUser,
 } from '../services/user-service.js';
 
+/** Sessions are refreshed this long before the provider's tokens expire. */
+const REFRESH_AHEAD_SECONDS = 10 * 60;
+
+const BACKCHANNEL_LOGOUT_EVENT =
+  'http://schemas.openid.net/event/backchannel-logout';
+
+/** Logout tokens issued longer ago than this are turned away. */
+const LOGOUT_TOKEN_MAX_AGE_SECONDS = 5 * 60;
+
 export async function bootstrapOpenId(config) {
   if (!('issuer' in config)) {
     return { error: 'missing-issuer' };
@@ -47,6 +59,126 @@ export async function bootstrapOpenId(config) {
   return {};
 }
 
+/**
+ * The values of a claim, which providers send as a list or a single value.
+ * @param {Record<string, unknown>} claims
+ * @param {string | undefined} claim
+ * @returns {string[]}
+ */
+export function getClaimValues(claims, claim) {
+  const value = claim ? claims[claim] : undefined;
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return value == null ? [] : [String(value)];
+}
+
+/**
+ * The role the claims of a user map to, or null when roles are managed by
+ * hand. Users the mapping doesn't mention become basic users.
+ * @param {Record<string, unknown>} claims
+ * @param {typeof finalConfig.openIdProvisioning} [settings]
+ * @returns {'ADMIN' | 'BASIC' | null}
+ */
+export function getMappedRole(
+  claims,
+  settings = finalConfig.openIdProvisioning,
+) {
+  if (!settings.roleClaim) {
+    return null;
+  }
+
+  const roles = getClaimValues(claims, settings.roleClaim).map(
+    (value) => settings.roleMapping[value],
+  );
+  return roles.includes('ADMIN') ? 'ADMIN' : 'BASIC';
+}
+
+/**
+ * Whether an unknown user may get an account on their first login: their
+ * verified email has to be in an allowed domain, or they have to be in an
+ * allowed group. Without either restriction anyone the provider lets in may.
+ * @param {Record<string, unknown>} claims
+ * @param {typeof finalConfig.openIdProvisioning} [settings]
+ */
+export function canAutoProvision(
+  claims,
+  settings = finalConfig.openIdProvisioning,
+) {
+  if (!settings.autoProvision) {
+    return false;
+  }
+
+  const { allowedEmailDomains, allowedGroups } = settings;
+  if (allowedEmailDomains.length === 0 && allowedGroups.length === 0) {
+    return true;
+  }
+
+  const email = typeof claims.email === 'string' ? claims.email : '';
+  const domain = email.split('@').pop().toLowerCase();
+  if (
+    email.includes('@') &&
+    claims.email_verified === true &&
+    allowedEmailDomains.includes(domain)
+  ) {
+    return true;
+  }
+
+  return getClaimValues(claims, settings.roleClaim ?? 'groups').some((group) =>
+    allowedGroups.includes(group),
+  );
+}
+
+/**
+ * Finds the user logging in, creating them when auto-provisioning allows
+ * it, and brings their role in line with the provider. Runs inside the
+ * login transaction.
+ * @param {string} identity
+ * @param {Record<string, unknown>} claims
+ * @returns {string} the id of the user
+ */
+export function syncOpenIdUser(identity, claims) {
+  const accountDb = getAccountDb();
+  const displayName = claims.name ?? claims.email ?? identity;
+  const role = getMappedRole(claims);
+
+  let user = accountDb.first(
+    'SELECT id, display_name, enabled, owner, role FROM users WHERE user_name = ?',
+    [identity],
+  );
+
+  if (!user) {
+    if (!canAutoProvision(claims)) {
+      throw new Error('openid-grant-failed');
+    }
+
+    const userId = uuid.v4();
+    accountDb.mutate(
+      'INSERT INTO users (id, user_name, display_name, enabled, owner, role) VALUES (?, ?, ?, 1, 0, ?)',
+      [userId, identity, displayName, role ?? 'BASIC'],
+    );
+    return userId;
+  }
+
+  if (!user.enabled) {
+    throw new Error('openid-grant-failed');
+  }
+
+  if (!user.display_name && claims.name) {
+    accountDb.mutate('UPDATE users set display_name = ? WHERE id = ?', [
+      claims.name,
+      user.id,
+    ]);
+  }
+
+  // The owner stays an admin, so the server can't lose all its admins
+  if (role && role !== user.role && !user.owner) {
+    accountDb.mutate('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+  }
+
+  return user.id;
+}
+
 async function setupOpenIdClient(config) {
   let issuer =
     typeof config.issuer === 'string'
@@ -71,6 +203,17 @@ async function setupOpenIdClient(config) {
   return client;
 }
 
+/** The client of the active OpenID configuration, if there is one. */
+async function getActiveOpenIdClient() {
+  const auth = getAccountDb().first(
+    "SELECT extra_data FROM auth WHERE method = 'openid' AND active = 1",
+  );
+  if (!auth) {
+    return null;
+  }
+  return setupOpenIdClient(JSON.parse(auth.extra_data));
+}
+
 export async function loginWithOpenIdSetup(returnUrl) {
   if (!returnUrl) {
     return { error: 'return-url-missing' };
@@ -129,7 +272,11 @@ export async function loginWithOpenIdSetup(returnUrl) {
   return { url };
 }
 
-export async function loginWithOpenIdFinalize(body) {
+/**
+ * @param {object} body
+ * @param {import('../services/session-service.js').SessionInfo} [sessionInfo]
+ */
+export async function loginWithOpenIdFinalize(body, sessionInfo = {}) {
   if (!body.code) {
     return { error: 'missing-authorization-code' };
   }
@@ -187,6 +334,11 @@ export async function loginWithOpenIdFinalize(body) {
       });
     }
     const userInfo = await client.userinfo(tokenSet.access_token);
+    // Roles and groups can come with the ID token or the user info
+    const claims = {
+      ...(tokenSet.id_token ? tokenSet.claims() : {}),
+      ...userInfo,
+    };
     const identity =
       userInfo.preferred_username ??
       userInfo.login ??
@@ -230,24 +382,7 @@ export async function loginWithOpenIdFinalize(body) {
             transferAllFilesFromUser(userId, userFromPasswordMethod.user_id);
           }
         } else {
-          let { id: userIdFromDb, display_name: displayName } =
-            accountDb.first(
-              'SELECT id, display_name FROM users WHERE user_name = ? and enabled = 1',
-              [identity],
-            ) || {};
-
-          if (userIdFromDb == null) {
-            throw new Error('openid-grant-failed');
-          }
-
-          if (!displayName && userInfo.name) {
-            accountDb.mutate('UPDATE users set display_name = ? WHERE id = ?', [
-              userInfo.name,
-              userIdFromDb,
-            ]);
-          }
-
-          userId = userIdFromDb;
+          userId = syncOpenIdUser(String(identity), claims);
         }
       });
     } catch (error) {
@@ -260,8 +395,6 @@ export async function loginWithOpenIdFinalize(body) {
       }
     }
 
-    const token = uuid.v4();
-
     let expiration;
     if (finalConfig.token_expiration === 'openid-provider') {
       expiration = tokenSet.expires_at ?? TOKEN_EXPIRATION_NEVER;
@@ -274,10 +407,13 @@ export async function loginWithOpenIdFinalize(body) {
       expiration = Math.floor(Date.now() / 1000) + 10 * 60;
     }
 
-    accountDb.mutate(
-      'INSERT INTO sessions (token, expires_at, user_id, auth_method) VALUES (?, ?, ?, ?)',
-      [token, expiration, userId, 'openid'],
-    );
+    const token = createSession({
+      userId,
+      expiresAt: expiration,
+      authMethod: 'openid',
+      sessionInfo,
+    });
+    OpenIdSessionService.saveProviderTokens(token, tokenSet, claims);
 
     clearExpiredSessions();
 
@@ -327,3 +463,215 @@ export function isValidRedirectUrl(url) {
     return false;
   }
 }
+
+/**
+ * Whether a refresh failed because the provider no longer honours the
+ * refresh token, rather than because it is unavailable for a moment.
+ * @param {unknown} err
+ */
+export function isRevokedGrant(err) {
+  return err instanceof errors.OPError && err.error === 'invalid_grant';
+}
+
+/**
+ * Refreshes the provider tokens of sessions before they expire. Sessions
+ * the provider no longer refreshes, because the user logged out or was
+ * disabled there, are ended.
+ * @returns {Promise<{ refreshed: number, ended: number }>}
+ */
+export async function refreshOpenIdSessions() {
+  const sessions = OpenIdSessionService.listSessionsToRefresh(
+    Math.floor(Date.now() / 1000) + REFRESH_AHEAD_SECONDS,
+  );
+  const result = { refreshed: 0, ended: 0 };
+  if (sessions.length === 0) {
+    return result;
+  }
+
+  const client = await getActiveOpenIdClient();
+  if (!client) {
+    return result;
+  }
+
+  for (const session of sessions) {
+    try {
+      const tokenSet = await client.refresh(session.refreshToken);
+      OpenIdSessionService.saveProviderTokens(
+        session.token,
+        tokenSet,
+        tokenSet.id_token ? tokenSet.claims() : {},
+      );
+      if (
+        finalConfig.token_expiration === 'openid-provider' &&
+        tokenSet.expires_at
+      ) {
+        OpenIdSessionService.extendSession(session.token, tokenSet.expires_at);
+      }
+      result.refreshed++;
+    } catch (err) {
+      if (isRevokedGrant(err)) {
+        OpenIdSessionService.endSession(session.token);
+        result.ended++;
+      } else {
+        // Tried again on the next run, the session is still due by then
+        console.log('Error refreshing OpenID session:', err.message);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Ends a session and, when the provider supports it, returns where to send
+ * the user to log out at the provider too.
+ * @param {string} token
+ * @param {string} [returnUrl] where the provider sends the user afterwards
+ * @returns {Promise<{ url: string | null }>}
+ */
+export async function logoutWithOpenId(token, returnUrl) {
+  const session = OpenIdSessionService.getProviderSession(token);
+  OpenIdSessionService.endSession(token);
+
+  if (!session) {
+    return { url: null };
+  }
+
+  let client;
+  try {
+    client = await getActiveOpenIdClient();
+  } catch (err) {
+    console.error('Error setting up OpenID client:', err);
+    return { url: null };
+  }
+  if (!client) {
+    return { url: null };
+  }
+
+  if (session.refreshToken && client.issuer.revocation_endpoint) {
+    try {
+      await client.revoke(session.refreshToken, 'refresh_token');
+    } catch (err) {
+      console.log('Error revoking OpenID refresh token:', err.message);
+    }
+  }
+
+  if (!client.issuer.end_session_endpoint) {
+    return { url: null };
+  }
+
+  return {
+    url: client.endSessionUrl({
+      id_token_hint: session.idToken ?? undefined,
+      post_logout_redirect_uri: returnUrl,
+    }),
+  };
+}
+
+/**
+ * Whether the claims of a verified token make it a back-channel logout
+ * token, per OpenID Connect Back-Channel Logout 1.0.
+ * @param {Record<string, unknown>} payload
+ */
+export function isLogoutToken(payload) {
+  const events = payload.events;
+  return (
+    typeof events === 'object' &&
+    events !== null &&
+    BACKCHANNEL_LOGOUT_EVENT in events &&
+    !('nonce' in payload) &&
+    (typeof payload.sub === 'string' || typeof payload.sid === 'string')
+  );
+}
+
+/**
+ * Checks the signature and claims of a back-channel logout token, and that
+ * it wasn't used before.
+ * @param {string} logoutToken
+ * @param {{ keys: import('jose').JWTVerifyGetKey, issuer: string, audience: string, algorithm?: string }} provider
+ * @returns {Promise<import('jose').JWTPayload | null>} the claims of a valid token
+ */
+export async function verifyLogoutToken(logoutToken, provider) {
+  const { keys, issuer, audience, algorithm = 'RS256' } = provider;
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(logoutToken, keys, {
+      issuer,
+      audience,
+      algorithms: [algorithm],
+      maxTokenAge: LOGOUT_TOKEN_MAX_AGE_SECONDS,
+      requiredClaims: ['iat', 'jti', 'events'],
+    }));
+  } catch (err) {
+    console.log('Invalid OpenID logout token:', err.message);
+    return null;
+  }
+
+  if (!isLogoutToken(payload)) {
+    return null;
+  }
+  // Kept until the token expires or is too old to be accepted anyway
+  const usableUntil = Math.max(
+    payload.exp ?? 0,
+    payload.iat + LOGOUT_TOKEN_MAX_AGE_SECONDS,
+  );
+  if (!OpenIdSessionService.useLogoutToken(payload.jti, usableUntil)) {
+    console.log('Replayed OpenID logout token');
+    return null;
+  }
+  return payload;
+}
+
+/** The provider's signing keys, fetched when needed and cached by jose. */
+const providerKeys = new Map();
+
+/** @param {string} jwksUri */
+function getProviderKeys(jwksUri) {
+  if (!providerKeys.has(jwksUri)) {
+    providerKeys.set(jwksUri, createRemoteJWKSet(new URL(jwksUri)));
+  }
+  return providerKeys.get(jwksUri);
+}
+
+/**
+ * Ends the sessions a logout token from the provider names. Failures come
+ * with the status to answer with: 501 without a provider that could send
+ * logout tokens, 400 otherwise.
+ * @param {string} logoutToken
+ * @returns {Promise<{ ended?: number, error?: string, status?: number }>}
+ */
+export async function logoutFromBackchannel(logoutToken) {
+  if (!logoutToken || typeof logoutToken !== 'string') {
+    return { error: 'invalid_request', status: 400 };
+  }
+
+  let client;
+  try {
+    client = await getActiveOpenIdClient();
+  } catch (err) {
+    // The sessions can't be looked up without the keys of the provider
+    console.error('Error setting up OpenID client:', err);
+    return { error: 'temporarily_unavailable', status: 400 };
+  }
+  if (!client?.issuer.metadata.jwks_uri) {
+    return { error: 'not_supported', status: 501 };
+  }
+
+  const payload = await verifyLogoutToken(logoutToken, {
+    keys: getProviderKeys(client.issuer.metadata.jwks_uri),
+    issuer: client.issuer.metadata.issuer,
+    audience: client.metadata.client_id,
+    algorithm: client.metadata.id_token_signed_response_alg,
+  });
+  if (!payload) {
+    return { error: 'invalid_request', status: 400 };
+  }
+
+  return {
+    ended: OpenIdSessionService.endProviderSessions({
+      sub: payload.sub,
+      sid: typeof payload.sid === 'string' ? payload.sid : undefined,
+    }),
+  };
+}
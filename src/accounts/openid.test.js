@@ -0,0 +1,326 @@
+import { createLocalJWKSet, exportJWK, generateKeyPair, SignJWT } from 'jose';
+import { errors } from 'openid-client';
+import getAccountDb from '../account-db.js';
+import config from '../load-config.js';
+import { createSession } from '../services/session-service.js';
+import {
+  canAutoProvision,
+  getClaimValues,
+  getMappedRole,
+  isLogoutToken,
+  isRevokedGrant,
+  logoutFromBackchannel,
+  logoutWithOpenId,
+  syncOpenIdUser,
+  verifyLogoutToken,
+} from './openid.js';
+
+const settings = (overrides = {}) => ({
+  roleClaim: 'groups',
+  roleMapping: { 'budget-admins': 'ADMIN', 'budget-users': 'BASIC' },
+  autoProvision: true,
+  allowedEmailDomains: [],
+  allowedGroups: [],
+  ...overrides,
+});
+
+describe('OpenID provisioning', () => {
+  test('getClaimValues accepts lists and single values', () => {
+    expect(getClaimValues({ groups: ['a', 'b'] }, 'groups')).toEqual([
+      'a',
+      'b',
+    ]);
+    expect(getClaimValues({ role: 'a' }, 'role')).toEqual(['a']);
+    expect(getClaimValues({}, 'groups')).toEqual([]);
+    expect(getClaimValues({ groups: ['a'] }, undefined)).toEqual([]);
+  });
+
+  test('getMappedRole prefers admin and falls back to basic', () => {
+    expect(
+      getMappedRole({ groups: ['budget-users', 'budget-admins'] }, settings()),
+    ).toEqual('ADMIN');
+    expect(getMappedRole({ groups: ['budget-users'] }, settings())).toEqual(
+      'BASIC',
+    );
+    expect(getMappedRole({ groups: ['other'] }, settings())).toEqual('BASIC');
+    expect(
+      getMappedRole(
+        { groups: ['budget-admins'] },
+        settings({ roleClaim: undefined }),
+      ),
+    ).toBeNull();
+  });
+
+  test('canAutoProvision checks verified email domains', () => {
+    const limited = settings({ allowedEmailDomains: ['example.com'] });
+
+    expect(
+      canAutoProvision(
+        { email: 'ann@Example.com', email_verified: true },
+        limited,
+      ),
+    ).toBe(true);
+    expect(
+      canAutoProvision(
+        { email: 'ann@example.com', email_verified: false },
+        limited,
+      ),
+    ).toBe(false);
+    expect(canAutoProvision({ email: 'ann@example.com' }, limited)).toBe(false);
+    expect(
+      canAutoProvision(
+        { email: 'ann@other.com', email_verified: true },
+        limited,
+      ),
+    ).toBe(false);
+  });
+
+  test('canAutoProvision checks groups', () => {
+    const limited = settings({ allowedGroups: ['budget-users'] });
+
+    expect(canAutoProvision({ groups: ['budget-users'] }, limited)).toBe(true);
+    expect(canAutoProvision({ groups: ['other'] }, limited)).toBe(false);
+    expect(
+      canAutoProvision(
+        { groups: ['budget-users'] },
+        settings({ autoProvision: false }),
+      ),
+    ).toBe(false);
+  });
+
+  describe('syncOpenIdUser', () => {
+    const defaults = config.openIdProvisioning;
+    const identity = 'oidc-person';
+
+    const getUser = () =>
+      getAccountDb().first('SELECT * FROM users WHERE user_name = ?', [
+        identity,
+      ]);
+
+    beforeEach(() => {
+      config.openIdProvisioning = settings({
+        allowedEmailDomains: ['example.com'],
+      });
+    });
+
+    afterEach(() => {
+      config.openIdProvisioning = defaults;
+      getAccountDb().mutate('DELETE FROM users WHERE user_name = ?', [
+        identity,
+      ]);
+    });
+
+    test('creates allowed users with the mapped role', () => {
+      const userId = syncOpenIdUser(identity, {
+        email: 'person@example.com',
+        email_verified: true,
+        name: 'Person',
+        groups: ['budget-admins'],
+      });
+
+      expect(getUser()).toEqual(
+        expect.objectContaining({
+          id: userId,
+          display_name: 'Person',
+          enabled: 1,
+          owner: 0,
+          role: 'ADMIN',
+        }),
+      );
+    });
+
+    test('turns away unknown users that are not allowed', () => {
+      expect(() =>
+        syncOpenIdUser(identity, { email: 'person@other.com' }),
+      ).toThrow('openid-grant-failed');
+      expect(getUser()).toBeNull();
+    });
+
+    test('re-syncs the role on every login', () => {
+      syncOpenIdUser(identity, {
+        email: 'person@example.com',
+        email_verified: true,
+        groups: ['budget-admins'],
+      });
+
+      syncOpenIdUser(identity, { groups: ['budget-users'] });
+
+      expect(getUser().role).toEqual('BASIC');
+    });
+
+    test('keeps the owner an admin', () => {
+      syncOpenIdUser(identity, {
+        email: 'person@example.com',
+        email_verified: true,
+        groups: ['budget-admins'],
+      });
+      getAccountDb().mutate('UPDATE users SET owner = 1 WHERE user_name = ?', [
+        identity,
+      ]);
+
+      syncOpenIdUser(identity, { groups: [] });
+
+      expect(getUser().role).toEqual('ADMIN');
+    });
+
+    test('leaves roles alone without a role claim', () => {
+      config.openIdProvisioning = settings({ roleClaim: undefined });
+      syncOpenIdUser(identity, {
+        email: 'person@example.com',
+        email_verified: true,
+      });
+      getAccountDb().mutate(
+        "UPDATE users SET role = 'ADMIN' WHERE user_name = ?",
+        [identity],
+      );
+
+      syncOpenIdUser(identity, {});
+
+      expect(getUser().role).toEqual('ADMIN');
+    });
+  });
+});
+
+describe('OpenID logout', () => {
+  const logoutEvent = {
+    'http://schemas.openid.net/event/backchannel-logout': {},
+  };
+
+  test('isLogoutToken checks the logout event and subject', () => {
+    expect(isLogoutToken({ events: logoutEvent, sid: 'session' })).toBe(true);
+    expect(isLogoutToken({ events: logoutEvent, sub: 'subject' })).toBe(true);
+    expect(isLogoutToken({ events: logoutEvent })).toBe(false);
+    expect(isLogoutToken({ sub: 'subject' })).toBe(false);
+    expect(
+      isLogoutToken({ events: logoutEvent, sub: 'subject', nonce: 'n' }),
+    ).toBe(false);
+  });
+
+  test('isRevokedGrant tells revoked refresh tokens from outages', () => {
+    expect(isRevokedGrant(new errors.OPError({ error: 'invalid_grant' }))).toBe(
+      true,
+    );
+    expect(isRevokedGrant(new errors.OPError({ error: 'server_error' }))).toBe(
+      false,
+    );
+    expect(
+      isRevokedGrant(new errors.OPError({ error: 'temporarily_unavailable' })),
+    ).toBe(false);
+    expect(isRevokedGrant(new Error('ECONNRESET'))).toBe(false);
+  });
+
+  test('logoutWithOpenId ends the session without a provider', async () => {
+    const token = createSession({
+      userId: 'genericUser',
+      expiresAt: -1,
+      authMethod: 'password',
+    });
+
+    expect(await logoutWithOpenId(token)).toEqual({ url: null });
+    expect(
+      getAccountDb().first('SELECT 1 FROM sessions WHERE token = ?', [token]),
+    ).toBeNull();
+  });
+
+  describe('verifyLogoutToken', () => {
+    const issuer = 'https://id.example';
+    const audience = 'actual';
+    let provider;
+    let privateKey;
+    let jtis;
+
+    const sign = (claims = {}, options = {}) => {
+      const { audience: tokenAudience = audience } = options;
+      const jti = `logout-${jtis.length}-${Date.now()}`;
+      jtis.push(jti);
+      return new SignJWT({ events: logoutEvent, sub: 'subject', ...claims })
+        .setProtectedHeader({ alg: 'RS256' })
+        .setIssuer(issuer)
+        .setAudience(tokenAudience)
+        .setIssuedAt()
+        .setJti(jti)
+        .sign(privateKey);
+    };
+
+    beforeAll(async () => {
+      const keyPair = await generateKeyPair('RS256');
+      privateKey = keyPair.privateKey;
+      provider = {
+        keys: createLocalJWKSet({ keys: [await exportJWK(keyPair.publicKey)] }),
+        issuer,
+        audience,
+      };
+    });
+
+    beforeEach(() => {
+      jtis = [];
+    });
+
+    afterEach(() => {
+      for (const jti of jtis) {
+        getAccountDb().mutate(
+          'DELETE FROM openid_logout_tokens WHERE jti = ?',
+          [jti],
+        );
+      }
+    });
+
+    test('accepts a logout token only once', async () => {
+      const token = await sign();
+
+      expect(await verifyLogoutToken(token, provider)).toEqual(
+        expect.objectContaining({ sub: 'subject', iss: issuer }),
+      );
+      expect(await verifyLogoutToken(token, provider)).toBeNull();
+    });
+
+    test('rejects tokens for others and tokens that are no logout', async () => {
+      expect(
+        await verifyLogoutToken(
+          await sign({}, { audience: 'other' }),
+          provider,
+        ),
+      ).toBeNull();
+      expect(
+        await verifyLogoutToken(await sign({ nonce: 'n' }), provider),
+      ).toBeNull();
+      expect(
+        await verifyLogoutToken(await sign({ events: {} }), provider),
+      ).toBeNull();
+    });
+  });
+
+  test('logoutFromBackchannel needs a token and a provider', async () => {
+    expect(await logoutFromBackchannel(undefined)).toEqual({
+      error: 'invalid_request',
+      status: 400,
+    });
+    expect(await logoutFromBackchannel('a.b.c')).toEqual({
+      error: 'not_supported',
+      status: 501,
+    });
+  });
+
+  test('logoutFromBackchannel fails when the provider is unreachable', async () => {
+    getAccountDb().mutate(
+      "INSERT INTO auth (method, display_name, extra_data, active) VALUES ('openid', 'OpenID', ?, 1)",
+      [
+        JSON.stringify({
+          issuer: 'http://127.0.0.1:9',
+          client_id: 'actual',
+          client_secret: 'secret',
+          server_hostname: 'http://localhost:5006',
+        }),
+      ],
+    );
+
+    try {
+      expect(await logoutFromBackchannel('a.b.c')).toEqual({
+        error: 'temporarily_unavailable',
+        status: 400,
+      });
+    } finally {
+      getAccountDb().mutate("DELETE FROM auth WHERE method = 'openid'");
+    }
+  });
+});
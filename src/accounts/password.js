@@ -3,6 +3,8 @@ import getAccountDb, { clearExpiredSessions } from '../account-db.js';
 import * as uuid from 'uuid';
 import finalConfig from '../load-config.js';
 import { TOKEN_EXPIRATION_NEVER } from '../util/validate-user.js';
+import { createSession } from '../services/session-service.js';
+import * as TotpService from '../services/totp-service.js';
 
 function isValidPassword(password) {
   return password != null && password !== '';
@@ -12,6 +14,13 @@ function hashPassword(password) {
   return bcrypt.hashSync(password, 12);
 }
 
+/**
+ * Checked against when a user name is unknown, so that a login for it takes
+ * as long as one with a wrong password. No known password matches it.
+ */
+const DUMMY_PASSWORD_HASH =
+  '$2b$12$WiEzCIRmLE/lRiHhlKJDduAEiyhnr4VrkgOyhuKozf2SmsxzeBrYy';
+
 export function bootstrapPassword(password) {
   if (!isValidPassword(password)) {
     return { error: 'invalid-password' };
@@ -31,11 +40,12 @@ export function bootstrapPassword(password) {
   return {};
 }
 
-export function loginWithPassword(password) {
-  if (!isValidPassword(password)) {
-    return { error: 'invalid-password' };
-  }
-
+/**
+ * The user that logs in with the server password: the one without a name.
+ * @param {string} password
+ * @returns {{ userId?: string, error?: string }}
+ */
+function checkServerPassword(password) {
   let accountDb = getAccountDb();
   const { extra_data: passwordHash } =
     accountDb.first('SELECT extra_data FROM auth WHERE method = ?', [
@@ -52,13 +62,6 @@ export function loginWithPassword(password) {
     return { error: 'invalid-password' };
   }
 
-  let sessionRow = accountDb.first(
-    'SELECT * FROM sessions WHERE auth_method = ?',
-    ['password'],
-  );
-
-  let token = sessionRow ? sessionRow.token : uuid.v4();
-
   let { totalOfUsers } = accountDb.first(
     'SELECT count(*) as totalOfUsers FROM users',
   );
@@ -70,10 +73,8 @@ export function loginWithPassword(password) {
       [userId, '', '', 'ADMIN'],
     );
   } else {
-    let { id: userIdFromDb } = accountDb.first(
-      'SELECT id FROM users WHERE user_name = ?',
-      [''],
-    );
+    let { id: userIdFromDb } =
+      accountDb.first('SELECT id FROM users WHERE user_name = ?', ['']) || {};
 
     userId = userIdFromDb;
 
@@ -82,6 +83,72 @@ export function loginWithPassword(password) {
     }
   }
 
+  return { userId };
+}
+
+/**
+ * A user with a password of their own, in multiuser mode.
+ * @param {string} userName
+ * @param {string} password
+ * @returns {{ userId?: string, error?: string }}
+ */
+function checkUserPassword(userName, password) {
+  const row = getAccountDb().first(
+    `SELECT users.id, users.enabled, user_passwords.password_hash,
+            user_registrations.user_id AS pending
+       FROM users
+       JOIN user_passwords ON user_passwords.user_id = users.id
+       LEFT JOIN user_registrations ON user_registrations.user_id = users.id
+       WHERE users.user_name = ?`,
+    [userName],
+  );
+
+  if (!row) {
+    bcrypt.compareSync(password, DUMMY_PASSWORD_HASH);
+    return { error: 'invalid-password' };
+  }
+  if (!bcrypt.compareSync(password, row.password_hash)) {
+    return { error: 'invalid-password' };
+  }
+
+  // Only told once the password is right, so names can't be probed
+  if (row.pending) {
+    return { error: 'registration-pending' };
+  }
+  if (!row.enabled) {
+    return { error: 'user-disabled' };
+  }
+
+  return { userId: row.id };
+}
+
+/**
+ * Logs in with the server password or, in multiuser mode and when a user
+ * name is given, with the password of that user.
+ * @param {string} password
+ * @param {{ sessionInfo?: import('../services/session-service.js').SessionInfo, totpCode?: string | null, userName?: string | null }} [options]
+ */
+export function loginWithPassword(password, options = {}) {
+  let { sessionInfo, totpCode, userName } = options;
+
+  if (!isValidPassword(password)) {
+    return { error: 'invalid-password' };
+  }
+
+  let { userId, error } =
+    userName && finalConfig.multiuser
+      ? checkUserPassword(userName, password)
+      : checkServerPassword(password);
+
+  if (error) {
+    return { error };
+  }
+
+  let totpError = TotpService.verifyLogin(userId, totpCode);
+  if (totpError) {
+    return { error: totpError };
+  }
+
   let expiration = TOKEN_EXPIRATION_NEVER;
   if (
     finalConfig.token_expiration != 'never' &&
@@ -92,21 +159,115 @@ export function loginWithPassword(password) {
       Math.floor(Date.now() / 1000) + finalConfig.token_expiration * 60;
   }
 
-  if (!sessionRow) {
+  // Every device gets its own session, so each can be revoked on its own
+  let token = createSession({
+    userId,
+    expiresAt: expiration,
+    authMethod: 'password',
+    sessionInfo,
+  });
+
+  clearExpiredSessions();
+
+  return { token };
+}
+
+/**
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function hasUserPassword(userId) {
+  return !!getAccountDb().first(
+    'SELECT user_id FROM user_passwords WHERE user_id = ?',
+    [userId],
+  );
+}
+
+/**
+ * Sets the password a user logs in with in multiuser mode.
+ * @param {string} userId
+ * @param {string} password
+ * @returns {{ error?: string }}
+ */
+export function setUserPassword(userId, password) {
+  if (!finalConfig.multiuser) {
+    return { error: 'multiuser-disabled' };
+  }
+
+  if (!isValidPassword(password)) {
+    return { error: 'invalid-password' };
+  }
+
+  getAccountDb().mutate(
+    `INSERT INTO user_passwords (user_id, password_hash, updated_at)
+       VALUES (?, ?, ?)
+       ON CONFLICT (user_id) DO UPDATE SET
+         password_hash = excluded.password_hash,
+         updated_at = excluded.updated_at`,
+    [userId, hashPassword(password), Date.now()],
+  );
+  return {};
+}
+
+/**
+ * Drops the password and pending registration of a user being deleted.
+ * @param {string} userId
+ */
+export function deleteUserPassword(userId) {
+  let accountDb = getAccountDb();
+  accountDb.transaction(() => {
+    accountDb.mutate('DELETE FROM user_passwords WHERE user_id = ?', [userId]);
+    accountDb.mutate('DELETE FROM user_registrations WHERE user_id = ?', [
+      userId,
+    ]);
+  });
+}
+
+/**
+ * Creates a disabled account for someone signing up on their own. It can
+ * be used once an admin approves it.
+ * @param {{ userName?: string, password?: string, displayName?: string }} registration
+ * @returns {{ id?: string, error?: string }}
+ */
+export function registerUser({ userName, password, displayName }) {
+  if (!finalConfig.multiuser || !finalConfig.allowRegistration) {
+    return { error: 'registration-disabled' };
+  }
+
+  if (!userName || typeof userName !== 'string') {
+    return { error: 'user-cant-be-empty' };
+  }
+
+  if (!isValidPassword(password)) {
+    return { error: 'invalid-password' };
+  }
+
+  let accountDb = getAccountDb();
+  let userId = uuid.v4();
+  let hashed = hashPassword(password);
+  let error = accountDb.transaction(() => {
+    if (
+      accountDb.first('SELECT id FROM users WHERE user_name = ?', [userName])
+    ) {
+      return 'user-already-exists';
+    }
+
     accountDb.mutate(
-      'INSERT INTO sessions (token, expires_at, user_id, auth_method) VALUES (?, ?, ?, ?)',
-      [token, expiration, userId, 'password'],
+      "INSERT INTO users (id, user_name, display_name, enabled, owner, role) VALUES (?, ?, ?, 0, 0, 'BASIC')",
+      [userId, userName, displayName || null],
     );
-  } else {
     accountDb.mutate(
-      'UPDATE sessions SET user_id = ?, expires_at = ? WHERE token = ?',
-      [userId, expiration, token],
+      'INSERT INTO user_passwords (user_id, password_hash, updated_at) VALUES (?, ?, ?)',
+      [userId, hashed, Date.now()],
     );
-  }
-
-  clearExpiredSessions();
+    accountDb.mutate(
+      'INSERT INTO user_registrations (user_id, requested_at) VALUES (?, ?)',
+      [userId, Date.now()],
+    );
+    return null;
+  });
 
-  return { token };
+  return error ? { error } : { id: userId };
 }
 
 export function changePassword(newPassword) {
@@ -122,3 +283,22 @@ export function changePassword(newPassword) {
   ]);
   return {};
 }
+
+/**
+ * Turns off the second factor of the password login, for when the device
+ * with the authenticator app is lost.
+ * @param {string} [userName] the user in multiuser mode, the single user
+ *   of the server otherwise
+ */
+export function resetTotp(userName = '') {
+  let { id: userId } =
+    getAccountDb().first('SELECT id FROM users WHERE user_name = ?', [
+      userName,
+    ]) || {};
+
+  if (!userId) {
+    return { error: 'user-not-found' };
+  }
+
+  return { disabled: TotpService.disable(userId) };
+}
@@ -0,0 +1,133 @@
+import getAccountDb from '../account-db.js';
+import config from '../load-config.js';
+import * as TotpService from '../services/totp-service.js';
+import * as UserService from '../services/user-service.js';
+import { generateCode, getTimeStep } from '../util/totp.js';
+import {
+  deleteUserPassword,
+  hasUserPassword,
+  loginWithPassword,
+  registerUser,
+  resetTotp,
+  setUserPassword,
+} from './password.js';
+
+describe('user passwords', () => {
+  const userId = 'passwordAccount';
+  let registeredIds;
+
+  const getSessionUser = (token) =>
+    getAccountDb().first('SELECT user_id FROM sessions WHERE token = ?', [
+      token,
+    ])?.user_id;
+
+  beforeEach(() => {
+    config.multiuser = true;
+    config.allowRegistration = true;
+    registeredIds = [];
+    UserService.insertUser(userId, 'partner', 'Partner', 1, 'BASIC');
+    setUserPassword(userId, 'partner-secret');
+  });
+
+  afterEach(() => {
+    config.multiuser = false;
+    config.allowRegistration = false;
+    for (const id of [userId, ...registeredIds]) {
+      getAccountDb().mutate('DELETE FROM sessions WHERE user_id = ?', [id]);
+      deleteUserPassword(id);
+      UserService.deleteUser(id);
+    }
+  });
+
+  test('users log in with their name and password', () => {
+    const { token } = loginWithPassword('partner-secret', {
+      userName: 'partner',
+    });
+
+    expect(getSessionUser(token)).toEqual(userId);
+  });
+
+  test('a wrong password or unknown name is rejected alike', () => {
+    expect(loginWithPassword('nope', { userName: 'partner' })).toEqual({
+      error: 'invalid-password',
+    });
+    expect(
+      loginWithPassword('partner-secret', { userName: 'stranger' }),
+    ).toEqual({ error: 'invalid-password' });
+  });
+
+  test('disabled users cannot log in', () => {
+    getAccountDb().mutate('UPDATE users SET enabled = 0 WHERE id = ?', [
+      userId,
+    ]);
+
+    expect(
+      loginWithPassword('partner-secret', { userName: 'partner' }),
+    ).toEqual({ error: 'user-disabled' });
+  });
+
+  test('user passwords need multiuser mode', () => {
+    config.multiuser = false;
+
+    expect(setUserPassword(userId, 'other')).toEqual({
+      error: 'multiuser-disabled',
+    });
+    expect(
+      loginWithPassword('partner-secret', { userName: 'partner' }),
+    ).toEqual({ error: 'invalid-password' });
+  });
+
+  test('setUserPassword replaces the password', () => {
+    expect(setUserPassword(userId, 'new-secret')).toEqual({});
+
+    expect(hasUserPassword(userId)).toBe(true);
+    expect(
+      loginWithPassword('partner-secret', { userName: 'partner' }),
+    ).toEqual({ error: 'invalid-password' });
+    expect(
+      loginWithPassword('new-secret', { userName: 'partner' }),
+    ).toHaveProperty('token');
+  });
+
+  test('resetTotp turns off the second factor of a named user', () => {
+    const { secret } = /** @type {{ secret: string }} */ (
+      TotpService.beginEnrollment(userId, 'partner')
+    );
+    TotpService.confirmEnrollment(userId, generateCode(secret, getTimeStep()));
+
+    expect(resetTotp('stranger')).toEqual({ error: 'user-not-found' });
+    expect(resetTotp('partner')).toEqual({ disabled: true });
+    expect(TotpService.getStatus(userId).enabled).toBe(false);
+  });
+
+  test('registered users wait for approval', () => {
+    const { id } = registerUser({
+      userName: 'newcomer',
+      password: 'newcomer-secret',
+    });
+    registeredIds.push(id);
+
+    expect(UserService.getRegistrations()).toEqual([
+      expect.objectContaining({ id, userName: 'newcomer' }),
+    ]);
+    expect(
+      loginWithPassword('newcomer-secret', { userName: 'newcomer' }),
+    ).toEqual({ error: 'registration-pending' });
+
+    expect(UserService.approveRegistration(id)).toBe(true);
+    expect(
+      loginWithPassword('newcomer-secret', { userName: 'newcomer' }),
+    ).toHaveProperty('token');
+  });
+
+  test('registration needs to be allowed and a free name', () => {
+    expect(registerUser({ userName: 'partner', password: 'secret' })).toEqual({
+      error: 'user-already-exists',
+    });
+
+    config.allowRegistration = false;
+    expect(registerUser({ userName: 'newcomer', password: 'secret' })).toEqual({
+      error: 'registration-disabled',
+    });
+  });
+});
@@ -0,0 +1,525 @@
+import crypto from 'node:crypto';
+import getAccountDb, { getActiveLoginMethod } from '../account-db.js';
+import finalConfig from '../load-config.js';
+import { createSession } from '../services/session-service.js';
+import * as cbor from '../util/cbor.js';
+import { TOKEN_EXPIRATION_NEVER } from '../util/validate-user.js';
+
+const CHALLENGE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/** COSE algorithms we can verify: ES256, EdDSA and RS256. */
+const SUPPORTED_ALGORITHMS = [-7, -8, -257];
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+/**
+ * @typedef {Object} RelyingParty
+ * @property {string} id
+ * @property {string} origin
+ */
+
+/**
+ * @typedef {Object} WebAuthnCredential
+ * @property {string} id
+ * @property {string | null} name
+ * @property {number} createdAt
+ * @property {number | null} lastUsedAt
+ */
+
+/**
+ * The server as browsers see it. Behind a proxy that rewrites the host,
+ * `webauthn.origin` has to be configured.
+ * @param {import('express').Request} req
+ * @returns {RelyingParty}
+ */
+export function getRelyingParty(req) {
+  const origin =
+    finalConfig.webauthn.origin ?? `${req.protocol}://${req.get('host')}`;
+  return { id: new URL(origin).hostname, origin };
+}
+
+/** @param {string} value */
+function fromBase64Url(value) {
+  return Buffer.from(String(value ?? ''), 'base64url');
+}
+
+/**
+ * @param {string | null} userId
+ * @param {'registration' | 'authentication'} type
+ */
+function createChallenge(userId, type) {
+  const accountDb = getAccountDb();
+  const id = crypto.randomUUID();
+  const challenge = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  accountDb.mutate(
+    'DELETE FROM pending_webauthn_challenges WHERE expires_at < ?',
+    [now],
+  );
+  accountDb.mutate(
+    'INSERT INTO pending_webauthn_challenges (id, user_id, type, challenge, expires_at) VALUES (?, ?, ?, ?, ?)',
+    [id, userId, type, challenge, now + CHALLENGE_TIMEOUT_MS],
+  );
+
+  return { id, challenge };
+}
+
+/**
+ * Takes a pending challenge; each can only be answered once.
+ * @param {string} id
+ * @param {'registration' | 'authentication'} type
+ */
+function consumeChallenge(id, type) {
+  const accountDb = getAccountDb();
+  const row = accountDb.first(
+    'SELECT * FROM pending_webauthn_challenges WHERE id = ? AND type = ? AND expires_at > ?',
+    [id, type, Date.now()],
+  );
+  accountDb.mutate('DELETE FROM pending_webauthn_challenges WHERE id = ?', [
+    id,
+  ]);
+  return row;
+}
+
+/**
+ * @param {Buffer} clientDataJSON
+ * @param {string} type
+ * @param {string} challenge
+ * @param {RelyingParty} rp
+ * @returns {boolean}
+ */
+function verifyClientData(clientDataJSON, type, challenge, rp) {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch {
+    return false;
+  }
+  return (
+    clientData.type === type &&
+    clientData.challenge === challenge &&
+    clientData.origin === rp.origin
+  );
+}
+
+/**
+ * @param {Buffer} authData
+ * @param {RelyingParty} rp
+ */
+function parseAuthenticatorData(authData, rp) {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const rpIdHash = authData.subarray(0, 32);
+  const flags = authData[32];
+  const signCount = authData.readUInt32BE(33);
+
+  if (
+    !rpIdHash.equals(crypto.createHash('sha256').update(rp.id).digest()) ||
+    !(flags & FLAG_USER_PRESENT)
+  ) {
+    throw new Error('Authenticator data does not match the relying party');
+  }
+
+  let credentialId = null;
+  let publicKey = null;
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    const idLength = authData.readUInt16BE(53);
+    credentialId = authData.subarray(55, 55 + idLength);
+    publicKey = cbor.decodeFirst(authData.subarray(55 + idLength)).value;
+  }
+
+  return { signCount, credentialId, publicKey };
+}
+
+/**
+ * Turns a COSE key into a key node can verify signatures with.
+ * @param {Map<number, any>} coseKey
+ * @returns {{ key: crypto.KeyObject, algorithm: number }}
+ */
+function importCoseKey(coseKey) {
+  const kty = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported algorithm ${algorithm}`);
+  }
+
+  let jwk;
+  if (kty === 2 && coseKey.get(-1) === 1) {
+    jwk = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: coseKey.get(-2).toString('base64url'),
+      y: coseKey.get(-3).toString('base64url'),
+    };
+  } else if (kty === 1 && coseKey.get(-1) === 6) {
+    jwk = {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: coseKey.get(-2).toString('base64url'),
+    };
+  } else if (kty === 3) {
+    jwk = {
+      kty: 'RSA',
+      n: coseKey.get(-1).toString('base64url'),
+      e: coseKey.get(-2).toString('base64url'),
+    };
+  } else {
+    throw new Error(`Unsupported key type ${kty}`);
+  }
+
+  return {
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    algorithm,
+  };
+}
+
+/**
+ * @param {number} algorithm
+ * @param {crypto.KeyObject} key
+ * @param {Buffer} data
+ * @param {Buffer} signature
+ */
+function verifySignature(algorithm, key, data, signature) {
+  if (algorithm === -8) {
+    return crypto.verify(null, data, key, signature);
+  }
+  return crypto.verify('sha256', data, key, signature);
+}
+
+/**
+ * @param {string} userId
+ * @returns {WebAuthnCredential[]}
+ */
+export function listCredentials(userId) {
+  return getAccountDb()
+    .all(
+      'SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at',
+      [userId],
+    )
+    .map((row) => ({
+      id: row.id,
+      name: row.name,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+    }));
+}
+
+/**
+ * @param {string} userId
+ * @param {string} credentialId
+ * @returns {{ error?: string }}
+ */
+export function deleteCredential(userId, credentialId) {
+  const accountDb = getAccountDb();
+  const { count } = accountDb.first(
+    'SELECT count(*) AS count FROM webauthn_credentials WHERE user_id = ?',
+    [userId],
+  );
+
+  // The user couldn't log in anymore
+  if (count === 1 && getActiveLoginMethod() === 'webauthn') {
+    return { error: 'last-credential' };
+  }
+
+  const { changes } = accountDb.mutate(
+    'DELETE FROM webauthn_credentials WHERE id = ? AND user_id = ?',
+    [credentialId, userId],
+  );
+  return changes > 0 ? {} : { error: 'credential-not-found' };
+}
+
+/**
+ * Drops the passkeys of a user that is being deleted.
+ * @param {string} userId
+ */
+export function deleteUserCredentials(userId) {
+  getAccountDb().mutate('DELETE FROM webauthn_credentials WHERE user_id = ?', [
+    userId,
+  ]);
+}
+
+/**
+ * The options for `navigator.credentials.create()`.
+ * @param {{ id: string, user_name: string, display_name: string }} user
+ * @param {RelyingParty} rp
+ */
+export function getRegistrationOptions(user, rp) {
+  const { id, challenge } = createChallenge(user.id, 'registration');
+
+  return {
+    challengeId: id,
+    publicKey: {
+      challenge,
+      rp: { id: rp.id, name: finalConfig.webauthn.rpName },
+      user: {
+        id: Buffer.from(user.id).toString('base64url'),
+        name: user.user_name || rp.id,
+        displayName: user.display_name || user.user_name || rp.id,
+      },
+      pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({
+        type: 'public-key',
+        alg,
+      })),
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'preferred',
+      },
+      attestation: 'none',
+      timeout: CHALLENGE_TIMEOUT_MS,
+      excludeCredentials: listCredentials(user.id).map((credential) => ({
+        type: 'public-key',
+        id: credential.id,
+      })),
+    },
+  };
+}
+
+/**
+ * Stores the credential an authenticator created. Attestation statements
+ * are not checked, as `none` is requested.
+ * @param {string} userId
+ * @param {{ challengeId: string, name?: string, credential: any }} body
+ * @param {RelyingParty} rp
+ * @returns {{ credential: WebAuthnCredential } | { error: string }}
+ */
+export function verifyRegistration(
+  userId,
+  { challengeId, name, credential },
+  rp,
+) {
+  const pending = consumeChallenge(challengeId, 'registration');
+  if (!pending || pending.user_id !== userId) {
+    return { error: 'invalid-challenge' };
+  }
+
+  const clientDataJSON = fromBase64Url(credential?.response?.clientDataJSON);
+  if (
+    !verifyClientData(clientDataJSON, 'webauthn.create', pending.challenge, rp)
+  ) {
+    return { error: 'invalid-credential' };
+  }
+
+  let credentialId, key, algorithm, signCount;
+  try {
+    const attestation = cbor.decode(
+      fromBase64Url(credential.response.attestationObject),
+    );
+    const authData = parseAuthenticatorData(attestation.get('authData'), rp);
+    if (!authData.credentialId) {
+      throw new Error('No credential was created');
+    }
+    credentialId = authData.credentialId.toString('base64url');
+    signCount = authData.signCount;
+    ({ key, algorithm } = importCoseKey(authData.publicKey));
+  } catch (err) {
+    console.log('Invalid WebAuthn registration', err.message);
+    return { error: 'invalid-credential' };
+  }
+
+  const accountDb = getAccountDb();
+  const now = Date.now();
+  try {
+    accountDb.transaction(() => {
+      accountDb.mutate(
+        `INSERT INTO webauthn_credentials (id, user_id, name, public_key, algorithm, sign_count, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          credentialId,
+          userId,
+          name || null,
+          key.export({ type: 'spki', format: 'der' }).toString('base64'),
+          algorithm,
+          signCount,
+          now,
+        ],
+      );
+      // Passkeys become a login method once the first one exists
+      accountDb.mutate(
+        "INSERT OR IGNORE INTO auth (method, display_name, extra_data, active) VALUES ('webauthn', 'Passkey', NULL, 0)",
+      );
+    });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+      return { error: 'credential-already-registered' };
+    }
+    throw err;
+  }
+
+  return {
+    credential: {
+      id: credentialId,
+      name: name || null,
+      createdAt: now,
+      lastUsedAt: null,
+    },
+  };
+}
+
+/**
+ * The options for `navigator.credentials.get()`. Passkeys are discoverable,
+ * so the user does not have to be known yet.
+ * @param {RelyingParty} rp
+ */
+export function getAuthenticationOptions(rp) {
+  const { id, challenge } = createChallenge(null, 'authentication');
+
+  return {
+    challengeId: id,
+    publicKey: {
+      challenge,
+      rpId: rp.id,
+      userVerification: 'preferred',
+      timeout: CHALLENGE_TIMEOUT_MS,
+      allowCredentials: [],
+    },
+  };
+}
+
+/**
+ * @param {{ challengeId: string, credential: any }} body
+ * @param {RelyingParty} rp
+ * @param {import('../services/session-service.js').SessionInfo} [sessionInfo]
+ * @returns {{ token?: string, error?: string }}
+ */
+export function loginWithWebAuthn(
+  { challengeId, credential },
+  rp,
+  sessionInfo,
+) {
+  const pending = consumeChallenge(challengeId, 'authentication');
+  if (!pending) {
+    return { error: 'invalid-challenge' };
+  }
+
+  const accountDb = getAccountDb();
+  const stored = accountDb.first(
+    'SELECT * FROM webauthn_credentials WHERE id = ?',
+    [String(credential?.id ?? '')],
+  );
+  if (!stored) {
+    return { error: 'invalid-credential' };
+  }
+
+  const clientDataJSON = fromBase64Url(credential.response?.clientDataJSON);
+  if (
+    !verifyClientData(clientDataJSON, 'webauthn.get', pending.challenge, rp)
+  ) {
+    return { error: 'invalid-credential' };
+  }
+
+  const authData = fromBase64Url(credential.response.authenticatorData);
+  let signCount;
+  try {
+    ({ signCount } = parseAuthenticatorData(authData, rp));
+    const key = crypto.createPublicKey({
+      key: Buffer.from(stored.public_key, 'base64'),
+      format: 'der',
+      type: 'spki',
+    });
+    const signed = Buffer.concat([
+      authData,
+      crypto.createHash('sha256').update(clientDataJSON).digest(),
+    ]);
+    if (
+      !verifySignature(
+        stored.algorithm,
+        key,
+        signed,
+        fromBase64Url(credential.response.signature),
+      )
+    ) {
+      return { error: 'invalid-credential' };
+    }
+  } catch (err) {
+    console.log('Invalid WebAuthn assertion', err.message);
+    return { error: 'invalid-credential' };
+  }
+
+  // A counter that doesn't go up points to a cloned authenticator
+  if (
+    (signCount > 0 || stored.sign_count > 0) &&
+    signCount <= stored.sign_count
+  ) {
+    return { error: 'invalid-credential' };
+  }
+
+  // Only told once the passkey checks out, like with passwords
+  const user = accountDb.first(
+    `SELECT users.enabled, user_registrations.user_id AS pending
+       FROM users
+       LEFT JOIN user_registrations ON user_registrations.user_id = users.id
+       WHERE users.id = ?`,
+    [stored.user_id],
+  );
+  if (user?.pending) {
+    return { error: 'registration-pending' };
+  }
+  if (!user?.enabled) {
+    return { error: 'user-disabled' };
+  }
+
+  accountDb.mutate(
+    'UPDATE webauthn_credentials SET sign_count = ?, last_used_at = ? WHERE id = ?',
+    [signCount, Date.now(), stored.id],
+  );
+
+  let expiration = TOKEN_EXPIRATION_NEVER;
+  if (typeof finalConfig.token_expiration === 'number') {
+    expiration =
+      Math.floor(Date.now() / 1000) + finalConfig.token_expiration * 60;
+  }
+
+  const token = createSession({
+    userId: stored.user_id,
+    expiresAt: expiration,
+    authMethod: 'webauthn',
+    sessionInfo,
+  });
+
+  return { token };
+}
+
+/**
+ * Makes passkeys the login method of the server.
+ * @returns {{ error?: string }}
+ */
+export function activateWebAuthn() {
+  const accountDb = getAccountDb();
+  const { count } = accountDb.first(
+    'SELECT count(*) AS count FROM webauthn_credentials',
+  );
+  if (count === 0) {
+    return { error: 'no-credentials' };
+  }
+
+  accountDb.transaction(() => {
+    accountDb.mutate('UPDATE auth SET active = 0');
+    accountDb.mutate("UPDATE auth SET active = 1 WHERE method = 'webauthn'");
+  });
+  return {};
+}
+
+/**
+ * Goes back to password logins.
+ * @returns {{ error?: string }}
+ */
+export function deactivateWebAuthn() {
+  const accountDb = getAccountDb();
+  const password = accountDb.first(
+    "SELECT method FROM auth WHERE method = 'password'",
+  );
+  if (!password) {
+    return { error: 'no-password' };
+  }
+
+  accountDb.transaction(() => {
+    accountDb.mutate('UPDATE auth SET active = 0');
+    accountDb.mutate("UPDATE auth SET active = 1 WHERE method = 'password'");
+  });
+  return {};
+}
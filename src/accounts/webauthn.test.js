@@ -0,0 +1,352 @@
+import crypto from 'node:crypto';
+import getAccountDb, { listLoginMethods } from '../account-db.js';
+import * as WebAuthn from './webauthn.js';
+
+const rp = { id: 'budget.example', origin: 'http://budget.example' };
+const user = { id: 'genericUser', user_name: 'user', display_name: 'User' };
+
+/** Just enough CBOR to play the authenticator's part. */
+function encodeCbor(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const text = Buffer.from(value);
+    return Buffer.concat([head(3, text.length), text]);
+  }
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([
+    head(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]),
+  ]);
+}
+
+function createAuthenticator() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+  });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  let signCount = 0;
+
+  const clientData = (type, challenge, origin = rp.origin) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin }));
+  const rpIdHash = (rpId) => crypto.createHash('sha256').update(rpId).digest();
+  const counter = (count) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(count);
+    return buffer;
+  };
+
+  return {
+    id: credentialId.toString('base64url'),
+
+    create(challenge, options = {}) {
+      const { origin = rp.origin, rpId = rp.id } = options;
+      const coseKey = new Map(
+        /** @type {Array<[number, number | Buffer]>} */ ([
+          [1, 2],
+          [3, -7],
+          [-1, 1],
+          [-2, Buffer.from(jwk.x, 'base64url')],
+          [-3, Buffer.from(jwk.y, 'base64url')],
+        ]),
+      );
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const authData = Buffer.concat([
+        rpIdHash(rpId),
+        Buffer.from([0x41]),
+        counter(signCount),
+        Buffer.alloc(16),
+        idLength,
+        credentialId,
+        encodeCbor(coseKey),
+      ]);
+
+      return {
+        id: credentialId.toString('base64url'),
+        response: {
+          clientDataJSON: clientData(
+            'webauthn.create',
+            challenge,
+            origin,
+          ).toString('base64url'),
+          attestationObject: encodeCbor({
+            fmt: 'none',
+            attStmt: {},
+            authData,
+          }).toString('base64url'),
+        },
+      };
+    },
+
+    get(challenge, options = {}) {
+      const { count = ++signCount } = options;
+      const clientDataJSON = clientData('webauthn.get', challenge);
+      const authData = Buffer.concat([
+        rpIdHash(rp.id),
+        Buffer.from([0x05]),
+        counter(count),
+      ]);
+      const signature = crypto.sign(
+        'sha256',
+        Buffer.concat([
+          authData,
+          crypto.createHash('sha256').update(clientDataJSON).digest(),
+        ]),
+        privateKey,
+      );
+
+      return {
+        id: credentialId.toString('base64url'),
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: signature.toString('base64url'),
+        },
+      };
+    },
+  };
+}
+
+describe('WebAuthn', () => {
+  let authenticator;
+
+  const register = (options) => {
+    const { challengeId, publicKey } = WebAuthn.getRegistrationOptions(
+      user,
+      rp,
+    );
+    return WebAuthn.verifyRegistration(
+      user.id,
+      {
+        challengeId,
+        name: 'Laptop',
+        credential: authenticator.create(publicKey.challenge, options),
+      },
+      rp,
+    );
+  };
+
+  const login = (options) => {
+    const { challengeId, publicKey } = WebAuthn.getAuthenticationOptions(rp);
+    return WebAuthn.loginWithWebAuthn(
+      {
+        challengeId,
+        credential: authenticator.get(publicKey.challenge, options),
+      },
+      rp,
+      { userAgent: 'phone', ip: null },
+    );
+  };
+
+  beforeEach(() => {
+    authenticator = createAuthenticator();
+  });
+
+  afterEach(() => {
+    const accountDb = getAccountDb();
+    accountDb.mutate(
+      "DELETE FROM sessions WHERE user_id = ? AND auth_method = 'webauthn'",
+      [user.id],
+    );
+    WebAuthn.deleteUserCredentials(user.id);
+    accountDb.mutate(
+      "DELETE FROM auth WHERE method IN ('webauthn', 'password')",
+    );
+  });
+
+  test('getRegistrationOptions describes the relying party and user', () => {
+    const { challengeId, publicKey } = WebAuthn.getRegistrationOptions(
+      user,
+      rp,
+    );
+
+    expect(challengeId).toEqual(expect.any(String));
+    expect(publicKey.rp).toEqual({ id: 'budget.example', name: 'Actual' });
+    expect(publicKey.user).toEqual({
+      id: Buffer.from(user.id).toString('base64url'),
+      name: 'user',
+      displayName: 'User',
+    });
+    expect(publicKey.attestation).toEqual('none');
+  });
+
+  test('registration stores the credential and adds the login method', () => {
+    const result = register();
+
+    expect(result).toEqual({
+      credential: {
+        id: authenticator.id,
+        name: 'Laptop',
+        createdAt: expect.any(Number),
+        lastUsedAt: null,
+      },
+    });
+    expect(WebAuthn.listCredentials(user.id)).toEqual([
+      /** @type {{ credential: object }} */ (result).credential,
+    ]);
+    expect(listLoginMethods()).toContainEqual({
+      method: 'webauthn',
+      active: 0,
+      displayName: 'Passkey',
+    });
+  });
+
+  test('registration rejects other origins and relying parties', () => {
+    expect(register({ origin: 'http://evil.example' })).toEqual({
+      error: 'invalid-credential',
+    });
+    expect(register({ rpId: 'evil.example' })).toEqual({
+      error: 'invalid-credential',
+    });
+    expect(WebAuthn.listCredentials(user.id)).toEqual([]);
+  });
+
+  test('challenges can only be answered once, by the same user', () => {
+    const { challengeId, publicKey } = WebAuthn.getRegistrationOptions(
+      user,
+      rp,
+    );
+    const credential = authenticator.create(publicKey.challenge);
+
+    expect(
+      WebAuthn.verifyRegistration(
+        'genericAdmin',
+        { challengeId, credential },
+        rp,
+      ),
+    ).toEqual({ error: 'invalid-challenge' });
+    expect(
+      WebAuthn.verifyRegistration(user.id, { challengeId, credential }, rp),
+    ).toEqual({ error: 'invalid-challenge' });
+  });
+
+  test('login creates a session for the owner of the credential', () => {
+    register();
+
+    const { token } = login();
+
+    expect(
+      getAccountDb().first('SELECT * FROM sessions WHERE token = ?', [token]),
+    ).toEqual(
+      expect.objectContaining({
+        user_id: user.id,
+        auth_method: 'webauthn',
+        user_agent: 'phone',
+      }),
+    );
+    expect(WebAuthn.listCredentials(user.id)[0].lastUsedAt).toEqual(
+      expect.any(Number),
+    );
+  });
+
+  test('login rejects bad signatures and unknown credentials', () => {
+    register();
+    const { challengeId, publicKey } = WebAuthn.getAuthenticationOptions(rp);
+    const credential = authenticator.get(publicKey.challenge);
+    credential.response.signature = createAuthenticator().get(
+      publicKey.challenge,
+    ).response.signature;
+
+    expect(WebAuthn.loginWithWebAuthn({ challengeId, credential }, rp)).toEqual(
+      { error: 'invalid-credential' },
+    );
+
+    const other = createAuthenticator();
+    const options = WebAuthn.getAuthenticationOptions(rp);
+    expect(
+      WebAuthn.loginWithWebAuthn(
+        {
+          challengeId: options.challengeId,
+          credential: other.get(options.publicKey.challenge),
+        },
+        rp,
+      ),
+    ).toEqual({ error: 'invalid-credential' });
+  });
+
+  test('login rejects a signature counter that went backwards', () => {
+    register();
+
+    expect(login({ count: 5 })).toEqual({ token: expect.any(String) });
+    expect(login({ count: 5 })).toEqual({ error: 'invalid-credential' });
+  });
+
+  test('login turns away disabled and unapproved users', () => {
+    register();
+    const accountDb = getAccountDb();
+
+    accountDb.mutate('UPDATE users SET enabled = 0 WHERE id = ?', [user.id]);
+    try {
+      expect(login()).toEqual({ error: 'user-disabled' });
+    } finally {
+      accountDb.mutate('UPDATE users SET enabled = 1 WHERE id = ?', [user.id]);
+    }
+
+    accountDb.mutate(
+      'INSERT INTO user_registrations (user_id, requested_at) VALUES (?, ?)',
+      [user.id, Date.now()],
+    );
+    try {
+      expect(login()).toEqual({ error: 'registration-pending' });
+    } finally {
+      accountDb.mutate('DELETE FROM user_registrations WHERE user_id = ?', [
+        user.id,
+      ]);
+    }
+  });
+
+  test('the last credential cannot be deleted while passkeys are active', () => {
+    const { credential } = /** @type {{ credential: { id: string } }} */ (
+      register()
+    );
+    getAccountDb().mutate(
+      "INSERT INTO auth (method, display_name, extra_data, active) VALUES ('password', 'Password', 'hash', 1)",
+    );
+
+    expect(WebAuthn.activateWebAuthn()).toEqual({});
+    expect(WebAuthn.deleteCredential(user.id, credential.id)).toEqual({
+      error: 'last-credential',
+    });
+
+    // Passkeys of other users don't help the user log in
+    const other = { ...user, id: 'genericAdmin' };
+    const options = WebAuthn.getRegistrationOptions(other, rp);
+    WebAuthn.verifyRegistration(
+      other.id,
+      {
+        challengeId: options.challengeId,
+        credential: createAuthenticator().create(options.publicKey.challenge),
+      },
+      rp,
+    );
+    expect(WebAuthn.deleteCredential(user.id, credential.id)).toEqual({
+      error: 'last-credential',
+    });
+    WebAuthn.deleteUserCredentials(other.id);
+
+    expect(WebAuthn.deactivateWebAuthn()).toEqual({});
+    expect(WebAuthn.deleteCredential(user.id, credential.id)).toEqual({});
+    expect(WebAuthn.deleteCredential(user.id, credential.id)).toEqual({
+      error: 'credential-not-found',
+    });
+  });
+
+  test('passkeys cannot be activated without credentials', () => {
+    expect(WebAuthn.activateWebAuthn()).toEqual({ error: 'no-credentials' });
+  });
+});
@@ -3,7 +3,10 @@ import {
   errorMiddleware,
   requestLoggerMiddleware,
 } from './util/middlewares.js';
-import validateSession, { validateAuthHeader } from './util/validate-user.js';
+import validateSession, {
+  API_TOKEN_SCOPE,
+  validateAuthHeader,
+} from './util/validate-user.js';
 import {
   bootstrap,
   needsBootstrap,
@@ -11,11 +14,30 @@ import {
   listLoginMethods,
   getUserInfo,
   getActiveLoginMethod,
+  isAdmin,
 } from './account-db.js';
-import { changePassword, loginWithPassword } from './accounts/password.js';
+import {
+  changePassword,
+  hasUserPassword,
+  loginWithPassword,
+  registerUser,
+  setUserPassword,
+} from './accounts/password.js';
 import { isValidRedirectUrl, loginWithOpenIdSetup } from './accounts/openid.js';
+import * as WebAuthn from './accounts/webauthn.js';
+import config from './load-config.js';
+import * as ApiTokenService from './services/api-token-service.js';
+import * as SessionService from './services/session-service.js';
+import * as LoginThrottleService from './services/login-throttle-service.js';
+import * as TotpService from './services/totp-service.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
 let app = express();
+// API tokens can tell whose they are, but can't manage the account
+app.set(API_TOKEN_SCOPE, (req) =>
+  req.path === '/validate' ? null : undefined,
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(errorMiddleware);
@@ -27,6 +49,8 @@ export { app as handlers };
 // /needs-bootstrap
 // /boostrap (special endpoint for setting up the instance, cant call again)
 // /login
+// /register
+// /webauthn/login/options
 
 app.get('/needs-bootstrap', (req, res) => {
   res.send({
@@ -35,7 +59,8 @@ app.get('/needs-bootstrap', (req, res) => {
       bootstrapped: !needsBootstrap(),
       loginMethod: getLoginMethod(),
       availableLoginMethods: listLoginMethods(),
-      multiuser: getActiveLoginMethod() === 'openid',
+      multiuser: getActiveLoginMethod() === 'openid' || config.multiuser,
+      allowRegistration: config.multiuser && config.allowRegistration,
     },
   });
 });
@@ -50,14 +75,104 @@ app.post('/bootstrap', async (req, res) => {
   res.send({ status: 'ok', data: boot });
 });
 
+/**
+ * Signs up for an account in multiuser mode. It can be used once an admin
+ * approves it.
+ */
+app.post('/register', (req, res) => {
+  const { userName, password, displayName } = req.body || {};
+  const { id, error } = registerUser({ userName, password, displayName });
+
+  if (error) {
+    res
+      .status(error === 'registration-disabled' ? 403 : 400)
+      .send({ status: 'error', reason: error });
+    return;
+  }
+
+  res.send({ status: 'ok', data: { id } });
+});
+
 app.get('/login-methods', (req, res) => {
   let methods = listLoginMethods();
   res.send({ status: 'ok', methods });
 });
 
+/** Errors of login attempts that count as a guess. */
+const FAILED_LOGIN_ERRORS = [
+  'invalid-password',
+  // Codes are short, so guessing them is throttled like passwords
+  'invalid-totp',
+  'invalid-challenge',
+  'invalid-credential',
+];
+
+/**
+ * Runs a login attempt, unless too many attempts failed lately from the same
+ * address or for the same account.
+ * @param {import('express').Request} req
+ * @param {string} account
+ * @param {() => { token?: string, error?: string }} login
+ * @returns {{ token?: string, error?: string, retryAfter?: number, lockedOut?: boolean }}
+ */
+function loginWithThrottle(req, account, login) {
+  const keys = LoginThrottleService.getLoginKeys({ ip: req.ip, account });
+
+  const blocked = LoginThrottleService.checkLogin(keys);
+  if (blocked) {
+    return { error: 'too-many-login-attempts', ...blocked };
+  }
+
+  const result = login();
+  if (FAILED_LOGIN_ERRORS.includes(result.error)) {
+    LoginThrottleService.recordFailure(keys);
+  } else if (!result.error) {
+    LoginThrottleService.recordSuccess(keys);
+  }
+  return result;
+}
+
+/**
+ * Responds to an attempt refused by `loginWithThrottle`.
+ * @param {import('express').Response} res
+ * @param {{ error?: string, retryAfter?: number, lockedOut?: boolean }} result
+ */
+function sendThrottled(res, result) {
+  res.set('Retry-After', String(result.retryAfter));
+  res.status(429).send({
+    status: 'error',
+    reason: result.error,
+    details: result.lockedOut ? 'locked-out' : 'backoff',
+    retryAfter: result.retryAfter,
+  });
+}
+
+/**
+ * Logs in with the server password, or the password of a user in multiuser
+ * mode.
+ * @param {import('express').Request} req
+ * @param {string} password
+ * @param {string | null} [totpCode]
+ * @param {string | null} [userName]
+ */
+function loginWithThrottledPassword(req, password, totpCode, userName) {
+  // Without multiuser mode every name logs in with the server password
+  const account =
+    userName && config.multiuser ? `user:${userName}` : 'password';
+
+  return loginWithThrottle(req, account, () =>
+    loginWithPassword(password, {
+      sessionInfo: SessionService.getSessionInfo(req),
+      totpCode,
+      userName,
+    }),
+  );
+}
+
 app.post('/login', async (req, res) => {
   let loginMethod = getLoginMethod(req);
   console.log('Logging in via ' + loginMethod);
+  /** @type {{ token?: string, error?: string, retryAfter?: number, lockedOut?: boolean }} */
   let tokenRes = null;
   switch (loginMethod) {
     case 'header': {
@@ -70,7 +185,11 @@ app.post('/login', async (req, res) => {
         return;
       } else {
         if (validateAuthHeader(req)) {
-          tokenRes = loginWithPassword(headerVal);
+          tokenRes = loginWithThrottledPassword(
+            req,
+            headerVal,
+            req.get('x-actual-totp'),
+          );
         } else {
           res.send({ status: 'error', reason: 'proxy-not-trusted' });
           return;
@@ -94,13 +213,38 @@ app.post('/login', async (req, res) => {
       res.send({ status: 'ok', data: { redirect_url: url } });
       return;
     }
+    case 'webauthn': {
+      // The user is only known once the passkey checks out, so it is
+      // throttled per credential
+      tokenRes = loginWithThrottle(
+        req,
+        `webauthn:${req.body?.credential?.id ?? ''}`,
+        () =>
+          WebAuthn.loginWithWebAuthn(
+            req.body,
+            WebAuthn.getRelyingParty(req),
+            SessionService.getSessionInfo(req),
+          ),
+      );
+      break;
+    }
 
     default:
-      tokenRes = loginWithPassword(req.body.password);
+      tokenRes = loginWithThrottledPassword(
+        req,
+        req.body.password,
+        req.body.totp,
+        req.body.userName,
+      );
       break;
   }
   let { error, token } = tokenRes;
 
+  if ('retryAfter' in tokenRes) {
+    sendThrottled(res, tokenRes);
+    return;
+  }
+
   if (error) {
     res.status(400).send({ status: 'error', reason: error });
     return;
@@ -113,7 +257,10 @@ app.post('/change-password', (req, res) => {
   let session = validateSession(req, res);
   if (!session) return;
 
-  let { error } = changePassword(req.body.password);
+  // Users with a password of their own change that one
+  let { error } = hasUserPassword(session.user_id)
+    ? setUserPassword(session.user_id, req.body.password)
+    : changePassword(req.body.password);
 
   if (error) {
     res.status(400).send({ status: 'error', reason: error });
@@ -145,3 +292,279 @@ app.get('/validate', (req, res) => {
     });
   }
 });
+
+app.get('/tokens', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  res.send({
+    status: 'ok',
+    data: ApiTokenService.listTokens(session.user_id),
+  });
+});
+
+app.post('/tokens', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  let { name, scopes, expiresInDays = null } = req.body || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    res.status(400).send({ status: 'error', reason: 'invalid-name' });
+    return;
+  }
+
+  let error = ApiTokenService.validateScopes(scopes, session.user_id);
+  if (error) {
+    res.status(400).send({ status: 'error', reason: error });
+    return;
+  }
+
+  if (
+    expiresInDays !== null &&
+    (typeof expiresInDays !== 'number' || !(expiresInDays > 0))
+  ) {
+    res.status(400).send({ status: 'error', reason: 'invalid-expiry' });
+    return;
+  }
+
+  const token = ApiTokenService.createToken({
+    userId: session.user_id,
+    name: name.trim(),
+    scopes,
+    expiresAt:
+      expiresInDays === null ? null : Date.now() + expiresInDays * MS_PER_DAY,
+  });
+
+  res.send({ status: 'ok', data: token });
+});
+
+app.delete('/tokens', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  const { id } = req.body || {};
+
+  if (!id || !ApiTokenService.revokeToken(session.user_id, id)) {
+    res.status(404).send({ status: 'error', reason: 'token-not-found' });
+    return;
+  }
+
+  res.send({ status: 'ok', data: {} });
+});
+
+app.get('/sessions', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  res.send({
+    status: 'ok',
+    data: SessionService.listSessions(session.user_id, session.token),
+  });
+});
+
+app.delete('/sessions', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  const { id } = req.body || {};
+
+  if (!id || !SessionService.revokeSession(session.user_id, id)) {
+    res.status(404).send({ status: 'error', reason: 'session-not-found' });
+    return;
+  }
+
+  res.send({ status: 'ok', data: {} });
+});
+
+app.get('/totp', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  res.send({ status: 'ok', data: TotpService.getStatus(session.user_id) });
+});
+
+/**
+ * Starts setting up a second factor for password logins. The returned URI
+ * is shown as a QR code for the authenticator app to scan.
+ */
+app.post('/totp/enroll', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  const user = getUserInfo(session.user_id);
+  const result = TotpService.beginEnrollment(
+    session.user_id,
+    user?.user_name || req.hostname,
+  );
+
+  if ('error' in result) {
+    res.status(400).send({ status: 'error', reason: result.error });
+    return;
+  }
+
+  res.send({ status: 'ok', data: result });
+});
+
+app.post('/totp/confirm', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  const result = TotpService.confirmEnrollment(session.user_id, req.body?.code);
+
+  if ('error' in result) {
+    res.status(400).send({ status: 'error', reason: result.error });
+    return;
+  }
+
+  res.send({ status: 'ok', data: result });
+});
+
+app.post('/totp/disable', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  // A stolen session must not be able to guess its way past the code
+  const result = loginWithThrottle(req, `totp:${session.user_id}`, () =>
+    TotpService.verifyUserCode(session.user_id, req.body?.code)
+      ? {}
+      : { error: 'invalid-totp' },
+  );
+
+  if ('retryAfter' in result) {
+    sendThrottled(res, result);
+    return;
+  }
+
+  if (result.error) {
+    res.status(400).send({ status: 'error', reason: result.error });
+    return;
+  }
+
+  TotpService.disable(session.user_id);
+  res.send({ status: 'ok', data: {} });
+});
+
+/**
+ * The challenge a passkey login answers. Passkeys know whose they are, so
+ * no user has to be given.
+ */
+app.post('/webauthn/login/options', (req, res) => {
+  res.send({
+    status: 'ok',
+    data: WebAuthn.getAuthenticationOptions(WebAuthn.getRelyingParty(req)),
+  });
+});
+
+app.post('/webauthn/register/options', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  const user = getUserInfo(session.user_id);
+  res.send({
+    status: 'ok',
+    data: WebAuthn.getRegistrationOptions(
+      {
+        id: session.user_id,
+        user_name: user?.user_name ?? '',
+        display_name: user?.display_name ?? '',
+      },
+      WebAuthn.getRelyingParty(req),
+    ),
+  });
+});
+
+app.post('/webauthn/register', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  const result = WebAuthn.verifyRegistration(
+    session.user_id,
+    req.body ?? {},
+    WebAuthn.getRelyingParty(req),
+  );
+
+  if ('error' in result) {
+    res.status(400).send({ status: 'error', reason: result.error });
+    return;
+  }
+
+  res.send({ status: 'ok', data: result.credential });
+});
+
+app.get('/webauthn/credentials', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  res.send({
+    status: 'ok',
+    data: WebAuthn.listCredentials(session.user_id),
+  });
+});
+
+app.delete('/webauthn/credentials', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  const { id } = req.body || {};
+  if (!id) {
+    res.status(400).send({ status: 'error', reason: 'id-required' });
+    return;
+  }
+
+  const { error } = WebAuthn.deleteCredential(session.user_id, id);
+  if (error) {
+    res.status(error === 'credential-not-found' ? 404 : 400).send({
+      status: 'error',
+      reason: error,
+    });
+    return;
+  }
+
+  res.send({ status: 'ok', data: {} });
+});
+
+/** Makes passkeys the login method of the server. */
+app.post('/webauthn/activate', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  if (!isAdmin(session.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const { error } = WebAuthn.activateWebAuthn();
+  if (error) {
+    res.status(400).send({ status: 'error', reason: error });
+    return;
+  }
+
+  res.send({ status: 'ok', data: {} });
+});
+
+app.post('/webauthn/deactivate', (req, res) => {
+  let session = validateSession(req, res);
+  if (!session) return;
+
+  if (!isAdmin(session.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const { error } = WebAuthn.deactivateWebAuthn();
+  if (error) {
+    res.status(400).send({ status: 'error', reason: error });
+    return;
+  }
+
+  res.send({ status: 'ok', data: {} });
+});
@@ -1,3 +1,6 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { join } from 'node:path';
 import express from 'express';
 import * as uuid from 'uuid';
 import {
@@ -5,11 +8,22 @@ import {
   requestLoggerMiddleware,
   validateSessionMiddleware,
 } from './util/middlewares.js';
-import validateSession from './util/validate-user.js';
+import validateSession, { API_TOKEN_SCOPE } from './util/validate-user.js';
+import config from './load-config.js';
 import { isAdmin } from './account-db.js';
+import { deleteUserCredentials } from './accounts/webauthn.js';
+import { deleteUserPassword, setUserPassword } from './accounts/password.js';
 import * as UserService from './services/user-service.js';
+import * as QuotaService from './services/quota-service.js';
+import * as BackupService from './services/backup-service.js';
+import * as InviteService from './services/invite-service.js';
+import * as ApiTokenService from './services/api-token-service.js';
+import * as SessionService from './services/session-service.js';
+import * as TotpService from './services/totp-service.js';
+import * as StorageCheckService from './app-sync/services/storage-check-service.js';
 
 let app = express();
+app.set(API_TOKEN_SCOPE, 'admin');
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(requestLoggerMiddleware);
@@ -46,7 +60,7 @@ app.post('/users', validateSessionMiddleware, async (req, res) => {
     return;
   }
 
-  const { userName, role, displayName, enabled } = req.body;
+  const { userName, role, displayName, enabled, password } = req.body;
 
   if (!userName || !role) {
     res.status(400).send({
@@ -57,6 +71,16 @@ app.post('/users', validateSessionMiddleware, async (req, res) => {
     return;
   }
 
+  // Users can get a password of their own to log in with
+  if (password !== undefined && !config.multiuser) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'multiuser-disabled',
+      details: 'Passwords can only be set in multiuser mode',
+    });
+    return;
+  }
+
   const roleIdFromDb = UserService.validateRole(role);
   if (!roleIdFromDb) {
     res.status(400).send({
@@ -83,8 +107,18 @@ app.post('/users', validateSessionMiddleware, async (req, res) => {
     userName,
     displayName || null,
     enabled ? 1 : 0,
+    role,
   );
 
+  if (password !== undefined) {
+    const { error } = setUserPassword(userId, password);
+    if (error) {
+      UserService.deleteUser(userId);
+      res.status(400).send({ status: 'error', reason: error });
+      return;
+    }
+  }
+
   res.status(200).send({ status: 'ok', data: { id: userId } });
 });
 
@@ -158,6 +192,11 @@ app.delete('/users', validateSessionMiddleware, async (req, res) => {
     if (item === ownerId) return;
 
     UserService.deleteUserAccess(item);
+    ApiTokenService.deleteUserTokens(item);
+    SessionService.revokeUserSessions(item);
+    TotpService.disable(item);
+    deleteUserCredentials(item);
+    deleteUserPassword(item);
     UserService.transferAllFilesFromUser(ownerId, item);
     const usersDeleted = UserService.deleteUser(item);
     totalDeleted += usersDeleted;
@@ -176,17 +215,100 @@ app.delete('/users', validateSessionMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Sets a new password for a user that forgot theirs. The user is logged out
+ * everywhere.
+ */
+app.post('/users/password', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const { id, password } = req.body || {};
+
+  if (!UserService.getUserById(id)) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'cannot-find-user-to-update',
+      details: 'Cannot find user to update',
+    });
+    return;
+  }
+
+  const { error } = setUserPassword(id, password);
+  if (error) {
+    res.status(400).send({ status: 'error', reason: error });
+    return;
+  }
+
+  SessionService.revokeUserSessions(id);
+  res.status(200).send({ status: 'ok', data: {} });
+});
+
+app.get('/registrations', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  res.status(200).send({ status: 'ok', data: UserService.getRegistrations() });
+});
+
+app.post('/registrations/approve', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  if (!UserService.approveRegistration(req.body?.id)) {
+    res.status(404).send({ status: 'error', reason: 'registration-not-found' });
+    return;
+  }
+
+  res.status(200).send({ status: 'ok', data: {} });
+});
+
+app.post('/registrations/reject', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const id = req.body?.id;
+  if (!UserService.isPendingRegistration(id)) {
+    res.status(404).send({ status: 'error', reason: 'registration-not-found' });
+    return;
+  }
+
+  deleteUserPassword(id);
+  UserService.deleteUser(id);
+  res.status(200).send({ status: 'ok', data: {} });
+});
+
 app.get('/access', validateSessionMiddleware, (req, res) => {
   const fileId = req.query.fileId;
 
-  const { granted } = UserService.checkFilePermission(
-    fileId,
-    res.locals.user_id,
-  ) || {
-    granted: 0,
-  };
-
-  if (granted === 0 && !isAdmin(res.locals.user_id)) {
+  if (
+    !UserService.canManageFileAccess(fileId, res.locals.user_id) &&
+    !isAdmin(res.locals.user_id)
+  ) {
     res.status(403).send({
       status: 'error',
       reason: 'forbidden',
@@ -220,14 +342,10 @@ app.post('/access', (req, res) => {
 
   if (!session) return;
 
-  const { granted } = UserService.checkFilePermission(
-    userAccess.fileId,
-    session.user_id,
-  ) || {
-    granted: 0,
-  };
-
-  if (granted === 0 && !isAdmin(session.user_id)) {
+  if (
+    !UserService.canManageFileAccess(userAccess.fileId, session.user_id) &&
+    !isAdmin(session.user_id)
+  ) {
     res.status(400).send({
       status: 'error',
       reason: 'file-denied',
@@ -255,16 +373,47 @@ app.post('/access', (req, res) => {
     return;
   }
 
-  if (UserService.countUserAccess(userAccess.fileId, userAccess.userId) > 0) {
+  if (
+    userAccess.permission !== undefined &&
+    !UserService.validateFilePermission(userAccess.permission)
+  ) {
     res.status(400).send({
       status: 'error',
-      reason: 'user-already-have-access',
-      details: 'User already have access',
+      reason: 'invalid-permission',
+      details: `Permission must be one of ${UserService.FILE_PERMISSIONS.join(
+        ', ',
+      )}`,
     });
     return;
   }
 
-  UserService.addUserAccess(userAccess.userId, userAccess.fileId);
+  if (UserService.countUserAccess(userAccess.fileId, userAccess.userId) > 0) {
+    // Posting a permission for a user with access changes their level
+    if (
+      userAccess.permission === undefined ||
+      UserService.setUserAccessPermission(
+        userAccess.userId,
+        userAccess.fileId,
+        userAccess.permission,
+      ) === 0
+    ) {
+      res.status(400).send({
+        status: 'error',
+        reason: 'user-already-have-access',
+        details: 'User already have access',
+      });
+      return;
+    }
+
+    res.status(200).send({ status: 'ok', data: {} });
+    return;
+  }
+
+  UserService.addUserAccess(
+    userAccess.userId,
+    userAccess.fileId,
+    userAccess.permission,
+  );
 
   res.status(200).send({ status: 'ok', data: {} });
 });
@@ -274,14 +423,10 @@ app.delete('/access', (req, res) => {
   const session = validateSession(req, res);
   if (!session) return;
 
-  const { granted } = UserService.checkFilePermission(
-    fileId,
-    session.user_id,
-  ) || {
-    granted: 0,
-  };
-
-  if (granted === 0 && !isAdmin(session.user_id)) {
+  if (
+    !UserService.canManageFileAccess(fileId, session.user_id) &&
+    !isAdmin(session.user_id)
+  ) {
     res.status(400).send({
       status: 'error',
       reason: 'file-denied',
@@ -319,14 +464,10 @@ app.delete('/access', (req, res) => {
 app.get('/access/users', validateSessionMiddleware, async (req, res) => {
   const fileId = req.query.fileId;
 
-  const { granted } = UserService.checkFilePermission(
-    fileId,
-    res.locals.user_id,
-  ) || {
-    granted: 0,
-  };
-
-  if (granted === 0 && !isAdmin(res.locals.user_id)) {
+  if (
+    !UserService.canManageFileAccess(fileId, res.locals.user_id) &&
+    !isAdmin(res.locals.user_id)
+  ) {
     res.status(400).send({
       status: 'error',
       reason: 'file-denied',
@@ -406,4 +547,445 @@ app.post(
   },
 );
 
+const MAX_INVITE_EXPIRY_HOURS = 30 * 24;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Invites are managed by whoever can manage access to the file. Sends the
+ * error and returns false otherwise.
+ */
+const verifyCanManageInvites = (fileId, res) => {
+  if (
+    !UserService.canManageFileAccess(fileId, res.locals.user_id) &&
+    !isAdmin(res.locals.user_id)
+  ) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'file-denied',
+      details: "You don't have permissions over this file",
+    });
+    return false;
+  }
+
+  if (!UserService.getFileById(fileId)) {
+    res.status(404).send({
+      status: 'error',
+      reason: 'invalid-file-id',
+      details: 'File not found at server',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+app.post('/access/invites', validateSessionMiddleware, (req, res) => {
+  const { fileId, permission = 'viewer', expiresInHours = 72 } = req.body || {};
+
+  if (!verifyCanManageInvites(fileId, res)) {
+    return;
+  }
+
+  if (!UserService.validateFilePermission(permission)) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'invalid-permission',
+      details: `Permission must be one of ${UserService.FILE_PERMISSIONS.join(
+        ', ',
+      )}`,
+    });
+    return;
+  }
+
+  if (
+    typeof expiresInHours !== 'number' ||
+    !(expiresInHours > 0 && expiresInHours <= MAX_INVITE_EXPIRY_HOURS)
+  ) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'invalid-expiry',
+      details: `Invites must expire within ${MAX_INVITE_EXPIRY_HOURS} hours`,
+    });
+    return;
+  }
+
+  const invite = InviteService.createInvite({
+    fileId,
+    permission,
+    expiresAt: Date.now() + expiresInHours * MS_PER_HOUR,
+    createdBy: res.locals.user_id,
+  });
+
+  res.status(200).send({ status: 'ok', data: invite });
+});
+
+app.get('/access/invites', validateSessionMiddleware, (req, res) => {
+  const fileId = req.query.fileId;
+
+  if (!verifyCanManageInvites(fileId, res)) {
+    return;
+  }
+
+  res.status(200).send({
+    status: 'ok',
+    data: InviteService.listInvites(String(fileId)),
+  });
+});
+
+app.delete('/access/invites', validateSessionMiddleware, (req, res) => {
+  const { fileId, inviteId } = req.body || {};
+
+  if (!verifyCanManageInvites(fileId, res)) {
+    return;
+  }
+
+  if (!InviteService.revokeInvite(fileId, inviteId)) {
+    res.status(404).send({
+      status: 'error',
+      reason: 'invite-not-found',
+      details: 'Invite not found or already redeemed',
+    });
+    return;
+  }
+
+  res.status(200).send({ status: 'ok', data: {} });
+});
+
+app.post('/access/invites/redeem', validateSessionMiddleware, (req, res) => {
+  // `token` would be taken for the session token
+  const { inviteToken } = req.body || {};
+
+  // Invites are meant for people signing in with their own OpenID account
+  if (res.locals.auth_method !== 'openid') {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'openid-login-required',
+    });
+    return;
+  }
+
+  if (!inviteToken) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'invalid-invite',
+      details: 'Invite token is required',
+    });
+    return;
+  }
+
+  const result = InviteService.redeemInvite(inviteToken, res.locals.user_id);
+  if ('error' in result) {
+    res.status(400).send({
+      status: 'error',
+      reason: result.error,
+      details: 'Invite could not be redeemed',
+    });
+    return;
+  }
+
+  res.status(200).send({ status: 'ok', data: result });
+});
+
+const isValidLimit = (value) =>
+  value == null || (Number.isInteger(value) && value >= 0);
+
+app.get('/usage', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const users = UserService.getAllUsers();
+  res.status(200).send({
+    status: 'ok',
+    data: users.map((u) => ({
+      userId: u.id,
+      userName: u.userName,
+      displayName: u.displayName,
+      role: u.role,
+      usage: QuotaService.getUsage(u.id),
+      quota: QuotaService.getEffectiveQuota(u.id),
+    })),
+  });
+});
+
+app.get('/quotas', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  res.status(200).send({
+    status: 'ok',
+    data: {
+      roles: QuotaService.getRoleQuotas(),
+      users: QuotaService.getUserQuotas(),
+    },
+  });
+});
+
+app.post('/quotas', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const {
+    userId,
+    role,
+    maxFiles = null,
+    maxBlobBytes = null,
+    maxGroupBytes = null,
+  } = req.body || {};
+
+  if (!userId === !role) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'quota-target-required',
+      details: 'Either a user or a role is required',
+    });
+    return;
+  }
+
+  if (![maxFiles, maxBlobBytes, maxGroupBytes].every(isValidLimit)) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'invalid-quota',
+      details: 'Limits must be empty or non-negative integers',
+    });
+    return;
+  }
+
+  const quota = { maxFiles, maxBlobBytes, maxGroupBytes };
+
+  if (role) {
+    if (!UserService.validateRole(role)) {
+      res.status(400).send({
+        status: 'error',
+        reason: 'role-does-not-exists',
+        details: 'Selected role does not exist',
+      });
+      return;
+    }
+    QuotaService.setRoleQuota(role, quota);
+  } else {
+    if (!UserService.getUserById(userId)) {
+      res.status(400).send({
+        status: 'error',
+        reason: 'user-not-found',
+        details: 'User not found',
+      });
+      return;
+    }
+    QuotaService.setUserQuota(userId, quota);
+  }
+
+  res.status(200).send({ status: 'ok', data: {} });
+});
+
+app.delete('/quotas', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const { userId, role } = req.body || {};
+
+  if (!userId === !role) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'quota-target-required',
+      details: 'Either a user or a role is required',
+    });
+    return;
+  }
+
+  if (role) {
+    QuotaService.deleteRoleQuota(role);
+  } else {
+    QuotaService.deleteUserQuota(userId);
+  }
+
+  res.status(200).send({ status: 'ok', data: {} });
+});
+
+app.get('/sessions', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const userId = String(req.query.userId ?? '');
+  if (!userId) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'user-id-required',
+      details: 'A user is required',
+    });
+    return;
+  }
+
+  res.status(200).send({
+    status: 'ok',
+    data: SessionService.listSessions(userId, res.locals.token),
+  });
+});
+
+/**
+ * Logs a user out of one session, or of every session when no `sessionId`
+ * is given.
+ */
+app.delete('/sessions', validateSessionMiddleware, (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const { userId, sessionId } = req.body || {};
+  if (!userId) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'user-id-required',
+      details: 'A user is required',
+    });
+    return;
+  }
+
+  if (sessionId) {
+    if (!SessionService.revokeSession(userId, sessionId)) {
+      res.status(404).send({
+        status: 'error',
+        reason: 'session-not-found',
+        details: 'The user has no such session',
+      });
+      return;
+    }
+    res.status(200).send({ status: 'ok', data: { revoked: 1 } });
+    return;
+  }
+
+  res.status(200).send({
+    status: 'ok',
+    data: { revoked: SessionService.revokeUserSessions(userId) },
+  });
+});
+
+app.get('/backup', validateSessionMiddleware, async (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const fileName = BackupService.getBackupFileName();
+  const dir = await fs.mkdtemp(join(os.tmpdir(), 'actual-backup-download-'));
+  const path = join(dir, fileName);
+
+  try {
+    await BackupService.createBackup(path);
+  } catch (err) {
+    console.log('Error creating backup', err);
+    await fs.rm(dir, { recursive: true, force: true });
+    res.status(500).send({
+      status: 'error',
+      reason: 'backup-failed',
+      details: 'Could not create the backup',
+    });
+    return;
+  }
+
+  res.download(path, fileName, () => {
+    fs.rm(dir, { recursive: true, force: true }).catch((err) =>
+      console.log('Error removing backup download', err),
+    );
+  });
+});
+
+app.get('/storage-check', validateSessionMiddleware, async (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  let report;
+  try {
+    report = await StorageCheckService.checkStorage();
+  } catch (err) {
+    console.log('Error checking storage', err);
+    res.status(500).send({
+      status: 'error',
+      reason: 'storage-check-failed',
+      details: 'Could not check the storage',
+    });
+    return;
+  }
+
+  res.status(200).send({ status: 'ok', data: report });
+});
+
+app.post('/storage-check', validateSessionMiddleware, async (req, res) => {
+  if (!isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'permission-not-found',
+    });
+    return;
+  }
+
+  const { deleteOrphans, rebuildMerkles, deleteMissing } = req.body || {};
+
+  let report, repaired;
+  try {
+    report = await StorageCheckService.checkStorage();
+    repaired = await StorageCheckService.repairStorage(report, {
+      deleteOrphans: deleteOrphans === true,
+      rebuildMerkles: rebuildMerkles === true,
+      deleteMissing: deleteMissing === true,
+    });
+  } catch (err) {
+    console.log('Error repairing storage', err);
+    res.status(500).send({
+      status: 'error',
+      reason: 'storage-check-failed',
+      details: 'Could not repair the storage',
+    });
+    return;
+  }
+
+  res.status(200).send({ status: 'ok', data: { report, repaired } });
+});
+
 app.use(errorMiddleware);
@@ -1,6 +1,10 @@
 import request from 'supertest';
 import { handlers as app } from './app-admin.js';
 import getAccountDb from './account-db.js';
+import * as ApiTokenService from './services/api-token-service.js';
+import * as UserService from './services/user-service.js';
+import config from './load-config.js';
+import { deleteUserPassword, registerUser } from './accounts/password.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const ADMIN_ROLE = 'ADMIN';
@@ -237,6 +241,48 @@ describe('/admin', () => {
         expect(res.body.data.someDeletionsFailed).toBe(false);
       });
 
+      it('logs deleted users out everywhere', async () => {
+        const testToken = generateSessionToken();
+        createSession(testUserId, testToken);
+
+        const res = await request(app)
+          .delete('/users')
+          .send({ ids: [testUserId] })
+          .set('x-actual-token', sessionToken);
+
+        expect(res.statusCode).toEqual(200);
+        expect(
+          getAccountDb().all('SELECT token FROM sessions WHERE user_id = ?', [
+            testUserId,
+          ]),
+        ).toEqual([]);
+      });
+
+      it('drops the second factor of deleted users', async () => {
+        getAccountDb().mutate(
+          'INSERT INTO totp_credentials (user_id, secret, enabled, created_at) VALUES (?, ?, 1, ?)',
+          [testUserId, 'secret', Date.now()],
+        );
+        getAccountDb().mutate(
+          'INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+          [testUserId, 'hash'],
+        );
+
+        const res = await request(app)
+          .delete('/users')
+          .send({ ids: [testUserId] })
+          .set('x-actual-token', sessionToken);
+
+        expect(res.statusCode).toEqual(200);
+        for (const table of ['totp_credentials', 'totp_recovery_codes']) {
+          expect(
+            getAccountDb().all(`SELECT * FROM ${table} WHERE user_id = ?`, [
+              testUserId,
+            ]),
+          ).toEqual([]);
+        }
+      });
+
       it('should return 400 if not all users are deleted', async () => {
         const userToDelete = {
           ids: ['non-existing-id'],
@@ -314,6 +360,96 @@ describe('/admin', () => {
         expect(res.body.status).toBe('error');
         expect(res.body.reason).toBe('user-already-have-access');
       });
+
+      const getPermission = () =>
+        getAccountDb().first(
+          'SELECT permission FROM user_access WHERE user_id = ? AND file_id = ?',
+          [testUserId, fileId],
+        )?.permission;
+
+      it('should grant editor access by default', async () => {
+        await request(app)
+          .post('/access')
+          .send({ fileId, userId: testUserId })
+          .set('x-actual-token', sessionToken);
+
+        expect(getPermission()).toEqual('editor');
+      });
+
+      it('should grant and change the permission level', async () => {
+        const res = await request(app)
+          .post('/access')
+          .send({ fileId, userId: testUserId, permission: 'viewer' })
+          .set('x-actual-token', sessionToken);
+
+        expect(res.statusCode).toEqual(200);
+        expect(getPermission()).toEqual('viewer');
+
+        const changed = await request(app)
+          .post('/access')
+          .send({ fileId, userId: testUserId, permission: 'manager' })
+          .set('x-actual-token', sessionToken);
+
+        expect(changed.statusCode).toEqual(200);
+        expect(getPermission()).toEqual('manager');
+      });
+
+      it('should return 400 for an unknown permission level', async () => {
+        const res = await request(app)
+          .post('/access')
+          .send({ fileId, userId: testUserId, permission: 'owner' })
+          .set('x-actual-token', sessionToken);
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.reason).toBe('invalid-permission');
+        expect(getPermission()).toBeUndefined();
+      });
+
+      it('should let managers share the file', async () => {
+        const managerId = uuidv4();
+        const managerToken = generateSessionToken();
+        createUser(managerId, 'managerUser', BASIC_ROLE);
+        createSession(managerId, managerToken);
+        getAccountDb().mutate(
+          'INSERT INTO user_access (user_id, file_id, permission) VALUES (?, ?, ?)',
+          [managerId, fileId, 'manager'],
+        );
+
+        try {
+          const res = await request(app)
+            .post('/access')
+            .send({ fileId, userId: testUserId, permission: 'viewer' })
+            .set('x-actual-token', managerToken);
+
+          expect(res.statusCode).toEqual(200);
+          expect(getPermission()).toEqual('viewer');
+        } finally {
+          deleteUser(managerId);
+        }
+      });
+
+      it('should not let editors share the file', async () => {
+        const editorId = uuidv4();
+        const editorToken = generateSessionToken();
+        createUser(editorId, 'editorUser', BASIC_ROLE);
+        createSession(editorId, editorToken);
+        getAccountDb().mutate(
+          'INSERT INTO user_access (user_id, file_id, permission) VALUES (?, ?, ?)',
+          [editorId, fileId, 'editor'],
+        );
+
+        try {
+          const res = await request(app)
+            .post('/access')
+            .send({ fileId, userId: testUserId })
+            .set('x-actual-token', editorToken);
+
+          expect(res.statusCode).toEqual(400);
+          expect(res.body.reason).toBe('file-denied');
+        } finally {
+          deleteUser(editorId);
+        }
+      });
     });
 
     describe('DELETE /access', () => {
@@ -377,4 +513,679 @@ describe('/admin', () => {
       });
     });
   });
+
+  describe('/quotas', () => {
+    let adminId, basicId, adminToken, basicToken;
+
+    beforeEach(() => {
+      adminId = uuidv4();
+      basicId = uuidv4();
+      adminToken = generateSessionToken();
+      basicToken = generateSessionToken();
+
+      createUser(adminId, 'quotaAdmin', ADMIN_ROLE);
+      createSession(adminId, adminToken);
+      createUser(basicId, 'quotaUser', BASIC_ROLE);
+      createSession(basicId, basicToken);
+    });
+
+    afterEach(() => {
+      getAccountDb().mutate('DELETE FROM user_quotas');
+      getAccountDb().mutate('DELETE FROM role_quotas');
+      getAccountDb().mutate('DELETE FROM files WHERE owner = ?', [basicId]);
+      deleteUser(adminId);
+      deleteUser(basicId);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const res = await request(app)
+        .post('/quotas')
+        .send({ role: BASIC_ROLE, maxFiles: 1 })
+        .set('x-actual-token', basicToken);
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should return 400 without a user or role', async () => {
+      const res = await request(app)
+        .post('/quotas')
+        .send({ maxFiles: 1 })
+        .set('x-actual-token', adminToken);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.reason).toBe('quota-target-required');
+    });
+
+    it('should return 400 for invalid limits', async () => {
+      const res = await request(app)
+        .post('/quotas')
+        .send({ role: BASIC_ROLE, maxFiles: -1 })
+        .set('x-actual-token', adminToken);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.reason).toBe('invalid-quota');
+    });
+
+    it('should let user quotas override role quotas', async () => {
+      await request(app)
+        .post('/quotas')
+        .send({ role: BASIC_ROLE, maxFiles: 2, maxBlobBytes: 1000 })
+        .set('x-actual-token', adminToken)
+        .expect(200);
+      await request(app)
+        .post('/quotas')
+        .send({ userId: basicId, maxFiles: 5 })
+        .set('x-actual-token', adminToken)
+        .expect(200);
+
+      const quotasRes = await request(app)
+        .get('/quotas')
+        .set('x-actual-token', adminToken);
+      expect(quotasRes.body.data).toEqual({
+        roles: [
+          {
+            role: BASIC_ROLE,
+            maxFiles: 2,
+            maxBlobBytes: 1000,
+            maxGroupBytes: null,
+          },
+        ],
+        users: [
+          {
+            userId: basicId,
+            maxFiles: 5,
+            maxBlobBytes: null,
+            maxGroupBytes: null,
+          },
+        ],
+      });
+
+      const usageRes = await request(app)
+        .get('/usage')
+        .set('x-actual-token', adminToken);
+      const usage = usageRes.body.data.find((u) => u.userId === basicId);
+      expect(usage.quota).toEqual({
+        maxFiles: 5,
+        maxBlobBytes: 1000,
+        maxGroupBytes: null,
+      });
+    });
+
+    it('should remove quotas', async () => {
+      await request(app)
+        .post('/quotas')
+        .send({ userId: basicId, maxFiles: 5 })
+        .set('x-actual-token', adminToken);
+
+      await request(app)
+        .delete('/quotas')
+        .send({ userId: basicId })
+        .set('x-actual-token', adminToken)
+        .expect(200);
+
+      const res = await request(app)
+        .get('/quotas')
+        .set('x-actual-token', adminToken);
+      expect(res.body.data.users).toEqual([]);
+    });
+
+    it('should report the usage of each user', async () => {
+      const fileId = uuidv4();
+      getAccountDb().mutate(
+        'INSERT INTO files (id, owner, deleted) VALUES (?, ?, FALSE)',
+        [fileId, basicId],
+      );
+      getAccountDb().mutate(
+        'INSERT INTO file_versions (id, file_id, size, created_at) VALUES (?, ?, ?, ?), (?, ?, ?, ?)',
+        [uuidv4(), fileId, 100, 1, uuidv4(), fileId, 50, 2],
+      );
+
+      const res = await request(app)
+        .get('/usage')
+        .set('x-actual-token', adminToken);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data).toEqual(
+        expect.arrayContaining([
+          {
+            userId: basicId,
+            userName: 'quotaUser',
+            displayName: 'quotaUser display',
+            role: BASIC_ROLE,
+            usage: { files: 1, blobBytes: 150, groupBytes: 0 },
+            quota: { maxFiles: null, maxBlobBytes: null, maxGroupBytes: null },
+          },
+        ]),
+      );
+      getAccountDb().mutate('DELETE FROM file_versions WHERE file_id = ?', [
+        fileId,
+      ]);
+    });
+  });
+
+  describe('/backup', () => {
+    let adminId, basicId, adminToken, basicToken;
+
+    beforeEach(() => {
+      adminId = uuidv4();
+      basicId = uuidv4();
+      adminToken = generateSessionToken();
+      basicToken = generateSessionToken();
+
+      createUser(adminId, 'backupAdmin', ADMIN_ROLE);
+      createSession(adminId, adminToken);
+      createUser(basicId, 'backupUser', BASIC_ROLE);
+      createSession(basicId, basicToken);
+    });
+
+    afterEach(() => {
+      deleteUser(adminId);
+      deleteUser(basicId);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const res = await request(app)
+        .get('/backup')
+        .set('x-actual-token', basicToken);
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should download a backup archive', async () => {
+      const res = await request(app)
+        .get('/backup')
+        .set('x-actual-token', adminToken)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-disposition']).toMatch(
+        /attachment; filename="actual-backup-.+\.tar\.gz"/,
+      );
+      // gzip magic number
+      expect(res.body.subarray(0, 2)).toEqual(Buffer.from([0x1f, 0x8b]));
+    });
+  });
+
+  describe('/storage-check', () => {
+    let adminId, basicId, adminToken, basicToken, fileId;
+
+    beforeEach(() => {
+      adminId = uuidv4();
+      basicId = uuidv4();
+      adminToken = generateSessionToken();
+      basicToken = generateSessionToken();
+      fileId = uuidv4();
+
+      createUser(adminId, 'storageAdmin', ADMIN_ROLE);
+      createSession(adminId, adminToken);
+      createUser(basicId, 'storageUser', BASIC_ROLE);
+      createSession(basicId, basicToken);
+      getAccountDb().mutate(
+        'INSERT INTO files (id, deleted) VALUES (?, FALSE)',
+        [fileId],
+      );
+    });
+
+    afterEach(() => {
+      deleteUser(adminId);
+      deleteUser(basicId);
+      getAccountDb().mutate('DELETE FROM files WHERE id = ?', [fileId]);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const res = await request(app)
+        .get('/storage-check')
+        .set('x-actual-token', basicToken);
+
+      expect(res.statusCode).toEqual(403);
+      expect(res.body.reason).toEqual('forbidden');
+    });
+
+    it('should report files without a blob', async () => {
+      const res = await request(app)
+        .get('/storage-check')
+        .set('x-actual-token', adminToken);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.missingBlobs).toContain(fileId);
+    });
+
+    it('should not repair anything unless asked to', async () => {
+      const res = await request(app)
+        .post('/storage-check')
+        .set('x-actual-token', adminToken)
+        .send({});
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.report.missingBlobs).toContain(fileId);
+      expect(res.body.data.repaired).toEqual({
+        deletedBlobs: [],
+        deletedGroups: [],
+        deletedFiles: [],
+        rebuiltMerkles: [],
+      });
+      expect(
+        getAccountDb().first('SELECT id FROM files WHERE id = ?', [fileId]),
+      ).toEqual({ id: fileId });
+    });
+  });
+
+  describe('/access/invites', () => {
+    let ownerId, guestId, ownerToken, guestToken, fileId;
+
+    const createInvite = (body = {}) =>
+      request(app)
+        .post('/access/invites')
+        .set('x-actual-token', ownerToken)
+        .send({ fileId, ...body });
+
+    const redeem = (inviteToken, sessionToken = guestToken) =>
+      request(app)
+        .post('/access/invites/redeem')
+        .set('x-actual-token', sessionToken)
+        .send({ inviteToken });
+
+    beforeEach(() => {
+      ownerId = uuidv4();
+      guestId = uuidv4();
+      ownerToken = generateSessionToken();
+      guestToken = generateSessionToken();
+      fileId = uuidv4();
+
+      createUser(ownerId, 'inviteOwner', BASIC_ROLE);
+      createSession(ownerId, ownerToken);
+      createUser(guestId, 'inviteGuest', BASIC_ROLE);
+      getAccountDb().mutate(
+        'INSERT INTO sessions (token, user_id, expires_at, auth_method) VALUES (?, ?, ?, ?)',
+        [guestToken, guestId, Date.now() + 1000 * 60 * 60, 'openid'],
+      );
+      getAccountDb().mutate('INSERT INTO files (id, owner) VALUES (?, ?)', [
+        fileId,
+        ownerId,
+      ]);
+    });
+
+    afterEach(() => {
+      deleteUser(ownerId);
+      deleteUser(guestId);
+      getAccountDb().mutate('DELETE FROM file_invites WHERE file_id = ?', [
+        fileId,
+      ]);
+      getAccountDb().mutate('DELETE FROM files WHERE id = ?', [fileId]);
+    });
+
+    it('should grant access with the permission of the invite', async () => {
+      const invite = await createInvite({ permission: 'editor' });
+      expect(invite.statusCode).toEqual(200);
+
+      const res = await redeem(invite.body.data.token);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data).toEqual({ fileId, permission: 'editor' });
+      expect(
+        getAccountDb().first(
+          'SELECT permission FROM user_access WHERE user_id = ? AND file_id = ?',
+          [guestId, fileId],
+        ),
+      ).toEqual({ permission: 'editor' });
+    });
+
+    it('should only be redeemed once', async () => {
+      const invite = await createInvite();
+      await redeem(invite.body.data.token);
+      getAccountDb().mutate('DELETE FROM user_access WHERE user_id = ?', [
+        guestId,
+      ]);
+
+      const res = await redeem(invite.body.data.token);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.reason).toEqual('invalid-invite');
+    });
+
+    it('should refuse expired invites', async () => {
+      const invite = await createInvite();
+      getAccountDb().mutate(
+        'UPDATE file_invites SET expires_at = ? WHERE id = ?',
+        [Date.now() - 1, invite.body.data.id],
+      );
+
+      const res = await redeem(invite.body.data.token);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.reason).toEqual('invite-expired');
+    });
+
+    it('should refuse tampered tokens', async () => {
+      const invite = await createInvite({ permission: 'viewer' });
+      const [payload, signature] = invite.body.data.token.split('.');
+      const tampered = Buffer.from(
+        JSON.stringify({
+          ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+          permission: 'manager',
+        }),
+      ).toString('base64url');
+
+      const res = await redeem(`${tampered}.${signature}`);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.reason).toEqual('invalid-invite');
+    });
+
+    it('should require an OpenID login to redeem', async () => {
+      const invite = await createInvite();
+
+      const res = await redeem(invite.body.data.token, ownerToken);
+
+      expect(res.statusCode).toEqual(403);
+      expect(res.body.details).toEqual('openid-login-required');
+    });
+
+    it('should list and revoke outstanding invites', async () => {
+      const first = await createInvite();
+      const second = await createInvite({ permission: 'manager' });
+
+      const list = await request(app)
+        .get('/access/invites')
+        .query({ fileId })
+        .set('x-actual-token', ownerToken);
+
+      expect(list.statusCode).toEqual(200);
+      expect(list.body.data.map((invite) => invite.id)).toEqual([
+        first.body.data.id,
+        second.body.data.id,
+      ]);
+
+      const revoked = await request(app)
+        .delete('/access/invites')
+        .set('x-actual-token', ownerToken)
+        .send({ fileId, inviteId: first.body.data.id });
+
+      expect(revoked.statusCode).toEqual(200);
+      expect((await redeem(first.body.data.token)).body.reason).toEqual(
+        'invalid-invite',
+      );
+    });
+
+    it('should only let owners and managers create invites', async () => {
+      const res = await request(app)
+        .post('/access/invites')
+        .set('x-actual-token', guestToken)
+        .send({ fileId });
+
+      expect(res.statusCode).toEqual(403);
+      expect(res.body.reason).toEqual('file-denied');
+    });
+
+    it('should validate the permission and expiry', async () => {
+      expect((await createInvite({ permission: 'owner' })).body.reason).toEqual(
+        'invalid-permission',
+      );
+      expect((await createInvite({ expiresInHours: 0 })).body.reason).toEqual(
+        'invalid-expiry',
+      );
+    });
+  });
+
+  describe('api tokens', () => {
+    afterEach(() => {
+      getAccountDb().mutate('DELETE FROM api_tokens');
+    });
+
+    const createToken = (scopes) =>
+      ApiTokenService.createToken({
+        userId: 'genericAdmin',
+        name: 'script',
+        scopes,
+        expiresAt: null,
+      }).token;
+
+    it('should only accept tokens with the admin scope', async () => {
+      const syncToken = createToken(['sync:write']);
+      const adminToken = createToken(['admin']);
+
+      const refused = await request(app)
+        .get('/users')
+        .set('x-actual-token', syncToken);
+      const accepted = await request(app)
+        .get('/users')
+        .set('x-actual-token', adminToken);
+
+      expect(refused.statusCode).toEqual(403);
+      expect(refused.body.details).toEqual('insufficient-scope');
+      expect(accepted.statusCode).toEqual(200);
+    });
+  });
+
+  describe('/sessions', () => {
+    let userId, userToken;
+
+    beforeEach(() => {
+      userId = uuidv4();
+      userToken = generateSessionToken();
+      createUser(userId, 'sessionOwner', BASIC_ROLE);
+      getAccountDb().mutate(
+        'INSERT INTO sessions (token, id, user_id, expires_at, auth_method) VALUES (?, ?, ?, ?, ?)',
+        [userToken, uuidv4(), userId, -1, 'openid'],
+      );
+    });
+
+    afterEach(() => {
+      getAccountDb().mutate('DELETE FROM sessions WHERE user_id = ?', [userId]);
+      deleteUser(userId);
+    });
+
+    it('should list the sessions of a user', async () => {
+      const res = await request(app)
+        .get('/sessions')
+        .query({ userId })
+        .set('x-actual-token', 'valid-token');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data).toEqual([
+        expect.objectContaining({ authMethod: 'openid', current: false }),
+      ]);
+    });
+
+    it('should revoke a single session', async () => {
+      const [{ id }] = (
+        await request(app)
+          .get('/sessions')
+          .query({ userId })
+          .set('x-actual-token', 'valid-token')
+      ).body.data;
+
+      const res = await request(app)
+        .delete('/sessions')
+        .set('x-actual-token', 'valid-token')
+        .send({ userId, sessionId: id });
+
+      expect(res.statusCode).toEqual(200);
+      expect(
+        (
+          await request(app)
+            .get('/sessions/')
+            .query({ userId })
+            .set('x-actual-token', userToken)
+        ).statusCode,
+      ).toEqual(401);
+    });
+
+    it('should revoke every session of a user', async () => {
+      const res = await request(app)
+        .delete('/sessions')
+        .set('x-actual-token', 'valid-token')
+        .send({ userId });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data).toEqual({ revoked: 1 });
+    });
+
+    it('should only let admins revoke sessions', async () => {
+      const res = await request(app)
+        .delete('/sessions')
+        .set('x-actual-token', userToken)
+        .send({ userId: 'genericAdmin' });
+
+      expect(res.statusCode).toEqual(403);
+      expect(
+        getAccountDb().first('SELECT 1 FROM sessions WHERE token = ?', [
+          'valid-token',
+        ]),
+      ).not.toBeNull();
+    });
+  });
+
+  describe('password accounts', () => {
+    let userIds;
+
+    beforeEach(() => {
+      config.multiuser = true;
+      config.allowRegistration = true;
+      userIds = [];
+    });
+
+    afterEach(() => {
+      config.multiuser = false;
+      config.allowRegistration = false;
+      for (const userId of userIds) {
+        getAccountDb().mutate('DELETE FROM sessions WHERE user_id = ?', [
+          userId,
+        ]);
+        deleteUserPassword(userId);
+        deleteUser(userId);
+      }
+    });
+
+    const createPasswordUser = async (password) => {
+      const res = await request(app)
+        .post('/users')
+        .set('x-actual-token', 'valid-token')
+        .send({
+          userName: 'partner',
+          role: BASIC_ROLE,
+          enabled: true,
+          password,
+        });
+      if (res.body.data?.id) {
+        userIds.push(res.body.data.id);
+      }
+      return res;
+    };
+
+    it('should create users with a password', async () => {
+      const res = await createPasswordUser('partner-secret');
+
+      expect(res.statusCode).toEqual(200);
+      expect(
+        getAccountDb().first('SELECT role FROM users WHERE id = ?', [
+          res.body.data.id,
+        ]).role,
+      ).toEqual(BASIC_ROLE);
+      expect(
+        getAccountDb().first('SELECT 1 FROM user_passwords WHERE user_id = ?', [
+          res.body.data.id,
+        ]),
+      ).not.toBeNull();
+    });
+
+    it('should only set passwords in multiuser mode', async () => {
+      config.multiuser = false;
+
+      const res = await createPasswordUser('partner-secret');
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.reason).toEqual('multiuser-disabled');
+    });
+
+    it('should not create users with an empty password', async () => {
+      const res = await createPasswordUser('');
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.reason).toEqual('invalid-password');
+      expect(UserService.getUserByUsername('partner')).toBeNull();
+    });
+
+    it('should reset a password and log the user out', async () => {
+      const {
+        body: {
+          data: { id },
+        },
+      } = await createPasswordUser('partner-secret');
+      const token = generateSessionToken();
+      createSession(id, token);
+
+      const res = await request(app)
+        .post('/users/password')
+        .set('x-actual-token', 'valid-token')
+        .send({ id, password: 'new-secret' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(
+        getAccountDb().first('SELECT 1 FROM sessions WHERE token = ?', [token]),
+      ).toBeNull();
+    });
+
+    it('should only let admins reset passwords', async () => {
+      const res = await request(app)
+        .post('/users/password')
+        .set('x-actual-token', 'valid-token-user')
+        .send({ id: 'genericAdmin', password: 'new-secret' });
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should list and approve registrations', async () => {
+      const { id } = registerUser({
+        userName: 'newcomer',
+        password: 'newcomer-secret',
+      });
+      userIds.push(id);
+
+      const list = await request(app)
+        .get('/registrations')
+        .set('x-actual-token', 'valid-token');
+      expect(list.body.data).toEqual([
+        expect.objectContaining({ id, userName: 'newcomer' }),
+      ]);
+
+      const res = await request(app)
+        .post('/registrations/approve')
+        .set('x-actual-token', 'valid-token')
+        .send({ id });
+
+      expect(res.statusCode).toEqual(200);
+      expect(
+        getAccountDb().first('SELECT enabled FROM users WHERE id = ?', [id])
+          .enabled,
+      ).toEqual(1);
+    });
+
+    it('should reject registrations by deleting the user', async () => {
+      const { id } = registerUser({
+        userName: 'newcomer',
+        password: 'newcomer-secret',
+      });
+      userIds.push(id);
+
+      const res = await request(app)
+        .post('/registrations/reject')
+        .set('x-actual-token', 'valid-token')
+        .send({ id });
+
+      expect(res.statusCode).toEqual(200);
+      expect(UserService.getUserById(id)).toBeNull();
+
+      const again = await request(app)
+        .post('/registrations/reject')
+        .set('x-actual-token', 'valid-token')
+        .send({ id });
+      expect(again.statusCode).toEqual(404);
+    });
+  });
 });
@@ -16,8 +16,10 @@ import {
   requestLoggerMiddleware,
   validateSessionMiddleware,
 } from '../util/middlewares.js';
+import { API_TOKEN_SCOPE } from '../util/validate-user.js';
 
 const app = express();
+app.set(API_TOKEN_SCOPE, 'bank-sync');
 app.use(requestLoggerMiddleware);
 
 app.get('/link', function (req, res) {
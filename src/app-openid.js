@@ -4,14 +4,19 @@ import {
   requestLoggerMiddleware,
   validateSessionMiddleware,
 } from './util/middlewares.js';
+import validateSession, { API_TOKEN_SCOPE } from './util/validate-user.js';
 import { disableOpenID, enableOpenID, isAdmin } from './account-db.js';
 import {
   isValidRedirectUrl,
   loginWithOpenIdFinalize,
+  logoutFromBackchannel,
+  logoutWithOpenId,
 } from './accounts/openid.js';
 import * as UserService from './services/user-service.js';
+import { getSessionInfo } from './services/session-service.js';
 
 let app = express();
+app.set(API_TOKEN_SCOPE, 'admin');
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(requestLoggerMiddleware);
@@ -83,7 +88,10 @@ app.get('/config', async (req, res) => {
 });
 
 app.get('/callback', async (req, res) => {
-  let { error, url } = await loginWithOpenIdFinalize(req.query);
+  let { error, url } = await loginWithOpenIdFinalize(
+    req.query,
+    getSessionInfo(req),
+  );
 
   if (error) {
     res.status(400).send({ status: 'error', reason: error });
@@ -98,4 +106,34 @@ app.get('/callback', async (req, res) => {
   res.redirect(url);
 });
 
+/**
+ * Logs out of this server and returns where to send the user to log out at
+ * the identity provider, if it supports that.
+ */
+app.post('/logout', async (req, res) => {
+  const session = validateSession(req, res);
+  if (!session) return;
+
+  const returnUrl = req.body?.return_url;
+  if (returnUrl && !isValidRedirectUrl(returnUrl)) {
+    res.status(400).send({ status: 'error', reason: 'Invalid redirect URL' });
+    return;
+  }
+
+  const { url } = await logoutWithOpenId(session.token, returnUrl);
+  res.send({ status: 'ok', data: { redirect_url: url } });
+});
+
+/** Called by the identity provider when a user logs out there. */
+app.post('/backchannel-logout', async (req, res) => {
+  const { error, status } = await logoutFromBackchannel(req.body?.logout_token);
+
+  res.set('Cache-Control', 'no-store');
+  if (error) {
+    res.status(status).send({ error });
+    return;
+  }
+  res.status(200).end();
+});
+
 app.use(errorMiddleware);
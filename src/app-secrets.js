@@ -1,12 +1,15 @@
 import express from 'express';
-import { secretsService } from './services/secrets-service.js';
+import { SecretName, secretsService } from './services/secrets-service.js';
 import getAccountDb, { isAdmin } from './account-db.js';
+import config from './load-config.js';
 import {
   requestLoggerMiddleware,
   validateSessionMiddleware,
 } from './util/middlewares.js';
+import { API_TOKEN_SCOPE } from './util/validate-user.js';
 
 const app = express();
+app.set(API_TOKEN_SCOPE, 'bank-sync');
 
 export { app as handlers };
 app.use(express.json());
@@ -30,7 +33,17 @@ app.post('/', async (req, res) => {
   }
   const { name, value } = req.body;
 
-  if (method === 'openid') {
+  if (!Object.values(SecretName).includes(name)) {
+    res.status(400).send({
+      status: 'error',
+      reason: 'invalid-secret-name',
+      details: 'Only bank sync secrets can be set',
+    });
+    return;
+  }
+
+  // Secrets are shared by every user of a multiuser server
+  if (method === 'openid' || config.multiuser) {
     let canSaveSecrets = isAdmin(res.locals.user_id);
 
     if (!canSaveSecrets) {
@@ -2,12 +2,18 @@ import express from 'express';
 import https from 'https';
 import { SecretName, secretsService } from '../services/secrets-service.js';
 import { handleError } from '../app-gocardless/util/handle-error.js';
-import { requestLoggerMiddleware } from '../util/middlewares.js';
+import {
+  requestLoggerMiddleware,
+  validateSessionMiddleware,
+} from '../util/middlewares.js';
+import { API_TOKEN_SCOPE } from '../util/validate-user.js';
 
 const app = express();
+app.set(API_TOKEN_SCOPE, 'bank-sync');
 export { app as handlers };
 app.use(express.json());
 app.use(requestLoggerMiddleware);
+app.use(validateSessionMiddleware);
 
 app.post(
   '/status',
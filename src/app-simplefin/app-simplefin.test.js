@@ -0,0 +1,43 @@
+import request from 'supertest';
+import { handlers as app } from './app-simplefin.js';
+import * as ApiTokenService from '../services/api-token-service.js';
+
+describe('/status', () => {
+  let tokenId;
+
+  afterEach(() => {
+    ApiTokenService.revokeToken('genericAdmin', tokenId);
+  });
+
+  it('accepts API tokens with the bank-sync scope', async () => {
+    const { id, token } = ApiTokenService.createToken({
+      userId: 'genericAdmin',
+      name: 'bank-sync script',
+      scopes: ['bank-sync'],
+      expiresAt: null,
+    });
+    tokenId = id;
+
+    const res = await request(app).post('/status').set('x-actual-token', token);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({
+      status: 'ok',
+      data: { configured: expect.any(Boolean) },
+    });
+  });
+
+  it('refuses API tokens without it', async () => {
+    const { id, token } = ApiTokenService.createToken({
+      userId: 'genericAdmin',
+      name: 'sync script',
+      scopes: ['sync:read'],
+      expiresAt: null,
+    });
+    tokenId = id;
+
+    const res = await request(app).post('/status').set('x-actual-token', token);
+
+    expect(res.statusCode).toEqual(403);
+  });
+});
@@ -1,30 +1,48 @@
-import fs from 'node:fs/promises';
 import { Buffer } from 'node:buffer';
 import express from 'express';
 import * as uuid from 'uuid';
+import config from './load-config.js';
 import {
   errorMiddleware,
   requestLoggerMiddleware,
   validateSessionMiddleware,
 } from './util/middlewares.js';
-import { getPathForUserFile, getPathForGroupFile } from './util/paths.js';
+import { API_TOKEN_SCOPE } from './util/validate-user.js';
+import { getBlobStorage, getKeyForUserFile } from './app-sync/storage/index.js';
 
 import * as simpleSync from './sync-simple.js';
+import { syncNotifier } from './app-sync/services/sync-notifier.js';
+import * as CompactionService from './app-sync/services/compaction-service.js';
+import * as FileVersionsService from './app-sync/services/file-versions-service.js';
+import * as UploadSessionsService from './app-sync/services/upload-sessions-service.js';
+import * as KeyRotationService from './app-sync/services/key-rotation-service.js';
+import * as AuditService from './services/audit-service.js';
+import { copyGroup, deleteGroup } from './app-sync/services/sync-groups.js';
+import { sha256Hex } from './util/hash.js';
 
 import { SyncProtoBuf } from '@actual-app/crdt';
-import getAccountDb from './account-db.js';
+import getAccountDb, { isAdmin } from './account-db.js';
+import * as UserService from './services/user-service.js';
+import * as QuotaService from './services/quota-service.js';
+import * as ApiTokenService from './services/api-token-service.js';
 import {
   File,
   FilesService,
   FileUpdate,
 } from './app-sync/services/files-service.js';
 import { FileNotFound } from './app-sync/errors.js';
+import { withFileLock } from './app-sync/file-lock.js';
 import {
   validateSyncedFile,
   validateUploadedFile,
 } from './app-sync/validation.js';
 
 const app = express();
+app.set(API_TOKEN_SCOPE, (req) =>
+  req.method === 'GET' || SYNC_READ_ENDPOINTS.includes(req.path)
+    ? 'sync:read'
+    : 'sync:write',
+);
 app.use(validateSessionMiddleware);
 app.use(errorMiddleware);
 app.use(requestLoggerMiddleware);
@@ -35,11 +53,79 @@ app.use(express.json());
 export { app as handlers };
 
 const OK_RESPONSE = { status: 'ok' };
+/** Endpoints that only read, even though they are POST requests. */
+const SYNC_READ_ENDPOINTS = ['/sync', '/user-get-key'];
+const SYNC_EVENTS_KEEP_ALIVE_MS = 30 * 1000;
 
 function boolToInt(deleted) {
   return deleted ? 1 : 0;
 }
 
+/**
+ * Resumable uploads are held to the same limit as single request uploads.
+ */
+const getMaxUploadSize = () =>
+  config.upload.syncEncryptedFileSizeLimitMB * 1024 * 1024;
+
+/**
+ * Clients that can handle partial sync responses opt in by sending the
+ * page size they want; it is capped by the server's `syncPageSize`.
+ * Returns null for clients that expect every message at once.
+ */
+const getSyncPageSize = (req) => {
+  const requested = parseInt(req.headers['x-actual-sync-page-size'], 10);
+  if (!requested || requested < 1) {
+    return null;
+  }
+  return Math.min(requested, config.syncPageSize);
+};
+
+/** @param {string} checksum */
+const toETag = (checksum) => `"${checksum}"`;
+
+/**
+ * Whether an `If-Match` or `If-None-Match` header matches the current blob
+ * of a file. `*` matches any existing file.
+ * @param {string | string[] | undefined} header
+ * @param {File | null} file
+ */
+const matchesETag = (header, file) => {
+  if (!header || !file) {
+    return false;
+  }
+  return String(header)
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .some(
+      (tag) => tag === '*' || (file.checksum && tag === toETag(file.checksum)),
+    );
+};
+
+/**
+ * Users a file is shared with as viewers can download it and pull changes,
+ * but not change it.
+ * @param {File} file
+ * @param {string} userId
+ */
+const isReadOnly = (file, userId) =>
+  !isAdmin(userId) &&
+  UserService.getFilePermission(file.id, userId) === 'viewer';
+
+/**
+ * Sends `errorObject` with a 403 when the user may not change the file.
+ * @param {File} file
+ * @param {import('express').Response} res
+ * @param {string | object} [errorObject]
+ * @returns {boolean} whether the request was refused
+ */
+const refuseReadOnly = (file, res, errorObject = 'file-read-only') => {
+  if (!isReadOnly(file, res.locals.user_id)) {
+    return false;
+  }
+  res.status(403).send(errorObject);
+  return true;
+};
+
 const verifyFileExists = (fileId, filesService, res, errorObject) => {
   try {
     return filesService.get(fileId);
@@ -100,7 +186,49 @@ app.post('/sync', async (req, res) => {
     return;
   }
 
-  let { trie, newMessages } = simpleSync.sync(messages, since, groupId);
+  if (CompactionService.isBehindCompaction(groupId, since)) {
+    // Messages this client is missing have been pruned, so it has to
+    // download the budget file again.
+    res.status(400);
+    res.send('file-has-reset');
+    return;
+  }
+
+  if (messages.length > 0) {
+    // Pulling changes only takes `sync:read`
+    if (!ApiTokenService.hasScope(res.locals, 'sync:write')) {
+      res.status(403).send({
+        status: 'error',
+        reason: 'forbidden',
+        details: 'insufficient-scope',
+      });
+      return;
+    }
+    if (refuseReadOnly(currentFile, res)) {
+      return;
+    }
+
+    const quotaError = QuotaService.checkSync(currentFile.owner);
+    if (quotaError) {
+      res.status(403);
+      res.send(quotaError);
+      return;
+    }
+  }
+
+  const pageSize = getSyncPageSize(req);
+  let { trie, newMessages, hasMore } = simpleSync.sync(
+    messages,
+    since,
+    groupId,
+    { limit: pageSize },
+  );
+
+  CompactionService.recordClientSync(
+    groupId,
+    CompactionService.getClientId(req, messages),
+    since,
+  );
 
   // encode it back...
   let responsePb = new SyncProtoBuf.SyncResponse();
@@ -109,9 +237,80 @@ app.post('/sync', async (req, res) => {
 
   res.set('Content-Type', 'application/actual-sync');
   res.set('X-ACTUAL-SYNC-METHOD', 'simple');
+  if (pageSize) {
+    res.set('X-ACTUAL-SYNC-HAS-MORE', hasMore ? 'true' : 'false');
+    if (hasMore) {
+      // The client continues by syncing again with this as `since`
+      res.set(
+        'X-ACTUAL-SYNC-NEXT-SINCE',
+        newMessages[newMessages.length - 1].getTimestamp(),
+      );
+    }
+  }
   res.send(Buffer.from(responsePb.serializeBinary()));
 });
 
+app.get('/events', (req, res) => {
+  let fileId = req.headers['x-actual-file-id'];
+
+  if (typeof fileId !== 'string') {
+    return res.status(422).send({
+      details: 'fileId-required',
+      reason: 'unprocessable-entity',
+      status: 'error',
+    });
+  }
+
+  const filesService = new FilesService(getAccountDb());
+  const file = verifyFileExists(fileId, filesService, res, {
+    status: 'error',
+    reason: 'file-not-found',
+  });
+
+  if (!file) {
+    return;
+  }
+
+  if (
+    UserService.countUserAccess(file.id, res.locals.user_id) === 0 &&
+    !isAdmin(res.locals.user_id)
+  ) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'file-denied',
+    });
+    return;
+  }
+
+  if (!file.groupId) {
+    res.status(400).send({ status: 'error', reason: 'file-needs-upload' });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  send({ type: 'ready', groupId: file.groupId });
+  const unsubscribe = syncNotifier.subscribe(file.groupId, send);
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, SYNC_EVENTS_KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
 app.post('/user-get-key', (req, res) => {
   if (!res.locals) return;
 
@@ -139,7 +338,8 @@ app.post('/user-create-key', (req, res) => {
 
   const filesService = new FilesService(getAccountDb());
 
-  if (!verifyFileExists(fileId, filesService, res, 'file not found')) {
+  const file = verifyFileExists(fileId, filesService, res, 'file not found');
+  if (!file || refuseReadOnly(file, res)) {
     return;
   }
 
@@ -155,6 +355,192 @@ app.post('/user-create-key', (req, res) => {
   res.send(OK_RESPONSE);
 });
 
+/**
+ * Staged key rotation: the pending key is recorded next to the current one,
+ * the file re-encrypted with it is uploaded and the rotation is committed or
+ * aborted. The file stays usable with the current key until the commit.
+ */
+app.post('/begin-key-rotation', (req, res) => {
+  let { fileId, keyId, keySalt, testContent } = req.body;
+
+  if (!keyId) {
+    return res.status(422).send({
+      details: 'keyId-required',
+      reason: 'unprocessable-entity',
+      status: 'error',
+    });
+  }
+
+  const filesService = new FilesService(getAccountDb());
+  const file = verifyFileExists(fileId, filesService, res, 'file-not-found');
+
+  if (!file || refuseReadOnly(file, res)) {
+    return;
+  }
+
+  const error = KeyRotationService.beginRotation(
+    file,
+    { keyId, keySalt: keySalt ?? null, testContent: testContent ?? null },
+    res.locals.user_id,
+  );
+  if (error) {
+    res.status(400).send(error);
+    return;
+  }
+
+  res.send(OK_RESPONSE);
+});
+
+app.post('/upload-key-rotation-file', async (req, res) => {
+  let fileId = req.headers['x-actual-file-id'];
+
+  if (!fileId || typeof fileId !== 'string') {
+    res.status(400).send('fileId is required');
+    return;
+  }
+
+  let name =
+    typeof req.headers['x-actual-name'] === 'string'
+      ? decodeURIComponent(req.headers['x-actual-name'])
+      : null;
+  let encryptMeta = req.headers['x-actual-encrypt-meta'] || null;
+  let syncFormatVersion = req.headers['x-actual-format'] || null;
+
+  const filesService = new FilesService(getAccountDb());
+  const file = verifyFileExists(fileId, filesService, res, 'file-not-found');
+
+  if (!file || refuseReadOnly(file, res)) {
+    return;
+  }
+
+  const quotaError = QuotaService.checkUpload(file.owner, {
+    fileId,
+    isNewFile: false,
+    size: req.body.length,
+  });
+  if (quotaError) {
+    res.status(403).send(quotaError);
+    return;
+  }
+
+  let error;
+  try {
+    error = await withFileLock(fileId, () =>
+      KeyRotationService.uploadRotation(
+        file,
+        {
+          name,
+          encryptMeta: typeof encryptMeta === 'string' ? encryptMeta : null,
+          syncVersion: syncFormatVersion ? Number(syncFormatVersion) : null,
+          content: req.body,
+        },
+        res.locals.user_id,
+      ),
+    );
+  } catch (err) {
+    console.log('Error uploading key rotation file', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+  if (error) {
+    res.status(400).send(error);
+    return;
+  }
+
+  res.send(OK_RESPONSE);
+});
+
+app.post('/commit-key-rotation', async (req, res) => {
+  let { fileId } = req.body;
+
+  const filesService = new FilesService(getAccountDb());
+
+  const file = verifyFileExists(fileId, filesService, res, 'file-not-found');
+  if (!file || refuseReadOnly(file, res)) {
+    return;
+  }
+
+  let result;
+  try {
+    result = await withFileLock(fileId, () =>
+      // Read the file again, an upload may have finished in the meantime
+      KeyRotationService.commitRotation(
+        filesService.get(fileId),
+        res.locals.user_id,
+      ),
+    );
+  } catch (err) {
+    console.log('Error committing key rotation', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+
+  if ('error' in result) {
+    res.status(400).send(result.error);
+    return;
+  }
+
+  res.set('ETag', toETag(result.checksum));
+  res.set('X-ACTUAL-CHECKSUM', result.checksum);
+  res.send({ status: 'ok', groupId: result.groupId });
+});
+
+app.post('/abort-key-rotation', async (req, res) => {
+  let { fileId } = req.body;
+
+  const filesService = new FilesService(getAccountDb());
+
+  const file = verifyFileExists(fileId, filesService, res, 'file-not-found');
+  if (!file || refuseReadOnly(file, res)) {
+    return;
+  }
+
+  let error;
+  try {
+    error = await withFileLock(fileId, () =>
+      KeyRotationService.abortRotation(fileId, res.locals.user_id),
+    );
+  } catch (err) {
+    console.log('Error aborting key rotation', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+  if (error) {
+    res.status(400).send(error);
+    return;
+  }
+
+  res.send(OK_RESPONSE);
+});
+
+app.get('/list-user-file-audit', (req, res) => {
+  let fileId = req.headers['x-actual-file-id'];
+  if (typeof fileId !== 'string') {
+    res.status(400).send('Single file ID is required');
+    return;
+  }
+
+  const filesService = new FilesService(getAccountDb());
+  if (
+    !verifyFileExists(fileId, filesService, res, {
+      status: 'error',
+      reason: 'file-not-found',
+    })
+  ) {
+    return;
+  }
+
+  res.send({
+    status: 'ok',
+    data: AuditService.listForFile(fileId).map((entry) => ({
+      action: entry.action,
+      userId: entry.userId,
+      details: entry.details,
+      createdAt: entry.createdAt,
+    })),
+  });
+});
+
 app.post('/reset-user-file', async (req, res) => {
   let { fileId } = req.body;
 
@@ -166,7 +552,7 @@ app.post('/reset-user-file', async (req, res) => {
     'User or file not found',
   );
 
-  if (!file) {
+  if (!file || refuseReadOnly(file, res)) {
     return;
   }
 
@@ -175,41 +561,41 @@ app.post('/reset-user-file', async (req, res) => {
   filesService.update(fileId, new FileUpdate({ groupId: null }));
 
   if (groupId) {
-    try {
-      await fs.unlink(getPathForGroupFile(groupId));
-    } catch {
-      console.log(`Unable to delete sync data for group "${groupId}"`);
-    }
+    await deleteGroup(groupId);
   }
 
   res.send(OK_RESPONSE);
 });
 
-app.post('/upload-user-file', async (req, res) => {
-  if (typeof req.headers['x-actual-name'] !== 'string') {
-    // FIXME: Not sure how this cannot be a string when the header is
-    // set.
-    res.status(400).send('single x-actual-name is required');
-    return;
-  }
-
-  let name = decodeURIComponent(req.headers['x-actual-name']);
-  let fileId = req.headers['x-actual-file-id'];
-
-  if (!fileId || typeof fileId !== 'string') {
-    res.status(400).send('fileId is required');
-    return;
-  }
-
-  let groupId = req.headers['x-actual-group-id'] || null;
-  let encryptMeta = req.headers['x-actual-encrypt-meta'] || null;
-  let syncFormatVersion = req.headers['x-actual-format'] || null;
-
-  let keyId =
-    encryptMeta && typeof encryptMeta === 'string'
-      ? JSON.parse(encryptMeta).keyId
-      : null;
+/**
+ * The newest message the uploaded file contains, sent by the client in the
+ * `x-actual-last-sync` header.
+ * @returns {string | null}
+ */
+const getLastSync = (req) => {
+  const lastSync = req.headers['x-actual-last-sync'];
+  return typeof lastSync === 'string' && lastSync ? lastSync : null;
+};
 
+/**
+ * Stores an uploaded blob and updates the file metadata the same way for
+ * single request and resumable uploads. Callers hold the file lock.
+ * @returns {Promise<{ groupId: string, checksum: string } | { error: string | object, status: number }>}
+ */
+async function saveUploadedFile(
+  {
+    fileId,
+    name,
+    groupId,
+    encryptMeta,
+    syncFormatVersion,
+    keyId,
+    content,
+    ifMatch,
+    lastSync,
+  },
+  userId,
+) {
   const filesService = new FilesService(getAccountDb());
   let currentFile;
 
@@ -223,18 +609,36 @@ app.post('/upload-user-file', async (req, res) => {
     }
   }
 
+  if (currentFile && isReadOnly(currentFile, userId)) {
+    return { error: 'file-read-only', status: 403 };
+  }
+
+  // Another device uploaded since the client last downloaded the file
+  if (ifMatch && !matchesETag(ifMatch, currentFile)) {
+    return { error: 'file-has-changed', status: 412 };
+  }
+
   const errorMessage = validateUploadedFile(groupId, keyId, currentFile);
   if (errorMessage) {
-    res.status(400).send(errorMessage);
-    return;
+    return { error: errorMessage, status: 400 };
+  }
+
+  // Files count towards the quota of their owner, whoever uploads them
+  const quotaError = QuotaService.checkUpload(
+    currentFile ? currentFile.owner : userId,
+    { fileId, isNewFile: !currentFile, size: content.length },
+  );
+  if (quotaError) {
+    return { error: quotaError, status: 403 };
   }
 
+  const checksum = sha256Hex(content);
+
   try {
-    await fs.writeFile(getPathForUserFile(fileId), req.body);
+    await FileVersionsService.writeBlob(fileId, content);
   } catch (err) {
     console.log('Error writing file', err);
-    res.status(500).send({ status: 'error' });
-    return;
+    return { error: { status: 'error' }, status: 500 };
   }
 
   if (!currentFile) {
@@ -248,22 +652,34 @@ app.post('/upload-user-file', async (req, res) => {
         syncVersion: syncFormatVersion,
         name: name,
         encryptMeta: encryptMeta,
+        checksum,
         owner:
-          res.locals.user_id ||
+          userId ||
           (() => {
             throw new Error('User ID is required for file creation');
           })(),
       }),
     );
 
-    res.send({ status: 'ok', groupId });
-    return;
+    FileVersionsService.recordVersion({
+      fileId,
+      groupId,
+      syncVersion: syncFormatVersion,
+      encryptMeta,
+      size: content.length,
+      uploadedBy: userId,
+    });
+
+    return { groupId, checksum };
   }
 
   if (!groupId) {
     // sync state was reset, create new group
     groupId = uuid.v4();
     filesService.update(fileId, new FileUpdate({ groupId: groupId }));
+  } else {
+    // The uploaded file holds the messages the client had synced
+    CompactionService.recordSnapshot(fileId, currentFile.groupId, lastSync);
   }
 
   // Regardless, update some properties
@@ -273,37 +689,702 @@ app.post('/upload-user-file', async (req, res) => {
       syncVersion: syncFormatVersion,
       encryptMeta: encryptMeta,
       name: name,
+      checksum,
     }),
   );
 
-  res.send({ status: 'ok', groupId });
-});
+  FileVersionsService.recordVersion({
+    fileId,
+    groupId,
+    syncVersion: syncFormatVersion,
+    encryptMeta,
+    size: content.length,
+    uploadedBy: userId,
+  });
+  await pruneVersions(fileId);
 
-app.get('/download-user-file', async (req, res) => {
-  let fileId = req.headers['x-actual-file-id'];
-  if (typeof fileId !== 'string') {
+  return { groupId, checksum };
+}
+
+/**
+ * Deletes old versions of a file once a new one is committed. The new
+ * version is in place at this point, so a failure only leaves extra
+ * versions behind until the next upload.
+ * @param {string} fileId
+ */
+async function pruneVersions(fileId) {
+  try {
+    await FileVersionsService.pruneVersions(fileId);
+  } catch (err) {
+    console.log('Error pruning file versions', err);
+  }
+}
+
+app.post('/upload-user-file', async (req, res) => {
+  if (typeof req.headers['x-actual-name'] !== 'string') {
     // FIXME: Not sure how this cannot be a string when the header is
     // set.
-    res.status(400).send('Single file ID is required');
+    res.status(400).send('single x-actual-name is required');
     return;
   }
 
-  const filesService = new FilesService(getAccountDb());
-  if (!verifyFileExists(fileId, filesService, res, 'User or file not found')) {
+  let name = decodeURIComponent(req.headers['x-actual-name']);
+  let fileId = req.headers['x-actual-file-id'];
+
+  if (!fileId || typeof fileId !== 'string') {
+    res.status(400).send('fileId is required');
     return;
   }
 
-  res.setHeader('Content-Disposition', `attachment;filename=${fileId}`);
-  res.sendFile(getPathForUserFile(fileId));
-});
-
-app.post('/update-user-filename', (req, res) => {
-  let { fileId, name } = req.body;
+  let groupId = req.headers['x-actual-group-id'] || null;
+  let encryptMeta = req.headers['x-actual-encrypt-meta'] || null;
+  let syncFormatVersion = req.headers['x-actual-format'] || null;
 
-  const filesService = new FilesService(getAccountDb());
+  let keyId =
+    encryptMeta && typeof encryptMeta === 'string'
+      ? JSON.parse(encryptMeta).keyId
+      : null;
 
-  if (!verifyFileExists(fileId, filesService, res, 'file not found')) {
-    return;
+  let result;
+  try {
+    result = await withFileLock(fileId, () =>
+      saveUploadedFile(
+        {
+          fileId,
+          name,
+          groupId,
+          encryptMeta,
+          syncFormatVersion,
+          keyId,
+          content: req.body,
+          ifMatch: req.headers['if-match'],
+          lastSync: getLastSync(req),
+        },
+        res.locals.user_id,
+      ),
+    );
+  } catch (err) {
+    console.log('Error uploading file', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+
+  if ('error' in result) {
+    res.status(result.status).send(result.error);
+    return;
+  }
+
+  res.set('ETag', toETag(result.checksum));
+  res.set('X-ACTUAL-CHECKSUM', result.checksum);
+  res.send({ status: 'ok', groupId: result.groupId });
+});
+
+/**
+ * Resumable uploads: the client starts a session with the headers it would
+ * send to `upload-user-file`, sends the blob in chunks and commits it. The
+ * `if-match` and `x-actual-last-sync` headers come with the commit.
+ */
+app.post('/start-user-file-upload', async (req, res) => {
+  if (typeof req.headers['x-actual-name'] !== 'string') {
+    res.status(400).send('single x-actual-name is required');
+    return;
+  }
+
+  let name = decodeURIComponent(req.headers['x-actual-name']);
+  let fileId = req.headers['x-actual-file-id'];
+
+  if (!fileId || typeof fileId !== 'string') {
+    res.status(400).send('fileId is required');
+    return;
+  }
+
+  let groupId = req.headers['x-actual-group-id'] || null;
+  let encryptMeta = req.headers['x-actual-encrypt-meta'] || null;
+  let syncFormatVersion = req.headers['x-actual-format'] || null;
+  let size = req.headers['x-actual-file-size']
+    ? Number(req.headers['x-actual-file-size'])
+    : null;
+
+  if (size != null && (!Number.isInteger(size) || size < 0)) {
+    res.status(400).send('invalid x-actual-file-size');
+    return;
+  }
+
+  if (size > getMaxUploadSize()) {
+    res.status(413).send('file-too-large');
+    return;
+  }
+
+  let keyId =
+    encryptMeta && typeof encryptMeta === 'string'
+      ? JSON.parse(encryptMeta).keyId
+      : null;
+
+  // Fail early, commit checks again in case the file changed meanwhile
+  const filesService = new FilesService(getAccountDb());
+  let currentFile;
+  try {
+    currentFile = filesService.get(fileId);
+  } catch (e) {
+    if (e instanceof FileNotFound) {
+      currentFile = null;
+    } else {
+      throw e;
+    }
+  }
+
+  if (currentFile && refuseReadOnly(currentFile, res)) {
+    return;
+  }
+
+  const errorMessage = validateUploadedFile(groupId, keyId, currentFile);
+  if (errorMessage) {
+    res.status(400).send(errorMessage);
+    return;
+  }
+
+  if (size != null) {
+    const quotaError = QuotaService.checkUpload(
+      currentFile ? currentFile.owner : res.locals.user_id,
+      { fileId, isNewFile: !currentFile, size },
+    );
+    if (quotaError) {
+      res.status(403).send(quotaError);
+      return;
+    }
+  }
+
+  let session;
+  try {
+    session = await UploadSessionsService.createSession({
+      fileId,
+      userId: res.locals.user_id,
+      name,
+      groupId,
+      encryptMeta,
+      syncVersion: syncFormatVersion,
+      size,
+    });
+  } catch (err) {
+    console.log('Error starting upload', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+
+  res.send({ status: 'ok', data: { uploadId: session.id, offset: 0 } });
+});
+
+/**
+ * Looks up the upload session named in the `x-actual-upload-id` header,
+ * responding with an error when it does not exist.
+ */
+const getUploadSession = (req, res) => {
+  let uploadId = req.headers['x-actual-upload-id'];
+  if (!uploadId || typeof uploadId !== 'string') {
+    res.status(400).send('uploadId is required');
+    return null;
+  }
+
+  const session = UploadSessionsService.getSession(
+    uploadId,
+    res.locals.user_id,
+  );
+  if (!session) {
+    res.status(404).send('upload-not-found');
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Responds to a failed read or write of the data of an upload session. The
+ * data is gone when the session expired or its file was deleted meanwhile.
+ */
+const sendUploadSessionError = (res, err) => {
+  if (err.code === 'ENOENT') {
+    res.status(404).send('upload-not-found');
+    return;
+  }
+  console.log('Error accessing upload', err);
+  res.status(500).send({ status: 'error' });
+};
+
+app.get('/get-user-file-upload', (req, res) => {
+  const session = getUploadSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  res.send({
+    status: 'ok',
+    data: {
+      uploadId: session.id,
+      fileId: session.fileId,
+      size: session.size,
+      offset: session.received,
+    },
+  });
+});
+
+app.post('/upload-user-file-chunk', async (req, res) => {
+  const session = getUploadSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  let offset = Number(req.headers['x-actual-upload-offset']);
+  if (!Number.isInteger(offset) || offset < 0) {
+    res.status(400).send('invalid x-actual-upload-offset');
+    return;
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).send('chunk is required');
+    return;
+  }
+
+  // Chunks may be sent again, but must not leave a gap
+  if (offset > session.received) {
+    res.set('X-ACTUAL-UPLOAD-OFFSET', String(session.received));
+    res.status(409).send('offset-mismatch');
+    return;
+  }
+
+  let end = offset + req.body.length;
+  if (
+    (session.size != null && end > session.size) ||
+    end > getMaxUploadSize()
+  ) {
+    res.status(413).send('file-too-large');
+    return;
+  }
+
+  let received;
+  try {
+    received = await UploadSessionsService.appendChunk(
+      session,
+      offset,
+      req.body,
+    );
+  } catch (err) {
+    sendUploadSessionError(res, err);
+    return;
+  }
+
+  res.set('X-ACTUAL-UPLOAD-OFFSET', String(received));
+  res.send({ status: 'ok', data: { offset: received } });
+});
+
+app.post('/commit-user-file-upload', async (req, res) => {
+  const session = getUploadSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  let checksum = req.headers['x-actual-checksum'];
+  if (!checksum || typeof checksum !== 'string') {
+    res.status(400).send('checksum is required');
+    return;
+  }
+
+  if (session.size != null && session.received !== session.size) {
+    res.set('X-ACTUAL-UPLOAD-OFFSET', String(session.received));
+    res.status(400).send('upload-incomplete');
+    return;
+  }
+
+  let content;
+  try {
+    content = await UploadSessionsService.readUpload(session);
+  } catch (err) {
+    sendUploadSessionError(res, err);
+    return;
+  }
+  if (sha256Hex(content) !== checksum.toLowerCase()) {
+    res.status(400).send('checksum-mismatch');
+    return;
+  }
+
+  let keyId = session.encryptMeta
+    ? JSON.parse(session.encryptMeta).keyId
+    : null;
+
+  let result;
+  try {
+    result = await withFileLock(session.fileId, () =>
+      saveUploadedFile(
+        {
+          fileId: session.fileId,
+          name: session.name,
+          groupId: session.groupId,
+          encryptMeta: session.encryptMeta,
+          syncFormatVersion: session.syncVersion,
+          keyId,
+          content,
+          ifMatch: req.headers['if-match'],
+          lastSync: getLastSync(req),
+        },
+        res.locals.user_id,
+      ),
+    );
+  } catch (err) {
+    console.log('Error committing upload', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+
+  // Keep the session when the upload can be committed again later
+  if (!('error' in result) || result.status !== 500) {
+    try {
+      await UploadSessionsService.deleteSession(session.id);
+    } catch (err) {
+      // Stale sessions are purged anyway
+      console.log('Error deleting upload', err);
+    }
+  }
+
+  if ('error' in result) {
+    res.status(result.status).send(result.error);
+    return;
+  }
+
+  res.set('ETag', toETag(result.checksum));
+  res.set('X-ACTUAL-CHECKSUM', result.checksum);
+  res.send({ status: 'ok', groupId: result.groupId });
+});
+
+app.post('/abort-user-file-upload', async (req, res) => {
+  const session = getUploadSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  try {
+    await UploadSessionsService.deleteSession(session.id);
+  } catch (err) {
+    console.log('Error aborting upload', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+  res.send(OK_RESPONSE);
+});
+
+app.get('/list-user-file-versions', (req, res) => {
+  let fileId = req.headers['x-actual-file-id'];
+  if (typeof fileId !== 'string') {
+    res.status(400).send('Single file ID is required');
+    return;
+  }
+
+  const filesService = new FilesService(getAccountDb());
+  if (
+    !verifyFileExists(fileId, filesService, res, {
+      status: 'error',
+      reason: 'file-not-found',
+    })
+  ) {
+    return;
+  }
+
+  res.send({
+    status: 'ok',
+    data: FileVersionsService.listVersions(fileId).map((version, index) => ({
+      versionId: version.id,
+      groupId: version.groupId,
+      size: version.size,
+      uploadedBy: version.uploadedBy,
+      createdAt: version.createdAt,
+      current: index === 0,
+    })),
+  });
+});
+
+/**
+ * Makes an older version of a file the current one. Callers hold the lock of
+ * the file, so the blob, checksum and version list change together.
+ * @returns {Promise<{ groupId: string } | { error: string, status: number }>}
+ */
+async function restoreFileVersion({ fileId, versionId }, userId) {
+  const filesService = new FilesService(getAccountDb());
+  // Read the file again, an upload may have finished in the meantime
+  const file = filesService.get(fileId);
+
+  const version = FileVersionsService.getVersion(fileId, versionId);
+  if (!version) {
+    return { error: 'version-not-found', status: 404 };
+  }
+
+  if (FileVersionsService.getCurrentVersion(fileId).id === version.id) {
+    return { error: 'version-is-current', status: 400 };
+  }
+
+  // All data must be encrypted with the registered key, so a version
+  // encrypted with an older key can't be brought back.
+  let versionKeyId = version.encryptMeta
+    ? JSON.parse(version.encryptMeta).keyId
+    : null;
+  if (versionKeyId !== file.encryptKeyId) {
+    return { error: 'file-has-new-key', status: 400 };
+  }
+
+  const content = await FileVersionsService.readVersion(version);
+  if (!content) {
+    throw new Error(`Blob of version ${version.id} is missing`);
+  }
+  const checksum = sha256Hex(content);
+  await FileVersionsService.writeBlob(fileId, content);
+
+  // Like a reset, other devices have to download the restored file
+  const groupId = uuid.v4();
+  filesService.update(
+    fileId,
+    new FileUpdate({
+      groupId,
+      syncVersion: version.syncVersion,
+      encryptMeta: version.encryptMeta,
+      checksum,
+    }),
+  );
+  if (file.groupId) {
+    await deleteGroup(file.groupId);
+  }
+
+  FileVersionsService.recordVersion({
+    fileId,
+    groupId,
+    syncVersion: version.syncVersion,
+    encryptMeta: version.encryptMeta,
+    size: version.size,
+    uploadedBy: userId,
+  });
+  await pruneVersions(fileId);
+
+  return { groupId };
+}
+
+app.post('/restore-user-file-version', async (req, res) => {
+  let { fileId, versionId } = req.body;
+
+  if (!fileId || !versionId) {
+    return res.status(422).send({
+      details: `${!fileId ? 'fileId' : 'versionId'}-required`,
+      reason: 'unprocessable-entity',
+      status: 'error',
+    });
+  }
+
+  const filesService = new FilesService(getAccountDb());
+  const file = verifyFileExists(fileId, filesService, res, 'file-not-found');
+  if (
+    !file ||
+    refuseReadOnly(file, res, { status: 'error', reason: 'file-read-only' })
+  ) {
+    return;
+  }
+
+  let result;
+  try {
+    result = await withFileLock(fileId, () =>
+      restoreFileVersion({ fileId, versionId }, res.locals.user_id),
+    );
+  } catch (err) {
+    console.log('Error restoring file version', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+
+  if ('error' in result) {
+    res.status(result.status).send({ status: 'error', reason: result.error });
+    return;
+  }
+
+  res.send({ status: 'ok', groupId: result.groupId });
+});
+
+/**
+ * Copies the blob, encryption key and optionally the sync messages of a file
+ * to a new file owned by `userId`. Callers hold the lock of the original.
+ * @returns {Promise<{ fileId: string, groupId: string } | { error: string, status: number }>}
+ */
+async function duplicateFile({ fileId, name, copyMessages }, userId) {
+  const filesService = new FilesService(getAccountDb());
+  // Re-read the file, an upload may have replaced its group meanwhile
+  const file = filesService.get(fileId);
+
+  const content = await getBlobStorage().read(getKeyForUserFile(fileId));
+  if (!content) {
+    return { error: 'file-needs-upload', status: 400 };
+  }
+
+  const newFileId = uuid.v4();
+  const quotaError = QuotaService.checkUpload(userId, {
+    fileId: newFileId,
+    isNewFile: true,
+    size: content.length,
+  });
+  if (quotaError) {
+    return { error: quotaError, status: 403 };
+  }
+
+  const groupId = uuid.v4();
+
+  await FileVersionsService.writeBlob(newFileId, content);
+  if (copyMessages && file.groupId) {
+    await copyGroup(file.groupId, groupId, newFileId);
+  }
+
+  filesService.set(
+    new File({
+      id: newFileId,
+      groupId,
+      syncVersion: file.syncVersion,
+      name: name ?? (file.name ? `${file.name} (copy)` : null),
+      encryptMeta: file.encryptMeta,
+      encryptSalt: file.encryptSalt,
+      encryptTest: file.encryptTest,
+      encryptKeyId: file.encryptKeyId,
+      owner: userId,
+      checksum: sha256Hex(content),
+    }),
+  );
+
+  FileVersionsService.recordVersion({
+    fileId: newFileId,
+    groupId,
+    syncVersion: file.syncVersion,
+    encryptMeta: file.encryptMeta,
+    size: content.length,
+    uploadedBy: userId,
+  });
+
+  return { fileId: newFileId, groupId };
+}
+
+/**
+ * Makes a copy of a file owned by the caller, e.g. a sandbox to try things
+ * out on. Without `copyMessages`, the copy only holds what was last uploaded.
+ */
+app.post('/duplicate-user-file', async (req, res) => {
+  let { fileId, name, copyMessages = true } = req.body;
+
+  if (!fileId) {
+    return res.status(422).send({
+      details: 'fileId-required',
+      reason: 'unprocessable-entity',
+      status: 'error',
+    });
+  }
+
+  const filesService = new FilesService(getAccountDb());
+  const file = verifyFileExists(fileId, filesService, res, {
+    status: 'error',
+    reason: 'file-not-found',
+  });
+  if (!file) {
+    return;
+  }
+
+  // Viewers may download the file, so they may copy it too
+  if (
+    UserService.countUserAccess(file.id, res.locals.user_id) === 0 &&
+    !isAdmin(res.locals.user_id)
+  ) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'file-denied',
+    });
+    return;
+  }
+
+  let result;
+  try {
+    result = await withFileLock(fileId, () =>
+      duplicateFile(
+        { fileId, name, copyMessages: Boolean(copyMessages) },
+        res.locals.user_id,
+      ),
+    );
+  } catch (err) {
+    console.log('Error duplicating file', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+
+  if ('error' in result) {
+    res.status(result.status).send({ status: 'error', reason: result.error });
+    return;
+  }
+
+  res.send({ status: 'ok', fileId: result.fileId, groupId: result.groupId });
+});
+
+app.get('/download-user-file', async (req, res) => {
+  let fileId = req.headers['x-actual-file-id'];
+  if (typeof fileId !== 'string') {
+    // FIXME: Not sure how this cannot be a string when the header is
+    // set.
+    res.status(400).send('Single file ID is required');
+    return;
+  }
+
+  const filesService = new FilesService(getAccountDb());
+  const file = verifyFileExists(
+    fileId,
+    filesService,
+    res,
+    'User or file not found',
+  );
+  if (!file) {
+    return;
+  }
+
+  if (matchesETag(req.headers['if-none-match'], file) && file.checksum) {
+    res.status(304).end();
+    return;
+  }
+
+  let content;
+  try {
+    content = await getBlobStorage().read(getKeyForUserFile(fileId));
+  } catch (err) {
+    console.log('Error reading file', err);
+    res.status(500).send({ status: 'error' });
+    return;
+  }
+
+  if (!content) {
+    res.status(404).send('file-not-found');
+    return;
+  }
+
+  let checksum = file.checksum;
+  if (!checksum) {
+    // The blob was uploaded before checksums were recorded
+    checksum = sha256Hex(content);
+    filesService.update(fileId, new FileUpdate({ checksum }));
+  }
+
+  const currentVersion = FileVersionsService.getCurrentVersion(fileId);
+  if (currentVersion) {
+    res.set('Last-Modified', new Date(currentVersion.createdAt).toUTCString());
+  }
+  res.set('ETag', toETag(checksum));
+  res.set('X-ACTUAL-CHECKSUM', checksum);
+  res.setHeader('Content-Disposition', `attachment;filename=${fileId}`);
+  res.type('application/octet-stream');
+  res.send(content);
+});
+
+app.post('/update-user-filename', (req, res) => {
+  let { fileId, name } = req.body;
+
+  const filesService = new FilesService(getAccountDb());
+
+  const file = verifyFileExists(fileId, filesService, res, 'file not found');
+  if (!file || refuseReadOnly(file, res)) {
+    return;
   }
 
   filesService.update(fileId, new FileUpdate({ name: name }));
@@ -355,6 +1436,8 @@ app.get('/get-user-file-info', (req, res) => {
     return;
   }
 
+  const rotation = KeyRotationService.getRotation(file.id);
+
   res.send({
     status: 'ok',
     data: {
@@ -363,6 +1446,15 @@ app.get('/get-user-file-info', (req, res) => {
       groupId: file.groupId,
       name: file.name,
       encryptMeta: file.encryptMeta ? JSON.parse(file.encryptMeta) : null,
+      keyRotation: rotation
+        ? {
+            status: rotation.uploadedAt ? 'uploaded' : 'started',
+            keyId: rotation.keyId,
+            startedBy: rotation.startedBy,
+            startedAt: rotation.startedAt,
+            uploadedAt: rotation.uploadedAt,
+          }
+        : null,
       usersWithAccess: fileService
         .findUsersWithAccess(file.id)
         .map((access) => ({
@@ -385,7 +1477,8 @@ app.post('/delete-user-file', (req, res) => {
   }
 
   const filesService = new FilesService(getAccountDb());
-  if (!verifyFileExists(fileId, filesService, res, 'file-not-found')) {
+  const file = verifyFileExists(fileId, filesService, res, 'file-not-found');
+  if (!file || refuseReadOnly(file, res)) {
     return;
   }
 
@@ -393,3 +1486,51 @@ app.post('/delete-user-file', (req, res) => {
 
   res.send(OK_RESPONSE);
 });
+
+app.get('/list-deleted-user-files', (req, res) => {
+  const filesService = new FilesService(getAccountDb());
+  const rows = filesService.findDeleted({ userId: res.locals.user_id });
+
+  res.send({
+    status: 'ok',
+    data: rows.map((row) => ({
+      fileId: row.id,
+      groupId: row.groupId,
+      name: row.name,
+      owner: row.owner,
+      deletedAt: row.deletedAt,
+    })),
+  });
+});
+
+app.post('/restore-user-file', (req, res) => {
+  let { fileId } = req.body;
+
+  if (!fileId) {
+    return res.status(422).send({
+      details: 'fileId-required',
+      reason: 'unprocessable-entity',
+      status: 'error',
+    });
+  }
+
+  const filesService = new FilesService(getAccountDb());
+  const rawFile = filesService.getRaw(fileId);
+  if (!rawFile || !rawFile.deleted) {
+    res.status(400).send('file-not-found');
+    return;
+  }
+
+  if (rawFile.owner !== res.locals.user_id && !isAdmin(res.locals.user_id)) {
+    res.status(403).send({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'file-denied',
+    });
+    return;
+  }
+
+  filesService.update(fileId, new FileUpdate({ deleted: false }));
+
+  res.send(OK_RESPONSE);
+});
@@ -1,10 +1,21 @@
 import fs from 'node:fs';
 import request from 'supertest';
 import { handlers as app } from './app-sync.js';
-import { getPathForUserFile } from './util/paths.js';
+import {
+  getPathForUserFile,
+  getPathForGroupFile,
+  getPathForFileVersion,
+  getPathForUploadSession,
+} from './util/paths.js';
+import { groupDbManager } from './app-sync/services/group-db-manager.js';
 import getAccountDb from './account-db.js';
+import config from './load-config.js';
+import * as ApiTokenService from './services/api-token-service.js';
+import * as QuotaService from './services/quota-service.js';
+import * as UploadSessionsService from './app-sync/services/upload-sessions-service.js';
 import { SyncProtoBuf } from '@actual-app/crdt';
 import crypto from 'node:crypto';
+import http from 'node:http';
 
 const ADMIN_ROLE = 'ADMIN';
 
@@ -169,6 +180,29 @@ describe('/reset-user-file', () => {
     expect(rows[0].group_id).toBeNull();
   });
 
+  it('closes the open group database before deleting it', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const groupId = crypto.randomBytes(16).toString('hex');
+    const keyId = 'key-id';
+
+    addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+
+    const syncRes = await sendSyncRequest(
+      createMinimalSyncRequest(fileId, groupId, keyId),
+    );
+    expect(syncRes.statusCode).toEqual(200);
+    expect(groupDbManager.isOpen(groupId)).toBe(true);
+
+    const res = await request(app)
+      .post('/reset-user-file')
+      .set('x-actual-token', 'valid-token')
+      .send({ fileId });
+
+    expect(res.statusCode).toEqual(200);
+    expect(groupDbManager.isOpen(groupId)).toBe(false);
+    expect(fs.existsSync(getPathForGroupFile(groupId))).toBe(false);
+  });
+
   it('returns 400 if the file is not found', async () => {
     const res = await request(app)
       .post('/reset-user-file')
@@ -390,6 +424,459 @@ describe('/upload-user-file', () => {
     expect(res.statusCode).toEqual(400);
     expect(res.text).toEqual('file-has-new-key');
   });
+
+  it('records the last sync of the client as the snapshot', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const groupId = crypto.randomBytes(16).toString('hex');
+    const keyId = 'key-id';
+    const timestamps = [
+      '2024-01-02T00:00:00.000Z-0000-0123456789abcdef',
+      '2024-01-03T00:00:00.000Z-0000-fedcba9876543210',
+    ];
+    addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+
+    const syncRequest = createMinimalSyncRequest(fileId, groupId, keyId);
+    syncRequest.setMessagesList(
+      timestamps.map((timestamp) => {
+        const message = new SyncProtoBuf.MessageEnvelope();
+        message.setTimestamp(timestamp);
+        message.setIsencrypted(false);
+        message.setContent(Buffer.from(timestamp));
+        return message;
+      }),
+    );
+    await sendSyncRequest(syncRequest);
+
+    // Another device synced the second message after the file was made
+    const res = await request(app)
+      .post('/upload-user-file')
+      .set('Content-Type', 'application/encrypted-file')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-name', 'test-file')
+      .set('x-actual-file-id', fileId)
+      .set('x-actual-group-id', groupId)
+      .set('x-actual-format', '2')
+      .set('x-actual-encrypt-meta', JSON.stringify({ keyId }))
+      .set('x-actual-last-sync', timestamps[0])
+      .send(Buffer.from('content'));
+
+    expect(res.statusCode).toEqual(200);
+    expect(
+      getAccountDb().first(
+        'SELECT snapshot_timestamp FROM group_snapshots WHERE group_id = ?',
+        [groupId],
+      ),
+    ).toEqual({ snapshot_timestamp: timestamps[0] });
+
+    fs.rmSync(getPathForUserFile(fileId), { force: true });
+  });
+
+  it('answers an upload even when old versions cannot be pruned', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const defaultVersionsToKeep = config.fileVersionsToKeep;
+
+    let groupId = null;
+    const upload = async (content) => {
+      const res = await request(app)
+        .post('/upload-user-file')
+        .set('Content-Type', 'application/encrypted-file')
+        .set('x-actual-token', 'valid-token')
+        .set('x-actual-name', 'test-file')
+        .set('x-actual-file-id', fileId)
+        .set('x-actual-format', '2')
+        .set(groupId ? { 'x-actual-group-id': groupId } : {})
+        .send(Buffer.from(content));
+      groupId = res.body.groupId;
+      return res;
+    };
+
+    expect((await upload('first')).statusCode).toEqual(200);
+    expect((await upload('second')).statusCode).toEqual(200);
+
+    // A blob that can't be deleted makes pruning the first version fail
+    const firstPath = getAccountDb()
+      .all('SELECT id FROM file_versions WHERE file_id = ?', [fileId])
+      .map(({ id }) => getPathForFileVersion(fileId, id))
+      .find((path) => fs.existsSync(path));
+    fs.rmSync(firstPath);
+    fs.mkdirSync(firstPath);
+    fs.writeFileSync(`${firstPath}/keep`, 'keep');
+
+    config.fileVersionsToKeep = 0;
+    try {
+      const res = await upload('third');
+
+      expect(res.statusCode).toEqual(200);
+      expect(fs.readFileSync(getPathForUserFile(fileId), 'utf8')).toEqual(
+        'third',
+      );
+    } finally {
+      config.fileVersionsToKeep = defaultVersionsToKeep;
+      for (const { id } of getAccountDb().all(
+        'SELECT id FROM file_versions WHERE file_id = ?',
+        [fileId],
+      )) {
+        fs.rmSync(getPathForFileVersion(fileId, id), {
+          recursive: true,
+          force: true,
+        });
+      }
+      fs.rmSync(getPathForUserFile(fileId), { force: true });
+    }
+  });
+});
+
+describe('file versions', () => {
+  const uploadFile = (fileId, content, groupId = null) => {
+    const req = request(app)
+      .post('/upload-user-file')
+      .set('Content-Type', 'application/encrypted-file')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-name', 'versioned-file')
+      .set('x-actual-file-id', fileId)
+      .set('x-actual-format', '2');
+    if (groupId) {
+      req.set('x-actual-group-id', groupId);
+    }
+    return req.send(Buffer.from(content));
+  };
+
+  const listVersions = (fileId) =>
+    request(app)
+      .get('/list-user-file-versions')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-file-id', fileId);
+
+  it('returns 401 if the user is not authenticated', async () => {
+    const res = await request(app).get('/list-user-file-versions');
+
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('lists the uploaded versions, newest first', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const { groupId } = (await uploadFile(fileId, 'first')).body;
+    await uploadFile(fileId, 'second version', groupId);
+
+    const res = await listVersions(fileId);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({
+        groupId,
+        size: 'second version'.length,
+        uploadedBy: 'genericAdmin',
+        current: true,
+      }),
+      expect.objectContaining({
+        groupId,
+        size: 'first'.length,
+        current: false,
+      }),
+    ]);
+  });
+
+  it('restores a previous version into a new sync group', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const { groupId } = (await uploadFile(fileId, 'first')).body;
+    await uploadFile(fileId, 'second', groupId);
+    const previous = (await listVersions(fileId)).body.data[1];
+
+    const res = await request(app)
+      .post('/restore-user-file-version')
+      .set('x-actual-token', 'valid-token')
+      .send({ fileId, versionId: previous.versionId });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ status: 'ok', groupId: expect.any(String) });
+    expect(res.body.groupId).not.toEqual(groupId);
+
+    const rows = getAccountDb().all('SELECT group_id FROM files WHERE id = ?', [
+      fileId,
+    ]);
+    expect(rows[0].group_id).toEqual(res.body.groupId);
+    expect(fs.readFileSync(getPathForUserFile(fileId), 'utf8')).toEqual(
+      'first',
+    );
+    expect((await listVersions(fileId)).body.data.length).toBe(3);
+  });
+
+  it('keeps the checksum in step with the blob during uploads', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const { groupId } = (await uploadFile(fileId, 'first')).body;
+    await uploadFile(fileId, 'second', groupId);
+    const previous = (await listVersions(fileId)).body.data[1];
+
+    await Promise.all([
+      request(app)
+        .post('/restore-user-file-version')
+        .set('x-actual-token', 'valid-token')
+        .send({ fileId, versionId: previous.versionId }),
+      uploadFile(fileId, 'third', groupId),
+    ]);
+
+    const { checksum } = getAccountDb().first(
+      'SELECT checksum FROM files WHERE id = ?',
+      [fileId],
+    );
+    expect(checksum).toEqual(
+      crypto
+        .createHash('sha256')
+        .update(fs.readFileSync(getPathForUserFile(fileId)))
+        .digest('hex'),
+    );
+  });
+
+  it('returns 400 when restoring the current version', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    await uploadFile(fileId, 'first');
+    const current = (await listVersions(fileId)).body.data[0];
+
+    const res = await request(app)
+      .post('/restore-user-file-version')
+      .set('x-actual-token', 'valid-token')
+      .send({ fileId, versionId: current.versionId });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toEqual({ status: 'error', reason: 'version-is-current' });
+  });
+
+  it('returns 404 if the version does not exist', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    await uploadFile(fileId, 'first');
+
+    const res = await request(app)
+      .post('/restore-user-file-version')
+      .set('x-actual-token', 'valid-token')
+      .send({ fileId, versionId: 'non-existent-version' });
+
+    expect(res.statusCode).toEqual(404);
+    expect(res.body).toEqual({ status: 'error', reason: 'version-not-found' });
+  });
+});
+
+describe('resumable uploads', () => {
+  const startUpload = (fileId, headers = {}) =>
+    request(app)
+      .post('/start-user-file-upload')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-name', 'chunked-budget')
+      .set('x-actual-file-id', fileId)
+      .set('x-actual-format', '2')
+      .set(headers);
+
+  const sendChunk = (uploadId, offset, chunk, token = 'valid-token') =>
+    request(app)
+      .post('/upload-user-file-chunk')
+      .set('Content-Type', 'application/encrypted-file')
+      .set('x-actual-token', token)
+      .set('x-actual-upload-id', uploadId)
+      .set('x-actual-upload-offset', String(offset))
+      .send(Buffer.from(chunk));
+
+  const commitUpload = (uploadId, checksum) =>
+    request(app)
+      .post('/commit-user-file-upload')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-upload-id', uploadId)
+      .set('x-actual-checksum', checksum);
+
+  const getUpload = (uploadId) =>
+    request(app)
+      .get('/get-user-file-upload')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-upload-id', uploadId);
+
+  const sha256 = (content) =>
+    crypto.createHash('sha256').update(content).digest('hex');
+
+  it('returns 401 if the user is not authenticated', async () => {
+    const res = await request(app).post('/start-user-file-upload');
+
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('returns 400 if fileId is missing', async () => {
+    const res = await request(app)
+      .post('/start-user-file-upload')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-name', 'chunked-budget');
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('fileId is required');
+  });
+
+  it('returns 413 if the announced size is over the limit', async () => {
+    const res = await startUpload(crypto.randomBytes(16).toString('hex'), {
+      'x-actual-file-size': String(1024 * 1024 * 1024),
+    });
+
+    expect(res.statusCode).toEqual(413);
+    expect(res.text).toEqual('file-too-large');
+  });
+
+  it('uploads a file in chunks', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+
+    const startRes = await startUpload(fileId, { 'x-actual-file-size': '12' });
+    expect(startRes.statusCode).toEqual(200);
+    const { uploadId } = startRes.body.data;
+
+    const chunkRes = await sendChunk(uploadId, 0, 'chunked ');
+    expect(chunkRes.body).toEqual({ status: 'ok', data: { offset: 8 } });
+
+    const statusRes = await getUpload(uploadId);
+    expect(statusRes.body.data).toEqual({
+      uploadId,
+      fileId,
+      size: 12,
+      offset: 8,
+    });
+
+    const incompleteRes = await commitUpload(uploadId, sha256('chunked '));
+    expect(incompleteRes.statusCode).toEqual(400);
+    expect(incompleteRes.text).toEqual('upload-incomplete');
+
+    await sendChunk(uploadId, 8, 'file').expect(200);
+    const res = await commitUpload(uploadId, sha256('chunked file'));
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ status: 'ok', groupId: expect.any(String) });
+
+    const file = getAccountDb().first('SELECT * FROM files WHERE id = ?', [
+      fileId,
+    ]);
+    expect(file.name).toEqual('chunked-budget');
+    expect(file.group_id).toEqual(res.body.groupId);
+    expect(file.owner).toEqual('genericAdmin');
+    expect(
+      await fs.promises.readFile(getPathForUserFile(fileId), 'utf8'),
+    ).toEqual('chunked file');
+
+    await getUpload(uploadId).expect(404);
+  });
+
+  it('rejects chunks that would leave a gap', async () => {
+    const startRes = await startUpload(crypto.randomBytes(16).toString('hex'));
+    const { uploadId } = startRes.body.data;
+    await sendChunk(uploadId, 0, 'abc');
+
+    const res = await sendChunk(uploadId, 5, 'def');
+
+    expect(res.statusCode).toEqual(409);
+    expect(res.text).toEqual('offset-mismatch');
+    expect(res.headers['x-actual-upload-offset']).toEqual('3');
+  });
+
+  it('rejects chunks past the announced size', async () => {
+    const startRes = await startUpload(crypto.randomBytes(16).toString('hex'), {
+      'x-actual-file-size': '2',
+    });
+
+    const res = await sendChunk(startRes.body.data.uploadId, 0, 'abc');
+
+    expect(res.statusCode).toEqual(413);
+  });
+
+  it('does not let other users send chunks', async () => {
+    const startRes = await startUpload(crypto.randomBytes(16).toString('hex'));
+
+    const res = await sendChunk(
+      startRes.body.data.uploadId,
+      0,
+      'abc',
+      'valid-token-user',
+    );
+
+    expect(res.statusCode).toEqual(404);
+    expect(res.text).toEqual('upload-not-found');
+  });
+
+  it('returns 400 if the checksum does not match', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const startRes = await startUpload(fileId);
+    const { uploadId } = startRes.body.data;
+    await sendChunk(uploadId, 0, 'content');
+
+    const res = await commitUpload(uploadId, sha256('other content'));
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('checksum-mismatch');
+    expect(fs.existsSync(getPathForUserFile(fileId))).toBe(false);
+  });
+
+  it('validates the file again when committing', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate(
+      'INSERT INTO files (id, group_id, deleted) VALUES (?, ?, FALSE)',
+      [fileId, 'old-group'],
+    );
+    const startRes = await startUpload(fileId, {
+      'x-actual-group-id': 'old-group',
+    });
+    expect(startRes.statusCode).toEqual(200);
+    const { uploadId } = startRes.body.data;
+    await sendChunk(uploadId, 0, 'content');
+
+    getAccountDb().mutate('UPDATE files SET group_id = ? WHERE id = ?', [
+      'new-group',
+      fileId,
+    ]);
+    const res = await commitUpload(uploadId, sha256('content'));
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('file-has-reset');
+    await getUpload(uploadId).expect(404);
+  });
+
+  it('returns 404 when committing an expired upload', async () => {
+    const startRes = await startUpload(crypto.randomBytes(16).toString('hex'));
+    const { uploadId } = startRes.body.data;
+    await sendChunk(uploadId, 0, 'content');
+    getAccountDb().mutate(
+      'UPDATE upload_sessions SET updated_at = 0 WHERE id = ?',
+      [uploadId],
+    );
+    await UploadSessionsService.purgeStaleSessions();
+
+    const res = await commitUpload(uploadId, sha256('content'));
+
+    expect(res.statusCode).toEqual(404);
+    expect(res.text).toEqual('upload-not-found');
+  });
+
+  it('returns 404 when the data of an upload is gone', async () => {
+    const startRes = await startUpload(crypto.randomBytes(16).toString('hex'));
+    const { uploadId } = startRes.body.data;
+    await sendChunk(uploadId, 0, 'content');
+    // Purged while the request was looking up the session
+    fs.rmSync(getPathForUploadSession(uploadId));
+
+    const chunkRes = await sendChunk(uploadId, 7, 'more');
+    expect(chunkRes.statusCode).toEqual(404);
+    expect(chunkRes.text).toEqual('upload-not-found');
+
+    const res = await commitUpload(uploadId, sha256('content'));
+    expect(res.statusCode).toEqual(404);
+    expect(res.text).toEqual('upload-not-found');
+
+    getAccountDb().mutate('DELETE FROM upload_sessions WHERE id = ?', [
+      uploadId,
+    ]);
+  });
+
+  it('aborts an upload', async () => {
+    const startRes = await startUpload(crypto.randomBytes(16).toString('hex'));
+    const { uploadId } = startRes.body.data;
+
+    const res = await request(app)
+      .post('/abort-user-file-upload')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-upload-id', uploadId);
+
+    expect(res.statusCode).toEqual(200);
+    await getUpload(uploadId).expect(404);
+  });
 });
 
 describe('/download-user-file', () => {
@@ -455,17 +942,604 @@ describe('/download-user-file', () => {
         .set('x-actual-token', 'valid-token')
         .set('x-actual-file-id', 'file-id');
 
-      expect(res.statusCode).toEqual(200);
-      expect(res.headers).toEqual(
-        expect.objectContaining({
-          'content-disposition': 'attachment;filename=file-id',
-          'content-type': 'application/octet-stream',
-        }),
-      );
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers).toEqual(
+        expect.objectContaining({
+          'content-disposition': 'attachment;filename=file-id',
+          'content-type': 'application/octet-stream',
+        }),
+      );
+
+      expect(res.body).toBeInstanceOf(Buffer);
+      expect(res.body.toString('utf8')).toEqual(fileContent);
+    });
+  });
+});
+
+describe('checksums and conditional requests', () => {
+  const upload = (fileId, content, headers = {}) =>
+    request(app)
+      .post('/upload-user-file')
+      .set('Content-Type', 'application/encrypted-file')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-name', 'checksummed-budget')
+      .set('x-actual-file-id', fileId)
+      .set('x-actual-format', '2')
+      .set(headers)
+      .send(Buffer.from(content));
+
+  const download = (fileId, headers = {}) =>
+    request(app)
+      .get('/download-user-file')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-file-id', fileId)
+      .set(headers);
+
+  const sha256 = (content) =>
+    crypto.createHash('sha256').update(content).digest('hex');
+
+  it('records the checksum of uploaded files', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+
+    const res = await upload(fileId, 'content');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-actual-checksum']).toEqual(sha256('content'));
+    expect(res.headers['etag']).toEqual(`"${sha256('content')}"`);
+    const file = getAccountDb().first('SELECT * FROM files WHERE id = ?', [
+      fileId,
+    ]);
+    expect(file.checksum).toEqual(sha256('content'));
+  });
+
+  it('returns the checksum when downloading', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    await upload(fileId, 'content');
+
+    const res = await download(fileId);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-actual-checksum']).toEqual(sha256('content'));
+    expect(res.headers['etag']).toEqual(`"${sha256('content')}"`);
+    expect(res.headers['last-modified']).toEqual(expect.any(String));
+  });
+
+  it('returns 304 if the client has the current file', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    await upload(fileId, 'content');
+
+    const res = await download(fileId, {
+      'If-None-Match': `"${sha256('content')}"`,
+    });
+
+    expect(res.statusCode).toEqual(304);
+    expect(res.body).toEqual({});
+  });
+
+  it('records the checksum of files uploaded before checksums', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    fs.writeFileSync(getPathForUserFile(fileId), 'legacy');
+    getAccountDb().mutate('INSERT INTO files (id, deleted) VALUES (?, FALSE)', [
+      fileId,
+    ]);
+
+    const res = await download(fileId);
+
+    expect(res.headers['x-actual-checksum']).toEqual(sha256('legacy'));
+    expect(
+      getAccountDb().first('SELECT checksum FROM files WHERE id = ?', [fileId])
+        .checksum,
+    ).toEqual(sha256('legacy'));
+  });
+
+  it('rejects uploads over a file that has changed', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const { body } = await upload(fileId, 'first');
+    const headers = { 'x-actual-group-id': body.groupId };
+    await upload(fileId, 'second', headers);
+
+    const res = await upload(fileId, 'third', {
+      ...headers,
+      'If-Match': `"${sha256('first')}"`,
+    });
+
+    expect(res.statusCode).toEqual(412);
+    expect(res.text).toEqual('file-has-changed');
+    expect(fs.readFileSync(getPathForUserFile(fileId), 'utf8')).toEqual(
+      'second',
+    );
+  });
+
+  it('accepts uploads over the expected file', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const { body } = await upload(fileId, 'first');
+
+    const res = await upload(fileId, 'second', {
+      'x-actual-group-id': body.groupId,
+      'If-Match': `"${sha256('first')}"`,
+    });
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it('lets only one of two concurrent uploads through', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const { body } = await upload(fileId, 'first');
+    const headers = {
+      'x-actual-group-id': body.groupId,
+      'If-Match': `"${sha256('first')}"`,
+    };
+
+    const responses = await Promise.all([
+      upload(fileId, 'from device 1', headers),
+      upload(fileId, 'from device 2', headers),
+    ]);
+
+    expect(responses.map((res) => res.statusCode).sort()).toEqual([200, 412]);
+  });
+});
+
+describe('quotas', () => {
+  const setQuota = (
+    userId,
+    { maxFiles = null, maxBlobBytes = null, maxGroupBytes = null },
+  ) =>
+    getAccountDb().mutate(
+      'INSERT INTO user_quotas (user_id, max_files, max_blob_bytes, max_group_bytes) VALUES (?, ?, ?, ?)',
+      [userId, maxFiles, maxBlobBytes, maxGroupBytes],
+    );
+
+  const upload = (fileId, content) =>
+    request(app)
+      .post('/upload-user-file')
+      .set('Content-Type', 'application/encrypted-file')
+      .set('x-actual-token', 'valid-token-user')
+      .set('x-actual-name', 'quota-budget')
+      .set('x-actual-file-id', fileId)
+      .set('x-actual-format', '2')
+      .send(Buffer.from(content));
+
+  afterEach(() => {
+    getAccountDb().mutate('DELETE FROM user_quotas');
+  });
+
+  it('rejects new files over the file quota', async () => {
+    setQuota('genericUser', { maxFiles: 0 });
+    const fileId = crypto.randomBytes(16).toString('hex');
+
+    const res = await upload(fileId, 'content');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.text).toEqual('quota-exceeded-files');
+    expect(fs.existsSync(getPathForUserFile(fileId))).toBe(false);
+  });
+
+  it('rejects uploads over the storage quota', async () => {
+    setQuota('genericUser', { maxBlobBytes: 0 });
+
+    const res = await upload(crypto.randomBytes(16).toString('hex'), 'content');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.text).toEqual('quota-exceeded-storage');
+  });
+
+  it('rejects resumable uploads announced over the storage quota', async () => {
+    setQuota('genericUser', { maxBlobBytes: 0 });
+
+    const res = await request(app)
+      .post('/start-user-file-upload')
+      .set('x-actual-token', 'valid-token-user')
+      .set('x-actual-name', 'quota-budget')
+      .set('x-actual-file-id', crypto.randomBytes(16).toString('hex'))
+      .set('x-actual-file-size', '7');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.text).toEqual('quota-exceeded-storage');
+  });
+
+  it('accepts uploads within the quota', async () => {
+    setQuota('genericUser', { maxBlobBytes: 1024 * 1024 * 1024 });
+
+    const res = await upload(crypto.randomBytes(16).toString('hex'), 'content');
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it('makes room for an upload by pruning old versions first', async () => {
+    const defaultVersionsToKeep = config.fileVersionsToKeep;
+    config.fileVersionsToKeep = 0;
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const { body } = await upload(fileId, 'content');
+    setQuota('genericUser', {
+      maxBlobBytes: QuotaService.getUsage('genericUser').blobBytes,
+    });
+
+    try {
+      const res = await request(app)
+        .post('/upload-user-file')
+        .set('Content-Type', 'application/encrypted-file')
+        .set('x-actual-token', 'valid-token-user')
+        .set('x-actual-name', 'quota-budget')
+        .set('x-actual-file-id', fileId)
+        .set('x-actual-group-id', body.groupId)
+        .set('x-actual-format', '2')
+        .send(Buffer.from('changed'));
+
+      expect(res.statusCode).toEqual(200);
+    } finally {
+      config.fileVersionsToKeep = defaultVersionsToKeep;
+    }
+  });
+
+  it('rejects new sync messages over the sync data quota', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const groupId = crypto.randomBytes(16).toString('hex');
+    const keyId = 'key-id';
+    addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+
+    const createRequest = (timestamp) => {
+      const syncRequest = createMinimalSyncRequest(fileId, groupId, keyId);
+      const message = new SyncProtoBuf.MessageEnvelope();
+      message.setTimestamp(timestamp);
+      message.setIsencrypted(false);
+      message.setContent(Buffer.from('content'));
+      syncRequest.setMessagesList([message]);
+      return syncRequest;
+    };
+
+    const firstRes = await sendSyncRequest(
+      createRequest('2024-01-02T00:00:00.000Z-0000-0123456789abcdef'),
+    );
+    expect(firstRes.statusCode).toEqual(200);
+    setQuota('genericAdmin', { maxGroupBytes: 1 });
+
+    const res = await sendSyncRequest(
+      createRequest('2024-01-03T00:00:00.000Z-0000-0123456789abcdef'),
+    );
+    expect(res.statusCode).toEqual(403);
+    expect(res.text).toEqual('quota-exceeded-sync-data');
+
+    // Clients can still pull
+    const pullRes = await sendSyncRequest(
+      createMinimalSyncRequest(fileId, groupId, keyId),
+    );
+    expect(pullRes.statusCode).toEqual(200);
+  });
+});
+
+describe('key rotation', () => {
+  const upload = (path, fileId, content, keyId, headers = {}) =>
+    request(app)
+      .post(path)
+      .set('Content-Type', 'application/encrypted-file')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-name', 'rotated-budget')
+      .set('x-actual-file-id', fileId)
+      .set('x-actual-format', '2')
+      .set('x-actual-encrypt-meta', JSON.stringify({ keyId }))
+      .set(headers)
+      .send(Buffer.from(content));
+
+  const post = (path, body) =>
+    request(app).post(path).set('x-actual-token', 'valid-token').send(body);
+
+  const getInfo = async (fileId) =>
+    (
+      await request(app)
+        .get('/get-user-file-info')
+        .set('x-actual-token', 'valid-token')
+        .set('x-actual-file-id', fileId)
+    ).body.data;
+
+  const newKey = {
+    keyId: 'new-key',
+    keySalt: 'new-salt',
+    testContent: 'new-test',
+  };
+
+  let fileId, groupId;
+
+  beforeEach(async () => {
+    fileId = crypto.randomBytes(16).toString('hex');
+    const res = await upload('/upload-user-file', fileId, 'old', 'old-key');
+    groupId = res.body.groupId;
+    getAccountDb().mutate('UPDATE files SET encrypt_keyid = ? WHERE id = ?', [
+      'old-key',
+      fileId,
+    ]);
+  });
+
+  afterEach(() => {
+    getAccountDb().mutate('DELETE FROM key_rotations WHERE file_id = ?', [
+      fileId,
+    ]);
+  });
+
+  it('switches the file to the new key on commit', async () => {
+    expect(
+      (await post('/begin-key-rotation', { fileId, ...newKey })).statusCode,
+    ).toEqual(200);
+    expect(await getInfo(fileId)).toMatchObject({
+      keyRotation: { status: 'started', keyId: 'new-key' },
+    });
+
+    const uploaded = await upload(
+      '/upload-key-rotation-file',
+      fileId,
+      'new',
+      'new-key',
+    );
+    expect(uploaded.statusCode).toEqual(200);
+    expect(await getInfo(fileId)).toMatchObject({
+      keyRotation: { status: 'uploaded', keyId: 'new-key' },
+    });
+
+    // The current key stays in use until the commit
+    const key = await post('/user-get-key', { fileId });
+    expect(key.body.data.id).toEqual('old-key');
+
+    const res = await post('/commit-key-rotation', { fileId });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.groupId).not.toEqual(groupId);
+    const file = getAccountDb().first('SELECT * FROM files WHERE id = ?', [
+      fileId,
+    ]);
+    expect(file).toMatchObject({
+      group_id: res.body.groupId,
+      encrypt_keyid: 'new-key',
+      encrypt_salt: 'new-salt',
+      encrypt_test: 'new-test',
+      encrypt_meta: JSON.stringify({ keyId: 'new-key' }),
+    });
+    expect(fs.readFileSync(getPathForUserFile(fileId), 'utf8')).toEqual('new');
+    expect((await getInfo(fileId)).keyRotation).toBeNull();
+
+    const syncRes = await sendSyncRequest(
+      createMinimalSyncRequest(fileId, groupId, 'old-key'),
+    );
+    expect(syncRes.statusCode).toEqual(400);
+    expect(syncRes.text).toEqual('file-has-reset');
+
+    const audit = await request(app)
+      .get('/list-user-file-audit')
+      .set('x-actual-token', 'valid-token')
+      .set('x-actual-file-id', fileId);
+    expect(audit.body.data.map((entry) => entry.action)).toEqual([
+      'key-rotation-commit',
+      'key-rotation-upload',
+      'key-rotation-begin',
+    ]);
+    expect(audit.body.data[0]).toMatchObject({
+      userId: 'genericAdmin',
+      details: { keyId: 'new-key', previousKeyId: 'old-key' },
+    });
+  });
+
+  it('refuses to start a second rotation', async () => {
+    await post('/begin-key-rotation', { fileId, ...newKey });
+
+    const res = await post('/begin-key-rotation', {
+      fileId,
+      ...newKey,
+      keyId: 'other-key',
+    });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('key-rotation-in-progress');
+  });
+
+  it('refuses uploads encrypted with another key', async () => {
+    await post('/begin-key-rotation', { fileId, ...newKey });
+
+    const res = await upload(
+      '/upload-key-rotation-file',
+      fileId,
+      'new',
+      'old-key',
+    );
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('key-rotation-key-mismatch');
+  });
+
+  it('refuses to commit before the upload', async () => {
+    await post('/begin-key-rotation', { fileId, ...newKey });
+
+    const res = await post('/commit-key-rotation', { fileId });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('key-rotation-needs-upload');
+  });
+
+  it('refuses to commit when the file changed after the upload', async () => {
+    await post('/begin-key-rotation', { fileId, ...newKey });
+    await upload('/upload-key-rotation-file', fileId, 'new', 'new-key');
+    await upload('/upload-user-file', fileId, 'newer', 'old-key', {
+      'x-actual-group-id': groupId,
+    });
+
+    const res = await post('/commit-key-rotation', { fileId });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('key-rotation-outdated');
+    expect(
+      getAccountDb().first('SELECT encrypt_keyid FROM files WHERE id = ?', [
+        fileId,
+      ]),
+    ).toEqual({ encrypt_keyid: 'old-key' });
+  });
+
+  it('keeps the current key when the new blob cannot be written', async () => {
+    await post('/begin-key-rotation', { fileId, ...newKey });
+    await upload('/upload-key-rotation-file', fileId, 'new', 'new-key');
+
+    // The current blob can't be moved aside to keep it as a version
+    const { id: versionId } = getAccountDb().first(
+      'SELECT id FROM file_versions WHERE file_id = ?',
+      [fileId],
+    );
+    const versionPath = getPathForFileVersion(fileId, versionId);
+    fs.mkdirSync(versionPath);
+    fs.writeFileSync(`${versionPath}/keep`, 'keep');
+
+    try {
+      const res = await post('/commit-key-rotation', { fileId });
+
+      expect(res.statusCode).toEqual(500);
+      expect(
+        getAccountDb().first(
+          'SELECT group_id, encrypt_keyid FROM files WHERE id = ?',
+          [fileId],
+        ),
+      ).toEqual({ group_id: groupId, encrypt_keyid: 'old-key' });
+      expect(fs.readFileSync(getPathForUserFile(fileId), 'utf8')).toEqual(
+        'old',
+      );
+      expect(await getInfo(fileId)).toMatchObject({
+        keyRotation: { status: 'uploaded', keyId: 'new-key' },
+      });
+    } finally {
+      fs.rmSync(versionPath, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the current key when aborted', async () => {
+    await post('/begin-key-rotation', { fileId, ...newKey });
+    await upload('/upload-key-rotation-file', fileId, 'new', 'new-key');
+
+    const res = await post('/abort-key-rotation', { fileId });
+
+    expect(res.statusCode).toEqual(200);
+    expect((await getInfo(fileId)).keyRotation).toBeNull();
+    expect(fs.readFileSync(getPathForUserFile(fileId), 'utf8')).toEqual('old');
+
+    const again = await post('/abort-key-rotation', { fileId });
+    expect(again.statusCode).toEqual(400);
+    expect(again.text).toEqual('no-key-rotation');
+  });
+
+  it('requires a key id', async () => {
+    const res = await post('/begin-key-rotation', { fileId });
+
+    expect(res.statusCode).toEqual(422);
+    expect(res.body.details).toEqual('keyId-required');
+  });
+});
+
+describe('permission levels', () => {
+  const userHeaders = { 'x-actual-token': 'valid-token-user' };
+  const keyId = 'key-id';
+  let fileId, groupId;
+
+  const share = (permission) =>
+    getAccountDb().mutate(
+      'INSERT INTO user_access (user_id, file_id, permission) VALUES (?, ?, ?)',
+      ['genericUser', fileId, permission],
+    );
+
+  const pushRequest = () => {
+    const message = new SyncProtoBuf.MessageEnvelope();
+    message.setTimestamp('2024-01-02T00:00:00.000Z-0000-0123456789abcdef');
+    message.setIsencrypted(false);
+    message.setContent(Buffer.from('change'));
+
+    const syncRequest = createMinimalSyncRequest(fileId, groupId, keyId);
+    syncRequest.setMessagesList([message]);
+    return syncRequest;
+  };
+
+  beforeEach(() => {
+    fileId = crypto.randomBytes(16).toString('hex');
+    groupId = crypto.randomBytes(16).toString('hex');
+    addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+  });
+
+  afterEach(() => {
+    getAccountDb().mutate('DELETE FROM user_access WHERE file_id = ?', [
+      fileId,
+    ]);
+    groupDbManager.invalidate(groupId);
+    fs.rmSync(getPathForGroupFile(groupId), { force: true });
+  });
+
+  it('lets viewers pull changes', async () => {
+    share('viewer');
+
+    const res = await sendSyncRequest(
+      createMinimalSyncRequest(fileId, groupId, keyId),
+      userHeaders,
+    );
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it('refuses viewers pushing changes', async () => {
+    share('viewer');
+
+    const res = await sendSyncRequest(pushRequest(), userHeaders);
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.text).toEqual('file-read-only');
+  });
+
+  it('lets editors push changes', async () => {
+    share('editor');
+
+    const res = await sendSyncRequest(pushRequest(), userHeaders);
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it('refuses viewers uploading the file', async () => {
+    share('viewer');
+
+    const res = await request(app)
+      .post('/upload-user-file')
+      .set('Content-Type', 'application/encrypted-file')
+      .set(userHeaders)
+      .set('x-actual-name', 'budget')
+      .set('x-actual-file-id', fileId)
+      .set('x-actual-group-id', groupId)
+      .set('x-actual-format', '2')
+      .set('x-actual-encrypt-meta', JSON.stringify({ keyId }))
+      .send(Buffer.from('content'));
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.text).toEqual('file-read-only');
+  });
+
+  it.each([
+    ['/reset-user-file', {}],
+    ['/update-user-filename', { name: 'renamed' }],
+    ['/delete-user-file', {}],
+  ])('refuses viewers on %s', async (path, body) => {
+    share('viewer');
+
+    const res = await request(app)
+      .post(path)
+      .set(userHeaders)
+      .send({ fileId, ...body });
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.text).toEqual('file-read-only');
+    expect(
+      getAccountDb().first(
+        'SELECT name, group_id, deleted FROM files WHERE id = ?',
+        [fileId],
+      ),
+    ).toEqual({ name: null, group_id: groupId, deleted: 0 });
+  });
+
+  it('lets editors rename the file', async () => {
+    share('editor');
+
+    const res = await request(app)
+      .post('/update-user-filename')
+      .set(userHeaders)
+      .send({ fileId, name: 'renamed' });
 
-      expect(res.body).toBeInstanceOf(Buffer);
-      expect(res.body.toString('utf8')).toEqual(fileContent);
-    });
+    expect(res.statusCode).toEqual(200);
   });
 });
 
@@ -616,6 +1690,7 @@ describe('/get-user-file-info', () => {
         groupId: fileInfo.group_id,
         name: fileInfo.name,
         encryptMeta: { key: 'value' },
+        keyRotation: null,
         usersWithAccess: [],
       },
     });
@@ -708,6 +1783,324 @@ describe('/delete-user-file', () => {
   });
 });
 
+describe('/list-deleted-user-files', () => {
+  it('returns 401 if the user is not authenticated', async () => {
+    const res = await request(app).get('/list-deleted-user-files');
+
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('lists deleted files with their deletion time', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate(
+      'INSERT INTO files (id, name, deleted, owner) VALUES (?, ?, FALSE, ?)',
+      [fileId, 'deleted-file', 'genericAdmin'],
+    );
+    await request(app)
+      .post('/delete-user-file')
+      .set('x-actual-token', 'valid-token')
+      .send({ fileId });
+
+    const res = await request(app)
+      .get('/list-deleted-user-files')
+      .set('x-actual-token', 'valid-token');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toEqual(
+      expect.arrayContaining([
+        {
+          fileId,
+          groupId: null,
+          name: 'deleted-file',
+          owner: 'genericAdmin',
+          deletedAt: expect.any(Number),
+        },
+      ]),
+    );
+  });
+});
+
+describe('/restore-user-file', () => {
+  it('returns 401 if the user is not authenticated', async () => {
+    const res = await request(app).post('/restore-user-file');
+
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('returns 400 if the file is not deleted', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate('INSERT INTO files (id, deleted) VALUES (?, FALSE)', [
+      fileId,
+    ]);
+
+    const res = await request(app)
+      .post('/restore-user-file')
+      .set('x-actual-token', 'valid-token')
+      .send({ fileId });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('file-not-found');
+  });
+
+  it('returns 403 if the user does not own the file', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate(
+      'INSERT INTO files (id, deleted, owner) VALUES (?, TRUE, ?)',
+      [fileId, 'genericAdmin'],
+    );
+
+    const res = await request(app)
+      .post('/restore-user-file')
+      .set('x-actual-token', 'valid-token-user')
+      .send({ fileId });
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  it('restores a deleted file', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate(
+      'INSERT INTO files (id, deleted, deleted_at, owner) VALUES (?, TRUE, ?, ?)',
+      [fileId, Date.now(), 'genericAdmin'],
+    );
+
+    const res = await request(app)
+      .post('/restore-user-file')
+      .set('x-actual-token', 'valid-token')
+      .send({ fileId });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ status: 'ok' });
+
+    const rows = getAccountDb().all(
+      'SELECT deleted, deleted_at FROM files WHERE id = ?',
+      [fileId],
+    );
+    expect(rows[0]).toEqual({ deleted: 0, deleted_at: null });
+  });
+});
+
+describe('/duplicate-user-file', () => {
+  const keyId = 'key-id';
+  let fileId, groupId, copiedGroupId;
+
+  const duplicate = (body, token = 'valid-token') =>
+    request(app)
+      .post('/duplicate-user-file')
+      .set('x-actual-token', token)
+      .send(body);
+
+  beforeEach(async () => {
+    fileId = crypto.randomBytes(16).toString('hex');
+    copiedGroupId = null;
+
+    groupId = (
+      await request(app)
+        .post('/upload-user-file')
+        .set('Content-Type', 'application/encrypted-file')
+        .set('x-actual-token', 'valid-token')
+        .set('x-actual-name', 'original')
+        .set('x-actual-file-id', fileId)
+        .set('x-actual-format', '2')
+        .set('x-actual-encrypt-meta', JSON.stringify({ keyId }))
+        .send(Buffer.from('budget'))
+    ).body.groupId;
+    getAccountDb().mutate(
+      'UPDATE files SET encrypt_keyid = ?, encrypt_salt = ?, encrypt_test = ? WHERE id = ?',
+      [keyId, 'salt', 'test', fileId],
+    );
+
+    const message = new SyncProtoBuf.MessageEnvelope();
+    message.setTimestamp('2024-01-02T00:00:00.000Z-0000-0123456789abcdef');
+    message.setIsencrypted(false);
+    message.setContent(Buffer.from('change'));
+    const syncRequest = createMinimalSyncRequest(fileId, groupId, keyId);
+    syncRequest.setMessagesList([message]);
+    await sendSyncRequest(syncRequest);
+  });
+
+  afterEach(() => {
+    getAccountDb().mutate('DELETE FROM user_access WHERE file_id = ?', [
+      fileId,
+    ]);
+    for (const id of [groupId, copiedGroupId].filter(Boolean)) {
+      groupDbManager.invalidate(id);
+      fs.rmSync(getPathForGroupFile(id), { force: true });
+    }
+  });
+
+  it('returns 422 if fileId is not provided', async () => {
+    const res = await duplicate({});
+
+    expect(res.statusCode).toEqual(422);
+    expect(res.body.details).toEqual('fileId-required');
+  });
+
+  it('copies the file, its key and its messages to a new group', async () => {
+    getAccountDb().mutate(
+      'INSERT INTO user_access (user_id, file_id, permission) VALUES (?, ?, ?)',
+      ['genericUser', fileId, 'viewer'],
+    );
+
+    const res = await duplicate({ fileId }, 'valid-token-user');
+
+    expect(res.statusCode).toEqual(200);
+    copiedGroupId = res.body.groupId;
+    expect(copiedGroupId).not.toEqual(groupId);
+
+    const copy = getAccountDb().first('SELECT * FROM files WHERE id = ?', [
+      res.body.fileId,
+    ]);
+    expect(copy).toEqual(
+      expect.objectContaining({
+        group_id: copiedGroupId,
+        name: 'original (copy)',
+        owner: 'genericUser',
+        encrypt_keyid: keyId,
+        encrypt_salt: 'salt',
+        encrypt_test: 'test',
+        encrypt_meta: JSON.stringify({ keyId }),
+      }),
+    );
+    expect(
+      fs.readFileSync(getPathForUserFile(res.body.fileId), 'utf8'),
+    ).toEqual('budget');
+
+    const copiedGroup = groupDbManager.get(copiedGroupId);
+    expect(copiedGroup.statements.messagesSince.all('').length).toBe(1);
+    expect(copiedGroup.getMerkle()).toEqual(
+      groupDbManager.get(groupId).getMerkle(),
+    );
+  });
+
+  it('starts with an empty group when messages are not copied', async () => {
+    const res = await duplicate({
+      fileId,
+      name: 'sandbox',
+      copyMessages: false,
+    });
+
+    expect(res.statusCode).toEqual(200);
+    copiedGroupId = res.body.groupId;
+    expect(fs.existsSync(getPathForGroupFile(copiedGroupId))).toBe(false);
+    expect(
+      getAccountDb().first('SELECT name FROM files WHERE id = ?', [
+        res.body.fileId,
+      ]).name,
+    ).toEqual('sandbox');
+  });
+
+  it('returns 403 if the user has no access to the file', async () => {
+    const res = await duplicate({ fileId }, 'valid-token-user');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.body.details).toEqual('file-denied');
+  });
+
+  it('returns 400 if the file has not been uploaded', async () => {
+    const otherFileId = crypto.randomBytes(16).toString('hex');
+    addMockFile(otherFileId, null, keyId, JSON.stringify({ keyId }), 2);
+
+    const res = await duplicate({ fileId: otherFileId });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toEqual({ status: 'error', reason: 'file-needs-upload' });
+  });
+});
+
+describe('api tokens', () => {
+  const keyId = 'key-id';
+  let fileId, groupId;
+
+  const createToken = (scopes, expiresAt = null) =>
+    ApiTokenService.createToken({
+      userId: 'genericAdmin',
+      name: 'script',
+      scopes,
+      expiresAt,
+    }).token;
+
+  const pushRequest = () => {
+    const message = new SyncProtoBuf.MessageEnvelope();
+    message.setTimestamp('2024-01-02T00:00:00.000Z-0000-0123456789abcdef');
+    message.setIsencrypted(false);
+    message.setContent(Buffer.from('change'));
+
+    const syncRequest = createMinimalSyncRequest(fileId, groupId, keyId);
+    syncRequest.setMessagesList([message]);
+    return syncRequest;
+  };
+
+  beforeEach(() => {
+    fileId = crypto.randomBytes(16).toString('hex');
+    groupId = crypto.randomBytes(16).toString('hex');
+    addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+  });
+
+  afterEach(() => {
+    getAccountDb().mutate('DELETE FROM api_tokens');
+    groupDbManager.invalidate(groupId);
+    fs.rmSync(getPathForGroupFile(groupId), { force: true });
+  });
+
+  it('lets read tokens pull but not push changes', async () => {
+    const token = createToken(['sync:read']);
+
+    const pull = await sendSyncRequest(
+      createMinimalSyncRequest(fileId, groupId, keyId),
+      { 'x-actual-token': token },
+    );
+    const push = await sendSyncRequest(pushRequest(), {
+      'x-actual-token': token,
+    });
+
+    expect(pull.statusCode).toEqual(200);
+    expect(push.statusCode).toEqual(403);
+    expect(push.body.details).toEqual('insufficient-scope');
+  });
+
+  it('lets write tokens push changes', async () => {
+    const res = await sendSyncRequest(pushRequest(), {
+      'x-actual-token': createToken(['sync:write']),
+    });
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it('refuses tokens without a sync scope', async () => {
+    const res = await request(app)
+      .get('/list-user-files')
+      .set('x-actual-token', createToken(['bank-sync']));
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.body).toEqual({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'insufficient-scope',
+    });
+  });
+
+  it('refuses expired tokens and records when tokens are used', async () => {
+    const expired = createToken(['sync:read'], Date.now() - 1000);
+    const res = await request(app)
+      .get('/list-user-files')
+      .set('x-actual-token', expired);
+
+    expect(res.statusCode).toEqual(401);
+    expect(res.body.reason).toEqual('token-expired');
+
+    await request(app)
+      .get('/list-user-files')
+      .set('x-actual-token', createToken(['sync:read']));
+
+    expect(
+      ApiTokenService.listTokens('genericAdmin').map(
+        (token) => token.lastUsedAt,
+      ),
+    ).toEqual([null, expect.any(Number)]);
+  });
+});
+
 describe('/sync', () => {
   it('returns 401 if the user is not authenticated', async () => {
     const res = await request(app).post('/sync');
@@ -825,6 +2218,110 @@ describe('/sync', () => {
     expect(res.text).toEqual('file-needs-upload');
   });
 
+  it('returns 400 if messages the client needs have been pruned', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const groupId = crypto.randomBytes(16).toString('hex');
+    const keyId = 'key-id';
+    addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+    getAccountDb().mutate(
+      'INSERT INTO group_snapshots (group_id, file_id, snapshot_timestamp, compacted_through) VALUES (?, ?, ?, ?)',
+      [
+        groupId,
+        fileId,
+        '2024-02-01T00:00:00.000Z-0000-0123456789abcdef',
+        '2024-02-01T00:00:00.000Z-0000-0123456789abcdef',
+      ],
+    );
+
+    const res = await sendSyncRequest(
+      createMinimalSyncRequest(fileId, groupId, keyId),
+    );
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.text).toEqual('file-has-reset');
+  });
+
+  it('records clients that pull without identifying themselves', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const groupId = crypto.randomBytes(16).toString('hex');
+    const keyId = 'key-id';
+    addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+
+    const res = await sendSyncRequest(
+      createMinimalSyncRequest(fileId, groupId, keyId),
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(
+      getAccountDb().all(
+        'SELECT client_id FROM group_clients WHERE group_id = ?',
+        [groupId],
+      ),
+    ).toEqual([{ client_id: '' }]);
+  });
+
+  describe('pagination', () => {
+    const timestamps = [
+      '2024-01-02T00:00:00.000Z-0000-0123456789abcdef',
+      '2024-01-03T00:00:00.000Z-0000-0123456789abcdef',
+      '2024-01-04T00:00:00.000Z-0000-0123456789abcdef',
+    ];
+    let fileId, groupId;
+    const keyId = 'key-id';
+
+    beforeEach(async () => {
+      fileId = crypto.randomBytes(16).toString('hex');
+      groupId = crypto.randomBytes(16).toString('hex');
+      addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+
+      const syncRequest = createMinimalSyncRequest(fileId, groupId, keyId);
+      syncRequest.setMessagesList(
+        timestamps.map((timestamp) => {
+          const message = new SyncProtoBuf.MessageEnvelope();
+          message.setTimestamp(timestamp);
+          message.setIsencrypted(false);
+          message.setContent(Buffer.from(timestamp));
+          return message;
+        }),
+      );
+      await sendSyncRequest(syncRequest);
+    });
+
+    it('returns every message when no page size is requested', async () => {
+      const res = await sendBinarySyncRequest(
+        createMinimalSyncRequest(fileId, groupId, keyId),
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['x-actual-sync-has-more']).toBeUndefined();
+      expect(getSyncedTimestamps(res)).toEqual(timestamps);
+    });
+
+    it('returns pages with a continuation marker', async () => {
+      const firstRes = await sendBinarySyncRequest(
+        createMinimalSyncRequest(fileId, groupId, keyId),
+        { 'x-actual-sync-page-size': '2' },
+      );
+
+      expect(firstRes.statusCode).toEqual(200);
+      expect(firstRes.headers['x-actual-sync-has-more']).toEqual('true');
+      expect(firstRes.headers['x-actual-sync-next-since']).toEqual(
+        timestamps[1],
+      );
+      expect(getSyncedTimestamps(firstRes)).toEqual(timestamps.slice(0, 2));
+
+      const nextRequest = createMinimalSyncRequest(fileId, groupId, keyId);
+      nextRequest.setSince(firstRes.headers['x-actual-sync-next-since']);
+      const secondRes = await sendBinarySyncRequest(nextRequest, {
+        'x-actual-sync-page-size': '2',
+      });
+
+      expect(secondRes.headers['x-actual-sync-has-more']).toEqual('false');
+      expect(secondRes.headers['x-actual-sync-next-since']).toBeUndefined();
+      expect(getSyncedTimestamps(secondRes)).toEqual(timestamps.slice(2));
+    });
+  });
+
   it('returns 400 if the file has a new encryption key', async () => {
     const fileId = crypto.randomBytes(16).toString('hex');
     const groupId = 'group-id';
@@ -844,6 +2341,116 @@ describe('/sync', () => {
   });
 });
 
+describe('/events', () => {
+  it('returns 401 if the user is not authenticated', async () => {
+    const res = await request(app).get('/events');
+
+    expect(res.statusCode).toEqual(401);
+    expect(res.body).toEqual({
+      details: 'token-not-found',
+      reason: 'unauthorized',
+      status: 'error',
+    });
+  });
+
+  it('returns 422 if the fileId is not provided', async () => {
+    const res = await request(app)
+      .get('/events')
+      .set('x-actual-token', 'valid-token');
+
+    expect(res.statusCode).toEqual(422);
+    expect(res.body).toEqual({
+      details: 'fileId-required',
+      reason: 'unprocessable-entity',
+      status: 'error',
+    });
+  });
+
+  it('returns 403 if the user has no access to the file', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    addMockFile(fileId, 'group-id', 'key-id', null, 2);
+
+    const res = await request(app)
+      .get('/events')
+      .set('x-actual-token', 'valid-token-user')
+      .set('x-actual-file-id', fileId);
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.body).toEqual({
+      status: 'error',
+      reason: 'forbidden',
+      details: 'file-denied',
+    });
+  });
+
+  it('streams an event when new messages are synced', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const groupId = crypto.randomBytes(16).toString('hex');
+    const keyId = 'key-id';
+    const timestamp = '2024-01-02T00:00:00.000Z-0000-0123456789abcdef';
+    addMockFile(fileId, groupId, keyId, JSON.stringify({ keyId }), 2);
+
+    const server = app.listen(0);
+    const { port } = /** @type {import('node:net').AddressInfo} */ (
+      server.address()
+    );
+
+    let received = '';
+    let onData;
+    const stream = await new Promise((resolve) => {
+      http.get(
+        {
+          port,
+          path: '/events',
+          headers: {
+            'x-actual-token': 'valid-token',
+            'x-actual-file-id': fileId,
+          },
+        },
+        resolve,
+      );
+    });
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      received += chunk;
+      onData?.();
+    });
+    const waitFor = (text) =>
+      new Promise((resolve) => {
+        onData = () => received.includes(text) && resolve(undefined);
+        onData();
+      });
+
+    try {
+      expect(stream.statusCode).toEqual(200);
+      expect(stream.headers['content-type']).toEqual('text/event-stream');
+      await waitFor('event: ready');
+
+      const syncRequest = createMinimalSyncRequest(fileId, groupId, keyId);
+      const message = new SyncProtoBuf.MessageEnvelope();
+      message.setTimestamp(timestamp);
+      message.setIsencrypted(false);
+      message.setContent(Buffer.from('content'));
+      syncRequest.setMessagesList([message]);
+      await sendSyncRequest(syncRequest);
+
+      await waitFor('event: messages');
+      const data = received
+        .split('\n')
+        .find((line) => line.startsWith('data: {"type":"messages"'));
+      expect(JSON.parse(data.slice('data: '.length))).toEqual({
+        type: 'messages',
+        groupId,
+        count: 1,
+        timestamp,
+      });
+    } finally {
+      stream.destroy();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
+
 function addMockFile(fileId, groupId, keyId, encryptMeta, syncVersion) {
   getAccountDb().mutate(
     'INSERT INTO files (id, group_id, encrypt_keyid, encrypt_meta, sync_version, owner) VALUES (?, ?, ?,?, ?, ?)',
@@ -861,7 +2468,7 @@ function createMinimalSyncRequest(fileId, groupId, keyId) {
   return syncRequest;
 }
 
-async function sendSyncRequest(syncRequest) {
+async function sendSyncRequest(syncRequest, headers = {}) {
   const serializedRequest = syncRequest.serializeBinary();
   // Convert Uint8Array to Buffer
   const bufferRequest = Buffer.from(serializedRequest);
@@ -870,6 +2477,28 @@ async function sendSyncRequest(syncRequest) {
     .post('/sync')
     .set('x-actual-token', 'valid-token')
     .set('Content-Type', 'application/actual-sync')
+    .set(headers)
     .send(bufferRequest);
   return res;
 }
+
+async function sendBinarySyncRequest(syncRequest, headers = {}) {
+  return request(app)
+    .post('/sync')
+    .set('x-actual-token', 'valid-token')
+    .set('Content-Type', 'application/actual-sync')
+    .set(headers)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    })
+    .send(Buffer.from(syncRequest.serializeBinary()));
+}
+
+function getSyncedTimestamps(res) {
+  return SyncProtoBuf.SyncResponse.deserializeBinary(res.body)
+    .getMessagesList()
+    .map((message) => message.getTimestamp());
+}
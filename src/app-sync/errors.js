@@ -11,3 +11,10 @@ export class GenericFileError extends Error {
     this.details = params;
   }
 }
+
+export class StorageError extends Error {
+  constructor(message, params = {}) {
+    super(message);
+    this.details = params;
+  }
+}
@@ -0,0 +1,25 @@
+/** @type {Map<string, Promise<unknown>>} */
+const fileLocks = new Map();
+
+/**
+ * Runs changes to the same file one after another, so that an `If-Match`
+ * check always sees the blob written by the previous upload. Locks only
+ * hold within this process.
+ * @template T
+ * @param {string} fileId
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export const withFileLock = async (fileId, fn) => {
+  const previous = fileLocks.get(fileId) ?? Promise.resolve();
+  const current = previous.then(fn);
+  const done = current.catch(() => null);
+  fileLocks.set(fileId, done);
+  try {
+    return await current;
+  } finally {
+    if (fileLocks.get(fileId) === done) {
+      fileLocks.delete(fileId);
+    }
+  }
+};
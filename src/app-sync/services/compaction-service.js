@@ -0,0 +1,255 @@
+import createDebug from 'debug';
+import { Timestamp } from '@actual-app/crdt';
+import getAccountDb from '../../account-db.js';
+import config from '../../load-config.js';
+import { groupDbManager } from './group-db-manager.js';
+
+const debug = createDebug('actual:compaction');
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Stands in for clients that sync without saying who they are. How far they
+ * got is unknown, so they hold off compaction until they go stale.
+ */
+const UNIDENTIFIED_CLIENT_ID = '';
+
+/**
+ * Records that the uploaded budget file contains every message up to the
+ * last sync of the uploading client, which makes those messages candidates
+ * for pruning. Messages synced by other devices meanwhile are not part of
+ * the file, so the newest message of the group can't be used.
+ * @param {string} fileId
+ * @param {string} groupId
+ * @param {string | null} lastSync the newest message the file contains
+ */
+export function recordSnapshot(fileId, groupId, lastSync) {
+  if (!lastSync || !Timestamp.parse(lastSync)) {
+    return;
+  }
+
+  const { timestamp: latest } =
+    groupDbManager
+      .get(groupId)
+      .db.first('SELECT max(timestamp) AS timestamp FROM messages_binary') ||
+    {};
+
+  if (!latest) {
+    return;
+  }
+
+  // The server can't vouch for messages it hasn't seen
+  const timestamp = lastSync < latest ? lastSync : latest;
+
+  getAccountDb().mutate(
+    `INSERT INTO group_snapshots (group_id, file_id, snapshot_timestamp, created_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (group_id) DO UPDATE SET
+         file_id = excluded.file_id,
+         snapshot_timestamp = excluded.snapshot_timestamp,
+         created_at = excluded.created_at`,
+    [groupId, fileId, timestamp, Date.now()],
+  );
+}
+
+/**
+ * Remembers how far a client has synced. A client asking for messages newer
+ * than `since` already holds everything up to it.
+ * @param {string} groupId
+ * @param {string | null} clientId null for clients that can't be identified
+ * @param {string} since
+ */
+export function recordClientSync(groupId, clientId, since) {
+  clientId = clientId ?? UNIDENTIFIED_CLIENT_ID;
+  getAccountDb().mutate(
+    `INSERT INTO group_clients (group_id, client_id, acknowledged, last_seen)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (group_id, client_id) DO UPDATE SET
+         acknowledged = max(acknowledged, excluded.acknowledged),
+         last_seen = excluded.last_seen`,
+    [groupId, clientId, since, Date.now()],
+  );
+}
+
+/**
+ * Identifies the syncing client by the `x-actual-client-id` header, falling
+ * back to the node id of the messages it sends.
+ * @param {{ headers: import('node:http').IncomingHttpHeaders }} req
+ * @param {Array<{ getTimestamp(): string }>} messages
+ */
+export function getClientId(req, messages) {
+  const header = req.headers['x-actual-client-id'];
+  if (typeof header === 'string' && header) {
+    return header;
+  }
+
+  if (messages.length > 0) {
+    const timestamp = Timestamp.parse(messages[0].getTimestamp());
+    return timestamp ? timestamp.node() : null;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a client syncing from `since` would miss messages that have
+ * already been pruned. Such a client has to download the file again.
+ * @param {string} groupId
+ * @param {string} since
+ */
+export function isBehindCompaction(groupId, since) {
+  const { compacted_through: compactedThrough } =
+    getAccountDb().first(
+      'SELECT compacted_through FROM group_snapshots WHERE group_id = ?',
+      [groupId],
+    ) || {};
+
+  return compactedThrough != null && since < compactedThrough;
+}
+
+/**
+ * The XOR of the hashes of every message pruned from the group. The stored
+ * merkle trie still covers those messages, so this is needed to check it
+ * against the remaining ones.
+ * @param {string} groupId
+ * @returns {number}
+ */
+export function getCompactedHash(groupId) {
+  const { compacted_hash: compactedHash } =
+    getAccountDb().first(
+      'SELECT compacted_hash FROM group_snapshots WHERE group_id = ?',
+      [groupId],
+    ) || {};
+
+  return compactedHash || 0;
+}
+
+/**
+ * Drops the compaction bookkeeping of a group that no longer exists.
+ * @param {string} groupId
+ */
+export function forgetGroup(groupId) {
+  const accountDb = getAccountDb();
+  accountDb.transaction(() => {
+    accountDb.mutate('DELETE FROM group_snapshots WHERE group_id = ?', [
+      groupId,
+    ]);
+    accountDb.mutate('DELETE FROM group_clients WHERE group_id = ?', [groupId]);
+  });
+}
+
+/**
+ * Carries the snapshot and compaction bookkeeping of a group over to a copy
+ * of its sync data, which shares the same pruned messages.
+ * @param {string} groupId
+ * @param {string} newGroupId
+ * @param {string} fileId the file the copy belongs to
+ */
+export function copySnapshot(groupId, newGroupId, fileId) {
+  getAccountDb().mutate(
+    `INSERT INTO group_snapshots
+       (group_id, file_id, snapshot_timestamp, created_at, compacted_through, compacted_hash, compacted_at)
+       SELECT ?, ?, snapshot_timestamp, created_at, compacted_through, compacted_hash, compacted_at
+         FROM group_snapshots WHERE group_id = ?`,
+    [newGroupId, fileId, groupId],
+  );
+}
+
+/**
+ * Prunes messages that are part of the last uploaded snapshot and that every
+ * recently seen client has acknowledged. The merkle trie is left untouched:
+ * the pruned messages still exist in the budget file and on every client.
+ * @param {string} groupId
+ * @returns {{ groupId: string, pruned: number, compactedThrough: string | null }}
+ */
+export function compactGroup(groupId) {
+  const accountDb = getAccountDb();
+  const snapshot = accountDb.first(
+    'SELECT * FROM group_snapshots WHERE group_id = ?',
+    [groupId],
+  );
+
+  if (!snapshot || !snapshot.snapshot_timestamp) {
+    return { groupId, pruned: 0, compactedThrough: null };
+  }
+
+  const seenSince = Date.now() - config.compaction.staleClientDays * MS_PER_DAY;
+  const unidentified = accountDb.first(
+    `SELECT 1 FROM group_clients
+       WHERE group_id = ? AND client_id = ? AND last_seen >= ?`,
+    [groupId, UNIDENTIFIED_CLIENT_ID, seenSince],
+  );
+  const { acknowledged } = accountDb.first(
+    `SELECT min(acknowledged) AS acknowledged FROM group_clients
+       WHERE group_id = ? AND last_seen >= ?`,
+    [groupId, seenSince],
+  );
+
+  if (unidentified || !acknowledged) {
+    return {
+      groupId,
+      pruned: 0,
+      compactedThrough: snapshot.compacted_through,
+    };
+  }
+
+  const cutoff =
+    acknowledged < snapshot.snapshot_timestamp
+      ? acknowledged
+      : snapshot.snapshot_timestamp;
+
+  if (snapshot.compacted_through && cutoff <= snapshot.compacted_through) {
+    return {
+      groupId,
+      pruned: 0,
+      compactedThrough: snapshot.compacted_through,
+    };
+  }
+
+  const groupDb = groupDbManager.get(groupId);
+  let compactedHash = snapshot.compacted_hash;
+  let pruned = 0;
+
+  groupDb.transaction(() => {
+    const rows = groupDb.db.all(
+      'SELECT timestamp FROM messages_binary WHERE timestamp <= ?',
+      [cutoff],
+    );
+    for (const row of rows) {
+      compactedHash ^= Timestamp.parse(row.timestamp).hash();
+    }
+
+    pruned = groupDb.db.mutate(
+      'DELETE FROM messages_binary WHERE timestamp <= ?',
+      [cutoff],
+    ).changes;
+  });
+
+  if (pruned > 0) {
+    // Give the freed pages back to the file system
+    groupDb.db.exec('VACUUM');
+  }
+
+  accountDb.mutate(
+    `UPDATE group_snapshots
+       SET compacted_through = ?, compacted_hash = ?, compacted_at = ?
+       WHERE group_id = ?`,
+    [cutoff, compactedHash, Date.now(), groupId],
+  );
+
+  debug(`pruned ${pruned} messages of group '${groupId}' up to ${cutoff}`);
+
+  return { groupId, pruned, compactedThrough: cutoff };
+}
+
+/**
+ * Compacts every group that has a recorded snapshot.
+ */
+export function compactAllGroups() {
+  const rows = getAccountDb().all(
+    `SELECT group_snapshots.group_id FROM group_snapshots
+       JOIN files ON files.group_id = group_snapshots.group_id
+       WHERE files.deleted = 0`,
+  );
+
+  return rows.map((row) => compactGroup(row.group_id));
+}
@@ -0,0 +1,204 @@
+import * as uuid from 'uuid';
+import getAccountDb from '../../account-db.js';
+import config from '../../load-config.js';
+import {
+  getBlobStorage,
+  getKeyForFileVersion,
+  getKeyForUserFile,
+} from '../storage/index.js';
+
+/**
+ * @typedef {Object} FileVersion
+ * @property {string} id
+ * @property {string} fileId
+ * @property {string | null} groupId
+ * @property {number | null} syncVersion
+ * @property {string | null} encryptMeta
+ * @property {number} size
+ * @property {string | null} uploadedBy
+ * @property {number} createdAt
+ */
+
+/** @returns {FileVersion} */
+function toFileVersion(row) {
+  return {
+    id: row.id,
+    fileId: row.file_id,
+    groupId: row.group_id,
+    syncVersion: row.sync_version,
+    encryptMeta: row.encrypt_meta,
+    size: row.size,
+    uploadedBy: row.uploaded_by,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Lists the versions of a file, newest (the current blob) first.
+ * @param {string} fileId
+ * @returns {FileVersion[]}
+ */
+export function listVersions(fileId) {
+  return getAccountDb()
+    .all(
+      'SELECT * FROM file_versions WHERE file_id = ? ORDER BY created_at DESC, rowid DESC',
+      [fileId],
+    )
+    .map(toFileVersion);
+}
+
+/**
+ * @param {string} fileId
+ * @param {string} versionId
+ * @returns {FileVersion | null}
+ */
+export function getVersion(fileId, versionId) {
+  const row = getAccountDb().first(
+    'SELECT * FROM file_versions WHERE file_id = ? AND id = ?',
+    [fileId, versionId],
+  );
+  return row ? toFileVersion(row) : null;
+}
+
+/**
+ * @param {string} fileId
+ * @returns {FileVersion | null}
+ */
+export function getCurrentVersion(fileId) {
+  return listVersions(fileId)[0] ?? null;
+}
+
+/**
+ * The current version lives at the regular blob key, older ones next to it.
+ * @param {FileVersion} version
+ */
+export function getKeyForVersion(version) {
+  const current = getCurrentVersion(version.fileId);
+  return current && current.id === version.id
+    ? getKeyForUserFile(version.fileId)
+    : getKeyForFileVersion(version.fileId, version.id);
+}
+
+/**
+ * @param {FileVersion} version
+ * @returns {Promise<Buffer | null>}
+ */
+export function readVersion(version) {
+  return getBlobStorage().read(getKeyForVersion(version));
+}
+
+/**
+ * Records the blob that has just been written for a file.
+ * @returns {string} the id of the new version
+ */
+export function recordVersion({
+  fileId,
+  groupId,
+  syncVersion,
+  encryptMeta,
+  size,
+  uploadedBy,
+}) {
+  const id = uuid.v4();
+  getAccountDb().mutate(
+    `INSERT INTO file_versions (id, file_id, group_id, sync_version, encrypt_meta, size, uploaded_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      fileId,
+      groupId,
+      syncVersion,
+      encryptMeta,
+      size,
+      uploadedBy,
+      Date.now(),
+    ],
+  );
+  return id;
+}
+
+/**
+ * Moves the current blob of a file out of the way so it is kept as a
+ * previous version.
+ * @param {string} fileId
+ */
+async function archiveCurrentBlob(fileId) {
+  const storage = getBlobStorage();
+  const key = getKeyForUserFile(fileId);
+
+  const stat = await storage.stat(key);
+  if (!stat) {
+    return;
+  }
+
+  let versionId = getCurrentVersion(fileId)?.id;
+
+  if (!versionId) {
+    // The blob was uploaded before version history was kept
+    const file =
+      getAccountDb().first('SELECT * FROM files WHERE id = ?', [fileId]) || {};
+    versionId = uuid.v4();
+    getAccountDb().mutate(
+      `INSERT INTO file_versions (id, file_id, group_id, sync_version, encrypt_meta, size, uploaded_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, NULL, ?)`,
+      [
+        versionId,
+        fileId,
+        file.group_id ?? null,
+        file.sync_version ?? null,
+        file.encrypt_meta ?? null,
+        stat.size,
+        stat.modifiedAt,
+      ],
+    );
+  }
+
+  await storage.move(key, getKeyForFileVersion(fileId, versionId));
+}
+
+/**
+ * Replaces the blob of a file, keeping the previous one as a version. The
+ * caller records the new version once the file metadata is updated.
+ * @param {string} fileId
+ * @param {Buffer} content
+ */
+export async function writeBlob(fileId, content) {
+  const storage = getBlobStorage();
+  const key = getKeyForUserFile(fileId);
+  const tmpKey = `${key}.${uuid.v4()}.tmp`;
+
+  await storage.write(tmpKey, content);
+  try {
+    await archiveCurrentBlob(fileId);
+    await storage.move(tmpKey, key);
+  } catch (err) {
+    await storage.delete(tmpKey);
+    throw err;
+  }
+}
+
+/**
+ * The bytes that pruning frees once another version of a file is uploaded.
+ * @param {string} fileId
+ * @returns {number}
+ */
+export function getPrunableSize(fileId) {
+  return listVersions(fileId)
+    .slice(config.fileVersionsToKeep)
+    .reduce((total, version) => total + version.size, 0);
+}
+
+/**
+ * Deletes the oldest versions of a file beyond `fileVersionsToKeep`.
+ * @param {string} fileId
+ */
+export async function pruneVersions(fileId) {
+  const [, ...previous] = listVersions(fileId);
+
+  for (const version of previous.slice(config.fileVersionsToKeep)) {
+    await getBlobStorage().delete(getKeyForFileVersion(fileId, version.id));
+    getAccountDb().mutate('DELETE FROM file_versions WHERE id = ?', [
+      version.id,
+    ]);
+  }
+}
@@ -12,6 +12,7 @@ class FileBase {
     syncVersion,
     deleted,
     owner,
+    checksum,
   ) {
     this.name = name;
     this.groupId = groupId;
@@ -22,6 +23,7 @@ class FileBase {
     this.syncVersion = syncVersion;
     this.deleted = typeof deleted === 'boolean' ? deleted : Boolean(deleted);
     this.owner = owner;
+    this.checksum = checksum;
   }
 }
 
@@ -37,6 +39,7 @@ class File extends FileBase {
     syncVersion = null,
     deleted = false,
     owner = null,
+    checksum = null,
   }) {
     super(
       name,
@@ -48,6 +51,7 @@ class File extends FileBase {
       syncVersion,
       deleted,
       owner,
+      checksum,
     );
     this.id = id;
   }
@@ -69,6 +73,7 @@ class FileUpdate extends FileBase {
     syncVersion = undefined,
     deleted = undefined,
     owner = undefined,
+    checksum = undefined,
   }) {
     super(
       name,
@@ -80,6 +85,7 @@ class FileUpdate extends FileBase {
       syncVersion,
       deleted,
       owner,
+      checksum,
     );
   }
 }
@@ -105,7 +111,7 @@ class FilesService {
   set(file) {
     const deletedInt = boolToInt(file.deleted);
     this.accountDb.mutate(
-      'INSERT INTO files (id, group_id, sync_version, name, encrypt_meta, encrypt_salt, encrypt_test, encrypt_keyid, deleted, owner) VALUES (?, ?, ?, ?, ?, ?, ?, ? ,?, ?)',
+      'INSERT INTO files (id, group_id, sync_version, name, encrypt_meta, encrypt_salt, encrypt_test, encrypt_keyid, deleted, owner, checksum) VALUES (?, ?, ?, ?, ?, ?, ?, ? ,?, ?, ?)',
       [
         file.id,
         file.groupId,
@@ -113,10 +119,11 @@ class FilesService {
         file.name,
         file.encryptMeta,
         file.encryptSalt,
-        file.encrypt_test,
-        file.encrypt_keyid,
+        file.encryptTest,
+        file.encryptKeyId,
         deletedInt,
         file.owner,
+        file.checksum,
       ],
     );
   }
@@ -145,16 +152,37 @@ class FilesService {
     ).map(this.validate);
   }
 
+  /**
+   * Lists the deleted files a user can restore: their own, or every deleted
+   * file for admins.
+   */
+  findDeleted({ userId, limit = 1000 }) {
+    const rows = isAdmin(userId)
+      ? this.accountDb.all(
+          'SELECT * FROM files WHERE deleted = 1 ORDER BY deleted_at DESC LIMIT ?',
+          [limit],
+        )
+      : this.accountDb.all(
+          'SELECT * FROM files WHERE deleted = 1 AND owner = ? ORDER BY deleted_at DESC LIMIT ?',
+          [userId, limit],
+        );
+
+    return rows.map((row) => ({
+      ...this.validate(row),
+      deletedAt: row.deleted_at,
+    }));
+  }
+
   findUsersWithAccess(fileId) {
     const userAccess =
       this.accountDb.all(
-        `SELECT UA.user_id as userId, users.display_name displayName, users.user_name userName
+        `SELECT UA.user_id as userId, users.display_name displayName, users.user_name userName, UA.permission
               FROM files
                 JOIN user_access UA ON UA.file_id = files.id
                 JOIN users on users.id = UA.user_id
               WHERE files.id = ? 
           UNION ALL
-        SELECT users.id, users.display_name, users.user_name
+        SELECT users.id, users.display_name, users.user_name, 'owner'
               FROM files
                 JOIN users on users.id = files.owner
               WHERE files.id = ?
@@ -198,9 +226,21 @@ class FilesService {
       updates.push('sync_version = ?');
       params.push(fileUpdate.syncVersion);
     }
+    if (fileUpdate.checksum !== undefined) {
+      updates.push('checksum = ?');
+      params.push(fileUpdate.checksum);
+    }
     if (fileUpdate.deleted !== undefined) {
       updates.push('deleted = ?');
       params.push(boolToInt(fileUpdate.deleted));
+      // Only touch the deletion time when the flag actually changes
+      updates.push(
+        'deleted_at = CASE WHEN deleted = ? THEN deleted_at ELSE ? END',
+      );
+      params.push(
+        boolToInt(fileUpdate.deleted),
+        fileUpdate.deleted ? Date.now() : null,
+      );
     }
 
     if (updates.length > 0) {
@@ -234,6 +274,7 @@ class FilesService {
       syncVersion: rawFile.sync_version,
       deleted: Boolean(rawFile.deleted),
       owner: rawFile.owner,
+      checksum: rawFile.checksum,
     });
   }
 }
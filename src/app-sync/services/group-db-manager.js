@@ -0,0 +1,175 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import createDebug from 'debug';
+import openDatabase from '../../db.js';
+import { sqlDir } from '../../load-config.js';
+import { getPathForGroupFile } from '../../util/paths.js';
+
+const DEFAULT_MAX_OPEN = 16;
+
+/**
+ * An open group database together with its prepared statements and the
+ * parsed merkle trie, so hot sync paths don't have to reparse it.
+ */
+class GroupDb {
+  constructor(groupId, db) {
+    this.groupId = groupId;
+    this.db = db;
+    this.statements = {
+      messagesSince: db.prepare(
+        `SELECT * FROM messages_binary
+           WHERE timestamp > ?
+           ORDER BY timestamp`,
+      ),
+      messagesSinceLimit: db.prepare(
+        `SELECT * FROM messages_binary
+           WHERE timestamp > ?
+           ORDER BY timestamp
+           LIMIT ?`,
+      ),
+      insertMessage: db.prepare(
+        `INSERT OR IGNORE INTO messages_binary (timestamp, is_encrypted, content)
+           VALUES (?, ?, ?)`,
+      ),
+      getMerkle: db.prepare('SELECT merkle FROM messages_merkles WHERE id = 1'),
+      setMerkle: db.prepare(
+        'INSERT INTO messages_merkles (id, merkle) VALUES (1, ?) ON CONFLICT (id) DO UPDATE SET merkle = excluded.merkle',
+      ),
+      dataVersion: db.prepare('PRAGMA data_version').pluck(),
+    };
+    this.trie = null;
+    this.dataVersion = this.statements.dataVersion.get();
+  }
+
+  /**
+   * Returns the merkle trie of the group. The cached copy is dropped when
+   * another connection (e.g. a maintenance script) has written to the file.
+   */
+  getMerkle() {
+    const dataVersion = this.statements.dataVersion.get();
+    if (dataVersion !== this.dataVersion) {
+      this.dataVersion = dataVersion;
+      this.trie = null;
+    }
+
+    if (this.trie === null) {
+      const row = this.statements.getMerkle.get();
+      // No merkle trie exists yet (first sync of the app), so create a
+      // default one.
+      this.trie = row ? JSON.parse(row.merkle) : {};
+    }
+
+    return this.trie;
+  }
+
+  /**
+   * Persists the merkle trie and keeps it as the cached copy.
+   */
+  setMerkle(trie) {
+    this.statements.setMerkle.run(JSON.stringify(trie));
+    this.trie = trie;
+  }
+
+  /**
+   * Runs `fn` in a transaction. If it fails, the cached trie may no longer
+   * match what is on disk, so it gets reloaded on next access.
+   * @param {() => void} fn
+   */
+  transaction(fn) {
+    try {
+      return this.db.transaction(fn);
+    } catch (e) {
+      this.trie = null;
+      throw e;
+    }
+  }
+
+  close() {
+    this.trie = null;
+    this.db.close();
+  }
+}
+
+/**
+ * Keeps a bounded number of group databases open, evicting the least
+ * recently used one when the limit is reached.
+ */
+class GroupDbManager {
+  constructor({ maxOpen = DEFAULT_MAX_OPEN } = {}) {
+    this.debug = createDebug('actual:group-db');
+    this.maxOpen = maxOpen;
+    /** @type {Map<string, GroupDb>} */
+    this.open = new Map();
+  }
+
+  /**
+   * @param {string} groupId
+   * @returns {GroupDb}
+   */
+  get(groupId) {
+    let groupDb = this.open.get(groupId);
+
+    if (groupDb) {
+      // Move to the back of the map so it becomes the most recently used
+      this.open.delete(groupId);
+      this.open.set(groupId, groupDb);
+      return groupDb;
+    }
+
+    groupDb = this.openGroupDb(groupId);
+    this.open.set(groupId, groupDb);
+
+    while (this.open.size > this.maxOpen) {
+      const [oldestId] = this.open.keys();
+      this.invalidate(oldestId);
+    }
+
+    return groupDb;
+  }
+
+  /**
+   * Closes the handle of a group, if open. Must be called before the group
+   * file is deleted or replaced on disk.
+   * @param {string} groupId
+   */
+  invalidate(groupId) {
+    const groupDb = this.open.get(groupId);
+    if (!groupDb) {
+      return;
+    }
+
+    this.open.delete(groupId);
+    this.debug(`closing group database '${groupId}'`);
+    groupDb.close();
+  }
+
+  closeAll() {
+    for (const groupId of [...this.open.keys()]) {
+      this.invalidate(groupId);
+    }
+  }
+
+  /** @param {string} groupId */
+  isOpen(groupId) {
+    return this.open.has(groupId);
+  }
+
+  openGroupDb(groupId) {
+    let path = getPathForGroupFile(groupId);
+    let needsInit = !existsSync(path);
+
+    this.debug(`opening group database '${groupId}'`);
+    let db = openDatabase(path);
+
+    if (needsInit) {
+      let sql = readFileSync(join(sqlDir, 'messages.sql'), 'utf8');
+      db.exec(sql);
+    }
+
+    return new GroupDb(groupId, db);
+  }
+}
+
+const groupDbManager = new GroupDbManager();
+
+export { groupDbManager, GroupDbManager, GroupDb };
@@ -0,0 +1,289 @@
+import * as uuid from 'uuid';
+import getAccountDb from '../../account-db.js';
+import * as AuditService from '../../services/audit-service.js';
+import { sha256Hex } from '../../util/hash.js';
+import { getBlobStorage, getKeyForKeyRotation } from '../storage/index.js';
+import { FilesService, FileUpdate } from './files-service.js';
+import * as FileVersionsService from './file-versions-service.js';
+import { groupDbManager } from './group-db-manager.js';
+import { deleteGroup } from './sync-groups.js';
+
+/**
+ * A key change in progress. The pending key is kept next to the current one
+ * until the file re-encrypted with it has been uploaded and the rotation is
+ * committed.
+ * @typedef {Object} KeyRotation
+ * @property {string} fileId
+ * @property {string} keyId
+ * @property {string | null} keySalt
+ * @property {string | null} testContent
+ * @property {string | null} startedBy
+ * @property {number} startedAt
+ * @property {string | null} baseChecksum the blob the upload was re-encrypted from
+ * @property {string | null} baseTimestamp the newest message the upload contains
+ * @property {string | null} name
+ * @property {string | null} encryptMeta
+ * @property {number | null} syncVersion
+ * @property {number | null} size
+ * @property {string | null} checksum
+ * @property {number | null} uploadedAt
+ */
+
+/** @returns {KeyRotation} */
+function toKeyRotation(row) {
+  return {
+    fileId: row.file_id,
+    keyId: row.key_id,
+    keySalt: row.key_salt,
+    testContent: row.test_content,
+    startedBy: row.started_by,
+    startedAt: row.started_at,
+    baseChecksum: row.base_checksum,
+    baseTimestamp: row.base_timestamp,
+    name: row.name,
+    encryptMeta: row.encrypt_meta,
+    syncVersion: row.sync_version,
+    size: row.size,
+    checksum: row.checksum,
+    uploadedAt: row.uploaded_at,
+  };
+}
+
+/**
+ * @param {string} fileId
+ * @returns {KeyRotation | null}
+ */
+export function getRotation(fileId) {
+  const row = getAccountDb().first(
+    'SELECT * FROM key_rotations WHERE file_id = ?',
+    [fileId],
+  );
+  return row ? toKeyRotation(row) : null;
+}
+
+/**
+ * The newest message of a group, which tells whether devices synced changes
+ * after the re-encrypted file was uploaded.
+ * @param {string | null} groupId
+ * @returns {string | null}
+ */
+function getLatestTimestamp(groupId) {
+  if (!groupId) {
+    return null;
+  }
+  const row = groupDbManager
+    .get(groupId)
+    .db.first('SELECT max(timestamp) AS timestamp FROM messages_binary');
+  return row?.timestamp ?? null;
+}
+
+/**
+ * Records the pending key of a file. The current key stays in use until the
+ * rotation is committed.
+ * @param {import('./files-service.js').File} file
+ * @param {{ keyId: string, keySalt: string | null, testContent: string | null }} key
+ * @param {string} userId
+ * @returns {string | null} an error, if the rotation could not be started
+ */
+export function beginRotation(file, { keyId, keySalt, testContent }, userId) {
+  if (getRotation(file.id)) {
+    return 'key-rotation-in-progress';
+  }
+
+  getAccountDb().mutate(
+    `INSERT INTO key_rotations (file_id, key_id, key_salt, test_content, started_by, started_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+    [file.id, keyId, keySalt, testContent, userId, Date.now()],
+  );
+  AuditService.record('key-rotation-begin', {
+    userId,
+    fileId: file.id,
+    details: { keyId, previousKeyId: file.encryptKeyId },
+  });
+
+  return null;
+}
+
+/**
+ * Stores the file re-encrypted with the pending key. Uploading again
+ * replaces the previous upload.
+ * @param {import('./files-service.js').File} file
+ * @param {{ name: string | null, encryptMeta: string | null, syncVersion: number | null, content: Buffer }} upload
+ * @param {string} userId
+ * @returns {Promise<string | null>} an error, if the upload was refused
+ */
+export async function uploadRotation(
+  file,
+  { name, encryptMeta, syncVersion, content },
+  userId,
+) {
+  const rotation = getRotation(file.id);
+  if (!rotation) {
+    return 'no-key-rotation';
+  }
+
+  const keyId = encryptMeta ? JSON.parse(encryptMeta).keyId : null;
+  if (keyId !== rotation.keyId) {
+    return 'key-rotation-key-mismatch';
+  }
+
+  const checksum = sha256Hex(content);
+  await getBlobStorage().write(getKeyForKeyRotation(file.id), content);
+
+  getAccountDb().mutate(
+    `UPDATE key_rotations
+       SET base_checksum = ?, base_timestamp = ?, name = ?, encrypt_meta = ?,
+           sync_version = ?, size = ?, checksum = ?, uploaded_at = ?
+       WHERE file_id = ?`,
+    [
+      file.checksum,
+      getLatestTimestamp(file.groupId),
+      name,
+      encryptMeta,
+      syncVersion,
+      content.length,
+      checksum,
+      Date.now(),
+      file.id,
+    ],
+  );
+  AuditService.record('key-rotation-upload', {
+    userId,
+    fileId: file.id,
+    details: { keyId, checksum, size: content.length },
+  });
+
+  return null;
+}
+
+/**
+ * Switches the file to the pending key: the re-encrypted blob becomes the
+ * current one and sync starts over in a new group, as the messages of the
+ * old group are encrypted with the old key. Refused when the file or its
+ * messages changed after the upload.
+ * @param {import('./files-service.js').File} file
+ * @param {string} userId
+ * @returns {Promise<{ groupId: string, checksum: string } | { error: string }>}
+ */
+export async function commitRotation(file, userId) {
+  const rotation = getRotation(file.id);
+  if (!rotation) {
+    return { error: 'no-key-rotation' };
+  }
+  if (!rotation.uploadedAt) {
+    return { error: 'key-rotation-needs-upload' };
+  }
+  if (
+    rotation.baseChecksum !== file.checksum ||
+    rotation.baseTimestamp !== getLatestTimestamp(file.groupId)
+  ) {
+    return { error: 'key-rotation-outdated' };
+  }
+
+  const storage = getBlobStorage();
+  const content = await storage.read(getKeyForKeyRotation(file.id));
+  if (!content) {
+    return { error: 'key-rotation-needs-upload' };
+  }
+
+  // The file switches to the pending key before the blob is replaced, so a
+  // failed write can be undone. The other way round, a failure would leave
+  // a blob encrypted with a key the file does not know about.
+  const groupId = uuid.v4();
+  const filesService = new FilesService(getAccountDb());
+  filesService.update(
+    file.id,
+    new FileUpdate({
+      name: rotation.name ?? undefined,
+      groupId,
+      encryptSalt: rotation.keySalt,
+      encryptKeyId: rotation.keyId,
+      encryptTest: rotation.testContent,
+      encryptMeta: rotation.encryptMeta,
+      syncVersion: rotation.syncVersion,
+      checksum: rotation.checksum,
+    }),
+  );
+
+  try {
+    await FileVersionsService.writeBlob(file.id, content);
+  } catch (err) {
+    filesService.update(
+      file.id,
+      new FileUpdate({
+        name: file.name,
+        groupId: file.groupId,
+        encryptSalt: file.encryptSalt,
+        encryptKeyId: file.encryptKeyId,
+        encryptTest: file.encryptTest,
+        encryptMeta: file.encryptMeta,
+        syncVersion: file.syncVersion,
+        checksum: file.checksum,
+      }),
+    );
+    throw err;
+  }
+
+  getAccountDb().mutate('DELETE FROM key_rotations WHERE file_id = ?', [
+    file.id,
+  ]);
+  FileVersionsService.recordVersion({
+    fileId: file.id,
+    groupId,
+    syncVersion: rotation.syncVersion,
+    encryptMeta: rotation.encryptMeta,
+    size: rotation.size,
+    uploadedBy: userId,
+  });
+
+  // The rotation is committed, leftovers only take up space
+  try {
+    await FileVersionsService.pruneVersions(file.id);
+    await storage.delete(getKeyForKeyRotation(file.id));
+  } catch (err) {
+    console.log('Error cleaning up key rotation', err);
+  }
+
+  if (file.groupId) {
+    await deleteGroup(file.groupId);
+  }
+
+  AuditService.record('key-rotation-commit', {
+    userId,
+    fileId: file.id,
+    details: {
+      keyId: rotation.keyId,
+      previousKeyId: file.encryptKeyId,
+      groupId,
+    },
+  });
+
+  return { groupId, checksum: rotation.checksum };
+}
+
+/**
+ * Drops the pending key and the re-encrypted blob. The file keeps its
+ * current key.
+ * @param {string} fileId
+ * @param {string} userId
+ * @returns {Promise<string | null>} an error, if there is nothing to abort
+ */
+export async function abortRotation(fileId, userId) {
+  const rotation = getRotation(fileId);
+  if (!rotation) {
+    return 'no-key-rotation';
+  }
+
+  getAccountDb().mutate('DELETE FROM key_rotations WHERE file_id = ?', [
+    fileId,
+  ]);
+  await getBlobStorage().delete(getKeyForKeyRotation(fileId));
+
+  AuditService.record('key-rotation-abort', {
+    userId,
+    fileId,
+    details: { keyId: rotation.keyId },
+  });
+
+  return null;
+}
@@ -0,0 +1,300 @@
+import fs from 'node:fs/promises';
+import { merkle, Timestamp } from '@actual-app/crdt';
+import getAccountDb from '../../account-db.js';
+import openDatabase from '../../db.js';
+import config from '../../load-config.js';
+import { getPathForGroupFile } from '../../util/paths.js';
+import { withFileLock } from '../file-lock.js';
+import { getBlobStorage, getKeyForUserFile } from '../storage/index.js';
+import { getCompactedHash } from './compaction-service.js';
+import { groupDbManager } from './group-db-manager.js';
+import { deleteGroup } from './sync-groups.js';
+import { purgeFile } from './trash-service.js';
+
+/**
+ * @typedef {Object} StorageReport
+ * @property {string[]} missingBlobs the files whose blob is missing
+ * @property {string[]} orphanBlobs the blobs of files, versions or key
+ *   rotations that no longer exist
+ * @property {string[]} orphanGroups the sync databases no file refers to
+ * @property {Array<{ groupId: string, errors: string[] }>} corruptGroups
+ *   the sync databases failing `PRAGMA integrity_check`
+ * @property {Array<{ groupId: string, storedHash: number, computedHash: number, repairable: boolean }>} merkleMismatches
+ *   the groups whose merkle trie does not match their messages. Only the
+ *   tries of groups that were never compacted can be rebuilt.
+ */
+
+/**
+ * @typedef {Object} RepairOptions
+ * @property {boolean} [deleteOrphans] delete orphaned blobs and sync databases
+ * @property {boolean} [rebuildMerkles] rebuild the merkle tries that do not match
+ * @property {boolean} [deleteMissing] delete the files whose blob is missing
+ */
+
+async function listGroupIds() {
+  let names;
+  try {
+    names = await fs.readdir(config.userFiles);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  return names
+    .map((name) => /^group-(.+)\.sqlite$/.exec(name)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Tells which file, version or key rotation a blob belongs to.
+ * @param {string} key
+ * @returns {{ fileId: string, versionId?: string, rotation?: boolean } | null}
+ */
+function parseBlobKey(key) {
+  let match;
+  if ((match = /^file-([^.]+)\.blob$/.exec(key))) {
+    return { fileId: match[1] };
+  }
+  if ((match = /^file-([^.]+)\.([^.]+)\.blob$/.exec(key))) {
+    return { fileId: match[1], versionId: match[2] };
+  }
+  if ((match = /^file-([^.]+)\.rotation$/.exec(key))) {
+    return { fileId: match[1], rotation: true };
+  }
+  return null;
+}
+
+/**
+ * Checks a single blob again before it is deleted, in case the file was
+ * uploaded or its rotation started after the storage check.
+ * @param {string} key
+ */
+function isOrphanBlob(key) {
+  const accountDb = getAccountDb();
+  const blob = parseBlobKey(key);
+  if (!blob) {
+    return false;
+  }
+  if (blob.versionId) {
+    return !accountDb.first(
+      'SELECT 1 FROM file_versions WHERE id = ? AND file_id = ?',
+      [blob.versionId, blob.fileId],
+    );
+  }
+  if (blob.rotation) {
+    return !accountDb.first('SELECT 1 FROM key_rotations WHERE file_id = ?', [
+      blob.fileId,
+    ]);
+  }
+  return !accountDb.first('SELECT 1 FROM files WHERE id = ?', [blob.fileId]);
+}
+
+/** @param {string} groupId */
+async function groupExists(groupId) {
+  try {
+    await fs.access(getPathForGroupFile(groupId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Builds the merkle trie of every message in a group database.
+ * @param {ReturnType<typeof openDatabase>} db
+ */
+function computeMerkle(db) {
+  let trie = {};
+  for (const { timestamp } of db
+    .prepare('SELECT timestamp FROM messages_binary')
+    .iterate()) {
+    trie = merkle.insert(trie, Timestamp.parse(timestamp));
+  }
+  return merkle.prune(trie);
+}
+
+/**
+ * Checks the integrity of a group database and its merkle trie.
+ * @param {string} groupId
+ * @param {StorageReport} report
+ */
+function checkGroup(groupId, report) {
+  let db;
+  try {
+    db = openDatabase(getPathForGroupFile(groupId));
+
+    const errors = db
+      .all('PRAGMA integrity_check')
+      .map((row) => row.integrity_check)
+      .filter((result) => result !== 'ok');
+    if (errors.length > 0) {
+      report.corruptGroups.push({ groupId, errors });
+      return;
+    }
+
+    const row = db.first('SELECT merkle FROM messages_merkles WHERE id = 1');
+    const storedHash = (row ? JSON.parse(row.merkle).hash : 0) || 0;
+    // Compaction pruned messages without touching the trie
+    const compactedHash = getCompactedHash(groupId);
+    const computedHash = (computeMerkle(db).hash || 0) ^ compactedHash;
+
+    if (storedHash !== computedHash) {
+      report.merkleMismatches.push({
+        groupId,
+        storedHash,
+        computedHash,
+        repairable: compactedHash === 0,
+      });
+    }
+  } catch (err) {
+    report.corruptGroups.push({ groupId, errors: [err.message] });
+  } finally {
+    db?.close();
+  }
+}
+
+/**
+ * Cross-references the `files` table with the stored blobs and sync
+ * databases and checks every sync database.
+ * @returns {Promise<StorageReport>}
+ */
+export async function checkStorage() {
+  const accountDb = getAccountDb();
+  const files = accountDb.all('SELECT id, group_id FROM files');
+  const fileIds = new Set(files.map((file) => file.id));
+  const groupIds = new Set(files.map((file) => file.group_id));
+  const versions = new Set(
+    accountDb
+      .all('SELECT id, file_id FROM file_versions')
+      .map((version) => `${version.file_id}.${version.id}`),
+  );
+  const rotations = new Set(
+    accountDb
+      .all('SELECT file_id FROM key_rotations')
+      .map((rotation) => rotation.file_id),
+  );
+
+  /** @type {StorageReport} */
+  const report = {
+    missingBlobs: [],
+    orphanBlobs: [],
+    orphanGroups: [],
+    corruptGroups: [],
+    merkleMismatches: [],
+  };
+
+  const blobs = new Set();
+  for (const key of await getBlobStorage().list('file-')) {
+    const blob = parseBlobKey(key);
+    if (!blob) {
+      continue;
+    }
+    if (blob.versionId) {
+      if (!versions.has(`${blob.fileId}.${blob.versionId}`)) {
+        report.orphanBlobs.push(key);
+      }
+    } else if (blob.rotation) {
+      if (!rotations.has(blob.fileId)) {
+        report.orphanBlobs.push(key);
+      }
+    } else {
+      blobs.add(blob.fileId);
+      if (!fileIds.has(blob.fileId)) {
+        report.orphanBlobs.push(key);
+      }
+    }
+  }
+
+  report.missingBlobs = files
+    .filter((file) => !blobs.has(file.id))
+    .map((file) => file.id);
+
+  for (const groupId of await listGroupIds()) {
+    if (!groupIds.has(groupId)) {
+      report.orphanGroups.push(groupId);
+    }
+    checkGroup(groupId, report);
+  }
+
+  return report;
+}
+
+/**
+ * Repairs what `checkStorage` found, as far as the options allow. The server
+ * keeps running meanwhile, so every item is checked again under the lock of
+ * its file and skipped when it changed since the report.
+ * @param {StorageReport} report
+ * @param {RepairOptions} options
+ * @returns {Promise<{ deletedBlobs: string[], deletedGroups: string[], deletedFiles: string[], rebuiltMerkles: string[] }>}
+ */
+export async function repairStorage(
+  report,
+  { deleteOrphans = false, rebuildMerkles = false, deleteMissing = false },
+) {
+  const repaired = {
+    deletedBlobs: [],
+    deletedGroups: [],
+    deletedFiles: [],
+    rebuiltMerkles: [],
+  };
+
+  if (deleteOrphans) {
+    for (const key of report.orphanBlobs) {
+      const { fileId } = parseBlobKey(key);
+      await withFileLock(fileId, async () => {
+        if (isOrphanBlob(key)) {
+          await getBlobStorage().delete(key);
+          repaired.deletedBlobs.push(key);
+        }
+      });
+    }
+    for (const groupId of report.orphanGroups) {
+      const file = getAccountDb().first(
+        'SELECT 1 FROM files WHERE group_id = ?',
+        [groupId],
+      );
+      if (!file) {
+        await deleteGroup(groupId);
+        repaired.deletedGroups.push(groupId);
+      }
+    }
+  }
+
+  if (deleteMissing) {
+    for (const fileId of report.missingBlobs) {
+      await withFileLock(fileId, async () => {
+        const file = getAccountDb().first(
+          'SELECT id, group_id FROM files WHERE id = ?',
+          [fileId],
+        );
+        if (file && !(await getBlobStorage().stat(getKeyForUserFile(fileId)))) {
+          await purgeFile(file);
+          repaired.deletedFiles.push(fileId);
+        }
+      });
+    }
+  }
+
+  if (rebuildMerkles) {
+    for (const { groupId, repairable } of report.merkleMismatches) {
+      // Deleting files above may have removed the group as well
+      if (!repairable || !(await groupExists(groupId))) {
+        continue;
+      }
+      // Compaction may have run since the report
+      if (getCompactedHash(groupId) !== 0) {
+        continue;
+      }
+      const groupDb = groupDbManager.get(groupId);
+      groupDb.transaction(() => {
+        groupDb.setMerkle(computeMerkle(groupDb.db));
+      });
+      repaired.rebuiltMerkles.push(groupId);
+    }
+  }
+
+  return repaired;
+}
@@ -0,0 +1,47 @@
+import { existsSync } from 'node:fs';
+import fs from 'node:fs/promises';
+import openDatabase from '../../db.js';
+import { getPathForGroupFile } from '../../util/paths.js';
+import { groupDbManager } from './group-db-manager.js';
+import { syncNotifier } from './sync-notifier.js';
+import * as CompactionService from './compaction-service.js';
+
+/**
+ * Drops the sync data of a group. Devices still syncing with it are told
+ * that the file has been reset.
+ * @param {string} groupId
+ */
+export async function deleteGroup(groupId) {
+  syncNotifier.publish(groupId, { type: 'reset', groupId });
+  groupDbManager.invalidate(groupId);
+  CompactionService.forgetGroup(groupId);
+  try {
+    await fs.unlink(getPathForGroupFile(groupId));
+  } catch {
+    console.log(`Unable to delete sync data for group "${groupId}"`);
+  }
+}
+
+/**
+ * Copies the sync data of a group to a new group, so a copy of a file can
+ * keep syncing from where the original is.
+ * @param {string} groupId
+ * @param {string} newGroupId
+ * @param {string} fileId the file the new group belongs to
+ */
+export async function copyGroup(groupId, newGroupId, fileId) {
+  const path = getPathForGroupFile(groupId);
+  if (!existsSync(path)) {
+    // Nothing has been synced yet
+    return;
+  }
+
+  // A connection of our own, so the handle can't be evicted mid-copy
+  const db = openDatabase(path);
+  try {
+    await db.backup(getPathForGroupFile(newGroupId));
+  } finally {
+    db.close();
+  }
+  CompactionService.copySnapshot(groupId, newGroupId, fileId);
+}
@@ -0,0 +1,67 @@
+import createDebug from 'debug';
+
+/**
+ * Fans out sync events to the listeners subscribed to a group.
+ */
+class SyncNotifier {
+  constructor() {
+    this.debug = createDebug('actual:sync-notifier');
+    /** @type {Map<string, Set<(event: object) => void>>} */
+    this.listeners = new Map();
+  }
+
+  /**
+   * @param {string} groupId
+   * @param {(event: object) => void} listener
+   * @returns {() => void} a function that removes the subscription
+   */
+  subscribe(groupId, listener) {
+    let groupListeners = this.listeners.get(groupId);
+    if (!groupListeners) {
+      groupListeners = new Set();
+      this.listeners.set(groupId, groupListeners);
+    }
+    groupListeners.add(listener);
+
+    return () => {
+      groupListeners.delete(listener);
+      if (
+        groupListeners.size === 0 &&
+        this.listeners.get(groupId) === groupListeners
+      ) {
+        this.listeners.delete(groupId);
+      }
+    };
+  }
+
+  /**
+   * @param {string} groupId
+   * @param {object} event
+   */
+  publish(groupId, event) {
+    const groupListeners = this.listeners.get(groupId);
+    if (!groupListeners) {
+      return;
+    }
+
+    this.debug(
+      `notifying ${groupListeners.size} subscriber(s) of group '${groupId}'`,
+    );
+    for (const listener of [...groupListeners]) {
+      try {
+        listener(event);
+      } catch (err) {
+        this.debug('error notifying sync subscriber: %O', err);
+      }
+    }
+  }
+
+  /** @param {string} groupId */
+  subscriberCount(groupId) {
+    return this.listeners.get(groupId)?.size ?? 0;
+  }
+}
+
+const syncNotifier = new SyncNotifier();
+
+export { syncNotifier, SyncNotifier };
@@ -0,0 +1,79 @@
+import fs from 'node:fs/promises';
+import getAccountDb from '../../account-db.js';
+import config from '../../load-config.js';
+import { getPathForUploadSession } from '../../util/paths.js';
+import {
+  getBlobStorage,
+  getKeyForFileVersion,
+  getKeyForKeyRotation,
+  getKeyForUserFile,
+} from '../storage/index.js';
+import * as FileVersionsService from './file-versions-service.js';
+import { deleteGroup } from './sync-groups.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Removes everything the server keeps for a file: its blob, older versions,
+ * key rotation, unfinished uploads, sync data and the database rows.
+ * @param {{ id: string, group_id: string | null }} file
+ */
+export async function purgeFile(file) {
+  const storage = getBlobStorage();
+  for (const version of FileVersionsService.listVersions(file.id)) {
+    await storage.delete(getKeyForFileVersion(file.id, version.id));
+  }
+  await storage.delete(getKeyForUserFile(file.id));
+  await storage.delete(getKeyForKeyRotation(file.id));
+
+  if (file.group_id) {
+    await deleteGroup(file.group_id);
+  }
+
+  const accountDb = getAccountDb();
+  const uploads = accountDb.all(
+    'SELECT id FROM upload_sessions WHERE file_id = ?',
+    [file.id],
+  );
+  for (const upload of uploads) {
+    await fs.rm(getPathForUploadSession(upload.id), { force: true });
+  }
+
+  accountDb.transaction(() => {
+    accountDb.mutate('DELETE FROM file_versions WHERE file_id = ?', [file.id]);
+    accountDb.mutate('DELETE FROM key_rotations WHERE file_id = ?', [file.id]);
+    accountDb.mutate('DELETE FROM user_access WHERE file_id = ?', [file.id]);
+    accountDb.mutate('DELETE FROM file_invites WHERE file_id = ?', [file.id]);
+    accountDb.mutate('DELETE FROM upload_sessions WHERE file_id = ?', [
+      file.id,
+    ]);
+    accountDb.mutate('DELETE FROM files WHERE id = ?', [file.id]);
+  });
+}
+
+/**
+ * Purges files that have been deleted for longer than
+ * `deletedFileRetentionDays`. A retention of 0 keeps them forever.
+ * @returns {Promise<string[]>} the ids of the purged files
+ */
+export async function purgeDeletedFiles() {
+  if (!config.deletedFileRetentionDays) {
+    return [];
+  }
+
+  const files = getAccountDb().all(
+    'SELECT id, group_id, deleted_at FROM files WHERE deleted = 1 AND deleted_at < ?',
+    [Date.now() - config.deletedFileRetentionDays * MS_PER_DAY],
+  );
+
+  for (const file of files) {
+    await purgeFile(file);
+    console.log(
+      `Purged file ${file.id}, deleted on ${new Date(
+        file.deleted_at,
+      ).toISOString()}`,
+    );
+  }
+
+  return files.map((file) => file.id);
+}
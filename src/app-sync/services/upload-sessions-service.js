@@ -0,0 +1,143 @@
+import fs from 'node:fs/promises';
+import * as uuid from 'uuid';
+import getAccountDb from '../../account-db.js';
+import { getPathForUploadSession } from '../../util/paths.js';
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} UploadSession
+ * @property {string} id
+ * @property {string} fileId
+ * @property {string} userId
+ * @property {string | null} name
+ * @property {string | null} groupId
+ * @property {string | null} encryptMeta
+ * @property {number | null} syncVersion
+ * @property {number | null} size
+ * @property {number} received
+ */
+
+/** @returns {UploadSession} */
+function toUploadSession(row) {
+  return {
+    id: row.id,
+    fileId: row.file_id,
+    userId: row.user_id,
+    name: row.name,
+    groupId: row.group_id,
+    encryptMeta: row.encrypt_meta,
+    syncVersion: row.sync_version,
+    size: row.size,
+    received: row.received,
+  };
+}
+
+/**
+ * Starts a resumable upload. The metadata is the same as what
+ * `upload-user-file` takes in its headers; the blob arrives in chunks.
+ * @returns {Promise<UploadSession>}
+ */
+export async function createSession({
+  fileId,
+  userId,
+  name,
+  groupId,
+  encryptMeta,
+  syncVersion,
+  size,
+}) {
+  const id = uuid.v4();
+  await fs.writeFile(getPathForUploadSession(id), '');
+
+  const now = Date.now();
+  getAccountDb().mutate(
+    `INSERT INTO upload_sessions (id, file_id, user_id, name, group_id, encrypt_meta, sync_version, size, received, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+    [
+      id,
+      fileId,
+      userId,
+      name,
+      groupId,
+      encryptMeta,
+      syncVersion,
+      size,
+      now,
+      now,
+    ],
+  );
+
+  return getSession(id, userId);
+}
+
+/**
+ * @param {string} uploadId
+ * @param {string} userId
+ * @returns {UploadSession | null} the session, if it belongs to the user
+ */
+export function getSession(uploadId, userId) {
+  const row = getAccountDb().first(
+    'SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?',
+    [uploadId, userId],
+  );
+  return row ? toUploadSession(row) : null;
+}
+
+/**
+ * Writes a chunk at `offset`. Writing at a fixed position makes resending a
+ * chunk after a dropped connection harmless.
+ * @param {UploadSession} session
+ * @param {number} offset
+ * @param {Buffer} chunk
+ * @returns {Promise<number>} how many bytes have been received in total
+ */
+export async function appendChunk(session, offset, chunk) {
+  const handle = await fs.open(getPathForUploadSession(session.id), 'r+');
+  try {
+    await handle.write(chunk, 0, chunk.length, offset);
+  } finally {
+    await handle.close();
+  }
+
+  const received = Math.max(session.received, offset + chunk.length);
+  getAccountDb().mutate(
+    'UPDATE upload_sessions SET received = ?, updated_at = ? WHERE id = ?',
+    [received, Date.now(), session.id],
+  );
+  return received;
+}
+
+/**
+ * Reads back everything received so far.
+ * @param {UploadSession} session
+ * @returns {Promise<Buffer>}
+ */
+export async function readUpload(session) {
+  return fs.readFile(getPathForUploadSession(session.id));
+}
+
+/**
+ * @param {string} uploadId
+ */
+export async function deleteSession(uploadId) {
+  await fs.rm(getPathForUploadSession(uploadId), { force: true });
+  getAccountDb().mutate('DELETE FROM upload_sessions WHERE id = ?', [uploadId]);
+}
+
+/**
+ * Removes uploads that have not received a chunk for a day.
+ * @returns {Promise<string[]>} the ids of the removed sessions
+ */
+export async function purgeStaleSessions() {
+  const rows = getAccountDb().all(
+    'SELECT id FROM upload_sessions WHERE updated_at < ?',
+    [Date.now() - SESSION_TTL_MS],
+  );
+
+  for (const row of rows) {
+    await deleteSession(row.id);
+  }
+
+  return rows.map((row) => row.id);
+}
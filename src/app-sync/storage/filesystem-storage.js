@@ -0,0 +1,78 @@
+import fs from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Stores blobs as files in a local directory.
+ */
+export class FilesystemStorage {
+  /** @param {string} root */
+  constructor(root) {
+    this.root = root;
+  }
+
+  /** @param {string} key */
+  pathFor(key) {
+    return join(this.root, key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Buffer | null>} null when the blob does not exist
+   */
+  async read(key) {
+    try {
+      return await fs.readFile(this.pathFor(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} content
+   */
+  async write(key, content) {
+    await fs.writeFile(this.pathFor(key), content);
+  }
+
+  /** @param {string} key */
+  async delete(key) {
+    await fs.rm(this.pathFor(key), { force: true });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{ size: number, modifiedAt: number } | null>}
+   */
+  async stat(key) {
+    try {
+      const stat = await fs.stat(this.pathFor(key));
+      return { size: stat.size, modifiedAt: Math.floor(stat.mtimeMs) };
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Promise<string[]>} the keys starting with `prefix`
+   */
+  async list(prefix) {
+    const names = await fs.readdir(this.root);
+    return names.filter((name) => name.startsWith(prefix)).sort();
+  }
+
+  /**
+   * @param {string} fromKey
+   * @param {string} toKey
+   */
+  async move(fromKey, toKey) {
+    await fs.rename(this.pathFor(fromKey), this.pathFor(toKey));
+  }
+}
@@ -0,0 +1,64 @@
+import config from '../../load-config.js';
+import { FilesystemStorage } from './filesystem-storage.js';
+import { S3Storage } from './s3-storage.js';
+
+/**
+ * @typedef {Object} BlobStorage
+ * @property {(key: string) => Promise<Buffer | null>} read
+ * @property {(key: string, content: Buffer) => Promise<void>} write
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(key: string) => Promise<{ size: number, modifiedAt: number } | null>} stat
+ * @property {(fromKey: string, toKey: string) => Promise<void>} move
+ * @property {(prefix: string) => Promise<string[]>} list
+ */
+
+/** @param {string} fileId */
+export function getKeyForUserFile(fileId) {
+  return `file-${fileId}.blob`;
+}
+
+/**
+ * @param {string} fileId
+ * @param {string} versionId
+ */
+export function getKeyForFileVersion(fileId, versionId) {
+  return `file-${fileId}.${versionId}.blob`;
+}
+
+/**
+ * The blob re-encrypted with the pending key of a key rotation.
+ * @param {string} fileId
+ */
+export function getKeyForKeyRotation(fileId) {
+  return `file-${fileId}.rotation`;
+}
+
+/**
+ * @param {import('../../config-types.js').Config['storage']} storageConfig
+ * @returns {BlobStorage}
+ */
+export function createBlobStorage(storageConfig) {
+  switch (storageConfig.type) {
+    case 'filesystem':
+      return new FilesystemStorage(config.userFiles);
+    case 's3':
+      return new S3Storage(storageConfig.s3);
+    default:
+      throw new Error(`Unknown storage type '${storageConfig.type}'`);
+  }
+}
+
+/** @type {BlobStorage | null} */
+let _storage = null;
+
+/**
+ * The storage holding the blobs of budget files. Sync databases always stay
+ * in `userFiles` as SQLite needs a local disk.
+ * @returns {BlobStorage}
+ */
+export function getBlobStorage() {
+  if (_storage == null) {
+    _storage = createBlobStorage(config.storage);
+  }
+  return _storage;
+}
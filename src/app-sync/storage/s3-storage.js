@@ -0,0 +1,371 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import https from 'node:https';
+import { StorageError } from '../errors.js';
+
+const EMPTY_PAYLOAD_HASH = sha256('');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function hmac(key, content) {
+  return crypto.createHmac('sha256', key).update(content).digest();
+}
+
+/** @param {string} value */
+function encode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+}
+
+/**
+ * Percent-encodes a path the way signature version 4 expects it.
+ * @param {string} path
+ */
+function encodePath(path) {
+  return path.split('/').map(encode).join('/');
+}
+
+/**
+ * Builds the canonical query string: encoded and sorted by name.
+ * @param {Record<string, string>} params
+ */
+function encodeQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map((name) => `${encode(name)}=${encode(params[name])}`)
+    .join('&');
+}
+
+/** @param {string} value */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Computes the AWS signature version 4 authorization header of a request.
+ * Every header passed in is signed.
+ * @param {{
+ *   method: string,
+ *   path: string,
+ *   query?: string,
+ *   headers: Record<string, string>,
+ *   payloadHash: string,
+ *   region: string,
+ *   accessKeyId: string,
+ *   secretAccessKey: string,
+ *   amzDate: string,
+ * }} request `path` and `query` must already be encoded, `headers` must
+ *   include host
+ */
+export function signRequest({
+  method,
+  path,
+  query = '',
+  headers,
+  payloadHash,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  amzDate,
+}) {
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const names = Object.keys(headers)
+    .map((name) => name.toLowerCase())
+    .sort();
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name.toLowerCase(),
+      String(value).trim(),
+    ]),
+  );
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    query,
+    ...names.map((name) => `${name}:${lowerCased[name]}`),
+    '',
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join('\n');
+
+  const signingKey = hmac(
+    hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'),
+    'aws4_request',
+  );
+  const signature = crypto
+    .createHmac('sha256', signingKey)
+    .update(stringToSign)
+    .digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+/**
+ * Stores blobs in a bucket of an S3 compatible object store, addressed
+ * path-style so that MinIO and similar servers work without DNS setup.
+ */
+export class S3Storage {
+  /**
+   * @param {{
+   *   endpoint?: string,
+   *   region: string,
+   *   bucket: string,
+   *   accessKeyId: string,
+   *   secretAccessKey: string,
+   *   prefix?: string,
+   *   timeoutSeconds?: number,
+   * }} options
+   */
+  constructor({
+    endpoint,
+    region,
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    prefix = '',
+    timeoutSeconds = 30,
+  }) {
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+    this.timeoutMs = timeoutSeconds * 1000;
+  }
+
+  /** @param {string} key */
+  pathFor(key) {
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    return encodePath(`${basePath}/${this.bucket}/${this.prefix}${key}`);
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} key
+   * @param {{ body?: Buffer, headers?: Record<string, string> }} options
+   */
+  send(method, key, options = {}) {
+    return this.request(method, this.pathFor(key), options);
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} path encoded path of the request
+   * @param {{ query?: Record<string, string>, body?: Buffer, headers?: Record<string, string> }} options
+   * @returns {Promise<{ status: number, headers: import('node:http').IncomingHttpHeaders, body: Buffer }>}
+   */
+  request(method, path, { query = {}, body, headers = {} } = {}) {
+    const queryString = encodeQuery(query);
+    const payloadHash = body ? sha256(body) : EMPTY_PAYLOAD_HASH;
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+    const signedHeaders = {
+      host: this.endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...headers,
+    };
+    const authorization = signRequest({
+      method,
+      path,
+      query: queryString,
+      headers: signedHeaders,
+      payloadHash,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+      amzDate,
+    });
+
+    const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        {
+          protocol: this.endpoint.protocol,
+          hostname: this.endpoint.hostname,
+          port: this.endpoint.port,
+          method,
+          path: queryString ? `${path}?${queryString}` : path,
+          headers: {
+            ...signedHeaders,
+            authorization,
+            ...(body ? { 'content-length': String(body.length) } : {}),
+          },
+        },
+        (res) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () =>
+            resolve({
+              status: res.statusCode,
+              headers: res.headers,
+              body: Buffer.concat(chunks),
+            }),
+          );
+          res.on('error', reject);
+        },
+      );
+      // Without it a stalled store would hang the request, and with it the
+      // lock of the file, forever
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy(
+          new StorageError(
+            `${method} of '${path}' timed out after ${this.timeoutMs}ms`,
+            { timeout: true },
+          ),
+        );
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} key
+   * @param {{ status: number, body: Buffer }} res
+   */
+  fail(method, key, res) {
+    return new StorageError(
+      `${method} of '${key}' failed with status ${res.status}`,
+      { status: res.status, body: res.body.toString() },
+    );
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Buffer | null>} null when the blob does not exist
+   */
+  async read(key) {
+    const res = await this.send('GET', key);
+    if (res.status === 404) {
+      return null;
+    }
+    if (res.status !== 200) {
+      throw this.fail('GET', key, res);
+    }
+    return res.body;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} content
+   */
+  async write(key, content) {
+    const res = await this.send('PUT', key, { body: content });
+    if (res.status !== 200) {
+      throw this.fail('PUT', key, res);
+    }
+  }
+
+  /** @param {string} key */
+  async delete(key) {
+    const res = await this.send('DELETE', key);
+    if (res.status !== 204 && res.status !== 200 && res.status !== 404) {
+      throw this.fail('DELETE', key, res);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{ size: number, modifiedAt: number } | null>}
+   */
+  async stat(key) {
+    const res = await this.send('HEAD', key);
+    if (res.status === 404) {
+      return null;
+    }
+    if (res.status !== 200) {
+      throw this.fail('HEAD', key, res);
+    }
+    return {
+      size: parseInt(res.headers['content-length'], 10),
+      modifiedAt: Date.parse(res.headers['last-modified']),
+    };
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Promise<string[]>} the keys starting with `prefix`
+   */
+  async list(prefix) {
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    const keys = [];
+    let continuationToken = null;
+
+    do {
+      const res = await this.request(
+        'GET',
+        encodePath(`${basePath}/${this.bucket}`),
+        {
+          query: {
+            'list-type': '2',
+            prefix: `${this.prefix}${prefix}`,
+            ...(continuationToken
+              ? { 'continuation-token': continuationToken }
+              : {}),
+          },
+        },
+      );
+      if (res.status !== 200) {
+        throw this.fail('LIST', prefix, res);
+      }
+
+      const xml = res.body.toString();
+      for (const [, key] of xml.matchAll(/<Key>(.*?)<\/Key>/g)) {
+        keys.push(decodeXml(key).slice(this.prefix.length));
+      }
+      continuationToken = xml.includes('<IsTruncated>true</IsTruncated>')
+        ? decodeXml(
+            xml.match(
+              /<NextContinuationToken>(.*?)<\/NextContinuationToken>/,
+            )[1],
+          )
+        : null;
+    } while (continuationToken);
+
+    return keys.sort();
+  }
+
+  /**
+   * Object stores cannot rename, so the blob is copied and then deleted.
+   * @param {string} fromKey
+   * @param {string} toKey
+   */
+  async move(fromKey, toKey) {
+    const res = await this.send('PUT', toKey, {
+      headers: {
+        'x-amz-copy-source': encodePath(
+          `/${this.bucket}/${this.prefix}${fromKey}`,
+        ),
+      },
+    });
+    // A copy can fail after the 200 status has been sent
+    if (res.status !== 200 || res.body.includes('<Error>')) {
+      throw this.fail('COPY', fromKey, res);
+    }
+    await this.delete(fromKey);
+  }
+}
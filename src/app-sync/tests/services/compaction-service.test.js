@@ -0,0 +1,198 @@
+import crypto from 'node:crypto';
+import { SyncProtoBuf, Timestamp } from '@actual-app/crdt';
+import getAccountDb from '../../../account-db.js';
+import { sync } from '../../../sync-simple.js';
+import { groupDbManager } from '../../services/group-db-manager.js';
+import * as CompactionService from '../../services/compaction-service.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const timestamps = [
+  '2024-01-01T00:00:00.000Z-0000-0123456789abcdef',
+  '2024-01-02T00:00:00.000Z-0000-0123456789abcdef',
+  '2024-01-03T00:00:00.000Z-0000-fedcba9876543210',
+];
+
+const createMessage = (timestamp) => {
+  const message = new SyncProtoBuf.MessageEnvelope();
+  message.setTimestamp(timestamp);
+  message.setIsencrypted(false);
+  message.setContent(Buffer.from(timestamp));
+  return message;
+};
+
+const countMessages = (groupId) =>
+  groupDbManager
+    .get(groupId)
+    .db.first('SELECT count(*) AS count FROM messages_binary').count;
+
+describe('CompactionService', () => {
+  let fileId, groupId;
+
+  beforeEach(() => {
+    fileId = crypto.randomBytes(16).toString('hex');
+    groupId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate(
+      'INSERT INTO files (id, group_id, deleted) VALUES (?, ?, FALSE)',
+      [fileId, groupId],
+    );
+    sync(timestamps.map(createMessage), '', groupId);
+    // The uploading client had not yet received the last message
+    CompactionService.recordSnapshot(fileId, groupId, timestamps[1]);
+  });
+
+  afterEach(() => {
+    CompactionService.forgetGroup(groupId);
+    groupDbManager.invalidate(groupId);
+  });
+
+  test('recordSnapshot stores the last sync of the uploading client', () => {
+    const snapshot = getAccountDb().first(
+      'SELECT * FROM group_snapshots WHERE group_id = ?',
+      [groupId],
+    );
+
+    expect(snapshot.file_id).toEqual(fileId);
+    expect(snapshot.snapshot_timestamp).toEqual(timestamps[1]);
+  });
+
+  test('recordSnapshot stops at the newest message of the group', () => {
+    CompactionService.recordSnapshot(
+      fileId,
+      groupId,
+      '2024-02-01T00:00:00.000Z-0000-0123456789abcdef',
+    );
+
+    expect(
+      getAccountDb().first(
+        'SELECT snapshot_timestamp FROM group_snapshots WHERE group_id = ?',
+        [groupId],
+      ),
+    ).toEqual({ snapshot_timestamp: timestamps[2] });
+  });
+
+  test('recordSnapshot needs the last sync of the client', () => {
+    const otherGroupId = crypto.randomBytes(16).toString('hex');
+    sync(timestamps.map(createMessage), '', otherGroupId);
+
+    CompactionService.recordSnapshot(fileId, otherGroupId, null);
+    CompactionService.recordSnapshot(fileId, otherGroupId, 'not-a-timestamp');
+
+    expect(
+      getAccountDb().first('SELECT * FROM group_snapshots WHERE group_id = ?', [
+        otherGroupId,
+      ]),
+    ).toBeNull();
+    groupDbManager.invalidate(otherGroupId);
+  });
+
+  test('recordSnapshot ignores groups without messages', () => {
+    const emptyGroupId = crypto.randomBytes(16).toString('hex');
+
+    CompactionService.recordSnapshot(fileId, emptyGroupId, timestamps[1]);
+
+    expect(
+      getAccountDb().first('SELECT * FROM group_snapshots WHERE group_id = ?', [
+        emptyGroupId,
+      ]),
+    ).toBeNull();
+    groupDbManager.invalidate(emptyGroupId);
+  });
+
+  test('does not prune without known clients', () => {
+    const result = CompactionService.compactGroup(groupId);
+
+    expect(result.pruned).toBe(0);
+    expect(countMessages(groupId)).toBe(3);
+  });
+
+  test('prunes up to what every client acknowledged', () => {
+    CompactionService.recordClientSync(groupId, 'client-1', timestamps[2]);
+    CompactionService.recordClientSync(groupId, 'client-2', timestamps[0]);
+
+    const result = CompactionService.compactGroup(groupId);
+
+    expect(result).toEqual({
+      groupId,
+      pruned: 1,
+      compactedThrough: timestamps[0],
+    });
+    expect(countMessages(groupId)).toBe(2);
+  });
+
+  test('never prunes past the snapshot', () => {
+    CompactionService.recordClientSync(groupId, 'client-1', timestamps[2]);
+
+    const result = CompactionService.compactGroup(groupId);
+
+    expect(result.compactedThrough).toEqual(timestamps[1]);
+    expect(countMessages(groupId)).toBe(1);
+  });
+
+  test('ignores clients that have not been seen for a long time', () => {
+    CompactionService.recordClientSync(groupId, 'client-1', timestamps[2]);
+    CompactionService.recordClientSync(groupId, 'client-2', '');
+    getAccountDb().mutate(
+      'UPDATE group_clients SET last_seen = ? WHERE client_id = ?',
+      [Date.now() - 365 * DAY, 'client-2'],
+    );
+
+    const result = CompactionService.compactGroup(groupId);
+
+    expect(result.pruned).toBe(2);
+  });
+
+  test('does not prune while an unidentified client syncs', () => {
+    CompactionService.recordClientSync(groupId, 'client-1', timestamps[2]);
+    CompactionService.recordClientSync(groupId, null, timestamps[2]);
+
+    expect(CompactionService.compactGroup(groupId).pruned).toBe(0);
+
+    getAccountDb().mutate(
+      'UPDATE group_clients SET last_seen = ? WHERE group_id = ? AND client_id = ?',
+      [Date.now() - 365 * DAY, groupId, ''],
+    );
+
+    expect(CompactionService.compactGroup(groupId).pruned).toBe(2);
+  });
+
+  test('keeps the merkle trie and records the hash of pruned messages', () => {
+    const trie = groupDbManager.get(groupId).getMerkle();
+    CompactionService.recordClientSync(groupId, 'client-1', timestamps[2]);
+
+    CompactionService.compactGroup(groupId);
+
+    expect(groupDbManager.get(groupId).getMerkle()).toEqual(trie);
+    expect(CompactionService.getCompactedHash(groupId)).toEqual(
+      Timestamp.parse(timestamps[0]).hash() ^
+        Timestamp.parse(timestamps[1]).hash(),
+    );
+  });
+
+  test('isBehindCompaction detects clients that missed pruned messages', () => {
+    CompactionService.recordClientSync(groupId, 'client-1', timestamps[2]);
+    CompactionService.compactGroup(groupId);
+
+    expect(CompactionService.isBehindCompaction(groupId, timestamps[0])).toBe(
+      true,
+    );
+    expect(CompactionService.isBehindCompaction(groupId, timestamps[1])).toBe(
+      false,
+    );
+  });
+
+  test('getClientId prefers the client id header', () => {
+    const messages = [createMessage(timestamps[0])];
+
+    expect(
+      CompactionService.getClientId(
+        { headers: { 'x-actual-client-id': 'device' } },
+        messages,
+      ),
+    ).toEqual('device');
+    expect(CompactionService.getClientId({ headers: {} }, messages)).toEqual(
+      '0123456789abcdef',
+    );
+    expect(CompactionService.getClientId({ headers: {} }, [])).toBeNull();
+  });
+});
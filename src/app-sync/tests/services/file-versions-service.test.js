@@ -0,0 +1,90 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import getAccountDb from '../../../account-db.js';
+import config from '../../../load-config.js';
+import {
+  getPathForFileVersion,
+  getPathForUserFile,
+} from '../../../util/paths.js';
+import * as FileVersionsService from '../../services/file-versions-service.js';
+
+describe('FileVersionsService', () => {
+  let fileId;
+  const defaultVersionsToKeep = config.fileVersionsToKeep;
+
+  const upload = async (content) => {
+    await FileVersionsService.writeBlob(fileId, Buffer.from(content));
+    return FileVersionsService.recordVersion({
+      fileId,
+      groupId: 'group-id',
+      syncVersion: 2,
+      encryptMeta: null,
+      size: content.length,
+      uploadedBy: 'genericAdmin',
+    });
+  };
+
+  beforeEach(() => {
+    fileId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate(
+      'INSERT INTO files (id, group_id, deleted) VALUES (?, ?, FALSE)',
+      [fileId, 'group-id'],
+    );
+  });
+
+  afterEach(() => {
+    config.fileVersionsToKeep = defaultVersionsToKeep;
+    for (const version of FileVersionsService.listVersions(fileId)) {
+      fs.rmSync(getPathForFileVersion(fileId, version.id), { force: true });
+    }
+    fs.rmSync(getPathForUserFile(fileId), { force: true });
+    getAccountDb().mutate('DELETE FROM file_versions WHERE file_id = ?', [
+      fileId,
+    ]);
+  });
+
+  test('keeps the previous blob when a new one is written', async () => {
+    const firstId = await upload('first');
+    const secondId = await upload('second');
+
+    const versions = FileVersionsService.listVersions(fileId);
+    expect(versions.map((version) => version.id)).toEqual([secondId, firstId]);
+    expect(fs.readFileSync(getPathForUserFile(fileId), 'utf8')).toEqual(
+      'second',
+    );
+    expect(
+      (await FileVersionsService.readVersion(versions[1])).toString(),
+    ).toEqual('first');
+  });
+
+  test('records blobs uploaded before version history existed', async () => {
+    fs.writeFileSync(getPathForUserFile(fileId), 'legacy');
+
+    const newId = await upload('new');
+
+    const versions = FileVersionsService.listVersions(fileId);
+    expect(versions.length).toBe(2);
+    expect(versions[0].id).toEqual(newId);
+    expect(versions[1]).toEqual(
+      expect.objectContaining({
+        groupId: 'group-id',
+        size: 'legacy'.length,
+        uploadedBy: null,
+      }),
+    );
+  });
+
+  test('pruneVersions keeps the configured number of previous versions', async () => {
+    config.fileVersionsToKeep = 1;
+    const firstId = await upload('first');
+    await upload('second');
+    await upload('third');
+
+    await FileVersionsService.pruneVersions(fileId);
+
+    const versions = FileVersionsService.listVersions(fileId);
+    expect(versions.length).toBe(2);
+    expect(versions.map((version) => version.id)).not.toContain(firstId);
+    expect(fs.existsSync(getPathForFileVersion(fileId, firstId))).toBe(false);
+  });
+});
@@ -174,6 +174,7 @@ describe('FilesService', () => {
       encryptMeta: '{"key":"updatedValue"}',
       syncVersion: 2,
       deleted: true,
+      checksum: 'updatedChecksum',
     });
     const updatedFile = filesService.update('1', fileUpdate);
 
@@ -188,10 +189,39 @@ describe('FilesService', () => {
         encryptKeyId: 'updatedKeyId',
         syncVersion: 2,
         deleted: true,
+        checksum: 'updatedChecksum',
       }),
     );
   });
 
+  test('update should record when a file gets deleted', () => {
+    filesService.update('1', new FileUpdate({ deleted: true }));
+    const deletedAt = filesService.getRaw('1').deleted_at;
+    expect(deletedAt).toEqual(expect.any(Number));
+
+    filesService.update('1', new FileUpdate({ deleted: true }));
+    expect(filesService.getRaw('1').deleted_at).toEqual(deletedAt);
+
+    filesService.update('1', new FileUpdate({ deleted: false }));
+    expect(filesService.getRaw('1').deleted_at).toBeNull();
+  });
+
+  test('findDeleted should return the deleted files of the user', () => {
+    const ownFileId = crypto.randomBytes(16).toString('hex');
+    const otherFileId = crypto.randomBytes(16).toString('hex');
+    accountDb.mutate(
+      'INSERT INTO files (id, deleted, deleted_at, owner) VALUES (?, 1, 1, ?), (?, 1, 2, ?)',
+      [ownFileId, 'genericUser', otherFileId, 'genericAdmin'],
+    );
+
+    const ownFiles = filesService.findDeleted({ userId: 'genericUser' });
+    expect(ownFiles.map((file) => file.id)).toEqual([ownFileId]);
+    expect(ownFiles[0].deletedAt).toBe(1);
+
+    const allFiles = filesService.findDeleted({ userId: 'genericAdmin' });
+    expect(allFiles.map((file) => file.id)).toEqual([otherFileId, ownFileId]);
+  });
+
   test('find should return only files accessible to the user', () => {
     filesService.set(
       new File({
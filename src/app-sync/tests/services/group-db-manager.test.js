@@ -0,0 +1,121 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import openDatabase from '../../../db.js';
+import { getPathForGroupFile } from '../../../util/paths.js';
+import { GroupDbManager } from '../../services/group-db-manager.js';
+
+describe('GroupDbManager', () => {
+  let manager;
+  let groupIds;
+
+  const newGroupId = () => {
+    const groupId = crypto.randomBytes(16).toString('hex');
+    groupIds.push(groupId);
+    return groupId;
+  };
+
+  beforeEach(() => {
+    manager = new GroupDbManager({ maxOpen: 2 });
+    groupIds = [];
+  });
+
+  afterEach(() => {
+    manager.closeAll();
+    for (const groupId of groupIds) {
+      fs.rmSync(getPathForGroupFile(groupId), { force: true });
+    }
+  });
+
+  test('get creates and initializes the group database', () => {
+    const groupId = newGroupId();
+
+    const groupDb = manager.get(groupId);
+
+    expect(fs.existsSync(getPathForGroupFile(groupId))).toBe(true);
+    expect(groupDb.getMerkle()).toEqual({});
+    expect(groupDb.statements.messagesSince.all('')).toEqual([]);
+  });
+
+  test('get reuses the open handle', () => {
+    const groupId = newGroupId();
+
+    expect(manager.get(groupId)).toBe(manager.get(groupId));
+  });
+
+  test('evicts the least recently used handle', () => {
+    const first = newGroupId();
+    const second = newGroupId();
+    const third = newGroupId();
+
+    manager.get(first);
+    manager.get(second);
+    manager.get(first);
+    manager.get(third);
+
+    expect(manager.isOpen(first)).toBe(true);
+    expect(manager.isOpen(second)).toBe(false);
+    expect(manager.isOpen(third)).toBe(true);
+  });
+
+  test('invalidate closes the handle', () => {
+    const groupId = newGroupId();
+    const groupDb = manager.get(groupId);
+
+    manager.invalidate(groupId);
+
+    expect(manager.isOpen(groupId)).toBe(false);
+    expect(groupDb.db.db.open).toBe(false);
+    expect(manager.get(groupId)).not.toBe(groupDb);
+  });
+
+  test('closeAll closes every handle', () => {
+    const handles = [manager.get(newGroupId()), manager.get(newGroupId())];
+
+    manager.closeAll();
+
+    expect(handles.every((groupDb) => !groupDb.db.db.open)).toBe(true);
+  });
+
+  test('setMerkle persists and caches the trie', () => {
+    const groupId = newGroupId();
+    const groupDb = manager.get(groupId);
+    const trie = { hash: 1234 };
+
+    groupDb.setMerkle(trie);
+
+    expect(groupDb.getMerkle()).toBe(trie);
+    const other = openDatabase(getPathForGroupFile(groupId));
+    expect(other.first('SELECT merkle FROM messages_merkles').merkle).toEqual(
+      JSON.stringify(trie),
+    );
+    other.close();
+  });
+
+  test('reloads the trie when another connection changed it', () => {
+    const groupId = newGroupId();
+    const groupDb = manager.get(groupId);
+    groupDb.setMerkle({ hash: 1 });
+
+    const other = openDatabase(getPathForGroupFile(groupId));
+    other.mutate('UPDATE messages_merkles SET merkle = ? WHERE id = 1', [
+      JSON.stringify({ hash: 2 }),
+    ]);
+    other.close();
+
+    expect(groupDb.getMerkle()).toEqual({ hash: 2 });
+  });
+
+  test('drops the cached trie when a transaction fails', () => {
+    const groupDb = manager.get(newGroupId());
+    groupDb.setMerkle({ hash: 1 });
+
+    expect(() =>
+      groupDb.transaction(() => {
+        groupDb.setMerkle({ hash: 2 });
+        throw new Error('boom');
+      }),
+    ).toThrow('boom');
+
+    expect(groupDb.getMerkle()).toEqual({ hash: 1 });
+  });
+});
@@ -0,0 +1,301 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { join } from 'node:path';
+import { SyncProtoBuf, Timestamp } from '@actual-app/crdt';
+import getAccountDb from '../../../account-db.js';
+import config from '../../../load-config.js';
+import { sync } from '../../../sync-simple.js';
+import {
+  getPathForFileVersion,
+  getPathForGroupFile,
+  getPathForUserFile,
+} from '../../../util/paths.js';
+import { groupDbManager } from '../../services/group-db-manager.js';
+import * as CompactionService from '../../services/compaction-service.js';
+import {
+  checkStorage,
+  repairStorage,
+} from '../../services/storage-check-service.js';
+import { getKeyForKeyRotation } from '../../storage/index.js';
+
+const timestamps = [
+  '2024-01-01T00:00:00.000Z-0000-0123456789abcdef',
+  '2024-01-02T00:00:00.000Z-0000-0123456789abcdef',
+];
+
+const createMessage = (timestamp) => {
+  const message = new SyncProtoBuf.MessageEnvelope();
+  message.setTimestamp(timestamp);
+  message.setIsencrypted(false);
+  message.setContent(Buffer.from(timestamp));
+  return message;
+};
+
+const newId = () => crypto.randomBytes(16).toString('hex');
+
+const emptyReport = () => ({
+  missingBlobs: [],
+  orphanBlobs: [],
+  orphanGroups: [],
+  corruptGroups: [],
+  merkleMismatches: [],
+});
+
+describe('StorageCheckService', () => {
+  let fileIds, groupIds, paths;
+
+  const createFile = ({ blob = true, groupId = null } = {}) => {
+    const fileId = newId();
+    fileIds.push(fileId);
+    getAccountDb().mutate(
+      'INSERT INTO files (id, group_id, deleted) VALUES (?, ?, FALSE)',
+      [fileId, groupId],
+    );
+    if (blob) {
+      fs.writeFileSync(getPathForUserFile(fileId), 'budget');
+      paths.push(getPathForUserFile(fileId));
+    }
+    return fileId;
+  };
+
+  const createGroup = () => {
+    const groupId = newId();
+    groupIds.push(groupId);
+    sync(timestamps.map(createMessage), '', groupId);
+    return groupId;
+  };
+
+  const setStoredHash = (groupId, hash) => {
+    const groupDb = groupDbManager.get(groupId);
+    groupDb.setMerkle({ ...groupDb.getMerkle(), hash });
+  };
+
+  beforeEach(() => {
+    fileIds = [];
+    groupIds = [];
+    paths = [];
+  });
+
+  afterEach(() => {
+    for (const fileId of fileIds) {
+      getAccountDb().mutate('DELETE FROM files WHERE id = ?', [fileId]);
+    }
+    for (const groupId of groupIds) {
+      CompactionService.forgetGroup(groupId);
+      groupDbManager.invalidate(groupId);
+      fs.rmSync(getPathForGroupFile(groupId), { force: true });
+    }
+    for (const path of paths) {
+      fs.rmSync(path, { force: true });
+    }
+  });
+
+  test('finds missing and orphaned blobs', async () => {
+    const fileId = createFile();
+    const missingId = createFile({ blob: false });
+    const orphanId = newId();
+    fs.writeFileSync(getPathForUserFile(orphanId), 'orphan');
+    fs.writeFileSync(getPathForFileVersion(fileId, 'unknown'), 'old');
+    paths.push(
+      getPathForUserFile(orphanId),
+      getPathForFileVersion(fileId, 'unknown'),
+    );
+
+    const report = await checkStorage();
+
+    expect(report.missingBlobs).toContain(missingId);
+    expect(report.missingBlobs).not.toContain(fileId);
+    expect(report.orphanBlobs).toContain(`file-${orphanId}.blob`);
+    expect(report.orphanBlobs).toContain(`file-${fileId}.unknown.blob`);
+    expect(report.orphanBlobs).not.toContain(`file-${fileId}.blob`);
+  });
+
+  test('finds key rotation blobs without a rotation', async () => {
+    const fileId = createFile();
+    const orphanId = createFile();
+    getAccountDb().mutate(
+      'INSERT INTO key_rotations (file_id, key_id, started_at) VALUES (?, ?, ?)',
+      [fileId, 'new-key', Date.now()],
+    );
+    for (const id of [fileId, orphanId]) {
+      const path = join(config.userFiles, getKeyForKeyRotation(id));
+      fs.writeFileSync(path, 'rotated');
+      paths.push(path);
+    }
+
+    try {
+      const report = await checkStorage();
+
+      expect(report.orphanBlobs).toContain(`file-${orphanId}.rotation`);
+      expect(report.orphanBlobs).not.toContain(`file-${fileId}.rotation`);
+    } finally {
+      getAccountDb().mutate('DELETE FROM key_rotations WHERE file_id = ?', [
+        fileId,
+      ]);
+    }
+  });
+
+  test('finds orphaned sync databases', async () => {
+    const groupId = createGroup();
+    const orphanGroupId = createGroup();
+    createFile({ groupId });
+
+    const report = await checkStorage();
+
+    expect(report.orphanGroups).toContain(orphanGroupId);
+    expect(report.orphanGroups).not.toContain(groupId);
+  });
+
+  test('finds merkle tries that do not match the messages', async () => {
+    const groupId = createGroup();
+    const intactGroupId = createGroup();
+    createFile({ groupId });
+    createFile({ groupId: intactGroupId });
+    setStoredHash(groupId, 1234);
+
+    const report = await checkStorage();
+
+    expect(report.merkleMismatches).toContainEqual({
+      groupId,
+      storedHash: 1234,
+      computedHash:
+        Timestamp.parse(timestamps[0]).hash() ^
+        Timestamp.parse(timestamps[1]).hash(),
+      repairable: true,
+    });
+    expect(report.merkleMismatches).not.toContainEqual(
+      expect.objectContaining({ groupId: intactGroupId }),
+    );
+  });
+
+  test('accounts for compacted messages', async () => {
+    const groupId = createGroup();
+    const fileId = createFile({ groupId });
+    CompactionService.recordSnapshot(fileId, groupId, timestamps[1]);
+    CompactionService.recordClientSync(groupId, 'client', timestamps[1]);
+    CompactionService.compactGroup(groupId);
+
+    const report = await checkStorage();
+
+    expect(report.merkleMismatches).not.toContainEqual(
+      expect.objectContaining({ groupId }),
+    );
+
+    setStoredHash(groupId, 1234);
+
+    expect((await checkStorage()).merkleMismatches).toContainEqual(
+      expect.objectContaining({ groupId, repairable: false }),
+    );
+  });
+
+  test('reports sync databases that cannot be read', async () => {
+    const groupId = newId();
+    groupIds.push(groupId);
+    fs.writeFileSync(getPathForGroupFile(groupId), 'not a database');
+
+    const report = await checkStorage();
+
+    expect(report.corruptGroups).toContainEqual({
+      groupId,
+      errors: [expect.any(String)],
+    });
+  });
+
+  test('repairStorage only repairs what the options allow', async () => {
+    const orphanId = newId();
+    fs.writeFileSync(getPathForUserFile(orphanId), 'orphan');
+    paths.push(getPathForUserFile(orphanId));
+    const report = {
+      ...emptyReport(),
+      orphanBlobs: [`file-${orphanId}.blob`],
+    };
+
+    const repaired = await repairStorage(report, {});
+
+    expect(repaired.deletedBlobs).toEqual([]);
+    expect(fs.existsSync(getPathForUserFile(orphanId))).toBe(true);
+  });
+
+  test('repairStorage deletes orphans', async () => {
+    const orphanId = newId();
+    const orphanGroupId = createGroup();
+    fs.writeFileSync(getPathForUserFile(orphanId), 'orphan');
+    paths.push(getPathForUserFile(orphanId));
+    const report = {
+      ...emptyReport(),
+      orphanBlobs: [`file-${orphanId}.blob`],
+      orphanGroups: [orphanGroupId],
+    };
+
+    const repaired = await repairStorage(report, { deleteOrphans: true });
+
+    expect(repaired.deletedBlobs).toEqual([`file-${orphanId}.blob`]);
+    expect(repaired.deletedGroups).toEqual([orphanGroupId]);
+    expect(fs.existsSync(getPathForUserFile(orphanId))).toBe(false);
+    expect(fs.existsSync(getPathForGroupFile(orphanGroupId))).toBe(false);
+  });
+
+  test('repairStorage deletes files whose blob is missing', async () => {
+    const missingId = createFile({ blob: false });
+
+    const repaired = await repairStorage(
+      { ...emptyReport(), missingBlobs: [missingId] },
+      { deleteMissing: true },
+    );
+
+    expect(repaired.deletedFiles).toEqual([missingId]);
+    expect(
+      getAccountDb().first('SELECT * FROM files WHERE id = ?', [missingId]),
+    ).toBeNull();
+  });
+
+  test('repairStorage skips what changed since the check', async () => {
+    // Uploaded after the check found it orphaned or missing
+    const fileId = createFile();
+    const groupId = createGroup();
+    createFile({ groupId });
+
+    const repaired = await repairStorage(
+      {
+        ...emptyReport(),
+        orphanBlobs: [`file-${fileId}.blob`],
+        orphanGroups: [groupId],
+        missingBlobs: [fileId],
+      },
+      { deleteOrphans: true, deleteMissing: true },
+    );
+
+    expect(repaired).toEqual({
+      deletedBlobs: [],
+      deletedGroups: [],
+      deletedFiles: [],
+      rebuiltMerkles: [],
+    });
+    expect(fs.existsSync(getPathForUserFile(fileId))).toBe(true);
+    expect(fs.existsSync(getPathForGroupFile(groupId))).toBe(true);
+    expect(
+      getAccountDb().first('SELECT id FROM files WHERE id = ?', [fileId]),
+    ).toEqual({ id: fileId });
+  });
+
+  test('repairStorage rebuilds merkle tries', async () => {
+    const groupId = createGroup();
+    createFile({ groupId });
+    const trie = groupDbManager.get(groupId).getMerkle();
+    setStoredHash(groupId, 1234);
+
+    const report = await checkStorage();
+    const repaired = await repairStorage(
+      {
+        ...emptyReport(),
+        merkleMismatches: report.merkleMismatches.filter(
+          (mismatch) => mismatch.groupId === groupId,
+        ),
+      },
+      { rebuildMerkles: true },
+    );
+
+    expect(repaired.rebuiltMerkles).toEqual([groupId]);
+    expect(groupDbManager.get(groupId).getMerkle()).toEqual(trie);
+  });
+});
@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import { SyncNotifier } from '../../services/sync-notifier.js';
+
+describe('SyncNotifier', () => {
+  let notifier;
+
+  beforeEach(() => {
+    notifier = new SyncNotifier();
+  });
+
+  test('publish notifies subscribers of the group only', () => {
+    const listener = jest.fn();
+    const otherListener = jest.fn();
+    notifier.subscribe('group-1', listener);
+    notifier.subscribe('group-2', otherListener);
+
+    notifier.publish('group-1', { type: 'messages' });
+
+    expect(listener).toHaveBeenCalledWith({ type: 'messages' });
+    expect(otherListener).not.toHaveBeenCalled();
+  });
+
+  test('unsubscribe removes the listener', () => {
+    const listener = jest.fn();
+    const unsubscribe = notifier.subscribe('group-1', listener);
+
+    unsubscribe();
+    notifier.publish('group-1', { type: 'messages' });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(notifier.subscriberCount('group-1')).toBe(0);
+  });
+
+  test('a failing listener does not stop the others', () => {
+    const failing = jest.fn(() => {
+      throw new Error('closed');
+    });
+    const listener = jest.fn();
+    notifier.subscribe('group-1', failing);
+    notifier.subscribe('group-1', listener);
+
+    notifier.publish('group-1', { type: 'messages' });
+
+    expect(listener).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { join } from 'node:path';
+import getAccountDb from '../../../account-db.js';
+import config from '../../../load-config.js';
+import {
+  getPathForGroupFile,
+  getPathForUploadSession,
+  getPathForUserFile,
+} from '../../../util/paths.js';
+import { purgeDeletedFiles } from '../../services/trash-service.js';
+import { getKeyForKeyRotation } from '../../storage/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('TrashService', () => {
+  const defaultRetentionDays = config.deletedFileRetentionDays;
+
+  const createDeletedFile = (deletedAt) => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const groupId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate(
+      'INSERT INTO files (id, group_id, deleted, deleted_at) VALUES (?, ?, TRUE, ?)',
+      [fileId, groupId, deletedAt],
+    );
+    getAccountDb().mutate(
+      'INSERT INTO user_access (file_id, user_id) VALUES (?, ?)',
+      [fileId, 'genericUser'],
+    );
+    fs.writeFileSync(getPathForUserFile(fileId), 'content');
+    fs.writeFileSync(getPathForGroupFile(groupId), '');
+    return { fileId, groupId };
+  };
+
+  afterEach(() => {
+    config.deletedFileRetentionDays = defaultRetentionDays;
+  });
+
+  test('purges files deleted longer than the retention period', async () => {
+    config.deletedFileRetentionDays = 30;
+    const { fileId, groupId } = createDeletedFile(Date.now() - 31 * DAY);
+
+    const purged = await purgeDeletedFiles();
+
+    expect(purged).toContain(fileId);
+    expect(fs.existsSync(getPathForUserFile(fileId))).toBe(false);
+    expect(fs.existsSync(getPathForGroupFile(groupId))).toBe(false);
+    expect(
+      getAccountDb().first('SELECT * FROM files WHERE id = ?', [fileId]),
+    ).toBeNull();
+    expect(
+      getAccountDb().first('SELECT * FROM user_access WHERE file_id = ?', [
+        fileId,
+      ]),
+    ).toBeNull();
+  });
+
+  test('purges the invites, uploads and key rotation of a file', async () => {
+    config.deletedFileRetentionDays = 30;
+    const { fileId } = createDeletedFile(Date.now() - 31 * DAY);
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    getAccountDb().mutate(
+      `INSERT INTO file_invites (id, file_id, permission, created_at, expires_at)
+         VALUES (?, ?, 'viewer', 0, 0)`,
+      [crypto.randomBytes(16).toString('hex'), fileId],
+    );
+    getAccountDb().mutate(
+      `INSERT INTO upload_sessions (id, file_id, user_id, received, created_at, updated_at)
+         VALUES (?, ?, 'genericUser', 0, 0, 0)`,
+      [uploadId, fileId],
+    );
+    fs.writeFileSync(getPathForUploadSession(uploadId), 'part');
+    fs.writeFileSync(
+      join(config.userFiles, getKeyForKeyRotation(fileId)),
+      'rotated',
+    );
+
+    await purgeDeletedFiles();
+
+    for (const table of ['file_invites', 'upload_sessions']) {
+      expect(
+        getAccountDb().first(`SELECT * FROM ${table} WHERE file_id = ?`, [
+          fileId,
+        ]),
+      ).toBeNull();
+    }
+    expect(fs.existsSync(getPathForUploadSession(uploadId))).toBe(false);
+    expect(
+      fs.existsSync(join(config.userFiles, getKeyForKeyRotation(fileId))),
+    ).toBe(false);
+  });
+
+  test('keeps files deleted within the retention period', async () => {
+    config.deletedFileRetentionDays = 30;
+    const { fileId } = createDeletedFile(Date.now() - DAY);
+
+    const purged = await purgeDeletedFiles();
+
+    expect(purged).not.toContain(fileId);
+    expect(fs.existsSync(getPathForUserFile(fileId))).toBe(true);
+  });
+
+  test('keeps every deleted file when retention is disabled', async () => {
+    config.deletedFileRetentionDays = 0;
+    const { fileId } = createDeletedFile(Date.now() - 365 * DAY);
+
+    expect(await purgeDeletedFiles()).toEqual([]);
+    expect(fs.existsSync(getPathForUserFile(fileId))).toBe(true);
+  });
+});
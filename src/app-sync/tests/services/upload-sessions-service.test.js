@@ -0,0 +1,94 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import getAccountDb from '../../../account-db.js';
+import { getPathForUploadSession } from '../../../util/paths.js';
+import * as UploadSessionsService from '../../services/upload-sessions-service.js';
+
+describe('UploadSessionsService', () => {
+  let session;
+
+  beforeEach(async () => {
+    session = await UploadSessionsService.createSession({
+      fileId: crypto.randomBytes(16).toString('hex'),
+      userId: 'genericUser',
+      name: 'budget',
+      groupId: null,
+      encryptMeta: null,
+      syncVersion: 2,
+      size: 6,
+    });
+  });
+
+  afterEach(async () => {
+    await UploadSessionsService.deleteSession(session.id);
+  });
+
+  test('createSession creates an empty upload', () => {
+    expect(session.received).toBe(0);
+    expect(fs.readFileSync(getPathForUploadSession(session.id))).toEqual(
+      Buffer.alloc(0),
+    );
+  });
+
+  test('getSession only returns sessions of the user', () => {
+    expect(UploadSessionsService.getSession(session.id, 'genericUser')).toEqual(
+      session,
+    );
+    expect(
+      UploadSessionsService.getSession(session.id, 'genericAdmin'),
+    ).toBeNull();
+  });
+
+  test('appendChunk writes chunks at their offset', async () => {
+    await UploadSessionsService.appendChunk(session, 0, Buffer.from('abc'));
+    session = UploadSessionsService.getSession(session.id, 'genericUser');
+    // Sending a chunk again does not corrupt the upload
+    await UploadSessionsService.appendChunk(session, 0, Buffer.from('abc'));
+    session = UploadSessionsService.getSession(session.id, 'genericUser');
+    const received = await UploadSessionsService.appendChunk(
+      session,
+      3,
+      Buffer.from('def'),
+    );
+
+    expect(received).toBe(6);
+    session = UploadSessionsService.getSession(session.id, 'genericUser');
+    expect(session.received).toBe(6);
+    expect(
+      (await UploadSessionsService.readUpload(session)).toString(),
+    ).toEqual('abcdef');
+  });
+
+  test('deleteSession removes the upload', async () => {
+    await UploadSessionsService.deleteSession(session.id);
+
+    expect(
+      UploadSessionsService.getSession(session.id, 'genericUser'),
+    ).toBeNull();
+    expect(fs.existsSync(getPathForUploadSession(session.id))).toBe(false);
+  });
+
+  test('purgeStaleSessions removes abandoned uploads', async () => {
+    const recent = await UploadSessionsService.createSession({
+      fileId: crypto.randomBytes(16).toString('hex'),
+      userId: 'genericUser',
+      name: 'budget',
+      groupId: null,
+      encryptMeta: null,
+      syncVersion: 2,
+      size: null,
+    });
+    getAccountDb().mutate(
+      'UPDATE upload_sessions SET updated_at = ? WHERE id = ?',
+      [Date.now() - 2 * 24 * 60 * 60 * 1000, session.id],
+    );
+
+    const purged = await UploadSessionsService.purgeStaleSessions();
+
+    expect(purged).toEqual([session.id]);
+    expect(
+      UploadSessionsService.getSession(recent.id, 'genericUser'),
+    ).not.toBeNull();
+    await UploadSessionsService.deleteSession(recent.id);
+  });
+});
@@ -0,0 +1,55 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FilesystemStorage } from '../../storage/filesystem-storage.js';
+
+describe('FilesystemStorage', () => {
+  let root, storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'actual-storage-'));
+    storage = new FilesystemStorage(root);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('writes and reads blobs', async () => {
+    await storage.write('file-1.blob', Buffer.from('content'));
+
+    expect(fs.readFileSync(path.join(root, 'file-1.blob'), 'utf8')).toEqual(
+      'content',
+    );
+    expect((await storage.read('file-1.blob')).toString()).toEqual('content');
+  });
+
+  test('read and stat return null for missing blobs', async () => {
+    expect(await storage.read('missing.blob')).toBeNull();
+    expect(await storage.stat('missing.blob')).toBeNull();
+  });
+
+  test('move renames the blob', async () => {
+    await storage.write('file-1.blob', Buffer.from('content'));
+
+    await storage.move('file-1.blob', 'file-1.version.blob');
+
+    expect(await storage.stat('file-1.blob')).toBeNull();
+    expect(await storage.stat('file-1.version.blob')).toEqual({
+      size: 7,
+      modifiedAt: expect.any(Number),
+    });
+  });
+
+  test('list returns the keys with a prefix', async () => {
+    await storage.write('file-2.blob', Buffer.from('content'));
+    await storage.write('file-1.blob', Buffer.from('content'));
+    await storage.write('group-1.sqlite', Buffer.from('content'));
+
+    expect(await storage.list('file-')).toEqual(['file-1.blob', 'file-2.blob']);
+  });
+
+  test('delete ignores missing blobs', async () => {
+    await storage.delete('missing.blob');
+  });
+});
@@ -13,6 +13,12 @@ import * as simpleFinApp from './app-simplefin/app-simplefin.js';
 import * as secretApp from './app-secrets.js';
 import * as adminApp from './app-admin.js';
 import * as openidApp from './app-openid.js';
+import { groupDbManager } from './app-sync/services/group-db-manager.js';
+import { compactAllGroups } from './app-sync/services/compaction-service.js';
+import { purgeDeletedFiles } from './app-sync/services/trash-service.js';
+import { purgeStaleSessions } from './app-sync/services/upload-sessions-service.js';
+import { createScheduledBackup } from './services/backup-service.js';
+import { refreshOpenIdSessions } from './accounts/openid.js';
 
 const app = express();
 
@@ -70,6 +76,62 @@ app.use(express.static(config.webRoot, { index: false }));
 
 app.get('/*', (req, res) => res.sendFile(config.webRoot + '/index.html'));
 
+function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down...`);
+  groupDbManager.closeAll();
+  process.exit(0);
+}
+
+function compactSyncData() {
+  try {
+    const results = compactAllGroups();
+    const pruned = results.reduce((total, result) => total + result.pruned, 0);
+    console.log(
+      `Compacted sync data: pruned ${pruned} messages in ${results.length} groups`,
+    );
+  } catch (err) {
+    console.log('Error compacting sync data:', err);
+  }
+}
+
+async function purgeTrash() {
+  try {
+    await purgeDeletedFiles();
+  } catch (err) {
+    console.log('Error purging deleted files:', err);
+  }
+}
+
+async function purgeStaleUploads() {
+  try {
+    await purgeStaleSessions();
+  } catch (err) {
+    console.log('Error purging stale uploads:', err);
+  }
+}
+
+async function refreshSessions() {
+  try {
+    const { refreshed, ended } = await refreshOpenIdSessions();
+    if (refreshed > 0 || ended > 0) {
+      console.log(
+        `Refreshed ${refreshed} OpenID sessions, ended ${ended} the provider no longer accepts`,
+      );
+    }
+  } catch (err) {
+    console.log('Error refreshing OpenID sessions:', err);
+  }
+}
+
+async function backupServer() {
+  try {
+    const destination = await createScheduledBackup();
+    console.log(`Backed up server to ${destination}`);
+  } catch (err) {
+    console.log('Error backing up server:', err);
+  }
+}
+
 function parseHTTPSConfig(value) {
   if (value.startsWith('-----BEGIN')) {
     return value;
@@ -90,5 +152,29 @@ export default async function run() {
     app.listen(config.port, config.hostname);
   }
 
+  if (config.compaction.enabled) {
+    setInterval(
+      compactSyncData,
+      config.compaction.intervalHours * 60 * 60 * 1000,
+    ).unref();
+  }
+
+  if (config.backup.enabled) {
+    setInterval(
+      backupServer,
+      config.backup.intervalHours * 60 * 60 * 1000,
+    ).unref();
+  }
+
+  if (config.deletedFileRetentionDays) {
+    setInterval(purgeTrash, 60 * 60 * 1000).unref();
+  }
+
+  setInterval(purgeStaleUploads, 60 * 60 * 1000).unref();
+  setInterval(refreshSessions, 5 * 60 * 1000).unref();
+
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
   console.log('Listening on ' + config.hostname + ':' + config.port + '...');
 }
@@ -1,6 +1,6 @@
 import { ServerOptions } from 'https';
 
-type LoginMethod = 'password' | 'header' | 'openid';
+type LoginMethod = 'password' | 'header' | 'openid' | 'webauthn';
 
 export interface Config {
   mode: 'test' | 'development';
@@ -24,6 +24,49 @@ export interface Config {
     syncEncryptedFileSizeLimitMB: number;
     fileSizeLimitMB: number;
   };
+  syncPageSize: number;
+  fileVersionsToKeep: number;
+  deletedFileRetentionDays: number;
+  storage: {
+    type: 'filesystem' | 's3';
+    s3?: {
+      endpoint?: string;
+      region: string;
+      bucket: string;
+      accessKeyId: string;
+      secretAccessKey: string;
+      prefix?: string;
+      timeoutSeconds?: number;
+    };
+  };
+  backup: {
+    enabled: boolean;
+    intervalHours: number;
+    directory?: string;
+    keep: number;
+  };
+  compaction: {
+    enabled: boolean;
+    intervalHours: number;
+    staleClientDays: number;
+  };
+  loginThrottling: {
+    freeAttempts: number;
+    maxDelaySeconds: number;
+    lockoutAttempts: number;
+    lockoutMinutes: number;
+  };
+  webauthn: {
+    rpName: string;
+    origin?: string;
+  };
+  openIdProvisioning: {
+    roleClaim?: string;
+    roleMapping: Record<string, 'ADMIN' | 'BASIC'>;
+    autoProvision: boolean;
+    allowedEmailDomains: string[];
+    allowedGroups: string[];
+  };
   openId?: {
     issuer:
       | string
@@ -39,5 +82,6 @@ export interface Config {
     authMethod?: 'openid' | 'oauth2';
   };
   multiuser: boolean;
+  allowRegistration: boolean;
   token_expiration?: 'never' | 'openid-provider' | number;
 }
@@ -23,6 +23,14 @@ class WrappedDatabase {
     return rows.length === 0 ? null : rows[0];
   }
 
+  /**
+   * Returns a prepared statement that can be kept around and reused.
+   * @param {string} sql
+   */
+  prepare(sql) {
+    return this.db.prepare(sql);
+  }
+
   /**
    * @param {string} sql
    */
@@ -47,6 +55,15 @@ class WrappedDatabase {
     return this.db.transaction(fn)();
   }
 
+  /**
+   * Copies the database to `destination` with the SQLite online backup API,
+   * which gives a consistent copy while the database is in use.
+   * @param {string} destination
+   */
+  backup(destination) {
+    return this.db.backup(destination);
+  }
+
   close() {
     this.db.close();
   }
@@ -54,7 +54,7 @@ if (process.env.ACTUAL_CONFIG_PATH) {
 /** @type {Omit<import('./config-types.js').Config, 'mode' | 'dataDir' | 'serverFiles' | 'userFiles'>} */
 let defaultConfig = {
   loginMethod: 'password',
-  allowedLoginMethods: ['password', 'header', 'openid'],
+  allowedLoginMethods: ['password', 'header', 'openid', 'webauthn'],
   // assume local networks are trusted
   trustedProxies: [
     '10.0.0.0/8',
@@ -80,8 +80,41 @@ let defaultConfig = {
     syncEncryptedFileSizeLimitMB: 50,
     fileSizeLimitMB: 20,
   },
+  syncPageSize: 1000,
+  fileVersionsToKeep: 5,
+  // Deleted files are kept until an admin opts in to purging them
+  deletedFileRetentionDays: 0,
+  storage: {
+    type: 'filesystem',
+  },
+  backup: {
+    enabled: false,
+    intervalHours: 24,
+    keep: 7,
+  },
+  compaction: {
+    enabled: false,
+    intervalHours: 24,
+    staleClientDays: 90,
+  },
+  loginThrottling: {
+    freeAttempts: 3,
+    maxDelaySeconds: 60,
+    lockoutAttempts: 10,
+    lockoutMinutes: 15,
+  },
+  webauthn: {
+    rpName: 'Actual',
+  },
+  openIdProvisioning: {
+    roleMapping: {},
+    autoProvision: false,
+    allowedEmailDomains: [],
+    allowedGroups: [],
+  },
   projectRoot,
   multiuser: false,
+  allowRegistration: false,
   token_expiration: 'never',
 };
 
@@ -120,6 +153,17 @@ const finalConfig = {
         return value === 'true';
       })()
     : config.multiuser,
+  allowRegistration: process.env.ACTUAL_ALLOW_REGISTRATION
+    ? (() => {
+        const value = process.env.ACTUAL_ALLOW_REGISTRATION.toLowerCase();
+        if (!['true', 'false'].includes(value)) {
+          throw new Error(
+            'ACTUAL_ALLOW_REGISTRATION must be either "true" or "false"',
+          );
+        }
+        return value === 'true';
+      })()
+    : config.allowRegistration,
   allowedLoginMethods: process.env.ACTUAL_ALLOWED_LOGIN_METHODS
     ? process.env.ACTUAL_ALLOWED_LOGIN_METHODS.split(',')
         .map((q) => q.trim().toLowerCase())
@@ -166,6 +210,117 @@ const finalConfig = {
             config.upload.fileSizeLimitMB,
         }
       : config.upload,
+  syncPageSize: +process.env.ACTUAL_SYNC_PAGE_SIZE || config.syncPageSize,
+  fileVersionsToKeep: process.env.ACTUAL_FILE_VERSIONS_TO_KEEP
+    ? +process.env.ACTUAL_FILE_VERSIONS_TO_KEEP
+    : config.fileVersionsToKeep,
+  deletedFileRetentionDays: process.env.ACTUAL_DELETED_FILE_RETENTION_DAYS
+    ? +process.env.ACTUAL_DELETED_FILE_RETENTION_DAYS
+    : config.deletedFileRetentionDays,
+  storage: process.env.ACTUAL_STORAGE_TYPE
+    ? {
+        type: /** @type {'filesystem' | 's3'} */ (
+          process.env.ACTUAL_STORAGE_TYPE.toLowerCase()
+        ),
+        s3: {
+          ...config.storage?.s3,
+          endpoint:
+            process.env.ACTUAL_S3_ENDPOINT ?? config.storage?.s3?.endpoint,
+          region:
+            process.env.ACTUAL_S3_REGION ??
+            config.storage?.s3?.region ??
+            'us-east-1',
+          bucket: process.env.ACTUAL_S3_BUCKET ?? config.storage?.s3?.bucket,
+          accessKeyId:
+            process.env.ACTUAL_S3_ACCESS_KEY_ID ??
+            config.storage?.s3?.accessKeyId,
+          secretAccessKey:
+            process.env.ACTUAL_S3_SECRET_ACCESS_KEY ??
+            config.storage?.s3?.secretAccessKey,
+          prefix: process.env.ACTUAL_S3_PREFIX ?? config.storage?.s3?.prefix,
+        },
+      }
+    : config.storage,
+  backup: {
+    ...config.backup,
+    enabled: process.env.ACTUAL_BACKUP_ENABLED
+      ? process.env.ACTUAL_BACKUP_ENABLED.toLowerCase() === 'true'
+      : config.backup.enabled,
+    intervalHours:
+      +process.env.ACTUAL_BACKUP_INTERVAL_HOURS || config.backup.intervalHours,
+    directory: process.env.ACTUAL_BACKUP_DIRECTORY ?? config.backup.directory,
+    keep: process.env.ACTUAL_BACKUP_KEEP
+      ? +process.env.ACTUAL_BACKUP_KEEP
+      : config.backup.keep,
+  },
+  compaction: {
+    ...config.compaction,
+    enabled: process.env.ACTUAL_COMPACTION_ENABLED
+      ? process.env.ACTUAL_COMPACTION_ENABLED.toLowerCase() === 'true'
+      : config.compaction.enabled,
+    intervalHours:
+      +process.env.ACTUAL_COMPACTION_INTERVAL_HOURS ||
+      config.compaction.intervalHours,
+    staleClientDays:
+      +process.env.ACTUAL_COMPACTION_STALE_CLIENT_DAYS ||
+      config.compaction.staleClientDays,
+  },
+  loginThrottling: {
+    ...config.loginThrottling,
+    lockoutAttempts:
+      +process.env.ACTUAL_LOGIN_LOCKOUT_ATTEMPTS ||
+      config.loginThrottling.lockoutAttempts,
+    lockoutMinutes:
+      +process.env.ACTUAL_LOGIN_LOCKOUT_MINUTES ||
+      config.loginThrottling.lockoutMinutes,
+  },
+  webauthn: {
+    ...config.webauthn,
+    origin: process.env.ACTUAL_WEBAUTHN_ORIGIN || config.webauthn.origin,
+  },
+  openIdProvisioning: {
+    ...defaultConfig.openIdProvisioning,
+    ...config.openIdProvisioning,
+    roleClaim:
+      process.env.ACTUAL_OPENID_ROLE_CLAIM ||
+      config.openIdProvisioning?.roleClaim,
+    // e.g. `actual-admins=ADMIN,actual-users=BASIC`
+    roleMapping: process.env.ACTUAL_OPENID_ROLE_MAPPING
+      ? Object.fromEntries(
+          process.env.ACTUAL_OPENID_ROLE_MAPPING.split(',').map((entry) => {
+            const [value, role] = entry.split('=').map((q) => q.trim());
+            if (!['ADMIN', 'BASIC'].includes(role)) {
+              throw new Error(
+                `ACTUAL_OPENID_ROLE_MAPPING maps "${value}" to unknown role "${role}"`,
+              );
+            }
+            return [value, role];
+          }),
+        )
+      : { ...config.openIdProvisioning?.roleMapping },
+    autoProvision: process.env.ACTUAL_OPENID_AUTO_PROVISION
+      ? (() => {
+          const value = process.env.ACTUAL_OPENID_AUTO_PROVISION.toLowerCase();
+          if (!['true', 'false'].includes(value)) {
+            throw new Error(
+              'ACTUAL_OPENID_AUTO_PROVISION must be either "true" or "false"',
+            );
+          }
+          return value === 'true';
+        })()
+      : config.openIdProvisioning?.autoProvision ??
+        defaultConfig.openIdProvisioning.autoProvision,
+    allowedEmailDomains: process.env.ACTUAL_OPENID_ALLOWED_EMAIL_DOMAINS
+      ? process.env.ACTUAL_OPENID_ALLOWED_EMAIL_DOMAINS.split(',').map((q) =>
+          q.trim().toLowerCase(),
+        )
+      : config.openIdProvisioning?.allowedEmailDomains ??
+        defaultConfig.openIdProvisioning.allowedEmailDomains,
+    allowedGroups: process.env.ACTUAL_OPENID_ALLOWED_GROUPS
+      ? process.env.ACTUAL_OPENID_ALLOWED_GROUPS.split(',').map((q) => q.trim())
+      : config.openIdProvisioning?.allowedGroups ??
+        defaultConfig.openIdProvisioning.allowedGroups,
+  },
   openId: (() => {
     if (
       !process.env.ACTUAL_OPENID_DISCOVERY_URL &&
@@ -245,4 +400,53 @@ if (finalConfig.upload) {
   debug(`using file limit ${finalConfig.upload.fileSizeLimitMB}mb`);
 }
 
+debug(`using sync page size ${finalConfig.syncPageSize}`);
+debug(`keeping ${finalConfig.fileVersionsToKeep} previous file versions`);
+debug(
+  finalConfig.deletedFileRetentionDays
+    ? `purging deleted files after ${finalConfig.deletedFileRetentionDays} days`
+    : 'keeping deleted files forever',
+);
+debug(
+  finalConfig.storage.type === 's3'
+    ? `storing files in bucket ${finalConfig.storage.s3?.bucket}`
+    : 'storing files in the user files directory',
+);
+if (finalConfig.storage.s3?.secretAccessKey) {
+  debugSensitive(
+    `using s3 secret access key ${finalConfig.storage.s3.secretAccessKey}`,
+  );
+}
+debug(
+  `backups ${
+    finalConfig.backup.enabled
+      ? `every ${finalConfig.backup.intervalHours}h, keeping ${finalConfig.backup.keep}`
+      : 'disabled'
+  }`,
+);
+debug(
+  `sync data compaction ${
+    finalConfig.compaction.enabled
+      ? `every ${finalConfig.compaction.intervalHours}h`
+      : 'disabled'
+  }`,
+);
+debug(
+  `locking logins out for ${finalConfig.loginThrottling.lockoutMinutes} minutes after ${finalConfig.loginThrottling.lockoutAttempts} failed attempts`,
+);
+if (finalConfig.multiuser && finalConfig.allowRegistration) {
+  debug('letting users register password accounts that await approval');
+}
+if (finalConfig.openIdProvisioning.roleClaim) {
+  debug(
+    `syncing openid user roles from the ${finalConfig.openIdProvisioning.roleClaim} claim`,
+  );
+}
+if (finalConfig.openIdProvisioning.autoProvision) {
+  debug('creating unknown openid users on their first login');
+}
+if (finalConfig.webauthn.origin) {
+  debug(`using webauthn origin ${finalConfig.webauthn.origin}`);
+}
+
 export default finalConfig;
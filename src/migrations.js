@@ -2,27 +2,34 @@ import migrate from 'migrate';
 import path from 'node:path';
 import config from './load-config.js';
 
+/** The file in which `migrate` records the migrations that have run. */
+export function getMigrationStatePath() {
+  return `${path.join(config.dataDir, '.migrate')}${
+    config.mode === 'test' ? '-test' : ''
+  }`;
+}
+
 export default function run(direction = 'up') {
   console.log(
     `Checking if there are any migrations to run for direction "${direction}"...`,
   );
 
-  return new Promise((resolve) =>
+  return new Promise((resolve, reject) =>
     migrate.load(
       {
-        stateStore: `${path.join(config.dataDir, '.migrate')}${
-          config.mode === 'test' ? '-test' : ''
-        }`,
+        stateStore: getMigrationStatePath(),
         migrationsDirectory: `${path.join(config.projectRoot, 'migrations')}`,
       },
       (err, set) => {
         if (err) {
-          throw err;
+          reject(err);
+          return;
         }
 
         set[direction]((err) => {
           if (err) {
-            throw err;
+            reject(err);
+            return;
           }
 
           console.log('Migrations: DONE');
@@ -0,0 +1,24 @@
+import { resolve } from 'node:path';
+import {
+  createBackup,
+  createScheduledBackup,
+} from '../services/backup-service.js';
+
+const destination = process.argv[2];
+
+try {
+  let path;
+  if (destination) {
+    path = resolve(destination);
+    await createBackup(path);
+  } else {
+    path = await createScheduledBackup();
+  }
+  console.log(`Backup written to ${path}`);
+} catch (err) {
+  console.log('Unexpected error:', err);
+  console.log(
+    'Please report this as an issue: https://github.com/actualbudget/actual-server/issues',
+  );
+  process.exit(1);
+}
@@ -0,0 +1,65 @@
+import { groupDbManager } from '../app-sync/services/group-db-manager.js';
+import {
+  checkStorage,
+  repairStorage,
+} from '../app-sync/services/storage-check-service.js';
+
+const args = process.argv.slice(2);
+const options = {
+  deleteOrphans: args.includes('--delete-orphans'),
+  rebuildMerkles: args.includes('--rebuild-merkles'),
+  deleteMissing: args.includes('--delete-missing'),
+};
+
+console.log('Checking storage...');
+
+try {
+  const report = await checkStorage();
+
+  for (const fileId of report.missingBlobs) {
+    console.log(`File ${fileId} is missing its blob`);
+  }
+  for (const key of report.orphanBlobs) {
+    console.log(`Blob ${key} does not belong to any file`);
+  }
+  for (const groupId of report.orphanGroups) {
+    console.log(
+      `Sync database of group ${groupId} does not belong to any file`,
+    );
+  }
+  for (const { groupId, errors } of report.corruptGroups) {
+    console.log(
+      `Sync database of group ${groupId} is corrupt: ${errors.join(', ')}`,
+    );
+  }
+  for (const { groupId, repairable } of report.merkleMismatches) {
+    console.log(
+      `Merkle trie of group ${groupId} does not match its messages` +
+        (repairable ? '' : ' and cannot be rebuilt as it was compacted'),
+    );
+  }
+
+  const repaired = await repairStorage(report, options);
+  for (const key of repaired.deletedBlobs) {
+    console.log(`Deleted blob ${key}`);
+  }
+  for (const groupId of repaired.deletedGroups) {
+    console.log(`Deleted sync database of group ${groupId}`);
+  }
+  for (const fileId of repaired.deletedFiles) {
+    console.log(`Deleted file ${fileId}`);
+  }
+  for (const groupId of repaired.rebuiltMerkles) {
+    console.log(`Rebuilt merkle trie of group ${groupId}`);
+  }
+
+  console.log('Storage check done!');
+} catch (err) {
+  console.log('Unexpected error:', err);
+  console.log(
+    'Please report this as an issue: https://github.com/actualbudget/actual-server/issues',
+  );
+  process.exit(1);
+} finally {
+  groupDbManager.closeAll();
+}
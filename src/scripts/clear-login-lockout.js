@@ -0,0 +1,53 @@
+import {
+  clearLockout,
+  listFailures,
+} from '../services/login-throttle-service.js';
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const ip = getArg('--ip');
+const account = getArg('--account');
+
+try {
+  if (args.includes('--all')) {
+    console.log(`Cleared ${clearLockout()} failed login entries`);
+  } else if (ip || account) {
+    let cleared = 0;
+    if (ip) {
+      cleared += clearLockout('ip', ip);
+    }
+    if (account) {
+      cleared += clearLockout('account', account);
+    }
+    console.log(
+      cleared > 0 ? 'Lockout cleared!' : 'No failed logins were recorded',
+    );
+  } else {
+    const failures = listFailures();
+    if (failures.length === 0) {
+      console.log('No failed logins are recorded');
+    }
+    for (const failure of failures) {
+      const blocked =
+        failure.blockedUntil > Date.now()
+          ? `, blocked until ${new Date(failure.blockedUntil).toISOString()}`
+          : '';
+      console.log(
+        `${failure.kind} ${failure.value}: ${failure.failures} failed attempts${blocked}`,
+      );
+    }
+    console.log(
+      'Use --ip <address>, --account <name> or --all to clear a lockout',
+    );
+  }
+} catch (err) {
+  console.log('Unexpected error:', err);
+  console.log(
+    'Please report this as an issue: https://github.com/actualbudget/actual-server/issues',
+  );
+  process.exit(1);
+}
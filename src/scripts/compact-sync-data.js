@@ -0,0 +1,35 @@
+import {
+  compactAllGroups,
+  compactGroup,
+} from '../app-sync/services/compaction-service.js';
+import { groupDbManager } from '../app-sync/services/group-db-manager.js';
+
+const groupId = process.argv[2];
+
+if (groupId) {
+  console.log(`Compacting sync data of group ${groupId}...`);
+} else {
+  console.log('Compacting sync data of every group with a snapshot...');
+}
+
+try {
+  const results = groupId ? [compactGroup(groupId)] : compactAllGroups();
+
+  for (const result of results) {
+    console.log(
+      `Group ${result.groupId}: pruned ${result.pruned} messages` +
+        (result.compactedThrough
+          ? `, compacted through ${result.compactedThrough}`
+          : ''),
+    );
+  }
+  console.log('Compaction done!');
+} catch (err) {
+  console.log('Unexpected error:', err);
+  console.log(
+    'Please report this as an issue: https://github.com/actualbudget/actual-server/issues',
+  );
+  process.exit(1);
+} finally {
+  groupDbManager.closeAll();
+}
@@ -1,8 +1,22 @@
 import { bootstrap, needsBootstrap } from '../account-db.js';
-import { changePassword } from '../accounts/password.js';
+import { changePassword, resetTotp } from '../accounts/password.js';
 import { promptPassword } from '../util/prompt.js';
 
-if (needsBootstrap()) {
+if (process.argv.includes('--reset-2fa')) {
+  // The device with the authenticator app is lost, the password is not.
+  // Multiuser servers name the user: --reset-2fa <user name>
+  const userName = process.argv[process.argv.indexOf('--reset-2fa') + 1];
+  const { error, disabled } = resetTotp(userName);
+  if (error) {
+    console.log('Error resetting two-factor authentication:', error);
+    process.exit(1);
+  }
+  console.log(
+    disabled
+      ? 'Two-factor authentication disabled! Set it up again after logging in.'
+      : 'Two-factor authentication was not enabled.',
+  );
+} else if (needsBootstrap()) {
   console.log(
     'It looks like you don’t have a password set yet. Let’s set one up now!',
   );
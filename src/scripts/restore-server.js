@@ -0,0 +1,52 @@
+import { resolve } from 'node:path';
+import { restoreBackup } from '../services/backup-service.js';
+
+const args = process.argv.slice(2);
+const archivePath = args.find((arg) => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+const force = args.includes('--force');
+
+if (!archivePath) {
+  console.log('Usage: restore-server <archive> [--dry-run] [--force]');
+  console.log(
+    'Stop the server before restoring. --dry-run only checks the archive, --force restores even when files are missing their data.',
+  );
+  process.exit(1);
+}
+
+try {
+  const report = await restoreBackup(resolve(archivePath), { dryRun, force });
+
+  console.log(`Backup created at ${report.manifest.createdAt}`);
+  if (report.pendingMigrations.length > 0) {
+    console.log(
+      `Migrations run on the backup: ${report.pendingMigrations.join(', ')}`,
+    );
+  }
+  for (const { fileId, missing } of report.missing) {
+    console.log(
+      `File ${fileId} is missing its ${
+        missing === 'blob' ? 'budget file' : 'sync database'
+      }`,
+    );
+  }
+  for (const name of report.orphans) {
+    console.log(`${name} does not belong to any file`);
+  }
+
+  if (report.restored) {
+    console.log(
+      `Server restored. The replaced data was moved to ${report.previousData}`,
+    );
+  } else if (dryRun) {
+    console.log('Dry run, nothing was restored');
+  } else {
+    console.log(
+      'Nothing was restored because files are missing their data. Use --force to restore anyway.',
+    );
+    process.exit(1);
+  }
+} catch (err) {
+  console.log('Restore failed:', err.message);
+  process.exit(1);
+}
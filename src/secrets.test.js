@@ -1,6 +1,7 @@
-import { secretsService } from './services/secrets-service.js';
+import { SecretName, secretsService } from './services/secrets-service.js';
 import request from 'supertest';
 import { handlers as app } from './app-secrets.js';
+import config from './load-config.js';
 describe('secretsService', () => {
   const testSecretName = 'testSecret';
   const testSecretValue = 'testValue';
@@ -67,16 +68,46 @@ describe('secretsService', () => {
     });
 
     it('returns 200 if secret was set', async () => {
-      secretsService.set(testSecretName, testSecretValue);
+      const previous = secretsService.get(SecretName.simplefin_token);
       const res = await request(app)
         .post(`/`)
         .set('x-actual-token', 'valid-token')
-        .send({ name: testSecretName, value: testSecretValue });
+        .send({ name: SecretName.simplefin_token, value: testSecretValue });
 
       expect(res.statusCode).toEqual(200);
       expect(res.body).toEqual({
         status: 'ok',
       });
+      expect(secretsService.get(SecretName.simplefin_token)).toBe(
+        testSecretValue,
+      );
+      secretsService.set(SecretName.simplefin_token, previous);
+    });
+
+    it('returns 403 for users who are not admins in multiuser mode', async () => {
+      config.multiuser = true;
+      try {
+        const res = await request(app)
+          .post(`/`)
+          .set('x-actual-token', 'valid-token-user')
+          .send({ name: SecretName.simplefin_token, value: 'other' });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.reason).toEqual('not-admin');
+      } finally {
+        config.multiuser = false;
+      }
+    });
+
+    it('returns 400 for secrets other than the bank sync ones', async () => {
+      const res = await request(app)
+        .post(`/`)
+        .set('x-actual-token', 'valid-token')
+        .send({ name: 'invite_signingKey', value: testSecretValue });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.reason).toEqual('invalid-secret-name');
+      expect(secretsService.exists('invite_signingKey')).toBe(false);
     });
   });
 });
@@ -0,0 +1,182 @@
+import crypto from 'node:crypto';
+import * as uuid from 'uuid';
+import getAccountDb, { isAdmin } from '../account-db.js';
+import { sha256Hex } from '../util/hash.js';
+import { TOKEN_EXPIRATION_NEVER } from '../util/validate-user.js';
+
+export const API_TOKEN_SCOPES = [
+  'sync:read',
+  'sync:write',
+  'bank-sync',
+  'admin',
+];
+
+/** Scopes that come with another one. */
+const IMPLIED_SCOPES = { 'sync:write': ['sync:read'] };
+
+/** Tells API tokens apart from session tokens before hitting the database. */
+const TOKEN_PREFIX = 'actual_';
+
+/**
+ * @typedef {Object} ApiToken
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} scopes
+ * @property {number} createdAt
+ * @property {number | null} expiresAt
+ * @property {number | null} lastUsedAt
+ */
+
+/** @returns {ApiToken} */
+function toApiToken(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+  };
+}
+
+/**
+ * @param {unknown} scopes
+ * @param {string} userId
+ * @returns {string | null} the reason the scopes are refused
+ */
+export function validateScopes(scopes, userId) {
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((scope) => !API_TOKEN_SCOPES.includes(scope))
+  ) {
+    return 'invalid-scope';
+  }
+  if (scopes.includes('admin') && !isAdmin(userId)) {
+    return 'invalid-scope';
+  }
+  return null;
+}
+
+/**
+ * Creates a token. Only its hash is stored, so the token itself can't be
+ * shown again.
+ * @param {{ userId: string, name: string, scopes: string[], expiresAt: number | null }} options
+ * @returns {ApiToken & { token: string }}
+ */
+export function createToken({ userId, name, scopes, expiresAt }) {
+  const id = uuid.v4();
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const createdAt = Date.now();
+
+  getAccountDb().mutate(
+    `INSERT INTO api_tokens (id, user_id, name, token_hash, scopes, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      userId,
+      name,
+      sha256Hex(token),
+      JSON.stringify([...new Set(scopes)]),
+      createdAt,
+      expiresAt,
+    ],
+  );
+
+  return {
+    id,
+    token,
+    name,
+    scopes: [...new Set(scopes)],
+    createdAt,
+    expiresAt,
+    lastUsedAt: null,
+  };
+}
+
+/**
+ * @param {string} userId
+ * @returns {ApiToken[]}
+ */
+export function listTokens(userId) {
+  return getAccountDb()
+    .all(
+      'SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at, rowid',
+      [userId],
+    )
+    .map(toApiToken);
+}
+
+/**
+ * @param {string} userId
+ * @param {string} tokenId
+ * @returns {boolean} whether the token existed
+ */
+export function revokeToken(userId, tokenId) {
+  return (
+    getAccountDb().mutate(
+      'DELETE FROM api_tokens WHERE id = ? AND user_id = ?',
+      [tokenId, userId],
+    ).changes > 0
+  );
+}
+
+/** @param {string} userId */
+export function deleteUserTokens(userId) {
+  getAccountDb().mutate('DELETE FROM api_tokens WHERE user_id = ?', [userId]);
+}
+
+/**
+ * Looks up an API token and returns it shaped like a row of `sessions`,
+ * with the scopes it grants.
+ * @param {string | undefined} token
+ */
+export function getTokenSession(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const row = getAccountDb().first(
+    'SELECT * FROM api_tokens WHERE token_hash = ?',
+    [sha256Hex(token)],
+  );
+  if (!row) {
+    return null;
+  }
+
+  return {
+    token,
+    user_id: row.user_id,
+    expires_at:
+      row.expires_at == null
+        ? TOKEN_EXPIRATION_NEVER
+        : Math.floor(row.expires_at / 1000),
+    auth_method: 'api-token',
+    api_token_id: row.id,
+    scopes: JSON.parse(row.scopes),
+  };
+}
+
+/** @param {string} tokenId */
+export function markUsed(tokenId) {
+  getAccountDb().mutate('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [
+    Date.now(),
+    tokenId,
+  ]);
+}
+
+/**
+ * Whether a session may do what `scope` stands for. Sessions of a regular
+ * login have no scopes and may do anything.
+ * @param {{ scopes?: string[] }} session
+ * @param {string} scope
+ */
+export function hasScope(session, scope) {
+  if (!session.scopes) {
+    return true;
+  }
+  return session.scopes.some(
+    (granted) =>
+      granted === scope || (IMPLIED_SCOPES[granted] ?? []).includes(scope),
+  );
+}
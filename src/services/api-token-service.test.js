@@ -0,0 +1,101 @@
+import getAccountDb from '../account-db.js';
+import { TOKEN_EXPIRATION_NEVER } from '../util/validate-user.js';
+import * as ApiTokenService from './api-token-service.js';
+
+describe('ApiTokenService', () => {
+  afterEach(() => {
+    getAccountDb().mutate('DELETE FROM api_tokens');
+  });
+
+  test('stores only a hash of the token', () => {
+    const { token, id } = ApiTokenService.createToken({
+      userId: 'genericUser',
+      name: 'script',
+      scopes: ['sync:read'],
+      expiresAt: null,
+    });
+
+    const row = getAccountDb().first('SELECT * FROM api_tokens WHERE id = ?', [
+      id,
+    ]);
+    expect(row.token_hash).not.toEqual(token);
+    expect(JSON.stringify(row)).not.toContain(token);
+  });
+
+  test('getTokenSession returns a session with the scopes of the token', () => {
+    const expiresAt = Date.now() + 60 * 60 * 1000;
+    const { token, id } = ApiTokenService.createToken({
+      userId: 'genericUser',
+      name: 'script',
+      scopes: ['sync:write', 'bank-sync'],
+      expiresAt,
+    });
+
+    expect(ApiTokenService.getTokenSession(token)).toEqual({
+      token,
+      user_id: 'genericUser',
+      expires_at: Math.floor(expiresAt / 1000),
+      auth_method: 'api-token',
+      api_token_id: id,
+      scopes: ['sync:write', 'bank-sync'],
+    });
+  });
+
+  test('getTokenSession ignores unknown and session tokens', () => {
+    const { token } = ApiTokenService.createToken({
+      userId: 'genericUser',
+      name: 'script',
+      scopes: ['sync:read'],
+      expiresAt: null,
+    });
+
+    expect(ApiTokenService.getTokenSession(token).expires_at).toBe(
+      TOKEN_EXPIRATION_NEVER,
+    );
+    expect(ApiTokenService.getTokenSession(`${token}x`)).toBeNull();
+    expect(ApiTokenService.getTokenSession('valid-token')).toBeNull();
+    expect(ApiTokenService.getTokenSession(undefined)).toBeNull();
+  });
+
+  test('lists and revokes the tokens of a user', () => {
+    const { id } = ApiTokenService.createToken({
+      userId: 'genericUser',
+      name: 'script',
+      scopes: ['sync:read'],
+      expiresAt: null,
+    });
+
+    expect(ApiTokenService.listTokens('genericUser')).toEqual([
+      expect.objectContaining({ id, name: 'script', lastUsedAt: null }),
+    ]);
+    expect(ApiTokenService.revokeToken('genericAdmin', id)).toBe(false);
+    expect(ApiTokenService.revokeToken('genericUser', id)).toBe(true);
+    expect(ApiTokenService.listTokens('genericUser')).toEqual([]);
+  });
+
+  test('validateScopes refuses unknown scopes and admin for non-admins', () => {
+    expect(ApiTokenService.validateScopes(['sync:read'], 'genericUser')).toBe(
+      null,
+    );
+    expect(ApiTokenService.validateScopes([], 'genericUser')).toEqual(
+      'invalid-scope',
+    );
+    expect(ApiTokenService.validateScopes(['files'], 'genericUser')).toEqual(
+      'invalid-scope',
+    );
+    expect(ApiTokenService.validateScopes(['admin'], 'genericUser')).toEqual(
+      'invalid-scope',
+    );
+    expect(ApiTokenService.validateScopes(['admin'], 'genericAdmin')).toBe(
+      null,
+    );
+  });
+
+  test('hasScope lets sync:write read too', () => {
+    const session = { scopes: ['sync:write'] };
+
+    expect(ApiTokenService.hasScope(session, 'sync:read')).toBe(true);
+    expect(ApiTokenService.hasScope(session, 'bank-sync')).toBe(false);
+    expect(ApiTokenService.hasScope({}, 'admin')).toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+import getAccountDb from '../account-db.js';
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} id
+ * @property {string} action
+ * @property {string | null} userId
+ * @property {string | null} fileId
+ * @property {object | null} details
+ * @property {number} createdAt
+ */
+
+/** @returns {AuditEntry} */
+function toAuditEntry(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    userId: row.user_id,
+    fileId: row.file_id,
+    details: row.details ? JSON.parse(row.details) : null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Records that a user did something worth keeping track of.
+ * @param {string} action
+ * @param {{ userId?: string | null, fileId?: string | null, details?: object | null }} entry
+ */
+export function record(
+  action,
+  { userId = null, fileId = null, details = null },
+) {
+  getAccountDb().mutate(
+    'INSERT INTO audit_log (action, user_id, file_id, details, created_at) VALUES (?, ?, ?, ?, ?)',
+    [
+      action,
+      userId,
+      fileId,
+      details ? JSON.stringify(details) : null,
+      Date.now(),
+    ],
+  );
+}
+
+/**
+ * Lists the entries of a file, newest first.
+ * @param {string} fileId
+ * @returns {AuditEntry[]}
+ */
+export function listForFile(fileId) {
+  return getAccountDb()
+    .all('SELECT * FROM audit_log WHERE file_id = ? ORDER BY id DESC', [fileId])
+    .map(toAuditEntry);
+}
@@ -0,0 +1,519 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import { createReadStream, createWriteStream } from 'node:fs';
+import os from 'node:os';
+import { basename, dirname, join } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+import getAccountDb, { closeAccountDb } from '../account-db.js';
+import openDatabase from '../db.js';
+import config from '../load-config.js';
+import runMigrations, { getMigrationStatePath } from '../migrations.js';
+import { groupDbManager } from '../app-sync/services/group-db-manager.js';
+import { getBlobStorage } from '../app-sync/storage/index.js';
+import { createTar, extractTar } from '../util/tar.js';
+
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} BackupManifest
+ * @property {number} formatVersion
+ * @property {string} createdAt
+ * @property {{ lastRun: string | null, migrations: Array<{ title: string, timestamp: number | null }> } | null} migrations
+ *   the `migrate` state the account database is at
+ * @property {Array<{ name: string, size: number, sha256: string }>} files
+ */
+
+async function readMigrationState() {
+  try {
+    return JSON.parse(await fs.readFile(getMigrationStatePath(), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/** @param {string} path */
+async function hashFile(path) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(path)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Copies a SQLite database with the online backup API.
+ * @param {string} source
+ * @param {string} destination
+ */
+async function backupDatabase(source, destination) {
+  const db = openDatabase(source);
+  try {
+    await db.backup(destination);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Gathers a consistent copy of everything the server stores in `dir`.
+ * @param {string} dir
+ * @returns {Promise<string[]>} the archive names of the copied files
+ */
+async function collectFiles(dir) {
+  const names = ['account.sqlite'];
+  await getAccountDb().backup(join(dir, 'account.sqlite'));
+
+  await fs.mkdir(join(dir, 'user-files'));
+
+  const groupFiles = (await fs.readdir(config.userFiles))
+    .filter((name) => /^group-.+\.sqlite$/.test(name))
+    .sort();
+  for (const name of groupFiles) {
+    await backupDatabase(
+      join(config.userFiles, name),
+      join(dir, 'user-files', name),
+    );
+    names.push(`user-files/${name}`);
+  }
+
+  const storage = getBlobStorage();
+  for (const key of await storage.list('file-')) {
+    if (!key.endsWith('.blob')) {
+      // Uploads that are still being written
+      continue;
+    }
+    const content = await storage.read(key);
+    if (content) {
+      await fs.writeFile(join(dir, 'user-files', key), content);
+      names.push(`user-files/${key}`);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Writes a gzipped tar archive with the account database, every sync
+ * database and every budget file blob to `destination`. The archive starts
+ * with a `manifest.json` listing its files and the migration state.
+ * @param {string} destination
+ * @returns {Promise<BackupManifest>}
+ */
+export async function createBackup(destination) {
+  const dir = await fs.mkdtemp(join(os.tmpdir(), 'actual-backup-'));
+
+  try {
+    const names = await collectFiles(dir);
+
+    const files = [];
+    for (const name of names) {
+      const path = join(dir, name);
+      const { size } = await fs.stat(path);
+      files.push({ name, size, sha256: await hashFile(path) });
+    }
+
+    /** @type {BackupManifest} */
+    const manifest = {
+      formatVersion: BACKUP_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      migrations: await readMigrationState(),
+      files,
+    };
+
+    await pipeline(
+      Readable.from(
+        createTar([
+          {
+            name: 'manifest.json',
+            content: Buffer.from(JSON.stringify(manifest, null, 2)),
+          },
+          ...names.map((name) => ({ name, path: join(dir, name) })),
+        ]),
+      ),
+      zlib.createGzip(),
+      createWriteStream(destination),
+    );
+
+    return manifest;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * The file name for a backup made now, e.g.
+ * `actual-backup-2025-01-31T12-00-00Z.tar.gz`.
+ */
+export function getBackupFileName() {
+  const timestamp = new Date()
+    .toISOString()
+    .replace(/\.\d{3}Z$/, 'Z')
+    .replace(/:/g, '-');
+  return `actual-backup-${timestamp}.tar.gz`;
+}
+
+export function getBackupDirectory() {
+  return config.backup.directory || join(config.dataDir, 'backups');
+}
+
+/**
+ * Writes a new backup to the backup directory and deletes the oldest ones
+ * beyond `backup.keep`.
+ * @returns {Promise<string>} the path of the new backup
+ */
+export async function createScheduledBackup() {
+  const directory = getBackupDirectory();
+  await fs.mkdir(directory, { recursive: true });
+
+  const destination = join(directory, getBackupFileName());
+  await createBackup(destination);
+
+  if (config.backup.keep > 0) {
+    // The timestamp in the name makes them sort from oldest to newest
+    const backups = (await fs.readdir(directory))
+      .filter((name) => /^actual-backup-.+\.tar\.gz$/.test(name))
+      .sort();
+    for (const name of backups.slice(0, -config.backup.keep)) {
+      await fs.rm(join(directory, name), { force: true });
+    }
+  }
+
+  return destination;
+}
+
+/**
+ * @typedef {Object} RestoreReport
+ * @property {BackupManifest} manifest
+ * @property {string[]} pendingMigrations the migrations the backup had not run yet
+ * @property {Array<{ fileId: string, missing: 'blob' | 'group' }>} missing
+ *   the files whose blob or sync database is not in the backup
+ * @property {string[]} orphans the archived blobs and sync databases that no file refers to
+ * @property {boolean} restored
+ * @property {string | null} previousData where the replaced data was moved to
+ */
+
+/**
+ * Compares the migration state of a backup with the migrations this server
+ * knows about.
+ * @param {BackupManifest['migrations']} state
+ * @param {string[]} available the migration file names
+ * @returns {{ pending: string[], unknown: string[] }}
+ */
+export function checkMigrationState(state, available) {
+  const ran = new Set(
+    state.migrations
+      .filter((migration) => migration.timestamp)
+      .map((migration) => migration.title),
+  );
+
+  return {
+    pending: available.filter((title) => !ran.has(title)),
+    unknown: [...ran].filter((title) => !available.includes(title)),
+  };
+}
+
+async function listMigrations() {
+  return (await fs.readdir(join(config.projectRoot, 'migrations')))
+    .filter((name) => name.endsWith('.js'))
+    .sort();
+}
+
+/**
+ * Checks the extracted files against the manifest of the archive.
+ * @param {string} dir
+ * @param {string[]} names the extracted files
+ * @returns {Promise<BackupManifest>}
+ */
+async function verifyArchive(dir, names) {
+  if (!names.includes('manifest.json')) {
+    throw new Error('The archive has no manifest');
+  }
+
+  /** @type {BackupManifest} */
+  const manifest = JSON.parse(
+    await fs.readFile(join(dir, 'manifest.json'), 'utf8'),
+  );
+  if (manifest.formatVersion !== BACKUP_FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported backup format version: ${manifest.formatVersion}`,
+    );
+  }
+
+  const listed = new Set(manifest.files.map((file) => file.name));
+  if (!listed.has('account.sqlite')) {
+    throw new Error('The backup has no account database');
+  }
+  for (const name of names) {
+    if (name !== 'manifest.json' && !listed.has(name)) {
+      throw new Error(`${name} is not listed in the manifest`);
+    }
+  }
+
+  for (const file of manifest.files) {
+    if (!names.includes(file.name)) {
+      throw new Error(`${file.name} is missing from the archive`);
+    }
+    const path = join(dir, file.name);
+    const { size } = await fs.stat(path);
+    if (size !== file.size || (await hashFile(path)) !== file.sha256) {
+      throw new Error(`${file.name} does not match its checksum`);
+    }
+  }
+
+  return manifest;
+}
+
+/**
+ * Runs `fn` with the server pointed at the data extracted to `dir`.
+ * @template T
+ * @param {string} dir
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withStagedData(dir, fn) {
+  const live = {
+    dataDir: config.dataDir,
+    serverFiles: config.serverFiles,
+    userFiles: config.userFiles,
+  };
+
+  closeAccountDb();
+  groupDbManager.closeAll();
+  Object.assign(config, {
+    dataDir: dir,
+    serverFiles: dir,
+    userFiles: join(dir, 'user-files'),
+  });
+
+  try {
+    return await fn();
+  } finally {
+    closeAccountDb();
+    Object.assign(config, live);
+  }
+}
+
+/**
+ * Cross-references the `files` table with the archived blobs and sync
+ * databases.
+ * @param {string[]} names the extracted files
+ * @returns {Pick<RestoreReport, 'missing' | 'orphans'>}
+ */
+function inspectData(names) {
+  const present = new Set(
+    names
+      .filter((name) => name.startsWith('user-files/'))
+      .map((name) => name.slice('user-files/'.length)),
+  );
+
+  const accountDb = getAccountDb();
+  const files = accountDb.all('SELECT id, group_id FROM files');
+  const fileIds = new Set(files.map((file) => file.id));
+  const groupIds = new Set(files.map((file) => file.group_id));
+  const versions = new Set(
+    accountDb
+      .all('SELECT id, file_id FROM file_versions')
+      .map((version) => `${version.file_id}.${version.id}`),
+  );
+
+  /** @type {RestoreReport['missing']} */
+  const missing = [];
+  for (const file of files) {
+    if (!present.has(`file-${file.id}.blob`)) {
+      missing.push({ fileId: file.id, missing: 'blob' });
+    }
+    if (file.group_id && !present.has(`group-${file.group_id}.sqlite`)) {
+      missing.push({ fileId: file.id, missing: 'group' });
+    }
+  }
+
+  const orphans = [...present]
+    .filter((name) => {
+      let match;
+      if ((match = /^file-([^.]+)\.blob$/.exec(name))) {
+        return !fileIds.has(match[1]);
+      }
+      if ((match = /^file-([^.]+)\.([^.]+)\.blob$/.exec(name))) {
+        return !versions.has(`${match[1]}.${match[2]}`);
+      }
+      if ((match = /^group-(.+)\.sqlite$/.exec(name))) {
+        return !groupIds.has(match[1]);
+      }
+      return true;
+    })
+    .map((name) => `user-files/${name}`);
+
+  return { missing, orphans };
+}
+
+/**
+ * @param {string} source
+ * @param {string} destination
+ */
+async function moveFile(source, destination) {
+  await fs.mkdir(dirname(destination), { recursive: true });
+  try {
+    await fs.rename(source, destination);
+  } catch (err) {
+    if (err.code !== 'EXDEV') {
+      throw err;
+    }
+    await fs.copyFile(source, destination);
+    await fs.rm(source);
+  }
+}
+
+/** @param {string} path */
+async function exists(path) {
+  try {
+    await fs.access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Moves the current data of the server to `previous` and the restored data
+ * in its place.
+ * @param {string} dir where the archive was extracted to
+ * @param {string[]} names the extracted files
+ * @param {string} previous
+ */
+async function swapData(dir, names, previous) {
+  closeAccountDb();
+  groupDbManager.closeAll();
+
+  const statePath = getMigrationStatePath();
+  const ignored = [basename(dir), basename(previous)];
+
+  for (const suffix of ['', '-wal', '-shm']) {
+    const path = join(config.serverFiles, `account.sqlite${suffix}`);
+    if (await exists(path)) {
+      await moveFile(
+        path,
+        join(previous, 'server-files', `account.sqlite${suffix}`),
+      );
+    }
+  }
+  if (await exists(config.userFiles)) {
+    for (const name of await fs.readdir(config.userFiles)) {
+      if (!ignored.includes(name)) {
+        await moveFile(
+          join(config.userFiles, name),
+          join(previous, 'user-files', name),
+        );
+      }
+    }
+  }
+  if (await exists(statePath)) {
+    await moveFile(statePath, join(previous, basename(statePath)));
+  }
+
+  await moveFile(
+    join(dir, 'account.sqlite'),
+    join(config.serverFiles, 'account.sqlite'),
+  );
+  await moveFile(join(dir, basename(statePath)), statePath);
+
+  // Sync databases always live next to the server, blobs in the blob storage
+  const storage =
+    config.storage.type === 'filesystem' ? null : getBlobStorage();
+  for (const name of names) {
+    if (!name.startsWith('user-files/')) {
+      continue;
+    }
+    const key = name.slice('user-files/'.length);
+    if (storage && key.endsWith('.blob')) {
+      await storage.write(key, await fs.readFile(join(dir, name)));
+    } else {
+      await moveFile(join(dir, name), join(config.userFiles, key));
+    }
+  }
+}
+
+/**
+ * Restores the server from an archive written by `createBackup`. The archive
+ * is extracted and checked against its manifest, the migrations it had not
+ * run yet are run on the extracted account database and every file is
+ * checked for its blob and sync database. Only then is the current data
+ * moved aside and replaced. Files with missing data stop the restore unless
+ * `force` is set. The server must not be running.
+ * @param {string} archivePath
+ * @param {{ dryRun?: boolean, force?: boolean }} options
+ * @returns {Promise<RestoreReport>}
+ */
+export async function restoreBackup(
+  archivePath,
+  { dryRun = false, force = false } = {},
+) {
+  const stamp = Date.now();
+  const dir = join(config.dataDir, `.restore-${stamp}`);
+  await fs.mkdir(dir, { recursive: true });
+
+  try {
+    /** @type {string[]} */
+    let names;
+    await pipeline(
+      createReadStream(archivePath),
+      zlib.createGunzip(),
+      async (source) => {
+        names = await extractTar(source, dir);
+      },
+    );
+
+    const manifest = await verifyArchive(dir, names);
+    if (!manifest.migrations) {
+      throw new Error('The backup does not record its migration state');
+    }
+
+    const { pending, unknown } = checkMigrationState(
+      manifest.migrations,
+      await listMigrations(),
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `The backup was made by a newer server, it ran unknown migrations: ${unknown.join(
+          ', ',
+        )}`,
+      );
+    }
+
+    await fs.writeFile(
+      join(dir, basename(getMigrationStatePath())),
+      JSON.stringify(manifest.migrations),
+    );
+    const { missing, orphans } = await withStagedData(dir, async () => {
+      if (pending.length > 0) {
+        await runMigrations('up');
+      }
+      return inspectData(names);
+    });
+
+    /** @type {RestoreReport} */
+    const report = {
+      manifest,
+      pendingMigrations: pending,
+      missing,
+      orphans,
+      restored: false,
+      previousData: null,
+    };
+
+    if (dryRun || (missing.length > 0 && !force)) {
+      return report;
+    }
+
+    const previous = join(config.dataDir, `pre-restore-${stamp}`);
+    await swapData(dir, names, previous);
+
+    return { ...report, restored: true, previousData: previous };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,310 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import getAccountDb, { closeAccountDb } from '../account-db.js';
+import openDatabase from '../db.js';
+import config from '../load-config.js';
+import { getPathForUserFile } from '../util/paths.js';
+import { createTar } from '../util/tar.js';
+import {
+  BACKUP_FORMAT_VERSION,
+  checkMigrationState,
+  createBackup,
+  createScheduledBackup,
+  restoreBackup,
+} from './backup-service.js';
+
+/** Reads the names and contents of a gzipped tar archive. */
+function readArchive(archivePath) {
+  const data = zlib.gunzipSync(fs.readFileSync(archivePath));
+  const entries = new Map();
+  let offset = 0;
+  while (offset < data.length && data[offset] !== 0) {
+    const header = data.subarray(offset, offset + 512);
+    const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+    const size = parseInt(header.toString('ascii', 124, 136), 8);
+    offset += 512;
+    entries.set(name, data.subarray(offset, offset + size));
+    offset += Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+describe('BackupService', () => {
+  const defaultBackupConfig = config.backup;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actual-backup-test-'));
+  });
+
+  afterEach(() => {
+    config.backup = defaultBackupConfig;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('createBackup archives the databases and blobs with a manifest', async () => {
+    const fileId = crypto.randomBytes(16).toString('hex');
+    fs.writeFileSync(getPathForUserFile(fileId), 'budget content');
+    const archivePath = path.join(dir, 'backup.tar.gz');
+
+    try {
+      const manifest = await createBackup(archivePath);
+
+      const entries = readArchive(archivePath);
+      const names = [...entries.keys()];
+      expect(names[0]).toEqual('manifest.json');
+      expect(names).toContain('account.sqlite');
+      expect(names).toContain(`user-files/file-${fileId}.blob`);
+      expect(entries.get(`user-files/file-${fileId}.blob`).toString()).toEqual(
+        'budget content',
+      );
+      expect(entries.get('account.sqlite').subarray(0, 15).toString()).toEqual(
+        'SQLite format 3',
+      );
+
+      expect(JSON.parse(entries.get('manifest.json').toString())).toEqual(
+        manifest,
+      );
+      expect(manifest.formatVersion).toBe(BACKUP_FORMAT_VERSION);
+      expect(manifest.migrations.migrations).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ title: '1719409568000-multiuser.js' }),
+        ]),
+      );
+      expect(
+        manifest.files.find((file) => file.name.endsWith(`${fileId}.blob`)),
+      ).toEqual({
+        name: `user-files/file-${fileId}.blob`,
+        size: 14,
+        sha256: crypto
+          .createHash('sha256')
+          .update('budget content')
+          .digest('hex'),
+      });
+    } finally {
+      fs.rmSync(getPathForUserFile(fileId), { force: true });
+    }
+  });
+
+  test('createScheduledBackup keeps the newest backups', async () => {
+    config.backup = { ...defaultBackupConfig, directory: dir, keep: 2 };
+    const old = [
+      'actual-backup-2020-01-01T00-00-00Z.tar.gz',
+      'actual-backup-2020-01-02T00-00-00Z.tar.gz',
+    ];
+    for (const name of old) {
+      fs.writeFileSync(path.join(dir, name), '');
+    }
+
+    const destination = await createScheduledBackup();
+
+    expect(fs.readdirSync(dir).sort()).toEqual([
+      old[1],
+      path.basename(destination),
+    ]);
+  });
+});
+
+describe('restoreBackup', () => {
+  const live = {
+    dataDir: config.dataDir,
+    serverFiles: config.serverFiles,
+    userFiles: config.userFiles,
+  };
+  let dir, target, archivePath, fileId, missingFileId, orphanId;
+
+  const sha256 = (content) =>
+    crypto.createHash('sha256').update(content).digest('hex');
+
+  const writeArchive = async (manifest, entries) => {
+    await pipeline(
+      Readable.from(
+        createTar([
+          {
+            name: 'manifest.json',
+            content: Buffer.from(JSON.stringify(manifest)),
+          },
+          ...entries,
+        ]),
+      ),
+      zlib.createGzip(),
+      fs.createWriteStream(archivePath),
+    );
+  };
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actual-restore-test-'));
+    archivePath = path.join(dir, 'backup.tar.gz');
+    fileId = crypto.randomBytes(16).toString('hex');
+    missingFileId = crypto.randomBytes(16).toString('hex');
+    orphanId = crypto.randomBytes(16).toString('hex');
+
+    for (const id of [fileId, missingFileId]) {
+      getAccountDb().mutate(
+        'INSERT INTO files (id, name, deleted, owner) VALUES (?, ?, FALSE, ?)',
+        [id, 'budget', 'genericAdmin'],
+      );
+    }
+    fs.writeFileSync(getPathForUserFile(fileId), 'budget content');
+    fs.writeFileSync(getPathForUserFile(orphanId), 'orphan content');
+
+    try {
+      await createBackup(archivePath);
+    } finally {
+      getAccountDb().mutate('DELETE FROM files WHERE id IN (?, ?)', [
+        fileId,
+        missingFileId,
+      ]);
+      fs.rmSync(getPathForUserFile(fileId), { force: true });
+      fs.rmSync(getPathForUserFile(orphanId), { force: true });
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    target = fs.mkdtempSync(path.join(dir, 'target-'));
+    closeAccountDb();
+    Object.assign(config, {
+      dataDir: target,
+      serverFiles: path.join(target, 'server-files'),
+      userFiles: path.join(target, 'user-files'),
+    });
+    fs.mkdirSync(config.serverFiles);
+    fs.mkdirSync(config.userFiles);
+    fs.writeFileSync(path.join(config.userFiles, 'file-stale.blob'), 'stale');
+  });
+
+  afterEach(() => {
+    closeAccountDb();
+    Object.assign(config, live);
+  });
+
+  test('reports missing data and orphans without restoring', async () => {
+    const report = await restoreBackup(archivePath);
+
+    expect(report.restored).toBe(false);
+    expect(report.pendingMigrations).toEqual([]);
+    // Other test files may leave data of their own behind
+    expect(report.missing).toContainEqual({
+      fileId: missingFileId,
+      missing: 'blob',
+    });
+    expect(report.missing).not.toContainEqual(
+      expect.objectContaining({ fileId }),
+    );
+    expect(report.orphans).toContain(`user-files/file-${orphanId}.blob`);
+    expect(fs.readdirSync(target).sort()).toEqual([
+      'server-files',
+      'user-files',
+    ]);
+    expect(fs.readdirSync(config.userFiles)).toEqual(['file-stale.blob']);
+  });
+
+  test('dryRun never restores', async () => {
+    const report = await restoreBackup(archivePath, {
+      dryRun: true,
+      force: true,
+    });
+
+    expect(report.restored).toBe(false);
+    expect(fs.existsSync(path.join(config.serverFiles, 'account.sqlite'))).toBe(
+      false,
+    );
+  });
+
+  test('force restores the data and keeps the replaced data', async () => {
+    const report = await restoreBackup(archivePath, { force: true });
+
+    expect(report.restored).toBe(true);
+    expect(
+      fs.readFileSync(
+        path.join(config.userFiles, `file-${fileId}.blob`),
+        'utf8',
+      ),
+    ).toEqual('budget content');
+    expect(
+      fs.readFileSync(
+        path.join(report.previousData, 'user-files', 'file-stale.blob'),
+        'utf8',
+      ),
+    ).toEqual('stale');
+    expect(fs.existsSync(path.join(config.userFiles, 'file-stale.blob'))).toBe(
+      false,
+    );
+
+    const db = openDatabase(path.join(config.serverFiles, 'account.sqlite'));
+    try {
+      expect(db.first('SELECT id FROM files WHERE id = ?', [fileId])).toEqual({
+        id: fileId,
+      });
+    } finally {
+      db.close();
+    }
+    expect(
+      JSON.parse(fs.readFileSync(path.join(target, '.migrate-test'), 'utf8')),
+    ).toEqual(report.manifest.migrations);
+  });
+
+  test('refuses archives that do not match their manifest', async () => {
+    await writeArchive(
+      {
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        migrations: { lastRun: null, migrations: [] },
+        files: [{ name: 'account.sqlite', size: 7, sha256: sha256('other') }],
+      },
+      [{ name: 'account.sqlite', content: Buffer.from('account') }],
+    );
+
+    await expect(restoreBackup(archivePath)).rejects.toThrow(
+      'account.sqlite does not match its checksum',
+    );
+  });
+
+  test('refuses backups of a newer server', async () => {
+    await writeArchive(
+      {
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        migrations: {
+          lastRun: '9999999999999-future.js',
+          migrations: [{ title: '9999999999999-future.js', timestamp: 1 }],
+        },
+        files: [{ name: 'account.sqlite', size: 7, sha256: sha256('account') }],
+      },
+      [{ name: 'account.sqlite', content: Buffer.from('account') }],
+    );
+
+    await expect(restoreBackup(archivePath)).rejects.toThrow(
+      '9999999999999-future.js',
+    );
+    expect(fs.readdirSync(target).sort()).toEqual([
+      'server-files',
+      'user-files',
+    ]);
+  });
+
+  test('checkMigrationState finds pending and unknown migrations', () => {
+    expect(
+      checkMigrationState(
+        {
+          lastRun: 'b.js',
+          migrations: [
+            { title: 'a.js', timestamp: 1 },
+            { title: 'b.js', timestamp: 2 },
+            { title: 'c.js', timestamp: null },
+          ],
+        },
+        ['a.js', 'c.js', 'd.js'],
+      ),
+    ).toEqual({ pending: ['c.js', 'd.js'], unknown: ['b.js'] });
+  });
+});
@@ -0,0 +1,157 @@
+import crypto from 'node:crypto';
+import * as uuid from 'uuid';
+import getAccountDb from '../account-db.js';
+import { ServerKeyName, getServerKey } from './server-key-service.js';
+import { addUserAccess, countUserAccess } from './user-service.js';
+
+/**
+ * @typedef {Object} FileInvite
+ * @property {string} id
+ * @property {string} fileId
+ * @property {string} permission
+ * @property {string | null} createdBy
+ * @property {number} createdAt
+ * @property {number} expiresAt
+ */
+
+/** @returns {FileInvite} */
+function toInvite(row) {
+  return {
+    id: row.id,
+    fileId: row.file_id,
+    permission: row.permission,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+/** @param {string} payload */
+function sign(payload) {
+  return crypto
+    .createHmac('sha256', getServerKey(ServerKeyName.inviteSigning))
+    .update(payload)
+    .digest('base64url');
+}
+
+/**
+ * Reads the invite id from a token, if its signature is valid.
+ * @param {string} token
+ * @returns {string | null}
+ */
+function verifyToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString()).id ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creates an invite to a file. Whoever redeems the returned token before it
+ * expires is granted the permission level on the file.
+ * @param {{ fileId: string, permission: string, expiresAt: number, createdBy: string }} invite
+ * @returns {{ id: string, token: string, expiresAt: number }}
+ */
+export function createInvite({ fileId, permission, expiresAt, createdBy }) {
+  const id = uuid.v4();
+  getAccountDb().mutate(
+    `INSERT INTO file_invites (id, file_id, permission, created_by, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, fileId, permission, createdBy, Date.now(), expiresAt],
+  );
+
+  const payload = Buffer.from(
+    JSON.stringify({ id, fileId, permission, expiresAt }),
+  ).toString('base64url');
+
+  return { id, token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Lists the invites to a file that can still be redeemed.
+ * @param {string} fileId
+ * @returns {FileInvite[]}
+ */
+export function listInvites(fileId) {
+  return getAccountDb()
+    .all(
+      `SELECT * FROM file_invites
+         WHERE file_id = ? AND redeemed_by IS NULL AND expires_at > ?
+         ORDER BY created_at`,
+      [fileId, Date.now()],
+    )
+    .map(toInvite);
+}
+
+/**
+ * @param {string} fileId
+ * @param {string} inviteId
+ * @returns {boolean} whether an outstanding invite was revoked
+ */
+export function revokeInvite(fileId, inviteId) {
+  return (
+    getAccountDb().mutate(
+      'DELETE FROM file_invites WHERE id = ? AND file_id = ? AND redeemed_by IS NULL',
+      [inviteId, fileId],
+    ).changes > 0
+  );
+}
+
+/**
+ * Grants the user access to the file of an invite. An invite can only be
+ * redeemed once.
+ * @param {string} token
+ * @param {string} userId
+ * @returns {{ fileId: string, permission: string } | { error: string }}
+ */
+export function redeemInvite(token, userId) {
+  const inviteId = verifyToken(token);
+  const row = inviteId
+    ? getAccountDb().first('SELECT * FROM file_invites WHERE id = ?', [
+        inviteId,
+      ])
+    : null;
+
+  if (!row || row.redeemed_by) {
+    return { error: 'invalid-invite' };
+  }
+  if (row.expires_at <= Date.now()) {
+    return { error: 'invite-expired' };
+  }
+
+  const file = getAccountDb().first('SELECT deleted FROM files WHERE id = ?', [
+    row.file_id,
+  ]);
+  if (!file || file.deleted) {
+    return { error: 'invalid-file-id' };
+  }
+  if (countUserAccess(row.file_id, userId) > 0) {
+    return { error: 'user-already-have-access' };
+  }
+
+  const accountDb = getAccountDb();
+  accountDb.transaction(() => {
+    addUserAccess(userId, row.file_id, row.permission);
+    accountDb.mutate(
+      'UPDATE file_invites SET redeemed_by = ?, redeemed_at = ? WHERE id = ?',
+      [userId, Date.now(), row.id],
+    );
+  });
+
+  return { fileId: row.file_id, permission: row.permission };
+}
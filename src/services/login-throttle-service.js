@@ -0,0 +1,162 @@
+import getAccountDb from '../account-db.js';
+import config from '../load-config.js';
+
+/** Failed attempts older than this are forgotten. */
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What a login attempt is throttled by: the address it comes from and the
+ * account it is for.
+ * @typedef {{ kind: 'ip' | 'account', value: string }} LoginKey
+ */
+
+/**
+ * @typedef {Object} LoginFailure
+ * @property {'ip' | 'account'} kind
+ * @property {string} value
+ * @property {number} failures
+ * @property {number} lastFailureAt
+ * @property {number | null} blockedUntil
+ */
+
+/**
+ * @param {{ ip?: string | null, account?: string | null }} attempt
+ * @returns {LoginKey[]}
+ */
+export function getLoginKeys({ ip, account }) {
+  /** @type {LoginKey[]} */
+  const keys = [];
+  if (ip) {
+    keys.push({ kind: 'ip', value: ip });
+  }
+  if (account != null) {
+    keys.push({ kind: 'account', value: account });
+  }
+  return keys;
+}
+
+/**
+ * How long to block logins after `failures` failed attempts: nothing for the
+ * first few, then an exponentially growing delay, then a lockout.
+ * @param {number} failures
+ * @returns {number} milliseconds
+ */
+export function getBlockDuration(failures) {
+  const { freeAttempts, maxDelaySeconds, lockoutAttempts, lockoutMinutes } =
+    config.loginThrottling;
+
+  if (failures >= lockoutAttempts) {
+    return lockoutMinutes * 60 * 1000;
+  }
+  if (failures <= freeAttempts) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - freeAttempts - 1), maxDelaySeconds) * 1000;
+}
+
+/**
+ * @param {LoginKey[]} keys
+ * @returns {{ retryAfter: number, lockedOut: boolean } | null} how many
+ * seconds to wait before the next attempt, if it has to wait
+ */
+export function checkLogin(keys) {
+  const now = Date.now();
+  let blockedUntil = 0;
+  let lockedOut = false;
+
+  for (const { kind, value } of keys) {
+    const row = getAccountDb().first(
+      'SELECT * FROM login_failures WHERE kind = ? AND value = ?',
+      [kind, value],
+    );
+    if (row && row.blocked_until > Math.max(now, blockedUntil)) {
+      blockedUntil = row.blocked_until;
+    }
+    if (
+      row &&
+      row.blocked_until > now &&
+      row.failures >= config.loginThrottling.lockoutAttempts
+    ) {
+      lockedOut = true;
+    }
+  }
+
+  if (!blockedUntil) {
+    return null;
+  }
+  return { retryAfter: Math.ceil((blockedUntil - now) / 1000), lockedOut };
+}
+
+/** @param {LoginKey[]} keys */
+export function recordFailure(keys) {
+  const accountDb = getAccountDb();
+  const now = Date.now();
+
+  accountDb.transaction(() => {
+    accountDb.mutate('DELETE FROM login_failures WHERE last_failure_at < ?', [
+      now - FAILURE_MEMORY_MS,
+    ]);
+
+    for (const { kind, value } of keys) {
+      const { failures = 0 } =
+        accountDb.first(
+          'SELECT failures FROM login_failures WHERE kind = ? AND value = ?',
+          [kind, value],
+        ) || {};
+      const duration = getBlockDuration(failures + 1);
+
+      accountDb.mutate(
+        `INSERT INTO login_failures (kind, value, failures, last_failure_at, blocked_until)
+           VALUES (?, ?, ?, ?, ?)
+           ON CONFLICT (kind, value) DO UPDATE SET
+             failures = excluded.failures,
+             last_failure_at = excluded.last_failure_at,
+             blocked_until = excluded.blocked_until`,
+        [kind, value, failures + 1, now, duration ? now + duration : null],
+      );
+    }
+  });
+}
+
+/**
+ * Forgets the failures of the account that logged in. Those of the address
+ * stay, or logging in to an own account would reset its guesses at others.
+ * @param {LoginKey[]} keys
+ */
+export function recordSuccess(keys) {
+  for (const { kind, value } of keys) {
+    if (kind === 'account') {
+      clearLockout(kind, value);
+    }
+  }
+}
+
+/** @returns {LoginFailure[]} */
+export function listFailures() {
+  return getAccountDb()
+    .all('SELECT * FROM login_failures ORDER BY last_failure_at DESC')
+    .map((row) => ({
+      kind: row.kind,
+      value: row.value,
+      failures: row.failures,
+      lastFailureAt: row.last_failure_at,
+      blockedUntil: row.blocked_until,
+    }));
+}
+
+/**
+ * Forgets the failed attempts of an address or account, or of all of them
+ * when no value is given.
+ * @param {'ip' | 'account'} [kind]
+ * @param {string} [value]
+ * @returns {number} the number of cleared entries
+ */
+export function clearLockout(kind, value) {
+  if (!kind) {
+    return getAccountDb().mutate('DELETE FROM login_failures').changes;
+  }
+  return getAccountDb().mutate(
+    'DELETE FROM login_failures WHERE kind = ? AND value = ?',
+    [kind, value],
+  ).changes;
+}
@@ -0,0 +1,85 @@
+import getAccountDb from '../account-db.js';
+import * as LoginThrottleService from './login-throttle-service.js';
+
+describe('LoginThrottleService', () => {
+  const keys = LoginThrottleService.getLoginKeys({
+    ip: '10.0.0.1',
+    account: 'password',
+  });
+
+  const fail = (times, failedKeys = keys) => {
+    for (let i = 0; i < times; i++) {
+      LoginThrottleService.recordFailure(failedKeys);
+    }
+  };
+
+  afterEach(() => {
+    getAccountDb().mutate('DELETE FROM login_failures');
+  });
+
+  test('getBlockDuration backs off exponentially, then locks out', () => {
+    expect(LoginThrottleService.getBlockDuration(3)).toBe(0);
+    expect(LoginThrottleService.getBlockDuration(4)).toBe(1000);
+    expect(LoginThrottleService.getBlockDuration(6)).toBe(4000);
+    expect(LoginThrottleService.getBlockDuration(10)).toBe(15 * 60 * 1000);
+  });
+
+  test('lets the first failed attempts through', () => {
+    fail(3);
+
+    expect(LoginThrottleService.checkLogin(keys)).toBeNull();
+  });
+
+  test('blocks logins after too many failed attempts', () => {
+    fail(5);
+
+    expect(LoginThrottleService.checkLogin(keys)).toEqual({
+      retryAfter: 2,
+      lockedOut: false,
+    });
+  });
+
+  test('locks the account out on every address', () => {
+    fail(10);
+
+    const fromElsewhere = LoginThrottleService.getLoginKeys({
+      ip: '10.0.0.2',
+      account: 'password',
+    });
+    expect(LoginThrottleService.checkLogin(fromElsewhere)).toEqual({
+      retryAfter: 15 * 60,
+      lockedOut: true,
+    });
+  });
+
+  test('blocks an address trying other accounts', () => {
+    fail(5);
+
+    expect(
+      LoginThrottleService.checkLogin(
+        LoginThrottleService.getLoginKeys({ ip: '10.0.0.1', account: 'other' }),
+      ),
+    ).not.toBeNull();
+  });
+
+  test('forgets the failures of the account after a successful login', () => {
+    fail(5);
+
+    LoginThrottleService.recordSuccess(keys);
+
+    expect(LoginThrottleService.listFailures()).toEqual([
+      expect.objectContaining({ kind: 'ip', value: '10.0.0.1', failures: 5 }),
+    ]);
+    expect(LoginThrottleService.checkLogin(keys)).not.toBeNull();
+  });
+
+  test('clearLockout clears a single entry or all of them', () => {
+    fail(10);
+
+    expect(LoginThrottleService.clearLockout('account', 'password')).toBe(1);
+    expect(LoginThrottleService.listFailures()).toEqual([
+      expect.objectContaining({ kind: 'ip', value: '10.0.0.1', failures: 10 }),
+    ]);
+    expect(LoginThrottleService.clearLockout()).toBe(1);
+  });
+});
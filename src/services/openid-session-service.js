@@ -0,0 +1,207 @@
+import crypto from 'node:crypto';
+import getAccountDb from '../account-db.js';
+import { ServerKeyName, getServerKey } from './server-key-service.js';
+
+/**
+ * @typedef {Object} ProviderSession
+ * @property {string} token our session token
+ * @property {string | null} subject
+ * @property {string | null} sid the session id at the identity provider
+ * @property {string | null} refreshToken
+ * @property {string | null} idToken
+ * @property {number | null} expiresAt when the provider's access token
+ * expires, in seconds
+ */
+
+/**
+ * @typedef {Object} ProviderTokens
+ * @property {string} [refresh_token]
+ * @property {string} [id_token]
+ * @property {number} [expires_at]
+ */
+
+/**
+ * The key provider tokens are encrypted with. It is kept outside the account
+ * database, so a copy of the database alone doesn't reveal the tokens.
+ */
+function getTokenKey() {
+  return getServerKey(ServerKeyName.openIdToken);
+}
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {string | null}
+ */
+export function encryptToken(value) {
+  if (!value) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getTokenKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(value, 'utf8'),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString('base64url'))
+    .join('.');
+}
+
+/**
+ * @param {string | null} value
+ * @returns {string | null} null when the value can't be decrypted, e.g.
+ * because the key changed
+ */
+export function decryptToken(value) {
+  if (!value) {
+    return null;
+  }
+
+  const [iv, tag, encrypted] = value
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64url'));
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getTokenKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+/** @returns {ProviderSession} */
+function toProviderSession(row) {
+  return {
+    token: row.token,
+    subject: row.oidc_subject,
+    sid: row.oidc_sid,
+    refreshToken: decryptToken(row.oidc_refresh_token),
+    idToken: decryptToken(row.oidc_id_token),
+    expiresAt: row.oidc_expires_at,
+  };
+}
+
+/**
+ * Remembers what the identity provider issued for a session, so it can be
+ * refreshed and ended along with the provider's session.
+ * @param {string} token
+ * @param {ProviderTokens} tokenSet
+ * @param {{ sub?: string, sid?: string }} [claims] of the ID token
+ */
+export function saveProviderTokens(token, tokenSet, claims = {}) {
+  getAccountDb().mutate(
+    `UPDATE sessions SET
+       oidc_subject = coalesce(?, oidc_subject),
+       oidc_sid = coalesce(?, oidc_sid),
+       oidc_refresh_token = coalesce(?, oidc_refresh_token),
+       oidc_id_token = coalesce(?, oidc_id_token),
+       oidc_expires_at = ?
+       WHERE token = ?`,
+    [
+      claims.sub ?? null,
+      claims.sid ?? null,
+      encryptToken(tokenSet.refresh_token),
+      encryptToken(tokenSet.id_token),
+      tokenSet.expires_at ?? null,
+      token,
+    ],
+  );
+}
+
+/**
+ * @param {string} token
+ * @returns {ProviderSession | null}
+ */
+export function getProviderSession(token) {
+  const row = getAccountDb().first(
+    "SELECT * FROM sessions WHERE token = ? AND auth_method = 'openid'",
+    [token],
+  );
+  return row ? toProviderSession(row) : null;
+}
+
+/**
+ * The live sessions whose provider tokens expire before `before`.
+ * @param {number} before in seconds
+ * @returns {ProviderSession[]}
+ */
+export function listSessionsToRefresh(before) {
+  return getAccountDb()
+    .all(
+      `SELECT * FROM sessions
+         WHERE auth_method = 'openid' AND oidc_refresh_token IS NOT NULL
+           AND oidc_expires_at IS NOT NULL AND oidc_expires_at <= ?
+           AND (expires_at = -1 OR expires_at > ?)`,
+      [before, Math.floor(Date.now() / 1000)],
+    )
+    .map(toProviderSession);
+}
+
+/**
+ * Ends the sessions a back-channel logout is about: those of a provider
+ * session, or every session of the subject.
+ * @param {{ sub?: string, sid?: string }} logout
+ * @returns {number} the number of ended sessions
+ */
+export function endProviderSessions({ sub, sid }) {
+  if (!sub && !sid) {
+    return 0;
+  }
+
+  const conditions = [];
+  const params = [];
+  if (sub) {
+    conditions.push('oidc_subject = ?');
+    params.push(sub);
+  }
+  if (sid) {
+    conditions.push('oidc_sid = ?');
+    params.push(sid);
+  }
+
+  const where = conditions.join(' AND ');
+  return getAccountDb().mutate(
+    `DELETE FROM sessions WHERE auth_method = 'openid' AND ${where}`,
+    params,
+  ).changes;
+}
+
+/**
+ * Remembers a logout token until it expires, so it can only be used once.
+ * @param {string} jti
+ * @param {number} expiresAt in seconds
+ * @returns {boolean} false when the token was used before
+ */
+export function useLogoutToken(jti, expiresAt) {
+  const accountDb = getAccountDb();
+  accountDb.mutate('DELETE FROM openid_logout_tokens WHERE expires_at <= ?', [
+    Math.floor(Date.now() / 1000),
+  ]);
+  return (
+    accountDb.mutate(
+      'INSERT OR IGNORE INTO openid_logout_tokens (jti, expires_at) VALUES (?, ?)',
+      [jti, expiresAt],
+    ).changes === 1
+  );
+}
+
+/**
+ * Moves the expiry of a session along with the provider's tokens.
+ * @param {string} token
+ * @param {number} expiresAt in seconds
+ */
+export function extendSession(token, expiresAt) {
+  getAccountDb().mutate('UPDATE sessions SET expires_at = ? WHERE token = ?', [
+    expiresAt,
+    token,
+  ]);
+}
+
+/** @param {string} token */
+export function endSession(token) {
+  getAccountDb().mutate('DELETE FROM sessions WHERE token = ?', [token]);
+}
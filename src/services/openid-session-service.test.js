@@ -0,0 +1,127 @@
+import getAccountDb from '../account-db.js';
+import * as OpenIdSessionService from './openid-session-service.js';
+import { createSession } from './session-service.js';
+
+describe('OpenIdSessionService', () => {
+  const userId = 'genericUser';
+  const now = () => Math.floor(Date.now() / 1000);
+  let tokens;
+
+  const createOpenIdSession = (tokenSet, claims, expiresAt = -1) => {
+    const token = createSession({ userId, expiresAt, authMethod: 'openid' });
+    tokens.push(token);
+    OpenIdSessionService.saveProviderTokens(token, tokenSet, claims);
+    return token;
+  };
+
+  const getRow = (token) =>
+    getAccountDb().first('SELECT * FROM sessions WHERE token = ?', [token]);
+
+  beforeEach(() => {
+    tokens = [];
+  });
+
+  afterEach(() => {
+    for (const token of tokens) {
+      OpenIdSessionService.endSession(token);
+    }
+  });
+
+  test('encryptToken round-trips and never stores the plain value', () => {
+    const encrypted = OpenIdSessionService.encryptToken('refresh-me');
+
+    expect(encrypted).not.toContain('refresh-me');
+    expect(OpenIdSessionService.encryptToken('refresh-me')).not.toEqual(
+      encrypted,
+    );
+    expect(OpenIdSessionService.decryptToken(encrypted)).toEqual('refresh-me');
+    expect(OpenIdSessionService.decryptToken(`${encrypted}x`)).toBeNull();
+    expect(OpenIdSessionService.encryptToken(undefined)).toBeNull();
+  });
+
+  test('saveProviderTokens stores the tokens encrypted', () => {
+    const token = createOpenIdSession(
+      { refresh_token: 'refresh', id_token: 'id', expires_at: now() + 60 },
+      { sub: 'subject', sid: 'provider-session' },
+    );
+
+    expect(getRow(token).oidc_refresh_token).not.toEqual('refresh');
+    expect(OpenIdSessionService.getProviderSession(token)).toEqual({
+      token,
+      subject: 'subject',
+      sid: 'provider-session',
+      refreshToken: 'refresh',
+      idToken: 'id',
+      expiresAt: expect.any(Number),
+    });
+  });
+
+  test('saveProviderTokens keeps tokens the provider did not reissue', () => {
+    const token = createOpenIdSession(
+      { refresh_token: 'refresh', id_token: 'id', expires_at: now() + 60 },
+      { sub: 'subject' },
+    );
+
+    OpenIdSessionService.saveProviderTokens(token, {
+      expires_at: now() + 3600,
+    });
+
+    expect(OpenIdSessionService.getProviderSession(token)).toEqual(
+      expect.objectContaining({ refreshToken: 'refresh', idToken: 'id' }),
+    );
+  });
+
+  test('listSessionsToRefresh finds live sessions about to expire', () => {
+    const due = createOpenIdSession(
+      { refresh_token: 'due', expires_at: now() + 60 },
+      {},
+    );
+    createOpenIdSession({ refresh_token: 'later', expires_at: now() + 7200 });
+    createOpenIdSession({ expires_at: now() + 60 });
+    createOpenIdSession(
+      { refresh_token: 'expired', expires_at: now() + 60 },
+      {},
+      now() - 1,
+    );
+
+    expect(
+      OpenIdSessionService.listSessionsToRefresh(now() + 600).map(
+        (session) => session.token,
+      ),
+    ).toEqual([due]);
+  });
+
+  test('endProviderSessions ends the sessions of a provider session', () => {
+    const first = createOpenIdSession({}, { sub: 'subject', sid: 'one' });
+    const second = createOpenIdSession({}, { sub: 'subject', sid: 'two' });
+
+    expect(OpenIdSessionService.endProviderSessions({ sid: 'one' })).toBe(1);
+    expect(getRow(first)).toBeNull();
+    expect(getRow(second)).not.toBeNull();
+
+    expect(OpenIdSessionService.endProviderSessions({ sub: 'subject' })).toBe(
+      1,
+    );
+    expect(getRow(second)).toBeNull();
+    expect(OpenIdSessionService.endProviderSessions({})).toBe(0);
+  });
+
+  test('useLogoutToken accepts each logout token once', () => {
+    const jti = `logout-${Date.now()}`;
+
+    expect(OpenIdSessionService.useLogoutToken(jti, now() + 60)).toBe(true);
+    expect(OpenIdSessionService.useLogoutToken(jti, now() + 60)).toBe(false);
+
+    getAccountDb().mutate('DELETE FROM openid_logout_tokens WHERE jti = ?', [
+      jti,
+    ]);
+  });
+
+  test('extendSession moves the expiry of a session', () => {
+    const token = createOpenIdSession({}, {}, now() + 60);
+
+    OpenIdSessionService.extendSession(token, now() + 3600);
+
+    expect(getRow(token).expires_at).toBeGreaterThan(now() + 60);
+  });
+});
@@ -0,0 +1,199 @@
+import fs from 'node:fs';
+import getAccountDb from '../account-db.js';
+import * as FileVersionsService from '../app-sync/services/file-versions-service.js';
+import { getPathForGroupFile } from '../util/paths.js';
+
+/**
+ * @typedef {Object} Quota
+ * @property {number | null} maxFiles
+ * @property {number | null} maxBlobBytes
+ * @property {number | null} maxGroupBytes
+ */
+
+/**
+ * @typedef {Object} Usage
+ * @property {number} files
+ * @property {number} blobBytes
+ * @property {number} groupBytes
+ */
+
+/** @returns {Quota} */
+function toQuota(row) {
+  return {
+    maxFiles: row?.max_files ?? null,
+    maxBlobBytes: row?.max_blob_bytes ?? null,
+    maxGroupBytes: row?.max_group_bytes ?? null,
+  };
+}
+
+export function getRoleQuotas() {
+  return getAccountDb()
+    .all('SELECT * FROM role_quotas ORDER BY role')
+    .map((row) => ({ role: row.role, ...toQuota(row) }));
+}
+
+export function getUserQuotas() {
+  return getAccountDb()
+    .all('SELECT * FROM user_quotas ORDER BY user_id')
+    .map((row) => ({ userId: row.user_id, ...toQuota(row) }));
+}
+
+/**
+ * @param {string} role
+ * @param {Quota} quota null fields are unlimited
+ */
+export function setRoleQuota(role, { maxFiles, maxBlobBytes, maxGroupBytes }) {
+  getAccountDb().mutate(
+    `INSERT INTO role_quotas (role, max_files, max_blob_bytes, max_group_bytes)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (role) DO UPDATE SET
+         max_files = excluded.max_files,
+         max_blob_bytes = excluded.max_blob_bytes,
+         max_group_bytes = excluded.max_group_bytes`,
+    [role, maxFiles, maxBlobBytes, maxGroupBytes],
+  );
+}
+
+/**
+ * @param {string} userId
+ * @param {Quota} quota null fields fall back to the quota of the role
+ */
+export function setUserQuota(
+  userId,
+  { maxFiles, maxBlobBytes, maxGroupBytes },
+) {
+  getAccountDb().mutate(
+    `INSERT INTO user_quotas (user_id, max_files, max_blob_bytes, max_group_bytes)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (user_id) DO UPDATE SET
+         max_files = excluded.max_files,
+         max_blob_bytes = excluded.max_blob_bytes,
+         max_group_bytes = excluded.max_group_bytes`,
+    [userId, maxFiles, maxBlobBytes, maxGroupBytes],
+  );
+}
+
+/** @param {string} role */
+export function deleteRoleQuota(role) {
+  return getAccountDb().mutate('DELETE FROM role_quotas WHERE role = ?', [role])
+    .changes;
+}
+
+/** @param {string} userId */
+export function deleteUserQuota(userId) {
+  return getAccountDb().mutate('DELETE FROM user_quotas WHERE user_id = ?', [
+    userId,
+  ]).changes;
+}
+
+/**
+ * The quota that applies to a user: each limit set for the user overrides
+ * the one set for their role.
+ * @param {string} userId
+ * @returns {Quota}
+ */
+export function getEffectiveQuota(userId) {
+  const accountDb = getAccountDb();
+  const userQuota = toQuota(
+    accountDb.first('SELECT * FROM user_quotas WHERE user_id = ?', [userId]),
+  );
+  const roleQuota = toQuota(
+    accountDb.first(
+      `SELECT role_quotas.* FROM role_quotas
+         JOIN users ON users.role = role_quotas.role
+         WHERE users.id = ?`,
+      [userId],
+    ),
+  );
+
+  return {
+    maxFiles: userQuota.maxFiles ?? roleQuota.maxFiles,
+    maxBlobBytes: userQuota.maxBlobBytes ?? roleQuota.maxBlobBytes,
+    maxGroupBytes: userQuota.maxGroupBytes ?? roleQuota.maxGroupBytes,
+  };
+}
+
+/** @param {string} groupId */
+function getGroupSize(groupId) {
+  try {
+    return fs.statSync(getPathForGroupFile(groupId)).size;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return 0;
+    }
+    throw err;
+  }
+}
+
+/**
+ * What the files a user owns take up. Blob bytes include the previous
+ * versions kept of each file; files in the trash are not counted.
+ * @param {string} userId
+ * @returns {Usage}
+ */
+export function getUsage(userId) {
+  const accountDb = getAccountDb();
+  const files = accountDb.all(
+    'SELECT id, group_id FROM files WHERE owner = ? AND deleted = 0',
+    [userId],
+  );
+  const { blobBytes } = accountDb.first(
+    `SELECT ifnull(sum(file_versions.size), 0) AS blobBytes
+       FROM file_versions
+       JOIN files ON files.id = file_versions.file_id
+       WHERE files.owner = ? AND files.deleted = 0`,
+    [userId],
+  );
+
+  return {
+    files: files.length,
+    blobBytes,
+    groupBytes: files.reduce(
+      (total, file) =>
+        total + (file.group_id ? getGroupSize(file.group_id) : 0),
+      0,
+    ),
+  };
+}
+
+/**
+ * Checks whether an upload fits in the quota of the file owner, once the
+ * oldest versions of the file have been pruned to make room for it.
+ * @param {string} userId the owner of the file
+ * @param {{ fileId: string, isNewFile: boolean, size: number }} upload
+ * @returns {string | null} the reason the upload is refused
+ */
+export function checkUpload(userId, { fileId, isNewFile, size }) {
+  const quota = getEffectiveQuota(userId);
+  if (quota.maxFiles == null && quota.maxBlobBytes == null) {
+    return null;
+  }
+
+  const usage = getUsage(userId);
+  if (isNewFile && quota.maxFiles != null && usage.files >= quota.maxFiles) {
+    return 'quota-exceeded-files';
+  }
+  const freedBytes = isNewFile
+    ? 0
+    : FileVersionsService.getPrunableSize(fileId);
+  if (
+    quota.maxBlobBytes != null &&
+    usage.blobBytes - freedBytes + size > quota.maxBlobBytes
+  ) {
+    return 'quota-exceeded-storage';
+  }
+  return null;
+}
+
+/**
+ * Checks whether the owner of a file may add more sync messages.
+ * @param {string} userId the owner of the file
+ * @returns {string | null} the reason the messages are refused
+ */
+export function checkSync(userId) {
+  const { maxGroupBytes } = getEffectiveQuota(userId);
+  if (maxGroupBytes != null && getUsage(userId).groupBytes >= maxGroupBytes) {
+    return 'quota-exceeded-sync-data';
+  }
+  return null;
+}
@@ -0,0 +1,57 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { join } from 'node:path';
+import config from '../load-config.js';
+
+/**
+ * An enum of the keys the server keeps to itself.
+ * @readonly
+ * @enum {string}
+ */
+export const ServerKeyName = {
+  inviteSigning: 'invite-signing',
+  openIdToken: 'openid-token',
+};
+
+const _cachedKeys = new Map();
+
+/**
+ * @param {ServerKeyName} name
+ * @returns {string}
+ */
+export function getServerKeyPath(name) {
+  return join(config.serverFiles, `${name}.key`);
+}
+
+/**
+ * Reads a key of the server, creating it on first use. Keys live in files
+ * next to the account database rather than in it: nothing that can write
+ * to the database through the API can change them, and they are not part
+ * of backups.
+ * @param {ServerKeyName} name
+ * @returns {Buffer}
+ */
+export function getServerKey(name) {
+  const path = getServerKeyPath(name);
+  if (_cachedKeys.has(path)) {
+    return _cachedKeys.get(path);
+  }
+
+  try {
+    fs.writeFileSync(path, crypto.randomBytes(32).toString('base64'), {
+      flag: 'wx',
+      mode: 0o600,
+    });
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+  }
+
+  const key = Buffer.from(fs.readFileSync(path, 'utf8').trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${path} does not hold a 32 byte base64 key`);
+  }
+  _cachedKeys.set(path, key);
+  return key;
+}
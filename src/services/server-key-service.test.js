@@ -0,0 +1,18 @@
+import fs from 'node:fs';
+import {
+  ServerKeyName,
+  getServerKey,
+  getServerKeyPath,
+} from './server-key-service.js';
+
+describe('ServerKeyService', () => {
+  test('getServerKey creates a key file only the server can read', () => {
+    const key = getServerKey(ServerKeyName.inviteSigning);
+    const path = getServerKeyPath(ServerKeyName.inviteSigning);
+
+    expect(key).toHaveLength(32);
+    expect(fs.statSync(path).mode & 0o777).toBe(0o600);
+    expect(Buffer.from(fs.readFileSync(path, 'utf8'), 'base64')).toEqual(key);
+    expect(getServerKey(ServerKeyName.inviteSigning)).toBe(key);
+  });
+});
@@ -0,0 +1,124 @@
+import * as uuid from 'uuid';
+import getAccountDb from '../account-db.js';
+
+/** How often the last-seen time of a session is written. */
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} SessionInfo
+ * @property {string | null} [userAgent]
+ * @property {string | null} [ip]
+ */
+
+/**
+ * @typedef {Object} SessionSummary
+ * @property {string} id
+ * @property {string} authMethod
+ * @property {number | null} createdAt
+ * @property {number | null} lastSeenAt
+ * @property {number} expiresAt
+ * @property {string | null} userAgent
+ * @property {string | null} ip
+ * @property {boolean} current
+ */
+
+/**
+ * @param {import('express').Request} req
+ * @returns {SessionInfo}
+ */
+export function getSessionInfo(req) {
+  return { userAgent: req.get('user-agent') ?? null, ip: req.ip ?? null };
+}
+
+/**
+ * Starts a new session and returns its token.
+ * @param {{ userId: string, expiresAt: number, authMethod: string, sessionInfo?: SessionInfo }} options
+ * @returns {string}
+ */
+export function createSession({
+  userId,
+  expiresAt,
+  authMethod,
+  sessionInfo = {},
+}) {
+  const token = uuid.v4();
+  const now = Date.now();
+
+  getAccountDb().mutate(
+    `INSERT INTO sessions (token, id, expires_at, user_id, auth_method, created_at, last_seen_at, user_agent, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      token,
+      uuid.v4(),
+      expiresAt,
+      userId,
+      authMethod,
+      now,
+      now,
+      sessionInfo.userAgent ?? null,
+      sessionInfo.ip ?? null,
+    ],
+  );
+
+  return token;
+}
+
+/**
+ * Records that a session has been used, at most once a minute.
+ * @param {string} token
+ */
+export function touchSession(token) {
+  const now = Date.now();
+  getAccountDb().mutate(
+    `UPDATE sessions SET last_seen_at = ?
+       WHERE token = ? AND (last_seen_at IS NULL OR last_seen_at < ?)`,
+    [now, token, now - LAST_SEEN_RESOLUTION_MS],
+  );
+}
+
+/**
+ * @param {string} userId
+ * @param {string} [currentToken] the token of the session asking
+ * @returns {SessionSummary[]}
+ */
+export function listSessions(userId, currentToken) {
+  return getAccountDb()
+    .all(
+      'SELECT * FROM sessions WHERE user_id = ? ORDER BY last_seen_at DESC',
+      [userId],
+    )
+    .map((row) => ({
+      id: row.id,
+      authMethod: row.auth_method,
+      createdAt: row.created_at,
+      lastSeenAt: row.last_seen_at,
+      expiresAt: row.expires_at,
+      userAgent: row.user_agent,
+      ip: row.ip,
+      current: row.token === currentToken,
+    }));
+}
+
+/**
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {boolean} whether the session existed
+ */
+export function revokeSession(userId, sessionId) {
+  return (
+    getAccountDb().mutate('DELETE FROM sessions WHERE id = ? AND user_id = ?', [
+      sessionId,
+      userId,
+    ]).changes > 0
+  );
+}
+
+/**
+ * @param {string} userId
+ * @returns {number} the number of revoked sessions
+ */
+export function revokeUserSessions(userId) {
+  return getAccountDb().mutate('DELETE FROM sessions WHERE user_id = ?', [
+    userId,
+  ]).changes;
+}
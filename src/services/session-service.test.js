@@ -0,0 +1,168 @@
+import * as bcrypt from 'bcrypt';
+import getAccountDb from '../account-db.js';
+import { loginWithPassword, resetTotp } from '../accounts/password.js';
+import { generateCode, getTimeStep } from '../util/totp.js';
+import * as SessionService from './session-service.js';
+import * as TotpService from './totp-service.js';
+
+describe('SessionService', () => {
+  const userId = 'genericUser';
+  let tokens;
+
+  const createSession = (sessionInfo = {}) => {
+    const token = SessionService.createSession({
+      userId,
+      expiresAt: -1,
+      authMethod: 'openid',
+      sessionInfo,
+    });
+    tokens.push(token);
+    return token;
+  };
+
+  const getRow = (token) =>
+    getAccountDb().first('SELECT * FROM sessions WHERE token = ?', [token]);
+
+  beforeEach(() => {
+    tokens = [];
+  });
+
+  afterEach(() => {
+    for (const token of tokens) {
+      getAccountDb().mutate('DELETE FROM sessions WHERE token = ?', [token]);
+    }
+  });
+
+  test('createSession records where the session comes from', () => {
+    const token = createSession({ userAgent: 'phone', ip: '10.0.0.1' });
+
+    expect(getRow(token)).toEqual(
+      expect.objectContaining({
+        user_id: userId,
+        auth_method: 'openid',
+        user_agent: 'phone',
+        ip: '10.0.0.1',
+        created_at: expect.any(Number),
+        id: expect.any(String),
+      }),
+    );
+  });
+
+  test('listSessions marks the current session and hides tokens', () => {
+    const current = createSession({ userAgent: 'laptop' });
+    createSession({ userAgent: 'phone' });
+
+    const sessions = SessionService.listSessions(userId, current).filter(
+      (session) => ['laptop', 'phone'].includes(session.userAgent),
+    );
+
+    expect(sessions).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ userAgent: 'laptop', current: true }),
+        expect.objectContaining({ userAgent: 'phone', current: false }),
+      ]),
+    );
+    expect(JSON.stringify(sessions)).not.toContain(current);
+  });
+
+  test('touchSession updates the last seen time at most once a minute', () => {
+    const token = createSession();
+    getAccountDb().mutate(
+      'UPDATE sessions SET last_seen_at = ? WHERE token = ?',
+      [Date.now() - 10 * 1000, token],
+    );
+    const recent = getRow(token).last_seen_at;
+
+    SessionService.touchSession(token);
+    expect(getRow(token).last_seen_at).toBe(recent);
+
+    getAccountDb().mutate(
+      'UPDATE sessions SET last_seen_at = ? WHERE token = ?',
+      [Date.now() - 2 * 60 * 1000, token],
+    );
+    SessionService.touchSession(token);
+    expect(getRow(token).last_seen_at).toBeGreaterThan(recent);
+  });
+
+  test('revokeSession only revokes sessions of the given user', () => {
+    const token = createSession();
+    const { id } = getRow(token);
+
+    expect(SessionService.revokeSession('genericAdmin', id)).toBe(false);
+    expect(SessionService.revokeSession(userId, id)).toBe(true);
+    expect(getRow(token)).toBeNull();
+  });
+
+  describe('loginWithPassword', () => {
+    let passwordUserId, createdUser;
+
+    beforeEach(() => {
+      getAccountDb().mutate(
+        "INSERT INTO auth (method, display_name, extra_data, active) VALUES ('password', 'Password', ?, 0)",
+        [bcrypt.hashSync('secret', 4)],
+      );
+      // Password logins belong to the user without a name
+      passwordUserId = getAccountDb().first(
+        "SELECT id FROM users WHERE user_name = ''",
+      )?.id;
+      createdUser = !passwordUserId;
+      if (createdUser) {
+        passwordUserId = 'passwordUser';
+        getAccountDb().mutate(
+          "INSERT INTO users (id, user_name, display_name, enabled, owner, role) VALUES (?, '', '', 1, 0, 'BASIC')",
+          [passwordUserId],
+        );
+      }
+    });
+
+    afterEach(() => {
+      TotpService.disable(passwordUserId);
+      getAccountDb().mutate(
+        "DELETE FROM sessions WHERE user_id = ? AND auth_method = 'password'",
+        [passwordUserId],
+      );
+      if (createdUser) {
+        getAccountDb().mutate('DELETE FROM users WHERE id = ?', [
+          passwordUserId,
+        ]);
+      }
+      getAccountDb().mutate("DELETE FROM auth WHERE method = 'password'");
+    });
+
+    test('gives every device its own session', () => {
+      const phone = loginWithPassword('secret', {
+        sessionInfo: { userAgent: 'phone' },
+      });
+      const laptop = loginWithPassword('secret', {
+        sessionInfo: { userAgent: 'laptop' },
+      });
+
+      expect(phone.token).not.toEqual(laptop.token);
+      expect(getRow(phone.token).user_agent).toEqual('phone');
+      expect(getRow(laptop.token).user_agent).toEqual('laptop');
+    });
+
+    test('asks for the second factor once it is enabled', () => {
+      const { secret } = /** @type {{ secret: string }} */ (
+        TotpService.beginEnrollment(passwordUserId, 'user')
+      );
+      TotpService.confirmEnrollment(
+        passwordUserId,
+        generateCode(secret, getTimeStep()),
+      );
+
+      expect(loginWithPassword('secret')).toEqual({ error: 'totp-required' });
+      expect(loginWithPassword('secret', { totpCode: '000000' })).toEqual({
+        error: 'invalid-totp',
+      });
+      expect(
+        loginWithPassword('secret', {
+          totpCode: generateCode(secret, getTimeStep() + 1),
+        }).token,
+      ).toEqual(expect.any(String));
+
+      expect(resetTotp()).toEqual({ disabled: true });
+      expect(loginWithPassword('secret').token).toEqual(expect.any(String));
+    });
+  });
+});
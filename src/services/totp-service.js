@@ -0,0 +1,187 @@
+import crypto from 'node:crypto';
+import getAccountDb from '../account-db.js';
+import { sha256Hex } from '../util/hash.js';
+import {
+  base32Encode,
+  generateSecret,
+  getProvisioningUri,
+  verifyCode,
+} from '../util/totp.js';
+
+const ISSUER = 'Actual';
+const RECOVERY_CODE_COUNT = 10;
+
+/** Recovery codes are typed in by hand, so case and dashes don't matter. */
+function hashRecoveryCode(code) {
+  return sha256Hex(String(code).toUpperCase().replace(/[\s-]/g, ''));
+}
+
+function getCredential(userId) {
+  return getAccountDb().first(
+    'SELECT * FROM totp_credentials WHERE user_id = ?',
+    [userId],
+  );
+}
+
+/**
+ * @param {string} userId
+ * @returns {{ enabled: boolean, recoveryCodesLeft: number }}
+ */
+export function getStatus(userId) {
+  const credential = getCredential(userId);
+  const { count } = getAccountDb().first(
+    'SELECT count(*) AS count FROM totp_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId],
+  );
+  return {
+    enabled: Boolean(credential?.enabled),
+    recoveryCodesLeft: credential?.enabled ? count : 0,
+  };
+}
+
+/**
+ * Creates a secret for the user to add to an authenticator app. It takes
+ * effect once a code from the app has been confirmed.
+ * @param {string} userId
+ * @param {string} accountName shown in the authenticator app
+ * @returns {{ secret: string, uri: string } | { error: string }}
+ */
+export function beginEnrollment(userId, accountName) {
+  if (getCredential(userId)?.enabled) {
+    return { error: 'totp-already-enabled' };
+  }
+
+  const secret = generateSecret();
+  getAccountDb().mutate(
+    `INSERT INTO totp_credentials (user_id, secret, enabled, created_at)
+       VALUES (?, ?, 0, ?)
+       ON CONFLICT (user_id) DO UPDATE SET
+         secret = excluded.secret,
+         created_at = excluded.created_at`,
+    [userId, secret, Date.now()],
+  );
+
+  return {
+    secret,
+    uri: getProvisioningUri({ secret, accountName, issuer: ISSUER }),
+  };
+}
+
+/**
+ * Turns TOTP on once the user proved their app generates the right codes.
+ * The recovery codes are returned only this once.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {{ recoveryCodes: string[] } | { error: string }}
+ */
+export function confirmEnrollment(userId, code) {
+  const credential = getCredential(userId);
+  if (!credential || credential.enabled) {
+    return { error: 'totp-not-pending' };
+  }
+
+  const step = verifyCode(credential.secret, code);
+  if (step === null) {
+    return { error: 'invalid-totp' };
+  }
+
+  const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const accountDb = getAccountDb();
+  accountDb.transaction(() => {
+    accountDb.mutate(
+      'UPDATE totp_credentials SET enabled = 1, last_used_step = ? WHERE user_id = ?',
+      [step, userId],
+    );
+    accountDb.mutate('DELETE FROM totp_recovery_codes WHERE user_id = ?', [
+      userId,
+    ]);
+    for (const recoveryCode of recoveryCodes) {
+      accountDb.mutate(
+        'INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, hashRecoveryCode(recoveryCode)],
+      );
+    }
+  });
+
+  return { recoveryCodes };
+}
+
+/**
+ * Checks a code from the authenticator app, or an unused recovery code. A
+ * code is only accepted once.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function verifyUserCode(userId, code) {
+  const credential = getCredential(userId);
+  if (!credential?.enabled || !code) {
+    return false;
+  }
+
+  const step = verifyCode(credential.secret, code);
+  if (step !== null) {
+    if (
+      credential.last_used_step !== null &&
+      step <= credential.last_used_step
+    ) {
+      return false;
+    }
+    getAccountDb().mutate(
+      'UPDATE totp_credentials SET last_used_step = ? WHERE user_id = ?',
+      [step, userId],
+    );
+    return true;
+  }
+
+  return (
+    getAccountDb().mutate(
+      `UPDATE totp_recovery_codes SET used_at = ?
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [Date.now(), userId, hashRecoveryCode(code)],
+    ).changes > 0
+  );
+}
+
+/**
+ * The second step of a login.
+ * @param {string} userId
+ * @param {string | null | undefined} code
+ * @returns {string | null} the reason the login is refused
+ */
+export function verifyLogin(userId, code) {
+  if (!getCredential(userId)?.enabled) {
+    return null;
+  }
+  if (!code) {
+    return 'totp-required';
+  }
+  return verifyUserCode(userId, code) ? null : 'invalid-totp';
+}
+
+/**
+ * Removes the second factor of a user, e.g. when their device is lost.
+ * @param {string} userId
+ * @returns {boolean} whether it was enabled
+ */
+export function disable(userId) {
+  const accountDb = getAccountDb();
+  let changes = 0;
+  accountDb.transaction(() => {
+    changes = accountDb.mutate(
+      'DELETE FROM totp_credentials WHERE user_id = ? AND enabled = 1',
+      [userId],
+    ).changes;
+    accountDb.mutate('DELETE FROM totp_credentials WHERE user_id = ?', [
+      userId,
+    ]);
+    accountDb.mutate('DELETE FROM totp_recovery_codes WHERE user_id = ?', [
+      userId,
+    ]);
+  });
+  return changes > 0;
+}
@@ -0,0 +1,114 @@
+import getAccountDb from '../account-db.js';
+import {
+  base32Decode,
+  base32Encode,
+  generateCode,
+  getTimeStep,
+} from '../util/totp.js';
+import * as TotpService from './totp-service.js';
+
+describe('TotpService', () => {
+  const userId = 'genericUser';
+
+  const enroll = () => {
+    const { secret } = /** @type {{ secret: string }} */ (
+      TotpService.beginEnrollment(userId, 'user')
+    );
+    const { recoveryCodes } = /** @type {{ recoveryCodes: string[] }} */ (
+      TotpService.confirmEnrollment(userId, generateCode(secret, getTimeStep()))
+    );
+    return { secret, recoveryCodes };
+  };
+
+  afterEach(() => {
+    TotpService.disable(userId);
+  });
+
+  test('generates the codes of RFC 6238', () => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    expect(secret).toEqual('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(secret).toString()).toEqual('12345678901234567890');
+    expect(generateCode(secret, getTimeStep(59 * 1000), 8)).toEqual('94287082');
+    expect(generateCode(secret, getTimeStep(1111111109 * 1000), 8)).toEqual(
+      '07081804',
+    );
+  });
+
+  test('beginEnrollment returns a provisioning URI for the secret', () => {
+    const result = TotpService.beginEnrollment(userId, 'user');
+
+    expect(result).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]{32}$/),
+      uri: expect.stringContaining('otpauth://totp/Actual%3Auser?secret='),
+    });
+    expect(TotpService.getStatus(userId).enabled).toBe(false);
+  });
+
+  test('confirmEnrollment refuses wrong codes', () => {
+    const { secret } = /** @type {{ secret: string }} */ (
+      TotpService.beginEnrollment(userId, 'user')
+    );
+    const wrong = generateCode(secret, getTimeStep() + 5);
+
+    expect(TotpService.confirmEnrollment(userId, wrong)).toEqual({
+      error: 'invalid-totp',
+    });
+  });
+
+  test('confirmEnrollment stores only hashes of the recovery codes', () => {
+    const { recoveryCodes } = enroll();
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(TotpService.getStatus(userId)).toEqual({
+      enabled: true,
+      recoveryCodesLeft: 10,
+    });
+    const stored = JSON.stringify(
+      getAccountDb().all(
+        'SELECT * FROM totp_recovery_codes WHERE user_id = ?',
+        [userId],
+      ),
+    );
+    expect(stored).not.toContain(recoveryCodes[0]);
+  });
+
+  test('verifyLogin asks for a code once enabled', () => {
+    expect(TotpService.verifyLogin(userId, null)).toBeNull();
+
+    const { secret } = enroll();
+
+    expect(TotpService.verifyLogin(userId, null)).toEqual('totp-required');
+    expect(TotpService.verifyLogin(userId, '000000')).toEqual('invalid-totp');
+    expect(
+      TotpService.verifyLogin(userId, generateCode(secret, getTimeStep() + 1)),
+    ).toBeNull();
+  });
+
+  test('codes can not be used twice', () => {
+    const { secret } = enroll();
+    const code = generateCode(secret, getTimeStep() + 1);
+
+    expect(TotpService.verifyUserCode(userId, code)).toBe(true);
+    expect(TotpService.verifyUserCode(userId, code)).toBe(false);
+  });
+
+  test('recovery codes work once, whichever way they are typed', () => {
+    const { recoveryCodes } = enroll();
+    const typed = recoveryCodes[0].toLowerCase().replace('-', '');
+
+    expect(TotpService.verifyLogin(userId, typed)).toBeNull();
+    expect(TotpService.verifyLogin(userId, recoveryCodes[0])).toEqual(
+      'invalid-totp',
+    );
+    expect(TotpService.getStatus(userId).recoveryCodesLeft).toBe(9);
+  });
+
+  test('disable removes the second factor', () => {
+    enroll();
+
+    expect(TotpService.disable(userId)).toBe(true);
+    expect(TotpService.verifyLogin(userId, null)).toBeNull();
+    expect(TotpService.disable(userId)).toBe(false);
+  });
+});
@@ -66,6 +66,37 @@ export function getAllUsers() {
   );
 }
 
+export function getRegistrations() {
+  return getAccountDb().all(
+    `SELECT users.id, user_name as userName, display_name as displayName, requested_at as requestedAt
+     FROM user_registrations
+     JOIN users ON users.id = user_registrations.user_id
+     ORDER BY requested_at`,
+  );
+}
+
+export function isPendingRegistration(userId) {
+  return !!getAccountDb().first(
+    'SELECT user_id FROM user_registrations WHERE user_id = ?',
+    [userId],
+  );
+}
+
+export function approveRegistration(userId) {
+  const accountDb = getAccountDb();
+  return accountDb.transaction(() => {
+    const { changes } = accountDb.mutate(
+      'DELETE FROM user_registrations WHERE user_id = ?',
+      [userId],
+    );
+    if (changes === 0) {
+      return false;
+    }
+    accountDb.mutate('UPDATE users SET enabled = 1 WHERE id = ?', [userId]);
+    return true;
+  });
+}
+
 export function insertUser(userId, userName, displayName, enabled, role) {
   getAccountDb().mutate(
     'INSERT INTO users (id, user_name, display_name, enabled, owner, role) VALUES (?, ?, ?, ?, 0, ?)',
@@ -154,14 +185,27 @@ export function updateFileOwner(ownerId, fileId) {
   }
 }
 
+/**
+ * What a user a file is shared with may do, from least to most: viewers can
+ * download and pull changes, editors can change the file and managers can
+ * also share it with others.
+ */
+export const FILE_PERMISSIONS = ['viewer', 'editor', 'manager'];
+
+export function validateFilePermission(permission) {
+  return FILE_PERMISSIONS.includes(permission);
+}
+
 export function getUserAccess(fileId, userId, isAdmin) {
   return getAccountDb().all(
-    `SELECT users.id as userId, user_name as userName, files.owner, display_name as displayName
+    `SELECT users.id as userId, user_name as userName, files.owner, display_name as displayName, user_access.permission
      FROM users
      JOIN user_access ON user_access.user_id = users.id
      JOIN files ON files.id = user_access.file_id
-     WHERE files.id = ? and (files.owner = ? OR 1 = ?)`,
-    [fileId, userId, isAdmin ? 1 : 0],
+     WHERE files.id = ? and (files.owner = ? OR 1 = ? OR EXISTS (
+       SELECT 1 FROM user_access manager
+       WHERE manager.file_id = files.id AND manager.user_id = ? AND manager.permission = 'manager'))`,
+    [fileId, userId, isAdmin ? 1 : 0, userId],
   );
 }
 
@@ -191,7 +235,33 @@ export function checkFilePermission(fileId, userId) {
   );
 }
 
-export function addUserAccess(userId, fileId) {
+/**
+ * The permission a user has on a file: `owner` for the owner, the shared
+ * permission level otherwise or null without access.
+ * @param {string} fileId
+ * @param {string} userId
+ * @returns {'owner' | 'viewer' | 'editor' | 'manager' | null}
+ */
+export function getFilePermission(fileId, userId) {
+  const row = getAccountDb().first(
+    `SELECT CASE WHEN files.owner = ? THEN 'owner' ELSE user_access.permission END as permission
+     FROM files
+     LEFT JOIN user_access ON user_access.file_id = files.id AND user_access.user_id = ?
+     WHERE files.id = ?`,
+    [userId, userId, fileId],
+  );
+  return row?.permission ?? null;
+}
+
+/**
+ * Whether the user owns the file or manages it on behalf of the owner.
+ */
+export function canManageFileAccess(fileId, userId) {
+  const permission = getFilePermission(fileId, userId);
+  return permission === 'owner' || permission === 'manager';
+}
+
+export function addUserAccess(userId, fileId, permission = 'editor') {
   if (!userId || !fileId) {
     throw new Error('Invalid parameters');
   }
@@ -202,8 +272,8 @@ export function addUserAccess(userId, fileId) {
       throw new Error('User or file not found');
     }
     getAccountDb().mutate(
-      'INSERT INTO user_access (user_id, file_id) VALUES (?, ?)',
-      [userId, fileId],
+      'INSERT INTO user_access (user_id, file_id, permission) VALUES (?, ?, ?)',
+      [userId, fileId, permission],
     );
   } catch (error) {
     if (error.message.includes('UNIQUE constraint')) {
@@ -213,6 +283,13 @@ export function addUserAccess(userId, fileId) {
   }
 }
 
+export function setUserAccessPermission(userId, fileId, permission) {
+  return getAccountDb().mutate(
+    'UPDATE user_access SET permission = ? WHERE user_id = ? AND file_id = ?',
+    [permission, userId, fileId],
+  ).changes;
+}
+
 export function deleteUserAccessByFileId(userIds, fileId) {
   if (!Array.isArray(userIds) || userIds.length === 0) {
     throw new Error('The provided userIds must be a non-empty array.');
@@ -244,6 +321,7 @@ export function getAllUserAccess(fileId) {
   return getAccountDb().all(
     `SELECT users.id as userId, user_name as userName, display_name as displayName,
             CASE WHEN user_access.file_id IS NULL THEN 0 ELSE 1 END as haveAccess,
+            user_access.permission as permission,
             CASE WHEN files.id IS NULL THEN 0 ELSE 1 END as owner
      FROM users
      LEFT JOIN user_access ON user_access.file_id = ? and user_access.user_id = users.id
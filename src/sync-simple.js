@@ -1,89 +1,77 @@
-import { existsSync, readFileSync } from 'node:fs';
-import { join } from 'node:path';
-import openDatabase from './db.js';
-import { getPathForGroupFile } from './util/paths.js';
-
-import { sqlDir } from './load-config.js';
+import { groupDbManager } from './app-sync/services/group-db-manager.js';
+import { syncNotifier } from './app-sync/services/sync-notifier.js';
 
 import { merkle, SyncProtoBuf, Timestamp } from '@actual-app/crdt';
 
-function getGroupDb(groupId) {
-  let path = getPathForGroupFile(groupId);
-  let needsInit = !existsSync(path);
-
-  let db = openDatabase(path);
-
-  if (needsInit) {
-    let sql = readFileSync(join(sqlDir, 'messages.sql'), 'utf8');
-    db.exec(sql);
-  }
-
-  return db;
-}
-
-function addMessages(db, messages) {
+function addMessages(groupDb, messages) {
   let returnValue;
-  db.transaction(() => {
-    let trie = getMerkle(db);
+  let inserted = 0;
+  let lastTimestamp = null;
+  groupDb.transaction(() => {
+    let trie = groupDb.getMerkle();
 
     if (messages.length > 0) {
       for (let msg of messages) {
-        let info = db.mutate(
-          `INSERT OR IGNORE INTO messages_binary (timestamp, is_encrypted, content)
-             VALUES (?, ?, ?)`,
-          [
-            msg.getTimestamp(),
-            msg.getIsencrypted() ? 1 : 0,
-            Buffer.from(msg.getContent()),
-          ],
+        let info = groupDb.statements.insertMessage.run(
+          msg.getTimestamp(),
+          msg.getIsencrypted() ? 1 : 0,
+          Buffer.from(msg.getContent()),
         );
 
         if (info.changes > 0) {
           trie = merkle.insert(trie, Timestamp.parse(msg.getTimestamp()));
+          inserted++;
+          if (lastTimestamp === null || msg.getTimestamp() > lastTimestamp) {
+            lastTimestamp = msg.getTimestamp();
+          }
         }
       }
     }
 
     trie = merkle.prune(trie);
 
-    db.mutate(
-      'INSERT INTO messages_merkles (id, merkle) VALUES (1, ?) ON CONFLICT (id) DO UPDATE SET merkle = ?',
-      [JSON.stringify(trie), JSON.stringify(trie)],
-    );
+    groupDb.setMerkle(trie);
 
     returnValue = trie;
   });
 
+  if (inserted > 0) {
+    syncNotifier.publish(groupDb.groupId, {
+      type: 'messages',
+      groupId: groupDb.groupId,
+      count: inserted,
+      timestamp: lastTimestamp,
+    });
+  }
+
   return returnValue;
 }
 
-function getMerkle(db) {
-  let rows = db.all('SELECT * FROM messages_merkles');
-
-  if (rows.length > 0) {
-    return JSON.parse(rows[0].merkle);
+/**
+ * Applies `messages` to the group and returns the messages newer than
+ * `since`. When `limit` is given, at most that many messages are returned
+ * and `hasMore` tells whether the client should keep pulling.
+ */
+export function sync(messages, since, groupId, { limit = null } = {}) {
+  let groupDb = groupDbManager.get(groupId);
+  let newMessages;
+  let hasMore = false;
+
+  if (limit) {
+    newMessages = groupDb.statements.messagesSinceLimit.all(since, limit + 1);
+    hasMore = newMessages.length > limit;
+    if (hasMore) {
+      newMessages = newMessages.slice(0, limit);
+    }
   } else {
-    // No merkle trie exists yet (first sync of the app), so create a
-    // default one.
-    return {};
+    newMessages = groupDb.statements.messagesSince.all(since);
   }
-}
-
-export function sync(messages, since, groupId) {
-  let db = getGroupDb(groupId);
-  let newMessages = db.all(
-    `SELECT * FROM messages_binary
-         WHERE timestamp > ?
-         ORDER BY timestamp`,
-    [since],
-  );
-
-  let trie = addMessages(db, messages);
 
-  db.close();
+  let trie = addMessages(groupDb, messages);
 
   return {
     trie,
+    hasMore,
     newMessages: newMessages.map((msg) => {
       const envelopePb = new SyncProtoBuf.MessageEnvelope();
       envelopePb.setTimestamp(msg.timestamp);
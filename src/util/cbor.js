@@ -0,0 +1,113 @@
+/**
+ * A minimal CBOR (RFC 8949) decoder, enough for the attestation objects and
+ * public keys of WebAuthn.
+ */
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ value: unknown, offset: number }}
+ */
+function decodeItem(buffer, offset) {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initial = buffer[offset++];
+  const major = initial >> 5;
+  const info = initial & 31;
+
+  let length;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    length = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (info === 25) {
+    length = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    length = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (info === 27) {
+    length =
+      buffer.readUInt32BE(offset) * 2 ** 32 + buffer.readUInt32BE(offset + 4);
+    offset += 8;
+  } else {
+    throw new Error('Indefinite length CBOR items are not supported');
+  }
+
+  switch (major) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+      if (offset + length > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      return {
+        value: Buffer.from(buffer.subarray(offset, offset + length)),
+        offset: offset + length,
+      };
+    case 3:
+      if (offset + length > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      return {
+        value: buffer.toString('utf8', offset, offset + length),
+        offset: offset + length,
+      };
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeItem(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      // Keys can be integers (COSE keys), so a Map is used
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeItem(buffer, offset);
+        const value = decodeItem(buffer, key.offset);
+        map.set(key.value, value.value);
+        offset = value.offset;
+      }
+      return { value: map, offset };
+    }
+    case 6:
+      // Tags carry no meaning for WebAuthn, keep the tagged item
+      return decodeItem(buffer, offset);
+    default:
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22 || info === 23) return { value: null, offset };
+      throw new Error(`Unsupported CBOR simple value ${info}`);
+  }
+}
+
+/**
+ * Decodes the first item of `buffer`.
+ * @param {Buffer} buffer
+ * @returns {{ value: any, length: number }} the item and how many bytes it
+ * took, as items can be followed by other data
+ */
+export function decodeFirst(buffer) {
+  const { value, offset } = decodeItem(buffer, 0);
+  return { value, length: offset };
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {any}
+ */
+export function decode(buffer) {
+  const { value, length } = decodeFirst(buffer);
+  if (length !== buffer.length) {
+    throw new Error('Unexpected data after CBOR item');
+  }
+  return value;
+}
@@ -3,3 +3,11 @@ import crypto from 'crypto';
 export async function sha256String(str) {
   return crypto.createHash('sha256').update(str).digest('base64');
 }
+
+/**
+ * @param {string | Buffer} content
+ * @returns {string} the hex encoded SHA-256 digest
+ */
+export function sha256Hex(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
@@ -6,7 +6,20 @@ export function getPathForUserFile(fileId) {
   return join(config.userFiles, `file-${fileId}.blob`);
 }
 
+/**
+ * @param {string} fileId
+ * @param {string} versionId
+ */
+export function getPathForFileVersion(fileId, versionId) {
+  return join(config.userFiles, `file-${fileId}.${versionId}.blob`);
+}
+
 /** @param {string} groupId */
 export function getPathForGroupFile(groupId) {
   return join(config.userFiles, `group-${groupId}.sqlite`);
 }
+
+/** @param {string} uploadId */
+export function getPathForUploadSession(uploadId) {
+  return join(config.userFiles, `upload-${uploadId}.part`);
+}
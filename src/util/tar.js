@@ -0,0 +1,205 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const BLOCK_SIZE = 512;
+
+/**
+ * @param {number} value
+ * @param {number} length the field length, including the terminating NUL
+ */
+function octal(value, length) {
+  return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+/**
+ * Builds the ustar header of a regular file.
+ * @param {string} name
+ * @param {number} size
+ * @param {number} mtime in seconds
+ */
+function createHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Archive entry name is too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100, 8, 'ascii');
+  header.write(octal(0, 8), 108, 8, 'ascii');
+  header.write(octal(0, 8), 116, 8, 'ascii');
+  header.write(octal(size, 12), 124, 12, 'ascii');
+  header.write(octal(mtime, 12), 136, 12, 'ascii');
+  header.write(' '.repeat(8), 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(octal(checksum, 7) + ' ', 148, 8, 'ascii');
+
+  return header;
+}
+
+/** @param {number} size */
+function padding(size) {
+  const remainder = size % BLOCK_SIZE;
+  return Buffer.alloc(remainder === 0 ? 0 : BLOCK_SIZE - remainder);
+}
+
+/**
+ * Produces a tar archive of the given entries. Entries either hold their
+ * `content` or name the file to read it from.
+ * @param {Array<{ name: string, content?: Buffer, path?: string }>} entries
+ * @returns {AsyncGenerator<Buffer>}
+ */
+export async function* createTar(entries) {
+  const mtime = Math.floor(Date.now() / 1000);
+
+  for (const entry of entries) {
+    if (entry.content) {
+      yield createHeader(entry.name, entry.content.length, mtime);
+      yield entry.content;
+      yield padding(entry.content.length);
+    } else {
+      const { size } = await fs.promises.stat(entry.path);
+      yield createHeader(entry.name, size, mtime);
+      for await (const chunk of fs.createReadStream(entry.path)) {
+        yield chunk;
+      }
+      yield padding(size);
+    }
+  }
+
+  // The end of the archive is marked by two empty blocks
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * @param {Buffer} header
+ * @param {number} offset
+ * @param {number} length
+ */
+function readString(header, offset, length) {
+  return header.toString('utf8', offset, offset + length).replace(/\0.*$/s, '');
+}
+
+/**
+ * @param {Buffer} header
+ * @param {number} offset
+ * @param {number} length
+ */
+function readOctal(header, offset, length) {
+  return parseInt(readString(header, offset, length).trim() || '0', 8);
+}
+
+/**
+ * Parses a ustar header block, checking its checksum and that the entry
+ * stays inside the directory it is extracted to.
+ * @param {Buffer} header
+ */
+function parseHeader(header) {
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    checksum += i >= 148 && i < 156 ? 32 : header[i];
+  }
+  if (checksum !== readOctal(header, 148, 8)) {
+    throw new Error('Invalid tar header checksum');
+  }
+
+  const prefix = readString(header, 345, 155);
+  const name = prefix
+    ? `${prefix}/${readString(header, 0, 100)}`
+    : readString(header, 0, 100);
+  if (
+    path.isAbsolute(name) ||
+    name.split('/').some((segment) => segment === '..')
+  ) {
+    throw new Error(`Archive entry escapes the destination: ${name}`);
+  }
+
+  return {
+    name,
+    size: readOctal(header, 124, 12),
+    type: readString(header, 156, 1) || '0',
+  };
+}
+
+/**
+ * Extracts the regular files of a tar archive into `dir`. Other entry types,
+ * such as directories, are skipped.
+ * @param {AsyncIterable<Buffer>} source
+ * @param {string} dir
+ * @returns {Promise<string[]>} the names of the extracted files
+ */
+export async function extractTar(source, dir) {
+  const names = [];
+  let pending = Buffer.alloc(0);
+  /** @type {{ handle: fs.promises.FileHandle, remaining: number, padding: number } | null} */
+  let file = null;
+  let skip = 0;
+  let ended = false;
+
+  try {
+    for await (const chunk of source) {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+      while (!ended) {
+        if (skip > 0) {
+          const length = Math.min(skip, pending.length);
+          pending = pending.subarray(length);
+          skip -= length;
+          if (skip > 0) break;
+        } else if (file) {
+          const length = Math.min(file.remaining, pending.length);
+          if (length > 0) {
+            await file.handle.write(pending.subarray(0, length));
+            pending = pending.subarray(length);
+            file.remaining -= length;
+          }
+          if (file.remaining > 0) break;
+          await file.handle.close();
+          skip = file.padding;
+          file = null;
+        } else {
+          if (pending.length < BLOCK_SIZE) break;
+          const header = pending.subarray(0, BLOCK_SIZE);
+          pending = pending.subarray(BLOCK_SIZE);
+
+          if (header.every((byte) => byte === 0)) {
+            ended = true;
+            break;
+          }
+
+          const { name, size, type } = parseHeader(header);
+          const entryPadding = padding(size).length;
+          if (type !== '0') {
+            skip = size + entryPadding;
+            continue;
+          }
+
+          const destination = path.join(dir, name);
+          await fs.promises.mkdir(path.dirname(destination), {
+            recursive: true,
+          });
+          file = {
+            handle: await fs.promises.open(destination, 'w'),
+            remaining: size,
+            padding: entryPadding,
+          };
+          names.push(name);
+        }
+      }
+    }
+  } finally {
+    await file?.handle.close();
+  }
+
+  if (file || skip > 0 || !ended) {
+    throw new Error('Unexpected end of tar archive');
+  }
+
+  return names;
+}
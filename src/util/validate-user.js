@@ -1,10 +1,29 @@
 import config from '../load-config.js';
 import ipaddr from 'ipaddr.js';
 import { getSession } from '../account-db.js';
+import * as ApiTokenService from '../services/api-token-service.js';
+import { touchSession } from '../services/session-service.js';
 
 export const TOKEN_EXPIRATION_NEVER = -1;
 const MS_PER_SECOND = 1000;
 
+/**
+ * Apps declare the scope an API token needs with
+ * `app.set(API_TOKEN_SCOPE, scope)`, either a scope or a function of the
+ * request returning one. `null` lets any API token through; apps that don't
+ * declare a scope can't be used with API tokens.
+ */
+export const API_TOKEN_SCOPE = 'api-token-scope';
+
+/**
+ * @param {import('express').Request} req
+ * @returns {string | null | undefined}
+ */
+function getRequiredScope(req) {
+  const scope = req.app.get(API_TOKEN_SCOPE);
+  return typeof scope === 'function' ? scope(req) : scope;
+}
+
 /**
  * @param {import('express').Request} req
  * @param {import('express').Response} res
@@ -16,7 +35,7 @@ export default function validateSession(req, res) {
     token = req.headers['x-actual-token'];
   }
 
-  let session = getSession(token);
+  let session = getSession(token) ?? ApiTokenService.getTokenSession(token);
 
   if (!session) {
     res.status(401);
@@ -40,6 +59,25 @@ export default function validateSession(req, res) {
     return null;
   }
 
+  if (session.scopes) {
+    const scope = getRequiredScope(req);
+    if (
+      scope === undefined ||
+      (scope !== null && !ApiTokenService.hasScope(session, scope))
+    ) {
+      res.status(403);
+      res.send({
+        status: 'error',
+        reason: 'forbidden',
+        details: 'insufficient-scope',
+      });
+      return null;
+    }
+    ApiTokenService.markUsed(session.api_token_id);
+  } else {
+    touchSession(session.token);
+  }
+
   return session;
 }
 